@@ -15,7 +15,13 @@ import { LoginPage } from './pages/LoginPage.jsx';
 import { RegisterPage } from './pages/RegisterPage.jsx';
 import { ProfilePage } from './pages/ProfilePage.jsx';
 import { SettingsPage } from './pages/SettingsPage.jsx';
+import { TasksPage } from './pages/TasksPage.jsx';
 import { VerifyEmailPage } from './pages/VerifyEmailPage.jsx';
+import { ForgotPasswordPage } from './pages/ForgotPasswordPage.jsx';
+import { ResetPasswordPage } from './pages/ResetPasswordPage.jsx';
+import { MagicLinkPage } from './pages/MagicLinkPage.jsx';
+import { MagicLinkSignInPage } from './pages/MagicLinkSignInPage.jsx';
+import { EmailChangePage } from './pages/EmailChangePage.jsx';
 import { AccountRecoveryPage } from './pages/AccountRecoveryPage.jsx';
 import { AdminDashboard } from './pages/admin/AdminDashboard.jsx';
 
@@ -30,6 +36,10 @@ function App() {
                 {/* Public routes */}
                 <Route path="/" element={<HomePage />} />
                 <Route path="/verify-email" element={<VerifyEmailPage />} />
+                <Route path="/reset-password" element={<ResetPasswordPage />} />
+                <Route path="/magic-link/sign-in" element={<MagicLinkSignInPage />} />
+                <Route path="/confirm-email-change" element={<EmailChangePage action="confirm" />} />
+                <Route path="/cancel-email-change" element={<EmailChangePage action="cancel" />} />
 
                 {/* Auth routes (public only) */}
                 <Route
@@ -48,8 +58,32 @@ function App() {
                     </PublicOnlyRoute>
                   }
                 />
+                <Route
+                  path="/forgot-password"
+                  element={
+                    <PublicOnlyRoute>
+                      <ForgotPasswordPage />
+                    </PublicOnlyRoute>
+                  }
+                />
+                <Route
+                  path="/magic-link"
+                  element={
+                    <PublicOnlyRoute>
+                      <MagicLinkPage />
+                    </PublicOnlyRoute>
+                  }
+                />
 
                 {/* Protected routes */}
+                <Route
+                  path="/tasks"
+                  element={
+                    <ProtectedRoute>
+                      <TasksPage />
+                    </ProtectedRoute>
+                  }
+                />
                 <Route
                   path="/profile"
                   element={
@@ -0,0 +1,226 @@
+/**
+ * Sync conflicts panel
+ * Lists fields that were edited on two devices at once and lets the user
+ * keep their version, the other device's version, or a merged value
+ */
+
+import { useEffect, useState } from 'react';
+import {
+  Dialog, DialogHeader, DialogTitle, DialogDescription, DialogBody, DialogFooter, Button, Badge, Input,
+} from './ui/index.js';
+import { useToast } from './ui/Toast.jsx';
+import { conflict_storage, entity_storage } from '../lib/storage.js';
+import { resolve_conflict } from '../lib/sync.js';
+import { decode_html } from '../lib/validation.js';
+import styles from './ConflictsPanel.module.css';
+
+/**
+ * Format a conflicting value for display
+ * @param {any} value
+ * @param {Map<string, string>} tag_names - Tag ID to name, for tag_ids
+ * @returns {string}
+ */
+function format_value(value, tag_names) {
+  if (value === null || value === undefined || value === '') return '(empty)';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (Array.isArray(value)) {
+    return value.length > 0 ? value.map((id) => tag_names.get(id) ?? id).join(', ') : '(none)';
+  }
+  return decode_html(String(value));
+}
+
+/**
+ * Format a field name for display (quiet_hours -> Quiet hours)
+ * @param {string} field
+ * @returns {string}
+ */
+function format_field(field) {
+  const words = field.replace(/_id(s?)$/, '$1').replace(/_/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Name the entity a conflict belongs to
+ * @param {Object} conflict
+ * @returns {Promise<string>}
+ */
+async function describe_entity(conflict) {
+  if (conflict.entity === 'profile') {
+    return 'Profile';
+  }
+
+  const entity = await entity_storage.get(conflict.entity, conflict.entity_id);
+  const name = entity ? decode_html(entity.title ?? entity.name) : 'Unknown';
+  return conflict.entity === 'task' ? `Task "${name}"` : `List "${name}"`;
+}
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.open
+ * @param {Function} props.on_close
+ */
+export function ConflictsPanel({ open, on_close }) {
+  const { add_toast } = useToast();
+
+  const [conflicts, set_conflicts] = useState([]);
+  const [labels, set_labels] = useState({});
+  const [tag_names, set_tag_names] = useState(new Map());
+  const [merging, set_merging] = useState(null);
+  const [merged, set_merged] = useState({});
+  const [resolving, set_resolving] = useState(null);
+
+  useEffect(() => {
+    if (!open) return;
+
+    async function load_conflicts() {
+      const stored = await conflict_storage.get_all();
+      const entries = await Promise.all(stored.map(async (conflict) => [conflict.id, await describe_entity(conflict)]));
+      const tags = await entity_storage.get_all('tag');
+      set_conflicts(stored);
+      set_labels(Object.fromEntries(entries));
+      set_tag_names(new Map(tags.map((tag) => [tag.id, decode_html(tag.name)])));
+    }
+
+    load_conflicts().catch(console.error);
+  }, [open]);
+
+  async function handle_resolve(conflict, choice) {
+    set_resolving(conflict.id);
+
+    try {
+      // An emptied input clears the field
+      const merged_values = Object.fromEntries(Object.entries(merged).map(([key, value]) => [key, value || null]));
+      await resolve_conflict(conflict, choice, choice === 'merged' ? merged_values : null);
+      set_conflicts((prev) => prev.filter((item) => item.id !== conflict.id));
+      set_merging(null);
+    } catch (err) {
+      add_toast({
+        title: 'Failed to resolve conflict',
+        description: err.message,
+        variant: 'error',
+      });
+    } finally {
+      set_resolving(null);
+    }
+  }
+
+  function start_merge(conflict) {
+    // Start from the user's own version
+    set_merged(Object.fromEntries(Object.entries(conflict.mine).map(([key, value]) => [key, value ?? ''])));
+    set_merging(conflict.id);
+  }
+
+  // Free-form merging only makes sense for text values
+  function can_merge(conflict) {
+    return [...Object.values(conflict.mine), ...Object.values(conflict.theirs)]
+      .every((value) => value === null || value === undefined || typeof value === 'string');
+  }
+
+  return (
+    <Dialog open={open} on_close={on_close}>
+      <DialogHeader>
+        <DialogTitle>Sync conflicts</DialogTitle>
+        <DialogDescription>
+          These fields were changed on another device while you were editing them.
+          Choose which version to keep.
+        </DialogDescription>
+      </DialogHeader>
+
+      <DialogBody>
+        {conflicts.length === 0 ? (
+          <p className={styles.empty}>No conflicts to review.</p>
+        ) : (
+          <ul className={styles.list}>
+            {conflicts.map((conflict) => (
+              <li key={conflict.id} className={styles.item}>
+                <div className={styles.item_header}>
+                  <span className={styles.item_title}>
+                    {labels[conflict.id]} &middot; {format_field(conflict.field)}
+                  </span>
+                  <Badge variant="outline">
+                    {conflict.resolution === 'mine' ? 'Yours is saved' : 'Theirs is saved'}
+                  </Badge>
+                </div>
+
+                <div className={styles.versions}>
+                  <div className={styles.version}>
+                    <span className={styles.version_label}>Mine</span>
+                    {Object.entries(conflict.mine).map(([key, value]) => (
+                      <span key={key} className={styles.value}>{format_value(value, tag_names)}</span>
+                    ))}
+                  </div>
+                  <div className={styles.version}>
+                    <span className={styles.version_label}>Theirs</span>
+                    {Object.entries(conflict.theirs).map(([key, value]) => (
+                      <span key={key} className={styles.value}>{format_value(value, tag_names)}</span>
+                    ))}
+                  </div>
+                </div>
+
+                {merging === conflict.id && (
+                  <div className={styles.merge}>
+                    {Object.keys(conflict.mine).map((key) => (
+                      <Input
+                        key={key}
+                        aria-label={format_field(key)}
+                        value={merged[key] ?? ''}
+                        onChange={(e) => set_merged((prev) => ({ ...prev, [key]: e.target.value }))}
+                      />
+                    ))}
+                  </div>
+                )}
+
+                <div className={styles.actions}>
+                  {merging === conflict.id ? (
+                    <>
+                      <Button variant="ghost" size="sm" onClick={() => set_merging(null)}>
+                        Cancel
+                      </Button>
+                      <Button
+                        size="sm"
+                        loading={resolving === conflict.id}
+                        onClick={() => handle_resolve(conflict, 'merged')}
+                      >
+                        Save merged
+                      </Button>
+                    </>
+                  ) : (
+                    <>
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        disabled={resolving === conflict.id}
+                        onClick={() => handle_resolve(conflict, 'mine')}
+                      >
+                        Keep mine
+                      </Button>
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        disabled={resolving === conflict.id}
+                        onClick={() => handle_resolve(conflict, 'theirs')}
+                      >
+                        Keep theirs
+                      </Button>
+                      {can_merge(conflict) && (
+                        <Button variant="ghost" size="sm" onClick={() => start_merge(conflict)}>
+                          Merge
+                        </Button>
+                      )}
+                    </>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </DialogBody>
+
+      <DialogFooter>
+        <Button variant="outline" onClick={on_close}>
+          Close
+        </Button>
+      </DialogFooter>
+    </Dialog>
+  );
+}
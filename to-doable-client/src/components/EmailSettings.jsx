@@ -0,0 +1,151 @@
+/**
+ * Email address settings card
+ * Changing the address asks for the password and sends a confirmation link to
+ * the new address; the account keeps the current one until it is followed
+ */
+
+import { useEffect, useState } from 'react';
+import {
+  Card, CardHeader, CardTitle, CardDescription, CardContent, CardFooter, Button, Input, Label,
+} from './ui/index.js';
+import { useToast } from './ui/Toast.jsx';
+import { useAuth } from '../context/AuthContext.jsx';
+import { api } from '../lib/api.js';
+import { validate_email } from '../lib/validation.js';
+import styles from './EmailSettings.module.css';
+
+/**
+ * @param {Object} props
+ * @param {string} [props.className]
+ */
+export function EmailSettings({ className }) {
+  const { user } = useAuth();
+  const { add_toast } = useToast();
+
+  const [pending, set_pending] = useState(null);
+  const [new_email, set_new_email] = useState('');
+  const [password, set_password] = useState('');
+  const [error, set_error] = useState('');
+  const [loading, set_loading] = useState(false);
+  const [cancelling, set_cancelling] = useState(false);
+
+  useEffect(() => {
+    api.get('/auth/change-email')
+      .then((response) => set_pending(response.pending))
+      .catch(console.error);
+  }, []);
+
+  async function handle_submit(e) {
+    e.preventDefault();
+
+    const email_result = validate_email(new_email);
+    if (!email_result.valid) {
+      set_error(email_result.error);
+      return;
+    }
+
+    set_loading(true);
+    set_error('');
+
+    try {
+      const response = await api.post('/auth/change-email', { new_email: email_result.value, password });
+      set_pending(response.pending);
+      set_new_email('');
+      set_password('');
+      add_toast({ title: 'Check your new inbox', description: response.message, variant: 'success' });
+    } catch (err) {
+      set_error(err.message || 'Failed to start email change');
+    } finally {
+      set_loading(false);
+    }
+  }
+
+  async function handle_cancel() {
+    set_cancelling(true);
+
+    try {
+      await api.delete('/auth/change-email');
+      set_pending(null);
+      add_toast({ title: 'Email change cancelled' });
+    } catch (err) {
+      add_toast({ title: 'Failed to cancel email change', description: err.message, variant: 'error' });
+    } finally {
+      set_cancelling(false);
+    }
+  }
+
+  return (
+    <Card className={className}>
+      <CardHeader>
+        <CardTitle>Email Address</CardTitle>
+        <CardDescription>
+          We&apos;ll send a confirmation link to the new address and let the current one know
+        </CardDescription>
+      </CardHeader>
+      <form onSubmit={handle_submit}>
+        <CardContent className={styles.content}>
+          <p className={styles.current}>{user?.email}</p>
+
+          {pending && (
+            <div className={styles.pending} role="status">
+              <span>
+                Waiting for {pending.new_email} to be confirmed (link expires{' '}
+                {new Date(pending.expires_at).toLocaleString()})
+              </span>
+              <Button
+                type="button"
+                variant="ghost"
+                size="sm"
+                onClick={handle_cancel}
+                loading={cancelling}
+              >
+                Cancel change
+              </Button>
+            </div>
+          )}
+
+          {error && (
+            <div className={styles.error} role="alert">
+              {error}
+            </div>
+          )}
+
+          <div className={styles.field}>
+            <Label htmlFor="new_email">New Email</Label>
+            <Input
+              id="new_email"
+              type="email"
+              value={new_email}
+              onChange={(e) => {
+                set_new_email(e.target.value);
+                set_error('');
+              }}
+              autoComplete="email"
+              disabled={loading}
+            />
+          </div>
+
+          <div className={styles.field}>
+            <Label htmlFor="email_change_password">Current Password</Label>
+            <Input
+              id="email_change_password"
+              type="password"
+              value={password}
+              onChange={(e) => {
+                set_password(e.target.value);
+                set_error('');
+              }}
+              autoComplete="current-password"
+              disabled={loading}
+            />
+          </div>
+        </CardContent>
+        <CardFooter>
+          <Button type="submit" loading={loading} disabled={!new_email || !password}>
+            Change email
+          </Button>
+        </CardFooter>
+      </form>
+    </Card>
+  );
+}
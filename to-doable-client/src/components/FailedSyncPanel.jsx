@@ -0,0 +1,230 @@
+/**
+ * Failed sync items panel
+ * Lists offline changes the server would not accept (or that failed too often)
+ * and lets the user retry, edit or discard each one
+ */
+
+import { useEffect, useState } from 'react';
+import {
+  Dialog, DialogHeader, DialogTitle, DialogDescription, DialogBody, DialogFooter, Button, Badge, Input, Label,
+} from './ui/index.js';
+import { useToast } from './ui/Toast.jsx';
+import { failed_sync_storage, entity_storage } from '../lib/storage.js';
+import { retry_failed_item, discard_failed_item } from '../lib/sync.js';
+import { decode_html } from '../lib/validation.js';
+import { is_encrypted_text } from '../lib/encryption.js';
+import { decrypt_tasks, task_display_title } from '../lib/private_tasks.js';
+import styles from './FailedSyncPanel.module.css';
+
+// Sent alongside the edited values, not edited themselves
+const HIDDEN_KEYS = ['field_clocks', 'base_clocks'];
+
+const OP_LABELS = {
+  create: 'New',
+  update: 'Edit to',
+  delete: 'Delete',
+  restore: 'Restore',
+};
+
+/**
+ * Describe the change a failed item makes
+ * @param {Object} item
+ * @returns {Promise<string>}
+ */
+async function describe_item(item) {
+  if (item.entity === 'profile') {
+    return 'Profile changes';
+  }
+
+  const stored = item.entity_id ? await entity_storage.get(item.entity, item.entity_id) : null;
+  const label = `${OP_LABELS[item.op] ?? item.op} ${item.entity}`;
+
+  if (item.entity === 'task' && (item.data?.is_private ?? stored?.is_private)) {
+    const [task] = await decrypt_tasks([{ title: stored?.title, ...item.data, is_private: true }]);
+    return task.title ? `${label} "${task_display_title(task)}"` : label;
+  }
+
+  const name = item.data?.title ?? item.data?.name ?? stored?.title ?? stored?.name;
+  return name ? `${label} "${decode_html(name)}"` : label;
+}
+
+/**
+ * Data fields the user can edit: text, numbers and empty values
+ * (not the encrypted text of private tasks)
+ * @param {Object} item
+ * @returns {Array<[string, any]>}
+ */
+function editable_fields(item) {
+  return Object.entries(item.data || {}).filter(([key, value]) =>
+    !HIDDEN_KEYS.includes(key) && !is_encrypted_text(value)
+      && (value === null || ['string', 'number'].includes(typeof value))
+  );
+}
+
+/**
+ * Format a field name for display (due_at -> Due at)
+ * @param {string} key
+ * @returns {string}
+ */
+function format_key(key) {
+  const words = key.replace(/_/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.open
+ * @param {Function} props.on_close
+ */
+export function FailedSyncPanel({ open, on_close }) {
+  const { add_toast } = useToast();
+
+  const [items, set_items] = useState([]);
+  const [labels, set_labels] = useState({});
+  const [editing, set_editing] = useState(null);
+  const [edited, set_edited] = useState({});
+  const [busy, set_busy] = useState(null);
+
+  useEffect(() => {
+    if (!open) return;
+
+    async function load_items() {
+      const stored = await failed_sync_storage.get_all();
+      const entries = await Promise.all(stored.map(async (item) => [item.id, await describe_item(item)]));
+      set_items(stored);
+      set_labels(Object.fromEntries(entries));
+    }
+
+    load_items().catch(console.error);
+  }, [open]);
+
+  async function run(item, action) {
+    set_busy(item.id);
+
+    try {
+      await action();
+      set_items((prev) => prev.filter((other) => other.id !== item.id));
+      set_editing(null);
+    } catch (err) {
+      add_toast({
+        title: 'Something went wrong',
+        description: err.message,
+        variant: 'error',
+      });
+    } finally {
+      set_busy(null);
+    }
+  }
+
+  function start_edit(item) {
+    set_edited(Object.fromEntries(editable_fields(item).map(([key, value]) => [key, value ?? ''])));
+    set_editing(item.id);
+  }
+
+  function handle_save_edit(item) {
+    // Only changed fields count as edits; emptied inputs clear the field
+    const changes = {};
+    for (const [key, original] of editable_fields(item)) {
+      const value = edited[key] === '' ? null : edited[key];
+      const typed = typeof original === 'number' && value !== null ? Number(value) : value;
+      if (typed !== original) {
+        changes[key] = typed;
+      }
+    }
+
+    run(item, () => retry_failed_item(item, Object.keys(changes).length > 0 ? changes : null));
+  }
+
+  return (
+    <Dialog open={open} on_close={on_close}>
+      <DialogHeader>
+        <DialogTitle>Changes that didn&apos;t sync</DialogTitle>
+        <DialogDescription>
+          These offline changes could not be saved to the server.
+          Try them again, edit them, or discard them.
+        </DialogDescription>
+      </DialogHeader>
+
+      <DialogBody>
+        {items.length === 0 ? (
+          <p className={styles.empty}>No failed changes.</p>
+        ) : (
+          <ul className={styles.list}>
+            {items.map((item) => (
+              <li key={item.id} className={styles.item}>
+                <div className={styles.item_header}>
+                  <span className={styles.item_title}>{labels[item.id]}</span>
+                  <Badge variant={item.permanent ? 'destructive' : 'warning'}>
+                    {item.permanent ? 'Rejected' : 'Failed'}
+                    {item.last_status > 0 && ` (${item.last_status})`}
+                  </Badge>
+                </div>
+
+                <p className={styles.error}>{item.last_error || 'Unknown error'}</p>
+
+                {editing === item.id && (
+                  <div className={styles.fields}>
+                    {editable_fields(item).map(([key, original]) => (
+                      <div key={key} className={styles.field}>
+                        <Label htmlFor={`failed-${item.id}-${key}`}>{format_key(key)}</Label>
+                        <Input
+                          id={`failed-${item.id}-${key}`}
+                          type={typeof original === 'number' ? 'number' : 'text'}
+                          value={edited[key] ?? ''}
+                          onChange={(e) => set_edited((prev) => ({ ...prev, [key]: e.target.value }))}
+                        />
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                <div className={styles.actions}>
+                  {editing === item.id ? (
+                    <>
+                      <Button variant="ghost" size="sm" onClick={() => set_editing(null)}>
+                        Cancel
+                      </Button>
+                      <Button size="sm" loading={busy === item.id} onClick={() => handle_save_edit(item)}>
+                        Save and retry
+                      </Button>
+                    </>
+                  ) : (
+                    <>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        disabled={busy === item.id}
+                        onClick={() => run(item, () => discard_failed_item(item.id))}
+                      >
+                        Discard
+                      </Button>
+                      {editable_fields(item).length > 0 && (
+                        <Button variant="outline" size="sm" disabled={busy === item.id} onClick={() => start_edit(item)}>
+                          Edit
+                        </Button>
+                      )}
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        loading={busy === item.id}
+                        onClick={() => run(item, () => retry_failed_item(item))}
+                      >
+                        Retry
+                      </Button>
+                    </>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </DialogBody>
+
+      <DialogFooter>
+        <Button variant="outline" onClick={on_close}>
+          Close
+        </Button>
+      </DialogFooter>
+    </Dialog>
+  );
+}
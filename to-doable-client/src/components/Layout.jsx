@@ -10,6 +10,7 @@ import {
   DropdownMenu, DropdownMenuTrigger, DropdownMenuContent,
   DropdownMenuItem, DropdownMenuSeparator, DropdownMenuLabel, Badge
 } from './ui/index.js';
+import { UpdatePrompt } from './UpdatePrompt.jsx';
 import styles from './Layout.module.css';
 
 export function Layout({ children }) {
@@ -39,6 +40,12 @@ export function Layout({ children }) {
                   </Badge>
                 )}
 
+                {!is_admin && (
+                  <Link to="/tasks" className={styles.nav_link}>
+                    Tasks
+                  </Link>
+                )}
+
                 {is_admin && !impersonation?.is_impersonating && (
                   <Link to="/admin" className={styles.nav_link}>
                     Admin
@@ -110,6 +117,8 @@ export function Layout({ children }) {
         {children}
       </main>
 
+      <UpdatePrompt />
+
       <footer className={styles.footer}>
         <p>&copy; {new Date().getFullYear()} To-Doable. All rights reserved.</p>
       </footer>
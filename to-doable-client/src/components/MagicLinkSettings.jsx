@@ -0,0 +1,69 @@
+/**
+ * Sign-in link settings card
+ * Turns passwordless sign-in by email on or off for the account
+ */
+
+import { useEffect, useState } from 'react';
+import { Card, CardHeader, CardTitle, CardDescription, CardContent, Label } from './ui/index.js';
+import { useToast } from './ui/Toast.jsx';
+import { api } from '../lib/api.js';
+import styles from './MagicLinkSettings.module.css';
+
+/**
+ * @param {Object} props
+ * @param {string} [props.className]
+ */
+export function MagicLinkSettings({ className }) {
+  const { add_toast } = useToast();
+
+  const [enabled, set_enabled] = useState(null);
+  const [saving, set_saving] = useState(false);
+
+  useEffect(() => {
+    api.get('/auth/magic-link/settings')
+      .then((response) => set_enabled(response.enabled))
+      .catch(console.error);
+  }, []);
+
+  async function handle_change(e) {
+    const next_enabled = e.target.checked;
+    set_saving(true);
+
+    try {
+      const response = await api.patch('/auth/magic-link/settings', { enabled: next_enabled });
+      set_enabled(response.enabled);
+      add_toast({ title: response.message, variant: 'success' });
+    } catch (err) {
+      add_toast({ title: 'Failed to update sign-in links', description: err.message, variant: 'error' });
+    } finally {
+      set_saving(false);
+    }
+  }
+
+  return (
+    <Card className={className}>
+      <CardHeader>
+        <CardTitle>Sign-in Links</CardTitle>
+        <CardDescription>
+          Sign in without your password using a link sent to your email
+        </CardDescription>
+      </CardHeader>
+      <CardContent className={styles.content}>
+        <div className={styles.checkbox_field}>
+          <input
+            type="checkbox"
+            id="magic_link_enabled"
+            checked={enabled ?? false}
+            onChange={handle_change}
+            disabled={enabled === null || saving}
+          />
+          <Label htmlFor="magic_link_enabled">Allow sign-in links for this account</Label>
+        </div>
+        <p className={styles.hint}>
+          Anyone who can read your email could sign in with one. With two-factor
+          authentication on, a link still asks for your code.
+        </p>
+      </CardContent>
+    </Card>
+  );
+}
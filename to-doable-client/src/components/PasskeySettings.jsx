@@ -0,0 +1,216 @@
+/**
+ * Passkey settings card
+ * Lists the user's passkeys and adds, renames or removes them. Adding one asks
+ * for the password first, since a passkey signs in without it
+ */
+
+import { useEffect, useState } from 'react';
+import {
+  Card, CardHeader, CardTitle, CardDescription, CardContent, CardFooter,
+  Dialog, DialogHeader, DialogTitle, DialogDescription, DialogBody, DialogFooter, Button, Input, Label,
+} from './ui/index.js';
+import { useToast } from './ui/Toast.jsx';
+import { api } from '../lib/api.js';
+import { is_passkey_supported, create_passkey } from '../lib/webauthn.js';
+import styles from './PasskeySettings.module.css';
+
+const DIALOG_TITLES = {
+  add: 'Add a passkey',
+  rename: 'Rename passkey',
+  remove: 'Remove passkey',
+};
+
+/**
+ * @param {Object} props
+ * @param {string} [props.className]
+ */
+export function PasskeySettings({ className }) {
+  const { add_toast } = useToast();
+
+  const [passkeys, set_passkeys] = useState(null);
+  // add, rename or remove
+  const [mode, set_mode] = useState(null);
+  const [selected, set_selected] = useState(null);
+  const [nickname, set_nickname] = useState('');
+  const [password, set_password] = useState('');
+  const [error, set_error] = useState('');
+  const [loading, set_loading] = useState(false);
+
+  const supported = is_passkey_supported();
+
+  async function load_passkeys() {
+    const response = await api.get('/auth/passkeys');
+    set_passkeys(response.passkeys);
+  }
+
+  useEffect(() => {
+    load_passkeys().catch(console.error);
+  }, []);
+
+  function open_dialog(next_mode, passkey = null) {
+    set_mode(next_mode);
+    set_selected(passkey);
+    set_nickname(passkey?.nickname ?? '');
+    set_password('');
+    set_error('');
+  }
+
+  function handle_close() {
+    set_mode(null);
+    set_selected(null);
+    set_password('');
+  }
+
+  async function handle_submit(e) {
+    e.preventDefault();
+    set_loading(true);
+    set_error('');
+
+    try {
+      if (mode === 'add') {
+        const { options } = await api.post('/auth/passkeys/register/options', { password });
+        const credential = await create_passkey(options);
+        await api.post('/auth/passkeys/register', { credential, nickname });
+        add_toast({ title: 'Passkey added', variant: 'success' });
+      } else if (mode === 'rename') {
+        await api.patch(`/auth/passkeys/${selected.id}`, { nickname });
+      } else {
+        await api.delete(`/auth/passkeys/${selected.id}`);
+        add_toast({ title: 'Passkey removed' });
+      }
+
+      handle_close();
+      await load_passkeys();
+    } catch (err) {
+      set_error(err.message || 'Something went wrong');
+    } finally {
+      set_loading(false);
+    }
+  }
+
+  return (
+    <>
+      <Card className={className}>
+        <CardHeader>
+          <CardTitle>Passkeys</CardTitle>
+          <CardDescription>
+            Sign in with your fingerprint, face or screen lock instead of your password.
+            A passkey also counts as your second factor
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          {passkeys?.length > 0 ? (
+            <ul className={styles.list}>
+              {passkeys.map((passkey) => (
+                <li key={passkey.id} className={styles.item}>
+                  <div className={styles.details}>
+                    <span className={styles.nickname}>{passkey.nickname}</span>
+                    <span className={styles.meta}>
+                      Added {new Date(passkey.created_at).toLocaleDateString()}
+                      {' · '}
+                      {passkey.last_used_at
+                        ? `Last used ${new Date(passkey.last_used_at).toLocaleDateString()}`
+                        : 'Never used'}
+                    </span>
+                  </div>
+                  <div className={styles.item_actions}>
+                    <Button variant="ghost" size="sm" onClick={() => open_dialog('rename', passkey)}>
+                      Rename
+                    </Button>
+                    <Button variant="ghost" size="sm" onClick={() => open_dialog('remove', passkey)}>
+                      Remove
+                    </Button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className={styles.hint}>
+              {passkeys ? 'No passkeys yet.' : 'Loading...'}
+            </p>
+          )}
+          {!supported && (
+            <p className={styles.hint}>This browser doesn&apos;t support passkeys.</p>
+          )}
+        </CardContent>
+        <CardFooter>
+          <Button onClick={() => open_dialog('add')} disabled={!supported || !passkeys}>
+            Add a passkey
+          </Button>
+        </CardFooter>
+      </Card>
+
+      <Dialog open={mode !== null} on_close={handle_close}>
+        <form onSubmit={handle_submit}>
+          <DialogHeader>
+            <DialogTitle>{DIALOG_TITLES[mode]}</DialogTitle>
+            <DialogDescription>
+              {mode === 'add' && 'Name the passkey and enter your password. Your browser will then ask you to create it.'}
+              {mode === 'remove' && `"${selected?.nickname}" will no longer sign you in. Remove it from your device or password manager too.`}
+            </DialogDescription>
+          </DialogHeader>
+
+          <DialogBody>
+            <div className={styles.content}>
+              {error && (
+                <div className={styles.error} role="alert">{error}</div>
+              )}
+
+              {mode !== 'remove' && (
+                <div className={styles.field}>
+                  <Label htmlFor="passkey_nickname">Name</Label>
+                  <Input
+                    id="passkey_nickname"
+                    value={nickname}
+                    onChange={(e) => {
+                      set_nickname(e.target.value);
+                      set_error('');
+                    }}
+                    placeholder="e.g. Work laptop"
+                    maxLength={50}
+                    required
+                    disabled={loading}
+                    autoFocus
+                  />
+                </div>
+              )}
+
+              {mode === 'add' && (
+                <div className={styles.field}>
+                  <Label htmlFor="passkey_password">Password</Label>
+                  <Input
+                    id="passkey_password"
+                    type="password"
+                    value={password}
+                    onChange={(e) => {
+                      set_password(e.target.value);
+                      set_error('');
+                    }}
+                    autoComplete="current-password"
+                    required
+                    disabled={loading}
+                  />
+                </div>
+              )}
+            </div>
+          </DialogBody>
+
+          <DialogFooter>
+            <Button type="button" variant="outline" onClick={handle_close}>
+              Cancel
+            </Button>
+            <Button
+              type="submit"
+              variant={mode === 'remove' ? 'destructive' : 'default'}
+              loading={loading}
+            >
+              {mode === 'add' && 'Continue'}
+              {mode === 'rename' && 'Save'}
+              {mode === 'remove' && 'Remove'}
+            </Button>
+          </DialogFooter>
+        </form>
+      </Dialog>
+    </>
+  );
+}
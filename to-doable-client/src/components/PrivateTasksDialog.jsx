@@ -0,0 +1,145 @@
+/**
+ * Private tasks dialog
+ * Sets up private (end-to-end encrypted) tasks with a recovery passphrase,
+ * or unlocks them on a device that doesn't have the key yet
+ */
+
+import { useState } from 'react';
+import {
+  Dialog, DialogHeader, DialogTitle, DialogDescription, DialogBody, DialogFooter, Button, Input, Label,
+} from './ui/index.js';
+import { set_up_private_tasks, unlock_private_tasks } from '../lib/private_tasks.js';
+import { validate_recovery_passphrase, validate_passwords_match } from '../lib/validation.js';
+import styles from './PrivateTasksDialog.module.css';
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.open
+ * @param {string} props.mode - 'set_up' or 'unlock'
+ * @param {Function} props.on_close
+ * @param {Function} props.on_done - Called once private tasks can be read on this device
+ */
+export function PrivateTasksDialog({ open, mode, on_close, on_done }) {
+  const [passphrase, set_passphrase] = useState('');
+  const [confirm, set_confirm] = useState('');
+  const [error, set_error] = useState('');
+  const [loading, set_loading] = useState(false);
+
+  const is_set_up = mode === 'set_up';
+
+  function handle_close() {
+    set_passphrase('');
+    set_confirm('');
+    set_error('');
+    on_close();
+  }
+
+  async function handle_submit(e) {
+    e.preventDefault();
+
+    if (is_set_up) {
+      const passphrase_result = validate_recovery_passphrase(passphrase);
+      if (!passphrase_result.valid) {
+        set_error(passphrase_result.error);
+        return;
+      }
+
+      const match_result = validate_passwords_match(passphrase, confirm);
+      if (!match_result.valid) {
+        set_error('Passphrases do not match');
+        return;
+      }
+    }
+
+    set_loading(true);
+    set_error('');
+
+    try {
+      if (is_set_up) {
+        await set_up_private_tasks(passphrase);
+      } else {
+        await unlock_private_tasks(passphrase);
+      }
+
+      set_passphrase('');
+      set_confirm('');
+      on_done();
+    } catch (err) {
+      set_error(err.message || 'Something went wrong');
+    } finally {
+      set_loading(false);
+    }
+  }
+
+  return (
+    <Dialog open={open} on_close={handle_close}>
+      <form onSubmit={handle_submit}>
+        <DialogHeader>
+          <DialogTitle>{is_set_up ? 'Set up private tasks' : 'Unlock private tasks'}</DialogTitle>
+          <DialogDescription>
+            {is_set_up
+              ? 'The title and notes of private tasks are encrypted on your devices, so nobody else can read them, including us.'
+              : 'Your private tasks were set up on another device. Enter your recovery passphrase to read them here.'}
+          </DialogDescription>
+        </DialogHeader>
+
+        <DialogBody>
+          <div className={styles.content}>
+            {is_set_up && (
+              <p className={styles.warning}>
+                You&apos;ll need this recovery passphrase to read private tasks on other devices.
+                We can&apos;t reset it: if you forget it and sign out everywhere, your private tasks can&apos;t be recovered.
+              </p>
+            )}
+
+            {error && (
+              <div className={styles.error} role="alert">{error}</div>
+            )}
+
+            <div className={styles.field}>
+              <Label htmlFor="recovery_passphrase">Recovery passphrase</Label>
+              <Input
+                id="recovery_passphrase"
+                type="password"
+                value={passphrase}
+                onChange={(e) => {
+                  set_passphrase(e.target.value);
+                  set_error('');
+                }}
+                autoComplete={is_set_up ? 'new-password' : 'off'}
+                disabled={loading}
+                autoFocus
+              />
+            </div>
+
+            {is_set_up && (
+              <div className={styles.field}>
+                <Label htmlFor="recovery_passphrase_confirm">Confirm passphrase</Label>
+                <Input
+                  id="recovery_passphrase_confirm"
+                  type="password"
+                  value={confirm}
+                  onChange={(e) => {
+                    set_confirm(e.target.value);
+                    set_error('');
+                  }}
+                  autoComplete="new-password"
+                  disabled={loading}
+                />
+              </div>
+            )}
+          </div>
+        </DialogBody>
+
+        <DialogFooter>
+          <Button type="button" variant="outline" onClick={handle_close}>
+            Cancel
+          </Button>
+          <Button type="submit" loading={loading}>
+            {is_set_up ? 'Set up' : 'Unlock'}
+          </Button>
+        </DialogFooter>
+      </form>
+    </Dialog>
+  );
+}
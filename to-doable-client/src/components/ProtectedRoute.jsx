@@ -1,15 +1,17 @@
 /**
  * Protected route wrapper
  * Redirects unauthenticated users to login
+ * Asks for the password first while encrypted local data is locked
  * Optionally requires admin role
  */
 
 import { Navigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext.jsx';
+import { UnlockPage } from '../pages/UnlockPage.jsx';
 import { Spinner } from './ui/index.js';
 
 export function ProtectedRoute({ children, require_admin = false }) {
-  const { is_authenticated, is_admin, loading, is_deleted } = useAuth();
+  const { is_authenticated, is_admin, loading, is_deleted, storage_locked } = useAuth();
   const location = useLocation();
 
   // Show loading spinner while checking auth
@@ -31,6 +33,10 @@ export function ProtectedRoute({ children, require_admin = false }) {
     return <Navigate to="/login" state={{ from: location }} replace />;
   }
 
+  if (storage_locked) {
+    return <UnlockPage />;
+  }
+
   // Redirect deleted users to recovery page
   if (is_deleted && location.pathname !== '/account-recovery') {
     return <Navigate to="/account-recovery" replace />;
@@ -63,7 +69,7 @@ export function PublicOnlyRoute({ children }) {
 
   // Redirect authenticated users away from public-only routes (login, register)
   if (is_authenticated) {
-    const from = location.state?.from?.pathname || (is_admin ? '/admin' : '/profile');
+    const from = location.state?.from?.pathname || (is_admin ? '/admin' : '/tasks');
     return <Navigate to={from} replace />;
   }
 
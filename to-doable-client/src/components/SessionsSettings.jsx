@@ -0,0 +1,127 @@
+/**
+ * Signed-in sessions card
+ * Lists the devices the account is signed in on, with this one highlighted,
+ * and signs out any other one (or all of them)
+ */
+
+import { useEffect, useState } from 'react';
+import {
+  Card, CardHeader, CardTitle, CardDescription, CardContent, CardFooter, Badge, Button,
+} from './ui/index.js';
+import { useToast } from './ui/Toast.jsx';
+import { api } from '../lib/api.js';
+import styles from './SessionsSettings.module.css';
+
+/**
+ * @param {Object} props
+ * @param {string} [props.className]
+ */
+export function SessionsSettings({ className }) {
+  const { add_toast } = useToast();
+
+  const [sessions, set_sessions] = useState(null);
+  // ID of the session being signed out, or 'others'
+  const [revoking, set_revoking] = useState(null);
+
+  async function load_sessions() {
+    const response = await api.get('/auth/sessions');
+    set_sessions(response.sessions);
+  }
+
+  useEffect(() => {
+    load_sessions().catch(console.error);
+  }, []);
+
+  async function handle_revoke(session) {
+    set_revoking(session.id);
+
+    try {
+      await api.delete(`/auth/sessions/${session.id}`);
+      add_toast({ title: 'Signed out', description: session.label });
+      await load_sessions();
+    } catch (err) {
+      add_toast({ title: 'Failed to sign out', description: err.message, variant: 'error' });
+    } finally {
+      set_revoking(null);
+    }
+  }
+
+  async function handle_revoke_others() {
+    set_revoking('others');
+
+    try {
+      const response = await api.delete('/auth/sessions');
+      add_toast({ title: response.message, variant: 'success' });
+      await load_sessions();
+    } catch (err) {
+      add_toast({ title: 'Failed to sign out', description: err.message, variant: 'error' });
+    } finally {
+      set_revoking(null);
+    }
+  }
+
+  const has_others = sessions?.some((session) => !session.is_current);
+
+  return (
+    <Card className={className}>
+      <CardHeader>
+        <CardTitle>Where You&apos;re Signed In</CardTitle>
+        <CardDescription>
+          Sign out of devices you don&apos;t recognize or no longer use
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        {sessions ? (
+          <ul className={styles.list}>
+            {sessions.map((session) => (
+              <li
+                key={session.id}
+                className={`${styles.item} ${session.is_current ? styles.current : ''}`}
+              >
+                <div className={styles.details}>
+                  <div className={styles.label}>
+                    <span>{session.label}</span>
+                    {session.is_current && <Badge variant="success">This device</Badge>}
+                  </div>
+                  <span className={styles.meta}>
+                    {session.ip_address ?? 'Unknown IP'}
+                    {' · '}
+                    {session.is_current
+                      ? 'Active now'
+                      : `Last active ${new Date(session.last_used_at ?? session.created_at).toLocaleString()}`}
+                  </span>
+                  <span className={styles.meta}>
+                    Signed in {new Date(session.created_at).toLocaleDateString()}
+                  </span>
+                </div>
+                {!session.is_current && (
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => handle_revoke(session)}
+                    loading={revoking === session.id}
+                    disabled={revoking !== null}
+                  >
+                    Sign out
+                  </Button>
+                )}
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className={styles.meta}>Loading...</p>
+        )}
+      </CardContent>
+      <CardFooter>
+        <Button
+          variant="outline"
+          onClick={handle_revoke_others}
+          loading={revoking === 'others'}
+          disabled={!has_others || revoking !== null}
+        >
+          Sign out everywhere else
+        </Button>
+      </CardFooter>
+    </Card>
+  );
+}
@@ -1,15 +1,42 @@
 /**
  * Sync status indicator
- * Shows offline status and pending sync items
+ * Shows offline status, pending sync items, unresolved conflicts and changes
+ * that failed to sync; the last two open their review panels when clicked
  */
 
+import { useEffect, useState } from 'react';
+import { conflict_storage, failed_sync_storage } from '../lib/storage.js';
+import { on_sync_change } from '../lib/sync.js';
+import { ConflictsPanel } from './ConflictsPanel.jsx';
+import { FailedSyncPanel } from './FailedSyncPanel.jsx';
 import styles from './SyncIndicator.module.css';
 
 export function SyncIndicator({ status }) {
   const { online = true, syncing = false, pending = 0 } = status || {};
 
-  // Don't show anything if online and nothing pending
-  if (online && !syncing && pending === 0) {
+  const [conflicts, set_conflicts] = useState(0);
+  const [show_conflicts, set_show_conflicts] = useState(false);
+  const [failed_items, set_failed_items] = useState(0);
+  const [show_failed, set_show_failed] = useState(false);
+
+  // Conflicts and failed items are tracked here so every page showing the indicator can reach the panels
+  useEffect(() => {
+    conflict_storage.count().then(set_conflicts).catch(console.error);
+    failed_sync_storage.count().then(set_failed_items).catch(console.error);
+
+    return on_sync_change((change) => {
+      if (change.conflicts !== undefined) {
+        set_conflicts(change.conflicts);
+      }
+      if (change.failed_items !== undefined) {
+        set_failed_items(change.failed_items);
+      }
+    });
+  }, []);
+
+  // Don't show anything if online and nothing pending or to review
+  const reviewing = show_conflicts || show_failed;
+  if (online && !syncing && pending === 0 && conflicts === 0 && failed_items === 0 && !reviewing) {
     return null;
   }
 
@@ -100,6 +127,59 @@ export function SyncIndicator({ status }) {
           <span>{pending} pending (will sync when online)</span>
         </div>
       )}
+
+      {conflicts > 0 && (
+        <button
+          type="button"
+          className={styles.indicator}
+          data-status="conflicts"
+          onClick={() => set_show_conflicts(true)}
+        >
+          <svg
+            className={styles.icon}
+            viewBox="0 0 24 24"
+            fill="none"
+            xmlns="http://www.w3.org/2000/svg"
+          >
+            <path
+              d="M12 9V13M12 17H12.01M10.29 3.86L1.82 18A2 2 0 003.53 21H20.47A2 2 0 0022.18 18L13.71 3.86A2 2 0 0010.29 3.86Z"
+              stroke="currentColor"
+              strokeWidth="2"
+              strokeLinecap="round"
+              strokeLinejoin="round"
+            />
+          </svg>
+          <span>{conflicts === 1 ? '1 conflict' : `${conflicts} conflicts`} to review</span>
+        </button>
+      )}
+
+      {failed_items > 0 && (
+        <button
+          type="button"
+          className={styles.indicator}
+          data-status="failed"
+          onClick={() => set_show_failed(true)}
+        >
+          <svg
+            className={styles.icon}
+            viewBox="0 0 24 24"
+            fill="none"
+            xmlns="http://www.w3.org/2000/svg"
+          >
+            <path
+              d="M15 9L9 15M9 9L15 15M22 12C22 17.5228 17.5228 22 12 22C6.47715 22 2 17.5228 2 12C2 6.47715 6.47715 2 12 2C17.5228 2 22 6.47715 22 12Z"
+              stroke="currentColor"
+              strokeWidth="2"
+              strokeLinecap="round"
+              strokeLinejoin="round"
+            />
+          </svg>
+          <span>{failed_items === 1 ? '1 change' : `${failed_items} changes`} failed to sync</span>
+        </button>
+      )}
+
+      <ConflictsPanel open={show_conflicts} on_close={() => set_show_conflicts(false)} />
+      <FailedSyncPanel open={show_failed} on_close={() => set_show_failed(false)} />
     </div>
   );
 }
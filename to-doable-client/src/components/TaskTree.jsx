@@ -0,0 +1,229 @@
+/**
+ * Task tree component
+ * Renders tasks with their subtasks as a collapsible checklist
+ * Parents show checklist progress (e.g. 3/7) for their direct subtasks
+ * Tags are shown as badges in the tag's color
+ * Tasks with upcoming email reminders show a reminder badge
+ * Private tasks this device can't decrypt are shown as locked
+ */
+
+import { useState } from 'react';
+import { Button, Input, Badge } from './ui/index.js';
+import { decode_html, validate_task_title } from '../lib/validation.js';
+import { task_display_title } from '../lib/private_tasks.js';
+import styles from './TaskTree.module.css';
+
+// Mirrors task_config.max_depth on the server
+export const MAX_TASK_DEPTH = 3;
+
+/**
+ * Build a tree from a flat task array using parent_id
+ * Subtasks whose parent is not in the array are shown at the top level
+ * @param {Array} tasks - Flat tasks sorted by position
+ * @returns {Array} - Root tasks, each with a children array
+ */
+export function build_task_tree(tasks) {
+  const by_id = new Map(tasks.map((task) => [task.id, { ...task, children: [] }]));
+  const roots = [];
+
+  for (const node of by_id.values()) {
+    const parent = node.parent_id ? by_id.get(node.parent_id) : null;
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  return roots;
+}
+
+/**
+ * @param {Object} props
+ * @param {Array} props.tasks - Tree nodes from build_task_tree
+ * @param {Set<string>} props.collapsed - IDs of tasks whose subtasks are hidden
+ * @param {Function} props.on_toggle_collapse - (task) => void
+ * @param {Function} props.on_toggle_done - (task) => void
+ * @param {Function} props.on_add_subtask - (parent, title) => Promise
+ * @param {Function} props.on_delete - (task) => void
+ */
+/**
+ * Describe a reminder for a tooltip
+ * @param {Object} reminder - { remind_at, minutes_before_due }
+ * @returns {string}
+ */
+function describe_reminder(reminder) {
+  if (reminder.remind_at) {
+    return new Date(reminder.remind_at).toLocaleString();
+  }
+
+  const minutes = reminder.minutes_before_due;
+  if (minutes === 0) return 'When due';
+  if (minutes % (24 * 60) === 0) return `${minutes / (24 * 60)} day(s) before due`;
+  if (minutes % 60 === 0) return `${minutes / 60} hour(s) before due`;
+  return `${minutes} minute(s) before due`;
+}
+
+export function TaskTree({ tasks, depth = 1, ...handlers }) {
+  if (tasks.length === 0) return null;
+
+  return (
+    <ul className={depth === 1 ? styles.tree : styles.children}>
+      {tasks.map((task) => (
+        <TaskItem key={task.id} task={task} depth={depth} {...handlers} />
+      ))}
+    </ul>
+  );
+}
+
+function TaskItem({ task, depth, collapsed, on_toggle_collapse, on_toggle_done, on_add_subtask, on_delete }) {
+  const [adding, set_adding] = useState(false);
+  const [new_title, set_new_title] = useState('');
+  const [error, set_error] = useState('');
+  const [saving, set_saving] = useState(false);
+
+  const has_children = task.children.length > 0;
+  const is_collapsed = collapsed.has(task.id);
+  const is_done = task.status === 'done';
+  const can_nest = depth < MAX_TASK_DEPTH && !task.locked;
+  const pending_reminders = task.reminders?.filter((reminder) => reminder.status === 'pending') || [];
+
+  async function handle_add_subtask(e) {
+    e.preventDefault();
+
+    const title_result = validate_task_title(new_title);
+    if (!title_result.valid) {
+      set_error(title_result.error);
+      return;
+    }
+
+    set_saving(true);
+    try {
+      await on_add_subtask(task, new_title.trim());
+      set_new_title('');
+      set_adding(false);
+    } catch (err) {
+      set_error(err.message || 'Failed to add subtask');
+    } finally {
+      set_saving(false);
+    }
+  }
+
+  return (
+    <li className={styles.item}>
+      <div className={styles.row}>
+        {has_children ? (
+          <button
+            type="button"
+            className={styles.collapse_btn}
+            onClick={() => on_toggle_collapse(task)}
+            aria-expanded={!is_collapsed}
+            aria-label={is_collapsed ? 'Show subtasks' : 'Hide subtasks'}
+          >
+            <svg
+              width="14"
+              height="14"
+              viewBox="0 0 24 24"
+              fill="none"
+              stroke="currentColor"
+              strokeWidth="2"
+              className={is_collapsed ? styles.chevron_collapsed : styles.chevron}
+            >
+              <path d="M6 9l6 6 6-6"/>
+            </svg>
+          </button>
+        ) : (
+          <span className={styles.collapse_spacer} />
+        )}
+
+        <input
+          type="checkbox"
+          className={styles.checkbox}
+          checked={is_done}
+          onChange={() => on_toggle_done(task)}
+          aria-label={is_done ? 'Mark as not done' : 'Mark as done'}
+        />
+
+        <span className={task.locked ? styles.title_locked : is_done ? styles.title_done : styles.title}>
+          {task_display_title(task)}
+        </span>
+
+        {task.is_private && (
+          <Badge variant="secondary" title="End-to-end encrypted">
+            Private
+          </Badge>
+        )}
+
+        {task.tags?.map((tag) => (
+          <Badge
+            key={tag.id}
+            variant="outline"
+            style={tag.color ? { borderColor: tag.color, color: tag.color } : undefined}
+          >
+            {decode_html(tag.name)}
+          </Badge>
+        ))}
+
+        {task.recurrence_rule && (
+          <Badge variant="secondary" title={task.recurrence_rule}>
+            Repeats
+          </Badge>
+        )}
+
+        {pending_reminders.length > 0 && (
+          <Badge variant="outline" title={pending_reminders.map(describe_reminder).join('\n')}>
+            {pending_reminders.length === 1 ? 'Reminder' : `${pending_reminders.length} reminders`}
+          </Badge>
+        )}
+
+        {task.subtask_count > 0 && (
+          <Badge variant={task.completed_subtask_count === task.subtask_count ? 'success' : 'secondary'}>
+            {task.completed_subtask_count}/{task.subtask_count}
+          </Badge>
+        )}
+
+        <div className={styles.actions}>
+          {can_nest && (
+            <Button variant="ghost" size="sm" onClick={() => set_adding((prev) => !prev)}>
+              Add subtask
+            </Button>
+          )}
+          <Button variant="ghost" size="sm" onClick={() => on_delete(task)}>
+            Delete
+          </Button>
+        </div>
+      </div>
+
+      {adding && (
+        <form className={styles.add_form} onSubmit={handle_add_subtask}>
+          <Input
+            value={new_title}
+            onChange={(e) => {
+              set_new_title(e.target.value);
+              set_error('');
+            }}
+            placeholder="Subtask title"
+            error={error}
+            autoFocus
+          />
+          <Button type="submit" size="sm" loading={saving}>
+            Add
+          </Button>
+        </form>
+      )}
+      {adding && error && <p className={styles.error}>{error}</p>}
+
+      {has_children && !is_collapsed && (
+        <TaskTree
+          tasks={task.children}
+          depth={depth + 1}
+          collapsed={collapsed}
+          on_toggle_collapse={on_toggle_collapse}
+          on_toggle_done={on_toggle_done}
+          on_add_subtask={on_add_subtask}
+          on_delete={on_delete}
+        />
+      )}
+    </li>
+  );
+}
@@ -0,0 +1,282 @@
+/**
+ * Two-factor authentication settings card
+ * Enrollment shows the otpauth:// URI as a QR code for an authenticator app and
+ * asks for a first code; recovery codes are shown once, after enabling or
+ * replacing them. Every change asks for the password
+ */
+
+import { useEffect, useState } from 'react';
+import QRCode from 'qrcode';
+import {
+  Card, CardHeader, CardTitle, CardDescription, CardContent, CardFooter, Badge,
+  Dialog, DialogHeader, DialogTitle, DialogDescription, DialogBody, DialogFooter, Button, Input, Label,
+} from './ui/index.js';
+import { useToast } from './ui/Toast.jsx';
+import { api } from '../lib/api.js';
+import styles from './TwoFactorSettings.module.css';
+
+const DIALOG_TITLES = {
+  enroll: 'Set up two-factor authentication',
+  disable: 'Turn off two-factor authentication',
+  regenerate: 'New recovery codes',
+};
+
+/**
+ * @param {Object} props
+ * @param {string} [props.className]
+ */
+export function TwoFactorSettings({ className }) {
+  const { add_toast } = useToast();
+
+  const [status, set_status] = useState(null);
+  // enroll, disable or regenerate
+  const [mode, set_mode] = useState(null);
+  // password -> scan (enroll only) -> codes
+  const [step, set_step] = useState('password');
+  const [password, set_password] = useState('');
+  const [code, set_code] = useState('');
+  const [use_recovery_code, set_use_recovery_code] = useState(false);
+  const [setup, set_setup] = useState(null);
+  const [recovery_codes, set_recovery_codes] = useState([]);
+  const [error, set_error] = useState('');
+  const [loading, set_loading] = useState(false);
+
+  async function load_status() {
+    const response = await api.get('/mfa');
+    set_status(response.mfa);
+  }
+
+  useEffect(() => {
+    load_status().catch(console.error);
+  }, []);
+
+  function open_dialog(next_mode) {
+    set_mode(next_mode);
+    set_step('password');
+    set_password('');
+    set_code('');
+    set_use_recovery_code(false);
+    set_setup(null);
+    set_recovery_codes([]);
+    set_error('');
+  }
+
+  function handle_close() {
+    set_mode(null);
+    set_password('');
+    set_setup(null);
+    set_recovery_codes([]);
+    load_status().catch(console.error);
+  }
+
+  // Code from the app, or a recovery code instead
+  function second_factor() {
+    return use_recovery_code ? { recovery_code: code } : { code };
+  }
+
+  async function handle_submit(e) {
+    e.preventDefault();
+    set_loading(true);
+    set_error('');
+
+    try {
+      if (mode === 'enroll' && step === 'password') {
+        const response = await api.post('/mfa/totp/setup', { password });
+        const qr_code = await QRCode.toDataURL(response.otpauth_uri, { margin: 1, width: 200 });
+        set_setup({ secret: response.secret, qr_code });
+        set_step('scan');
+      } else if (mode === 'enroll') {
+        const response = await api.post('/mfa/totp/enable', { code });
+        set_recovery_codes(response.recovery_codes);
+        set_step('codes');
+      } else if (mode === 'regenerate') {
+        const response = await api.post('/mfa/recovery-codes', { password, ...second_factor() });
+        set_recovery_codes(response.recovery_codes);
+        set_step('codes');
+      } else {
+        await api.post('/mfa/totp/disable', { password, ...second_factor() });
+        add_toast({
+          title: 'Two-factor authentication turned off',
+          variant: 'success',
+        });
+        handle_close();
+      }
+      set_code('');
+    } catch (err) {
+      set_error(err.message || 'Something went wrong');
+    } finally {
+      set_loading(false);
+    }
+  }
+
+  async function handle_copy_codes() {
+    try {
+      await navigator.clipboard.writeText(recovery_codes.join('\n'));
+      add_toast({ title: 'Recovery codes copied' });
+    } catch (err) {
+      add_toast({ title: 'Failed to copy', description: err.message, variant: 'error' });
+    }
+  }
+
+  return (
+    <>
+      <Card className={className}>
+        <CardHeader>
+          <CardTitle>Two-Factor Authentication</CardTitle>
+          <CardDescription>
+            Ask for a code from an authenticator app as well as your password when signing in
+          </CardDescription>
+        </CardHeader>
+        <CardContent className={styles.content}>
+          {status?.enabled ? (
+            <>
+              <div className={styles.status}>
+                <Badge variant="success">On</Badge>
+                <span>Since {new Date(status.enabled_at).toLocaleDateString()}</span>
+              </div>
+              <p className={styles.hint}>
+                {status.recovery_codes_remaining === 1 ? '1 recovery code' : `${status.recovery_codes_remaining} recovery codes`} left.
+                {status.recovery_codes_remaining <= 3 && ' Create new ones before you run out.'}
+              </p>
+            </>
+          ) : (
+            <div className={styles.status}>
+              <Badge variant="secondary">Off</Badge>
+            </div>
+          )}
+        </CardContent>
+        <CardFooter className={styles.actions}>
+          {status?.enabled ? (
+            <>
+              <Button variant="outline" onClick={() => open_dialog('regenerate')}>
+                New recovery codes
+              </Button>
+              <Button variant="destructive" onClick={() => open_dialog('disable')}>
+                Turn off
+              </Button>
+            </>
+          ) : (
+            <Button onClick={() => open_dialog('enroll')} disabled={!status}>
+              Set up
+            </Button>
+          )}
+        </CardFooter>
+      </Card>
+
+      <Dialog open={mode !== null} on_close={handle_close}>
+        <form onSubmit={handle_submit}>
+          <DialogHeader>
+            <DialogTitle>{DIALOG_TITLES[mode]}</DialogTitle>
+            <DialogDescription>
+              {step === 'password' && 'Enter your password to continue.'}
+              {step === 'scan' && 'Scan the QR code with your authenticator app, then enter the code it shows.'}
+              {step === 'codes' && "Save these recovery codes somewhere safe. Each works once, in place of a code, if you lose your device. They won't be shown again."}
+            </DialogDescription>
+          </DialogHeader>
+
+          <DialogBody>
+            <div className={styles.content}>
+              {error && (
+                <div className={styles.error} role="alert">{error}</div>
+              )}
+
+              {step === 'password' && (
+                <div className={styles.field}>
+                  <Label htmlFor="mfa_password">Password</Label>
+                  <Input
+                    id="mfa_password"
+                    type="password"
+                    value={password}
+                    onChange={(e) => {
+                      set_password(e.target.value);
+                      set_error('');
+                    }}
+                    autoComplete="current-password"
+                    disabled={loading}
+                    autoFocus
+                  />
+                </div>
+              )}
+
+              {step === 'scan' && setup && (
+                <>
+                  <img className={styles.qr_code} src={setup.qr_code} alt="QR code for your authenticator app" />
+                  <p className={styles.hint}>
+                    Can&apos;t scan it? Enter this key instead: <code className={styles.secret}>{setup.secret}</code>
+                  </p>
+                </>
+              )}
+
+              {(step === 'scan' || (step === 'password' && mode !== 'enroll')) && (
+                <div className={styles.field}>
+                  <Label htmlFor="mfa_code">{use_recovery_code ? 'Recovery code' : 'Authentication code'}</Label>
+                  <Input
+                    id="mfa_code"
+                    value={code}
+                    onChange={(e) => {
+                      set_code(e.target.value);
+                      set_error('');
+                    }}
+                    inputMode={use_recovery_code ? 'text' : 'numeric'}
+                    autoComplete="one-time-code"
+                    placeholder={use_recovery_code ? 'abcde-fghij' : '123456'}
+                    disabled={loading}
+                  />
+                  {mode !== 'enroll' && (
+                    <Button
+                      type="button"
+                      variant="link"
+                      size="sm"
+                      className={styles.switch_button}
+                      onClick={() => {
+                        set_use_recovery_code((prev) => !prev);
+                        set_code('');
+                      }}
+                    >
+                      {use_recovery_code ? 'Use a code from your app' : 'Use a recovery code'}
+                    </Button>
+                  )}
+                </div>
+              )}
+
+              {step === 'codes' && (
+                <ul className={styles.codes}>
+                  {recovery_codes.map((recovery_code) => (
+                    <li key={recovery_code}><code>{recovery_code}</code></li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </DialogBody>
+
+          <DialogFooter>
+            {step === 'codes' ? (
+              <>
+                <Button type="button" variant="outline" onClick={handle_copy_codes}>
+                  Copy
+                </Button>
+                <Button type="button" onClick={handle_close}>
+                  Done
+                </Button>
+              </>
+            ) : (
+              <>
+                <Button type="button" variant="outline" onClick={handle_close}>
+                  Cancel
+                </Button>
+                <Button
+                  type="submit"
+                  variant={mode === 'disable' ? 'destructive' : 'default'}
+                  loading={loading}
+                >
+                  {step === 'scan' && 'Turn on'}
+                  {step === 'password' && (mode === 'enroll' ? 'Continue' : mode === 'disable' ? 'Turn off' : 'Create codes')}
+                </Button>
+              </>
+            )}
+          </DialogFooter>
+        </form>
+      </Dialog>
+    </>
+  );
+}
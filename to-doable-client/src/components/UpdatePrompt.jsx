@@ -0,0 +1,82 @@
+/**
+ * Update prompt
+ * Shows when a new version of the app has been deployed and downloaded, or when
+ * a newer version opened in another tab upgraded the local database, and reloads
+ * into it on request. Also asks to close other tabs while they block an upgrade
+ */
+
+import { useEffect, useState } from 'react';
+import { Button } from './ui/index.js';
+import { on_update_available, apply_update } from '../lib/pwa.js';
+import { on_storage_event } from '../lib/storage.js';
+import styles from './UpdatePrompt.module.css';
+
+export function UpdatePrompt() {
+  const [available, set_available] = useState(false);
+  const [outdated, set_outdated] = useState(false);
+  const [blocked, set_blocked] = useState(false);
+  const [dismissed, set_dismissed] = useState(false);
+  const [reloading, set_reloading] = useState(false);
+
+  useEffect(() => on_update_available(set_available), []);
+
+  useEffect(() => on_storage_event((event_name) => {
+    if (event_name === 'outdated') set_outdated(true);
+    if (event_name === 'blocked') set_blocked(true);
+  }), []);
+
+  function handle_reload() {
+    set_reloading(true);
+
+    if (available) {
+      apply_update();
+    } else {
+      window.location.reload();
+    }
+  }
+
+  // This tab can't use local data any more, so it can't be dismissed
+  if (outdated) {
+    return (
+      <div className={styles.prompt} role="alert">
+        <p>To-Doable was updated in another tab. Reload to keep working.</p>
+        <div className={styles.actions}>
+          <Button size="sm" onClick={handle_reload} loading={reloading}>
+            Reload
+          </Button>
+        </div>
+      </div>
+    );
+  }
+
+  if (blocked && !dismissed) {
+    return (
+      <div className={styles.prompt} role="status">
+        <p>Close other To-Doable tabs to finish updating.</p>
+        <div className={styles.actions}>
+          <Button size="sm" variant="ghost" onClick={() => set_dismissed(true)}>
+            Dismiss
+          </Button>
+        </div>
+      </div>
+    );
+  }
+
+  if (!available || dismissed) {
+    return null;
+  }
+
+  return (
+    <div className={styles.prompt} role="status">
+      <p>A new version of To-Doable is available.</p>
+      <div className={styles.actions}>
+        <Button size="sm" variant="ghost" onClick={() => set_dismissed(true)}>
+          Later
+        </Button>
+        <Button size="sm" onClick={handle_reload} loading={reloading}>
+          Reload
+        </Button>
+      </div>
+    </div>
+  );
+}
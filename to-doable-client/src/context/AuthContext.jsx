@@ -5,8 +5,10 @@
 
 import { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import { api, generate_idempotency_key } from '../lib/api.js';
-import { clear_all_storage, profile_storage, init_storage } from '../lib/storage.js';
-import { start_auto_sync } from '../lib/sync.js';
+import { clear_all_storage, profile_storage, init_storage, storage_encryption } from '../lib/storage.js';
+import { start_auto_sync, stop_auto_sync } from '../lib/sync.js';
+import { start_live_updates, stop_live_updates } from '../lib/events.js';
+import { get_passkey } from '../lib/webauthn.js';
 
 const AuthContext = createContext(null);
 
@@ -14,6 +16,8 @@ export function AuthProvider({ children }) {
   const [user, set_user] = useState(null);
   const [loading, set_loading] = useState(true);
   const [impersonation, set_impersonation] = useState(null);
+  // Local data is encrypted and the page was reloaded: the password unlocks it
+  const [storage_locked, set_storage_locked] = useState(false);
 
   // Check for existing session on mount
   useEffect(() => {
@@ -21,18 +25,15 @@ export function AuthProvider({ children }) {
       try {
         await init_storage();
         const response = await api.get('/auth/me');
+        const locked = await storage_encryption.is_locked();
         set_user(response.user);
         set_impersonation(response.impersonation);
+        set_storage_locked(locked);
 
         // Save profile to local storage
-        if (response.user && !response.user.is_admin) {
+        if (response.user && !response.user.is_admin && !locked) {
           await profile_storage.save(response.user);
         }
-
-        // Start auto sync for non-admin users
-        if (response.user && !response.user.is_admin) {
-          start_auto_sync();
-        }
       } catch (err) {
         // Not authenticated - that's fine
         set_user(null);
@@ -44,6 +45,19 @@ export function AuthProvider({ children }) {
     check_auth();
   }, []);
 
+  // Sync and live updates while a regular, active account is signed in
+  const sync_enabled = Boolean(user && !user.is_admin && !user.deleted_at && !storage_locked);
+  useEffect(() => {
+    if (!sync_enabled) return;
+
+    start_auto_sync();
+    start_live_updates();
+    return () => {
+      stop_live_updates();
+      stop_auto_sync();
+    };
+  }, [sync_enabled]);
+
   /**
    * Register a new user
    */
@@ -51,14 +65,51 @@ export function AuthProvider({ children }) {
     const idempotency_key = generate_idempotency_key();
     const response = await api.post(
       '/auth/register',
-      { username, email, password },
+      // Recurring tasks are scheduled in the browser's time zone until the user changes it
+      { username, email, password, time_zone: Intl.DateTimeFormat().resolvedOptions().timeZone },
       { idempotency_key }
     );
     return response;
   }, []);
 
+  /**
+   * Sign in once the server has issued a session
+   * @param {Object} response - From /auth/login, /auth/login/mfa, /auth/passkeys/login
+   *   or /auth/magic-link/verify
+   * @param {string|null} password - Unlocks (or sets up) local data encryption;
+   *   without it (passkey, sign-in link), encrypted local data stays locked until unlock_storage
+   */
+  const finish_login = useCallback(async (response, password) => {
+    // Check if account is deleted (recovery flow)
+    if (response.code === 'ACCOUNT_DELETED') {
+      set_user(response.user);
+      return response;
+    }
+
+    // Unlock or set up local data encryption before anything is stored
+    let locked = false;
+    if (response.user && !response.user.is_admin) {
+      if (password) {
+        await storage_encryption.start_session(password);
+      } else {
+        locked = await storage_encryption.needs_password();
+      }
+    }
+
+    set_user(response.user);
+    set_storage_locked(locked);
+
+    // Save profile for non-admin users (sync starts once the user is set)
+    if (response.user && !response.user.is_admin && !locked) {
+      await profile_storage.save(response.user);
+    }
+
+    return response;
+  }, []);
+
   /**
    * Log in with username/email and password
+   * With 2FA the response has code MFA_REQUIRED and an mfa_token for verify_mfa
    */
   const login = useCallback(async ({ username, password, stay_logged_in = false }) => {
     const response = await api.post('/auth/login', {
@@ -67,22 +118,54 @@ export function AuthProvider({ children }) {
       stay_logged_in,
     });
 
-    // Check if account is deleted (recovery flow)
-    if (response.code === 'ACCOUNT_DELETED') {
-      set_user(response.user);
+    if (response.code === 'MFA_REQUIRED') {
       return response;
     }
 
-    set_user(response.user);
+    return finish_login(response, password);
+  }, [finish_login]);
 
-    // Save profile and start sync for non-admin users
-    if (response.user && !response.user.is_admin) {
-      await profile_storage.save(response.user);
-      start_auto_sync();
+  /**
+   * Second login step: an authenticator code (or recovery code) for the mfa_token
+   */
+  const verify_mfa = useCallback(async ({ mfa_token, code, recovery_code, password }) => {
+    const response = await api.post('/auth/login/mfa', { mfa_token, code, recovery_code });
+    return finish_login(response, password);
+  }, [finish_login]);
+
+  /**
+   * Log in with a passkey picked in the browser (no username or password)
+   */
+  const login_with_passkey = useCallback(async ({ stay_logged_in = false } = {}) => {
+    const { options } = await api.post('/auth/passkeys/login/options');
+    const credential = await get_passkey(options);
+    const response = await api.post('/auth/passkeys/login', { credential, stay_logged_in });
+    return finish_login(response, null);
+  }, [finish_login]);
+
+  /**
+   * Log in with the token from an emailed sign-in link
+   * With 2FA the response has code MFA_REQUIRED and an mfa_token for verify_mfa
+   */
+  const login_with_magic_link = useCallback(async ({ token }) => {
+    const response = await api.post('/auth/magic-link/verify', { token });
+
+    if (response.code === 'MFA_REQUIRED') {
+      return response;
     }
 
-    return response;
-  }, []);
+    return finish_login(response, null);
+  }, [finish_login]);
+
+  /**
+   * Second login step with one of the user's passkeys instead of a code
+   */
+  const verify_mfa_with_passkey = useCallback(async ({ mfa_token, password }) => {
+    const { options } = await api.post('/auth/passkeys/login/options', { mfa_token });
+    const passkey = await get_passkey(options);
+    const response = await api.post('/auth/login/mfa', { mfa_token, passkey });
+    return finish_login(response, password);
+  }, [finish_login]);
 
   /**
    * Log out
@@ -95,11 +178,22 @@ export function AuthProvider({ children }) {
       console.error('Logout error:', err);
     }
 
+    // Wipe the encryption key first, so nothing can be read while clearing
+    storage_encryption.forget_key();
     set_user(null);
     set_impersonation(null);
+    set_storage_locked(false);
     await clear_all_storage();
   }, []);
 
+  /**
+   * Unlock encrypted local data with the password
+   */
+  const unlock_storage = useCallback(async (password) => {
+    await storage_encryption.unlock(password);
+    set_storage_locked(false);
+  }, []);
+
   /**
    * Refresh authentication state
    */
@@ -126,7 +220,9 @@ export function AuthProvider({ children }) {
     });
 
     // User will be logged out by server
+    storage_encryption.forget_key();
     set_user(null);
+    set_storage_locked(false);
     await clear_all_storage();
   }, []);
 
@@ -145,9 +241,15 @@ export function AuthProvider({ children }) {
     is_admin: user?.is_admin || false,
     is_verified: user?.is_verified || false,
     is_deleted: !!user?.deleted_at,
+    storage_locked,
     register,
     login,
+    verify_mfa,
+    login_with_passkey,
+    login_with_magic_link,
+    verify_mfa_with_passkey,
     logout,
+    unlock_storage,
     refresh_auth,
     change_password,
     resend_verification,
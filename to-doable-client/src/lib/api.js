@@ -13,7 +13,7 @@ const MAX_DELAY_MS = 30000;
  * @param {number} attempt - Current attempt (0-indexed)
  * @returns {number} - Delay in milliseconds
  */
-function calculate_delay(attempt) {
+export function calculate_delay(attempt) {
   // Exponential backoff: 1s, 2s, 4s, 8s, 16s
   const exponential_delay = BASE_DELAY_MS * Math.pow(2, attempt);
 
@@ -61,9 +61,16 @@ function is_retryable(error) {
 
 /**
  * Get CSRF token from cookie
- * @returns {string|null}
+ * The service worker (background sync) has no document.cookie and reads it
+ * through the Cookie Store API instead
+ * @returns {Promise<string|null>}
  */
-function get_csrf_token() {
+async function get_csrf_token() {
+  if (typeof document === 'undefined') {
+    const cookie = await globalThis.cookieStore?.get('csrf_token');
+    return cookie?.value ?? null;
+  }
+
   const match = document.cookie.match(/csrf_token=([^;]+)/);
   return match ? match[1] : null;
 }
@@ -99,7 +106,7 @@ export async function api_request(endpoint, options = {}, config = {}) {
 
   // Add CSRF token for non-GET requests
   if (options.method && options.method !== 'GET') {
-    const csrf_token = get_csrf_token();
+    const csrf_token = await get_csrf_token();
     if (csrf_token) {
       headers['X-CSRF-Token'] = csrf_token;
     }
@@ -0,0 +1,212 @@
+/**
+ * WebCrypto helpers
+ * - Local database: records are encrypted with a random AES-GCM data key, stored
+ *   wrapped (encrypted) with a key derived from the user's password, so the
+ *   password is needed to read local data again after the page is reloaded
+ * - Private tasks: title and notes are encrypted with the user's task key, backed
+ *   up to the server wrapped with a key derived from a recovery passphrase
+ */
+
+const PBKDF2_ITERATIONS = 600000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12; // AES-GCM nonce
+// Prefix of encrypted private task text (e2e1.<iv>.<data>), checked by the server
+const ENCRYPTED_TEXT_PREFIX = 'e2e1.';
+
+const text_encoder = new TextEncoder();
+const text_decoder = new TextDecoder();
+
+/**
+ * Derive the key that wraps the data key from a password
+ * @param {string} password
+ * @param {Uint8Array} salt
+ * @param {number} iterations
+ * @returns {Promise<CryptoKey>}
+ */
+async function derive_wrapping_key(password, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    text_encoder.encode(password),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['wrapKey', 'unwrapKey']
+  );
+}
+
+/**
+ * Unwrap a data key with the key derived from the password
+ * @param {string} password
+ * @param {Object} wrapped - From create_data_key
+ * @returns {Promise<CryptoKey>} - Non-extractable data key
+ * @throws {DOMException} - Wrong password (OperationError)
+ */
+export async function unwrap_data_key(password, wrapped) {
+  const wrapping_key = await derive_wrapping_key(password, wrapped.salt, wrapped.iterations);
+
+  return crypto.subtle.unwrapKey(
+    'raw',
+    wrapped.key,
+    wrapping_key,
+    { name: 'AES-GCM', iv: wrapped.iv },
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Create a new data key and wrap it with a key derived from the password
+ * @param {string} password
+ * @returns {Promise<{key: CryptoKey, wrapped: Object}>} - The data key for this
+ *   session (non-extractable) and its wrapped form for storage
+ */
+export async function create_data_key(password) {
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const wrapping_key = await derive_wrapping_key(password, salt, PBKDF2_ITERATIONS);
+
+  // Extractable only long enough to be wrapped
+  const data_key = await crypto.subtle.generateKey(
+    { name: 'AES-GCM', length: 256 },
+    true,
+    ['encrypt', 'decrypt']
+  );
+  const key = await crypto.subtle.wrapKey('raw', data_key, wrapping_key, { name: 'AES-GCM', iv });
+
+  const wrapped = { salt, iv, iterations: PBKDF2_ITERATIONS, key };
+  return { key: await unwrap_data_key(password, wrapped), wrapped };
+}
+
+/**
+ * Encrypt a JSON-serializable value
+ * @param {CryptoKey} key
+ * @param {any} value
+ * @returns {Promise<{iv: Uint8Array, data: ArrayBuffer}>}
+ */
+export async function encrypt_value(key, value) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const data = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    text_encoder.encode(JSON.stringify(value))
+  );
+
+  return { iv, data };
+}
+
+/**
+ * Decrypt a value from encrypt_value
+ * @param {CryptoKey} key
+ * @param {{iv: Uint8Array, data: ArrayBuffer}} encrypted
+ * @returns {Promise<any>}
+ */
+export async function decrypt_value(key, encrypted) {
+  const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: encrypted.iv }, key, encrypted.data);
+  return JSON.parse(text_decoder.decode(plaintext));
+}
+
+/**
+ * Encode bytes as base64
+ * @param {ArrayBuffer|Uint8Array} bytes
+ * @returns {string}
+ */
+function to_base64(bytes) {
+  // One character at a time: spreading long notes into fromCharCode can overflow the stack
+  let binary = '';
+  for (const byte of new Uint8Array(bytes)) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 into bytes
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function from_base64(text) {
+  return Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+}
+
+/**
+ * Create a private task key, with its backup wrapped by the recovery passphrase
+ * @param {string} passphrase
+ * @returns {Promise<{key: CryptoKey, backup: Object}>} - backup is what the server stores:
+ *   { key_id, salt, iv, iterations, wrapped_key } with binary values in base64
+ */
+export async function create_task_key(passphrase) {
+  const { key, wrapped } = await create_data_key(passphrase);
+
+  return {
+    key,
+    backup: {
+      key_id: crypto.randomUUID(),
+      salt: to_base64(wrapped.salt),
+      iv: to_base64(wrapped.iv),
+      iterations: wrapped.iterations,
+      wrapped_key: to_base64(wrapped.key),
+    },
+  };
+}
+
+/**
+ * Unwrap a private task key backup with the recovery passphrase
+ * @param {string} passphrase
+ * @param {Object} backup - From create_task_key
+ * @returns {Promise<CryptoKey>}
+ * @throws {DOMException} - Wrong passphrase (OperationError)
+ */
+export async function unwrap_task_key(passphrase, backup) {
+  return unwrap_data_key(passphrase, {
+    salt: from_base64(backup.salt),
+    iv: from_base64(backup.iv),
+    iterations: backup.iterations,
+    key: from_base64(backup.wrapped_key),
+  });
+}
+
+/**
+ * Check whether a value is text from encrypt_text
+ * @param {any} value
+ * @returns {boolean}
+ */
+export function is_encrypted_text(value) {
+  return typeof value === 'string' && value.startsWith(ENCRYPTED_TEXT_PREFIX);
+}
+
+/**
+ * Encrypt text for the server (private task title or notes)
+ * @param {CryptoKey} key
+ * @param {string} text
+ * @returns {Promise<string>} - e2e1.<iv>.<data>
+ */
+export async function encrypt_text(key, text) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, text_encoder.encode(text));
+  return `${ENCRYPTED_TEXT_PREFIX}${to_base64(iv)}.${to_base64(data)}`;
+}
+
+/**
+ * Decrypt text from encrypt_text
+ * @param {CryptoKey} key
+ * @param {string} text
+ * @returns {Promise<string>}
+ * @throws {Error} - Not encrypted text, or encrypted with another key
+ */
+export async function decrypt_text(key, text) {
+  if (!is_encrypted_text(text)) {
+    throw new Error('Not encrypted text');
+  }
+
+  const [iv, data] = text.slice(ENCRYPTED_TEXT_PREFIX.length).split('.');
+  const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: from_base64(iv) }, key, from_base64(data));
+  return text_decoder.decode(plaintext);
+}
@@ -0,0 +1,123 @@
+/**
+ * Live updates from the server
+ * Keeps an EventSource open on /api/events while signed in. The server sends
+ * "changes" whenever the user's data changes on another device, and the new
+ * changes are then pulled right away instead of waiting for the next sync.
+ * Only the leader tab (lib/tabs.js) keeps a stream open, since it does the pulling
+ */
+
+import { calculate_delay } from './api.js';
+import { settings_storage, SYNC_CURSOR_KEY } from './storage.js';
+import { pull_changes, is_online } from './sync.js';
+import { is_leader, on_leader_change } from './tabs.js';
+
+const EVENTS_URL = '/api/events';
+
+let source = null;
+let reconnect_timer = null;
+let reconnect_attempt = 0;
+let last_event_id = null;
+let running = false;
+let unsubscribe_leader = null;
+
+/**
+ * Pull changes unless the local cursor already matches the event
+ * @param {MessageEvent} event
+ */
+async function handle_event(event) {
+  last_event_id = event.lastEventId || last_event_id;
+  reconnect_attempt = 0;
+
+  const cursor = await settings_storage.get(SYNC_CURSOR_KEY, '0');
+  if (event.lastEventId && event.lastEventId === cursor) {
+    return;
+  }
+
+  await pull_changes();
+}
+
+/**
+ * Open the event stream
+ * The browser reconnects by itself after network errors; when it gives up
+ * (e.g. the server answered with an error status) we retry with backoff
+ */
+function connect() {
+  if (!running || source || !is_leader() || !is_online()) {
+    return;
+  }
+
+  // A new EventSource doesn't send Last-Event-ID, so pass it along ourselves
+  const url = last_event_id ? `${EVENTS_URL}?last_event_id=${encodeURIComponent(last_event_id)}` : EVENTS_URL;
+  source = new EventSource(url, { withCredentials: true });
+
+  const on_event = (event) => handle_event(event).catch(console.error);
+  source.addEventListener('ready', on_event);
+  source.addEventListener('changes', on_event);
+
+  source.onerror = () => {
+    if (source?.readyState !== EventSource.CLOSED) {
+      return;
+    }
+
+    source = null;
+    reconnect_timer = setTimeout(() => {
+      reconnect_timer = null;
+      connect();
+    }, calculate_delay(Math.min(reconnect_attempt++, 5)));
+  };
+}
+
+/**
+ * Close the event stream and cancel a pending reconnect
+ */
+function disconnect() {
+  clearTimeout(reconnect_timer);
+  reconnect_timer = null;
+
+  if (source) {
+    source.close();
+    source = null;
+  }
+}
+
+function handle_online() {
+  reconnect_attempt = 0;
+  connect();
+}
+
+function handle_leader_change(leading) {
+  if (leading) {
+    handle_online();
+  } else {
+    disconnect();
+  }
+}
+
+/**
+ * Start receiving live updates
+ */
+export function start_live_updates() {
+  if (running) {
+    return;
+  }
+
+  running = true;
+  window.addEventListener('online', handle_online);
+  window.addEventListener('offline', disconnect);
+  unsubscribe_leader = on_leader_change(handle_leader_change);
+  connect();
+}
+
+/**
+ * Stop receiving live updates (on logout)
+ */
+export function stop_live_updates() {
+  running = false;
+  last_event_id = null;
+  reconnect_attempt = 0;
+  window.removeEventListener('online', handle_online);
+  window.removeEventListener('offline', disconnect);
+  unsubscribe_leader?.();
+  unsubscribe_leader = null;
+  disconnect();
+}
@@ -0,0 +1,158 @@
+/**
+ * Hybrid logical clock and per-field merging
+ * Offline edits are stamped per field so the server can merge them with edits from
+ * other devices field by field (see services/versions.js on the server).
+ * Timestamps use the server's format: <wall ms, 15 digits>-<counter, 5 digits>-<node id>,
+ * so plain string comparison gives the clock order
+ */
+
+import { settings_storage } from './storage.js';
+
+const NODE_ID_KEY = 'hlc_node_id';
+const MAX_COUNTER = 99999;
+
+// Versioned fields and the keys each covers (mirrors the server's *_FIELDS)
+export const VERSIONED_FIELDS = {
+  profile: {
+    bio: ['bio'],
+    phone: ['phone'],
+    pronouns: ['pronouns'],
+    avatar_url: ['avatar_url'],
+    time_zone: ['time_zone'],
+    quiet_hours: ['quiet_hours_start', 'quiet_hours_end'],
+  },
+  task: {
+    list_id: ['list_id'],
+    parent_id: ['parent_id'],
+    title: ['title'],
+    notes: ['notes'],
+    is_private: ['is_private'],
+    status: ['status', 'complete_subtasks'],
+    priority: ['priority'],
+    due_at: ['due_at'],
+    position: ['position'],
+    tag_ids: ['tag_ids'],
+    recurrence: ['recurrence_rule', 'recurrence_basis'],
+  },
+  list: {
+    name: ['name'],
+    color: ['color'],
+    icon: ['icon'],
+    position: ['position'],
+    is_archived: ['is_archived'],
+  },
+};
+
+let node_id = null;
+let last_wall = 0;
+let last_counter = 0;
+
+/**
+ * Get this device's node ID, creating it on first use
+ * @returns {Promise<string>}
+ */
+async function get_node_id() {
+  if (!node_id) {
+    node_id = await settings_storage.get(NODE_ID_KEY);
+
+    if (!node_id) {
+      const bytes = crypto.getRandomValues(new Uint8Array(6));
+      node_id = 'c' + Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+      await settings_storage.set(NODE_ID_KEY, node_id);
+    }
+  }
+
+  return node_id;
+}
+
+/**
+ * Move the local clock forward, carrying counter overflow into wall time
+ * @param {number} wall
+ * @param {number} counter
+ */
+function advance(wall, counter) {
+  if (counter > MAX_COUNTER) {
+    wall += 1;
+    counter = 0;
+  }
+  last_wall = wall;
+  last_counter = counter;
+}
+
+/**
+ * Get a new timestamp for a local edit
+ * @returns {Promise<string>}
+ */
+export async function hlc_now() {
+  const node = await get_node_id();
+  const now = Date.now();
+
+  if (now > last_wall) {
+    advance(now, 0);
+  } else {
+    advance(last_wall, last_counter + 1);
+  }
+
+  return `${String(last_wall).padStart(15, '0')}-${String(last_counter).padStart(5, '0')}-${node}`;
+}
+
+/**
+ * Merge a timestamp seen from the server into the local clock,
+ * so later local edits sort after the changes they were based on
+ * @param {string} hlc
+ */
+export function hlc_receive(hlc) {
+  const match = /^(\d{15})-(\d{5})-/.exec(hlc || '');
+  if (!match) {
+    return;
+  }
+
+  const remote_wall = parseInt(match[1], 10);
+  const remote_counter = parseInt(match[2], 10);
+  const wall = Math.max(Date.now(), last_wall, remote_wall);
+
+  if (wall === last_wall && wall === remote_wall) {
+    advance(wall, Math.max(last_counter, remote_counter) + 1);
+  } else if (wall === last_wall) {
+    advance(wall, last_counter + 1);
+  } else if (wall === remote_wall) {
+    advance(wall, remote_counter + 1);
+  } else {
+    advance(wall, 0);
+  }
+}
+
+/**
+ * Merge a server record into the local copy field by field
+ * Local fields with a newer clock (edits not yet pushed) are kept;
+ * everything else comes from the server
+ * @param {Object|null} local - Local record with field_versions
+ * @param {Object} remote - Server record with field_versions
+ * @param {Object<string, string[]>} fields - Entry of VERSIONED_FIELDS
+ * @returns {Object} - Merged record
+ */
+export function merge_versioned(local, remote, fields) {
+  const remote_versions = remote.field_versions || {};
+  Object.values(remote_versions).forEach(hlc_receive);
+
+  if (!local) {
+    return remote;
+  }
+
+  const local_versions = local.field_versions || {};
+  const merged = { ...remote, field_versions: { ...remote_versions } };
+
+  for (const [field, keys] of Object.entries(fields)) {
+    const local_clock = local_versions[field];
+    if (local_clock && (!remote_versions[field] || local_clock > remote_versions[field])) {
+      for (const key of keys) {
+        if (key in local) {
+          merged[key] = local[key];
+        }
+      }
+      merged.field_versions[field] = local_clock;
+    }
+  }
+
+  return merged;
+}
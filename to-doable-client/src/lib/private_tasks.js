@@ -0,0 +1,152 @@
+/**
+ * Private (end-to-end encrypted) tasks
+ * The title and notes of a private task are encrypted in the browser before they
+ * are sent or queued, so the server only ever stores ciphertext (and can't search it).
+ * The task key is created on the first device and backed up to the server wrapped
+ * with a recovery passphrase; other devices unlock it with that passphrase and keep
+ * it (non-extractable) in IndexedDB until logout. Until then their private tasks
+ * are shown as locked
+ */
+
+import { api, ApiError } from './api.js';
+import { settings_storage, PRIVATE_TASK_KEY } from './storage.js';
+import { create_task_key, unwrap_task_key, encrypt_text, decrypt_text } from './encryption.js';
+import { decode_html } from './validation.js';
+
+// Fields of a private task that are encrypted
+const ENCRYPTED_FIELDS = ['title', 'notes'];
+
+/**
+ * Get this device's private task key
+ * @returns {Promise<CryptoKey|null>}
+ */
+async function get_task_key() {
+  const stored = await settings_storage.get(PRIVATE_TASK_KEY);
+  return stored?.key ?? null;
+}
+
+/**
+ * Get the state of private tasks on this device
+ * @returns {Promise<string>} - 'ready'; 'locked' (set up on another device, the
+ *   recovery passphrase unlocks them here); or 'not_set_up'
+ */
+export async function get_private_tasks_state() {
+  if (await get_task_key()) {
+    return 'ready';
+  }
+
+  try {
+    await api.get('/account/task-key');
+    return 'locked';
+  } catch (err) {
+    if (err instanceof ApiError && err.status === 404) {
+      return 'not_set_up';
+    }
+    throw err;
+  }
+}
+
+/**
+ * Set up private tasks: create the key and back it up with the recovery passphrase
+ * @param {string} passphrase
+ * @throws {ApiError} - Already set up on another device (409)
+ */
+export async function set_up_private_tasks(passphrase) {
+  const { key, backup } = await create_task_key(passphrase);
+
+  await api.post('/account/task-key', { backup });
+  await settings_storage.set(PRIVATE_TASK_KEY, { key_id: backup.key_id, key });
+}
+
+/**
+ * Unlock private tasks on this device with the recovery passphrase
+ * @param {string} passphrase
+ * @throws {Error} - Wrong passphrase
+ */
+export async function unlock_private_tasks(passphrase) {
+  const { backup } = await api.get('/account/task-key');
+
+  let key;
+  try {
+    key = await unwrap_task_key(passphrase, backup);
+  } catch (err) {
+    throw new Error('Incorrect recovery passphrase');
+  }
+
+  await settings_storage.set(PRIVATE_TASK_KEY, { key_id: backup.key_id, key });
+}
+
+/**
+ * Encrypt the title and notes of a private task before it is sent or queued
+ * @param {Object} data - Create body or changed fields
+ * @param {boolean} [is_private] - Defaults to data.is_private
+ * @returns {Promise<Object>} - data, with title and notes encrypted if private
+ * @throws {Error} - Private tasks are locked on this device
+ */
+export async function encrypt_task_fields(data, is_private = data.is_private) {
+  if (!is_private) {
+    return data;
+  }
+
+  const key = await get_task_key();
+  if (!key) {
+    throw new Error('Unlock private tasks on this device first');
+  }
+
+  const encrypted = { ...data };
+  for (const field of ENCRYPTED_FIELDS) {
+    if (typeof data[field] === 'string' && data[field] !== '') {
+      encrypted[field] = await encrypt_text(key, data[field]);
+    }
+  }
+  return encrypted;
+}
+
+/**
+ * Decrypt private tasks for display
+ * Tasks this device can't decrypt keep their ciphertext and get locked: true
+ * @param {Array<Object>} tasks
+ * @returns {Promise<Array<Object>>}
+ */
+export async function decrypt_tasks(tasks) {
+  if (!tasks.some((task) => task.is_private)) {
+    return tasks;
+  }
+
+  const key = await get_task_key();
+
+  return Promise.all(tasks.map(async (task) => {
+    if (!task.is_private) {
+      return task;
+    }
+    if (!key) {
+      return { ...task, locked: true };
+    }
+
+    try {
+      const decrypted = { ...task };
+      for (const field of ENCRYPTED_FIELDS) {
+        if (task[field]) {
+          decrypted[field] = await decrypt_text(key, task[field]);
+        }
+      }
+      return decrypted;
+    } catch (err) {
+      return { ...task, locked: true };
+    }
+  }));
+}
+
+/**
+ * Get the title to show for a task from decrypt_tasks
+ * Decrypted titles are plain text; other titles are stored HTML-escaped
+ * @param {Object} task
+ * @returns {string}
+ */
+export function task_display_title(task) {
+  if (task.locked) {
+    return 'Locked private task';
+  }
+
+  return task.is_private ? task.title : decode_html(task.title);
+}
@@ -0,0 +1,118 @@
+/**
+ * Service worker registration
+ * The service worker (src/sw.js) keeps the app shell and recent API responses
+ * cached so the app loads offline, and pushes the sync queue in the background
+ * (Background Sync) even after every tab is closed. Production builds only
+ */
+
+// Background Sync tag for pushing the sync queue
+export const SYNC_TAG = 'sync-queue';
+// Cache of API GET responses, served when offline
+export const API_CACHE = 'to-doable-api';
+
+const UPDATE_CHECK_MS = 60 * 60 * 1000; // Long-lived tabs look for a new build hourly
+
+let waiting_worker = null;
+let update_requested = false;
+const update_listeners = new Set();
+
+/**
+ * Remember a new build that is installed and waiting, and tell listeners
+ * @param {ServiceWorker} worker
+ */
+function set_waiting_worker(worker) {
+  waiting_worker = worker;
+  update_listeners.forEach((listener) => listener(true));
+}
+
+/**
+ * Register the service worker
+ * Call once at startup
+ */
+export async function register_service_worker() {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) {
+    return;
+  }
+
+  try {
+    const registration = await navigator.serviceWorker.register('/sw.js');
+
+    // Only counts as an update if an older version controls this page
+    if (registration.waiting && navigator.serviceWorker.controller) {
+      set_waiting_worker(registration.waiting);
+    }
+
+    registration.addEventListener('updatefound', () => {
+      const worker = registration.installing;
+      worker?.addEventListener('statechange', () => {
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+          set_waiting_worker(worker);
+        }
+      });
+    });
+
+    // Reload once the new version has taken over after apply_update()
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (update_requested) {
+        update_requested = false;
+        window.location.reload();
+      }
+    });
+
+    setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_MS);
+  } catch (err) {
+    console.error('Service worker registration failed:', err);
+  }
+}
+
+/**
+ * Add listener called with true when a new build is ready to be loaded
+ * @param {Function} listener
+ * @returns {Function} Unsubscribe function
+ */
+export function on_update_available(listener) {
+  update_listeners.add(listener);
+  if (waiting_worker) {
+    listener(true);
+  }
+  return () => update_listeners.delete(listener);
+}
+
+/**
+ * Switch to the waiting build and reload the page
+ */
+export function apply_update() {
+  if (!waiting_worker) {
+    return;
+  }
+
+  update_requested = true;
+  waiting_worker.postMessage({ type: 'SKIP_WAITING' });
+}
+
+/**
+ * Ask the browser to push the sync queue when it next has a connection,
+ * even if this tab is closed by then
+ * Does nothing where Background Sync isn't supported (or inside the service worker)
+ */
+export async function request_background_sync() {
+  if (typeof window === 'undefined' || !('serviceWorker' in navigator)) {
+    return;
+  }
+
+  try {
+    const registration = await navigator.serviceWorker.getRegistration();
+    await registration?.sync?.register(SYNC_TAG);
+  } catch (err) {
+    console.error('Background sync registration failed:', err);
+  }
+}
+
+/**
+ * Drop cached API responses (on logout, since they belong to the signed-in user)
+ */
+export async function clear_api_cache() {
+  if (typeof caches !== 'undefined') {
+    await caches.delete(API_CACHE);
+  }
+}
@@ -1,68 +1,510 @@
 /**
  * IndexedDB storage service for local-first data persistence
- * Stores user profile data and pending sync queue
+ * Stores user profile data, pending sync queue, a local copy of
+ * the user's tasks, lists and tags kept current by delta sync,
+ * sync conflicts waiting for the user to review them, and queued changes
+ * the server would not accept, kept for the user to retry, edit or discard.
+ * The schema is upgraded through the ordered MIGRATIONS list
+ *
+ * Optionally (per device) record values are encrypted with a key unlocked by
+ * the user's password; see storage_encryption
  */
 
+import { clear_api_cache } from './pwa.js';
+import { create_data_key, unwrap_data_key, encrypt_value, decrypt_value } from './encryption.js';
+
 const DB_NAME = 'todoable';
-const DB_VERSION = 1;
 
 // Store names
 const STORES = {
   PROFILE: 'profile',
   SYNC_QUEUE: 'sync_queue',
   SETTINGS: 'settings',
+  TASKS: 'tasks',
+  LISTS: 'lists',
+  TAGS: 'tags',
+  CONFLICTS: 'conflicts',
+  FAILED_SYNC: 'failed_sync',
+};
+
+// Store for each entity type in the server's change feed
+const ENTITY_STORES = {
+  task: STORES.TASKS,
+  list: STORES.LISTS,
+  tag: STORES.TAGS,
 };
 
-let db_instance = null;
+// Settings key holding the delta sync cursor
+export const SYNC_CURSOR_KEY = 'sync_cursor';
+// Settings key for this device's choice to encrypt local data
+export const ENCRYPT_STORAGE_KEY = 'encrypt_storage';
+// Settings key holding the wrapped data key while local data is encrypted
+const DATA_KEY_SETTING = 'data_key';
+// Settings key holding this device's private task key (see lib/private_tasks.js)
+export const PRIVATE_TASK_KEY = 'private_task_key';
+
+// Stores copied into the new database when a failed upgrade forces a rebuild:
+// changes not yet on the server, and the settings (keys included) they may be
+// encrypted with. The sync cursor is left behind, so everything is downloaded again
+const REBUILD_KEPT_STORES = [STORES.SYNC_QUEUE, STORES.FAILED_SYNC, STORES.SETTINGS];
+
+// Stores whose records are encrypted, with the fields left readable:
+// key paths and indexed fields. Settings are never encrypted
+const CLEAR_FIELDS = {
+  [STORES.PROFILE]: ['id'],
+  [STORES.SYNC_QUEUE]: ['id', 'timestamp', 'type'],
+  [STORES.TASKS]: ['id', 'list_id'],
+  [STORES.LISTS]: ['id'],
+  [STORES.TAGS]: ['id'],
+  [STORES.CONFLICTS]: ['id'],
+  [STORES.FAILED_SYNC]: ['id'],
+};
 
 /**
- * Open or create the IndexedDB database
- * @returns {Promise<IDBDatabase>}
+ * Record rewrites, by the version whose migration runs them and then by store
+ * Each returns the new record, or null to leave it as is. Kept apart from the
+ * migration so a rebuild can run them on the records it keeps
+ */
+const RECORD_UPGRADES = {
+  // 4: queue items from before batched push only have a type ('profile_update')
+  4: {
+    [STORES.SYNC_QUEUE]: (item) => {
+      if (item.entity) return null;
+      const [entity, op] = item.type.split('_');
+      return { ...item, entity, op };
+    },
+  },
+};
+
+/**
+ * Schema migrations in order: MIGRATIONS[n] upgrades version n to n + 1
+ * Each runs inside the upgrade transaction and can create stores and indexes
+ * or rewrite existing records (through RECORD_UPGRADES). Released migrations
+ * must not change; add a new one.
+ * Encrypted records only show their CLEAR_FIELDS to a migration
+ */
+const MIGRATIONS = [
+  // 1: profile, sync queue and app settings (e.g. theme)
+  (db) => {
+    db.createObjectStore(STORES.PROFILE, { keyPath: 'id' });
+
+    const sync_store = db.createObjectStore(STORES.SYNC_QUEUE, {
+      keyPath: 'id',
+      autoIncrement: true,
+    });
+    sync_store.createIndex('timestamp', 'timestamp', { unique: false });
+    sync_store.createIndex('type', 'type', { unique: false });
+
+    db.createObjectStore(STORES.SETTINGS, { keyPath: 'key' });
+  },
+
+  // 2: local copies of tasks, lists and tags from delta sync
+  (db) => {
+    const task_store = db.createObjectStore(STORES.TASKS, { keyPath: 'id' });
+    task_store.createIndex('list_id', 'list_id', { unique: false });
+    db.createObjectStore(STORES.LISTS, { keyPath: 'id' });
+    db.createObjectStore(STORES.TAGS, { keyPath: 'id' });
+  },
+
+  // 3: same-field edits from two devices, kept until the user resolves them
+  (db) => {
+    db.createObjectStore(STORES.CONFLICTS, { keyPath: 'id' });
+  },
+
+  // 4: queue items from before batched push get an entity and op
+  (db, transaction) => {
+    upgrade_records(transaction, 4);
+  },
+
+  // 5: queued changes that failed for good, kept for the user instead of dropped
+  (db) => {
+    db.createObjectStore(STORES.FAILED_SYNC, { keyPath: 'id' });
+  },
+];
+
+const DB_VERSION = MIGRATIONS.length;
+
+let db_promise = null;
+let db_outdated = false;
+const storage_listeners = new Set();
+
+// Data key for this session, while local data is encrypted and unlocked
+let data_key = null;
+
+/**
+ * Thrown when encrypted local data is read or written before it is unlocked
+ */
+export class StorageLockedError extends Error {
+  constructor() {
+    super('Local data is locked; enter your password to unlock it');
+    this.name = 'StorageLockedError';
+  }
+}
+
+/**
+ * Thrown when a migration fails and the upgrade is rolled back
  */
-async function open_db() {
-  if (db_instance) {
-    return db_instance;
+class MigrationError extends Error {
+  /**
+   * @param {number} version - Version the failed migration upgrades to
+   * @param {Error} cause
+   */
+  constructor(version, cause) {
+    super(`IndexedDB migration to version ${version} failed`);
+    this.name = 'MigrationError';
+    this.cause = cause;
   }
+}
+
+/**
+ * Rewrite every record of a store during a migration
+ * @param {IDBObjectStore} store
+ * @param {Function} transform - Returns the new record, or null to leave it as is
+ */
+function update_each(store, transform) {
+  store.openCursor().onsuccess = (event) => {
+    const cursor = event.target.result;
+    if (!cursor) return;
+
+    const updated = transform(cursor.value);
+    if (updated) {
+      cursor.update(updated);
+    }
+    cursor.continue();
+  };
+}
 
+/**
+ * Run a version's RECORD_UPGRADES on the records in the database
+ * @param {IDBTransaction} transaction - Upgrade transaction
+ * @param {number} version
+ */
+function upgrade_records(transaction, version) {
+  for (const [store_name, transform] of Object.entries(RECORD_UPGRADES[version])) {
+    update_each(transaction.objectStore(store_name), transform);
+  }
+}
+
+/**
+ * Add listener for database events
+ * 'blocked': an upgrade is waiting for other tabs to close;
+ * 'outdated': another tab upgraded the database and this one must reload;
+ * 'reset': a failed upgrade was recovered by starting over with a new database
+ *   (queued changes and settings are kept, everything else is downloaded again)
+ * @param {Function} listener - Called with the event name
+ * @returns {Function} Unsubscribe function
+ */
+export function on_storage_event(listener) {
+  storage_listeners.add(listener);
+  if (db_outdated) {
+    listener('outdated');
+  }
+  return () => storage_listeners.delete(listener);
+}
+
+/**
+ * Notify storage listeners
+ * @param {string} event_name
+ */
+function notify_storage_listeners(event_name) {
+  storage_listeners.forEach((listener) => {
+    try {
+      listener(event_name);
+    } catch (err) {
+      console.error('Storage listener error:', err);
+    }
+  });
+}
+
+/**
+ * Open the database, running any pending migrations
+ * @returns {Promise<IDBDatabase>}
+ */
+function open_versioned_db() {
   return new Promise((resolve, reject) => {
     const request = indexedDB.open(DB_NAME, DB_VERSION);
+    let migration_error = null;
+
+    request.onerror = () => reject(migration_error ?? request.error);
 
-    request.onerror = () => {
-      console.error('IndexedDB error:', request.error);
-      reject(request.error);
+    // Another tab still has the old version open; it closes on versionchange
+    request.onblocked = () => {
+      console.warn('IndexedDB upgrade blocked by another tab');
+      notify_storage_listeners('blocked');
     };
 
     request.onsuccess = () => {
-      db_instance = request.result;
-      resolve(db_instance);
+      const db = request.result;
+
+      // A newer version of the app in another tab wants to upgrade: step aside
+      db.onversionchange = () => {
+        db.close();
+        db_promise = null;
+        db_outdated = true;
+        notify_storage_listeners('outdated');
+      };
+
+      resolve(db);
     };
 
     request.onupgradeneeded = (event) => {
-      const db = event.target.result;
+      const db = request.result;
+      const transaction = request.transaction;
 
-      // Profile store - stores current user's profile
-      if (!db.objectStoreNames.contains(STORES.PROFILE)) {
-        db.createObjectStore(STORES.PROFILE, { keyPath: 'id' });
+      for (let version = event.oldVersion; version < DB_VERSION; version++) {
+        try {
+          MIGRATIONS[version](db, transaction);
+        } catch (err) {
+          migration_error = new MigrationError(version + 1, err);
+          transaction.abort(); // Fails the open request, rejected via onerror
+          return;
+        }
       }
+    };
+  });
+}
+
+/**
+ * Delete the database
+ * @returns {Promise<void>}
+ */
+function delete_db() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.deleteDatabase(DB_NAME);
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => notify_storage_listeners('blocked');
+  });
+}
 
-      // Sync queue - stores pending changes to sync with server
-      if (!db.objectStoreNames.contains(STORES.SYNC_QUEUE)) {
-        const sync_store = db.createObjectStore(STORES.SYNC_QUEUE, {
-          keyPath: 'id',
-          autoIncrement: true,
-        });
-        sync_store.createIndex('timestamp', 'timestamp', { unique: false });
-        sync_store.createIndex('type', 'type', { unique: false });
+/**
+ * Read the records a rebuild keeps, from the database as it is
+ * Opens it at its current version, so no upgrade runs. Records are copied as
+ * stored, encrypted ones included
+ * @returns {Promise<{version: number, records: Object<string, Array<Object>>}>}
+ *   - The version they were read at, and the records by store name
+ */
+async function read_kept_records() {
+  const db = await new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  try {
+    const store_names = REBUILD_KEPT_STORES.filter((name) => db.objectStoreNames.contains(name));
+    if (store_names.length === 0) {
+      return { version: db.version, records: {} };
+    }
+
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(store_names, 'readonly');
+      const records = {};
+
+      for (const name of store_names) {
+        const request = transaction.objectStore(name).getAll();
+        request.onsuccess = () => {
+          records[name] = name === STORES.SETTINGS
+            ? request.result.filter((setting) => setting.key !== SYNC_CURSOR_KEY)
+            : request.result;
+        };
       }
 
-      // Settings store - stores app settings like theme
-      if (!db.objectStoreNames.contains(STORES.SETTINGS)) {
-        db.createObjectStore(STORES.SETTINGS, { keyPath: 'key' });
+      transaction.oncomplete = () => resolve({ version: db.version, records });
+      transaction.onerror = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Run the RECORD_UPGRADES of every version after the one records were read at
+ * The rebuilt database runs its migrations while still empty, so kept records
+ * would otherwise miss their rewrites
+ * @param {number} version - Version the records were read at
+ * @param {Object<string, Array<Object>>} records - Records by store name
+ * @returns {Object<string, Array<Object>>} - Upgraded records by store name
+ */
+function upgrade_kept_records(version, records) {
+  const upgraded = { ...records };
+
+  for (let next = version + 1; next <= DB_VERSION; next++) {
+    for (const [store_name, transform] of Object.entries(RECORD_UPGRADES[next] ?? {})) {
+      if (upgraded[store_name]) {
+        upgraded[store_name] = upgraded[store_name].map((record) => transform(record) ?? record);
       }
-    };
+    }
+  }
+
+  return upgraded;
+}
+
+/**
+ * Write records kept from before a rebuild into the new database
+ * @param {IDBDatabase} db
+ * @param {Object<string, Array<Object>>} records - Records by store name
+ * @returns {Promise<void>}
+ */
+function restore_kept_records(db, records) {
+  const store_names = Object.keys(records).filter((name) => records[name].length > 0);
+  if (store_names.length === 0) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(store_names, 'readwrite');
+
+    for (const name of store_names) {
+      const store = transaction.objectStore(name);
+      for (const record of records[name]) {
+        store.put(record);
+      }
+    }
+
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
   });
 }
 
+/**
+ * Open or create the IndexedDB database
+ * If a migration fails, the database is deleted and created from scratch,
+ * keeping queued changes and settings (REBUILD_KEPT_STORES); without a sync
+ * cursor the next pull then downloads everything else from the server again.
+ * Other errors opening it are passed on, leaving the database as it is
+ * @returns {Promise<IDBDatabase>}
+ */
+function open_db() {
+  if (db_outdated) {
+    return Promise.reject(new Error('The app was updated in another tab; reload to continue'));
+  }
+
+  if (!db_promise) {
+    db_promise = open_or_rebuild_db().catch((err) => {
+      db_promise = null;
+      throw err;
+    });
+  }
+
+  return db_promise;
+}
+
+/**
+ * Open the database, rebuilding it if a migration fails
+ * @returns {Promise<IDBDatabase>}
+ */
+async function open_or_rebuild_db() {
+  try {
+    return await open_versioned_db();
+  } catch (err) {
+    // A newer build already upgraded the database; this tab's code is out of date
+    if (err?.name === 'VersionError') {
+      db_outdated = true;
+      notify_storage_listeners('outdated');
+      throw err;
+    }
+
+    if (!(err instanceof MigrationError)) {
+      throw err;
+    }
+
+    console.error('IndexedDB upgrade failed, rebuilding local database:', err, err.cause);
+
+    let kept_records = {};
+    try {
+      const { version, records } = await read_kept_records();
+      kept_records = upgrade_kept_records(version, records);
+    } catch (read_err) {
+      console.error('Failed to copy queued changes before rebuilding:', read_err);
+    }
+
+    await delete_db();
+    const db = await open_versioned_db();
+
+    try {
+      await restore_kept_records(db, kept_records);
+    } catch (restore_err) {
+      console.error('Failed to restore queued changes after rebuilding:', restore_err);
+    }
+
+    notify_storage_listeners('reset');
+    return db;
+  }
+}
+
+/**
+ * Get the key new records are encrypted with
+ * @returns {Promise<CryptoKey|null>} - null while local data is not encrypted
+ * @throws {StorageLockedError}
+ */
+async function get_write_key() {
+  if (data_key) {
+    return data_key;
+  }
+
+  // Never write plaintext next to encrypted records
+  if (await get_from_store(STORES.SETTINGS, DATA_KEY_SETTING)) {
+    throw new StorageLockedError();
+  }
+
+  return null;
+}
+
+/**
+ * Encrypt a value for a store, keeping its CLEAR_FIELDS readable
+ * @param {CryptoKey|null} key
+ * @param {string} store_name
+ * @param {Object} value
+ * @returns {Promise<Object>} - The value itself when there is nothing to encrypt
+ */
+async function encode_record(key, store_name, value) {
+  const clear_fields = CLEAR_FIELDS[store_name];
+  if (!key || !clear_fields) {
+    return value;
+  }
+
+  const record = { _encrypted: await encrypt_value(key, value) };
+  for (const field of clear_fields) {
+    if (value[field] !== undefined) {
+      record[field] = value[field];
+    }
+  }
+  return record;
+}
+
+/**
+ * Encrypt values for a store (when local data is encrypted)
+ * @param {string} store_name
+ * @param {Array<Object>} values
+ * @returns {Promise<Array<Object>>}
+ * @throws {StorageLockedError}
+ */
+async function encode_records(store_name, values) {
+  const key = CLEAR_FIELDS[store_name] ? await get_write_key() : null;
+  return Promise.all(values.map((value) => encode_record(key, store_name, value)));
+}
+
+/**
+ * Decrypt a stored record; plaintext records are returned as they are
+ * @param {Object|undefined} record
+ * @returns {Promise<Object|undefined>}
+ * @throws {StorageLockedError}
+ */
+async function decode_record(record) {
+  if (!record?._encrypted) {
+    return record;
+  }
+
+  if (!data_key) {
+    throw new StorageLockedError();
+  }
+
+  // Clear fields win: the auto-incremented queue ID is only known after encryption
+  const { _encrypted, ...clear } = record;
+  return { ...(await decrypt_value(data_key, _encrypted)), ...clear };
+}
+
 /**
  * Generic get from store
  * @param {string} store_name
@@ -78,7 +520,7 @@ async function get_from_store(store_name, key) {
 
     request.onsuccess = () => resolve(request.result);
     request.onerror = () => reject(request.error);
-  });
+  }).then(decode_record);
 }
 
 /**
@@ -88,17 +530,37 @@ async function get_from_store(store_name, key) {
  * @returns {Promise<any>}
  */
 async function put_to_store(store_name, value) {
+  const [record] = await encode_records(store_name, [value]);
   const db = await open_db();
   return new Promise((resolve, reject) => {
     const transaction = db.transaction(store_name, 'readwrite');
     const store = transaction.objectStore(store_name);
-    const request = store.put(value);
+    const request = store.put(record);
 
     request.onsuccess = () => resolve(request.result);
     request.onerror = () => reject(request.error);
   });
 }
 
+/**
+ * Put several values to a store in one transaction
+ * @param {string} store_name
+ * @param {Array} values
+ * @returns {Promise<void>}
+ */
+async function put_all_to_store(store_name, values) {
+  const records = await encode_records(store_name, values);
+  const db = await open_db();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(store_name, 'readwrite');
+    const store = transaction.objectStore(store_name);
+    records.forEach((record) => store.put(record));
+
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
 /**
  * Generic delete from store
  * @param {string} store_name
@@ -129,6 +591,23 @@ async function get_all_from_store(store_name) {
     const store = transaction.objectStore(store_name);
     const request = store.getAll();
 
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  }).then((records) => Promise.all(records.map(decode_record)));
+}
+
+/**
+ * Count items in store (without decrypting them)
+ * @param {string} store_name
+ * @returns {Promise<number>}
+ */
+async function count_in_store(store_name) {
+  const db = await open_db();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(store_name, 'readonly');
+    const store = transaction.objectStore(store_name);
+    const request = store.count();
+
     request.onsuccess = () => resolve(request.result);
     request.onerror = () => reject(request.error);
   });
@@ -187,9 +666,12 @@ export const sync_queue = {
    * Add item to sync queue
    * @param {Object} item
    * @param {string} item.type - Type of operation (e.g., 'profile_update')
+   * @param {string} item.entity - Entity type for POST /sync/push ('task', 'list', 'tag', 'profile')
+   * @param {string} item.op - Operation ('create', 'update', 'delete', 'restore')
+   * @param {string} [item.entity_id] - ID of the entity being changed; for creates, a temporary
+   *   client-generated ID that later items can refer to until the server assigns the real one
    * @param {Object} item.data - Data to sync
-   * @param {string} item.endpoint - API endpoint
-   * @param {string} item.method - HTTP method
+   * @param {string} item.idempotency_key - Key the server uses to apply the change only once
    */
   async add(item) {
     await put_to_store(STORES.SYNC_QUEUE, {
@@ -235,8 +717,7 @@ export const sync_queue = {
    * @returns {Promise<number>}
    */
   async count() {
-    const items = await get_all_from_store(STORES.SYNC_QUEUE);
-    return items.length;
+    return count_in_store(STORES.SYNC_QUEUE);
   },
 };
 
@@ -271,13 +752,398 @@ export const settings_storage = {
   },
 };
 
+// Synced entity operations (tasks, lists, tags)
+export const entity_storage = {
+  /**
+   * Apply changes from the server's change feed in one transaction
+   * @param {Array<{type: string, id: string, op: string, data?: Object}>} changes
+   * @param {Object} [options]
+   * @param {boolean} [options.reset] - Drop all local entities first
+   */
+  async apply_changes(changes, { reset = false } = {}) {
+    // Encrypted up front: awaiting inside the transaction would end it
+    const key = await get_write_key();
+    const records = await Promise.all(changes.map((change) =>
+      ENTITY_STORES[change.type] && change.op !== 'delete'
+        ? encode_record(key, ENTITY_STORES[change.type], change.data)
+        : null
+    ));
+
+    const db = await open_db();
+    const store_names = Object.values(ENTITY_STORES);
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(store_names, 'readwrite');
+
+      if (reset) {
+        store_names.forEach((name) => transaction.objectStore(name).clear());
+      }
+
+      changes.forEach((change, index) => {
+        const store_name = ENTITY_STORES[change.type];
+        if (!store_name) return; // Entity type this client doesn't know yet
+
+        const store = transaction.objectStore(store_name);
+        if (change.op === 'delete') {
+          store.delete(change.id);
+        } else {
+          store.put(records[index]);
+        }
+      });
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  },
+
+  /**
+   * Get all stored entities of a type
+   * @param {string} type - 'task', 'list' or 'tag'
+   * @returns {Promise<Array>}
+   */
+  async get_all(type) {
+    return get_all_from_store(ENTITY_STORES[type]);
+  },
+
+  /**
+   * Get one stored entity
+   * @param {string} type - 'task', 'list' or 'tag'
+   * @param {string} id
+   * @returns {Promise<Object|undefined>}
+   */
+  async get(type, id) {
+    return get_from_store(ENTITY_STORES[type], id);
+  },
+
+  /**
+   * Save one entity (e.g. a local copy of an offline create)
+   * @param {string} type - 'task', 'list' or 'tag'
+   * @param {Object} entity
+   */
+  async save(type, entity) {
+    await put_to_store(ENTITY_STORES[type], entity);
+  },
+
+  /**
+   * Remove one stored entity
+   * @param {string} type - 'task', 'list' or 'tag'
+   * @param {string} id
+   */
+  async remove(type, id) {
+    await delete_from_store(ENTITY_STORES[type], id);
+  },
+
+  /**
+   * Replace an entity stored under a temporary ID with the server's copy
+   * @param {string} type - 'task', 'list' or 'tag'
+   * @param {string} temp_id
+   * @param {Object} entity - Server copy, with the server's ID
+   */
+  async replace(type, temp_id, entity) {
+    const [record] = await encode_records(ENTITY_STORES[type], [entity]);
+    const db = await open_db();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(ENTITY_STORES[type], 'readwrite');
+      const store = transaction.objectStore(ENTITY_STORES[type]);
+      store.delete(temp_id);
+      store.put(record);
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  },
+
+  /**
+   * Clear all stored entities
+   */
+  async clear() {
+    for (const store_name of Object.values(ENTITY_STORES)) {
+      await clear_store(store_name);
+    }
+  },
+};
+
+// Sync conflict operations
+export const conflict_storage = {
+  /**
+   * Save conflicts reported by the server for one entity
+   * A newer conflict on the same field replaces the older one
+   * @param {string} entity - 'profile', 'task' or 'list'
+   * @param {string} entity_id
+   * @param {Array<{field: string, mine: Object, theirs: Object, resolution: string}>} conflicts
+   */
+  async save_all(entity, entity_id, conflicts) {
+    for (const conflict of conflicts) {
+      await put_to_store(STORES.CONFLICTS, {
+        ...conflict,
+        id: `${entity}:${entity_id}:${conflict.field}`,
+        entity,
+        entity_id,
+        detected_at: Date.now(),
+      });
+    }
+  },
+
+  /**
+   * Get all unresolved conflicts, oldest first
+   * @returns {Promise<Array>}
+   */
+  async get_all() {
+    const conflicts = await get_all_from_store(STORES.CONFLICTS);
+    return conflicts.sort((a, b) => a.detected_at - b.detected_at);
+  },
+
+  /**
+   * Remove a resolved conflict
+   * @param {string} id
+   */
+  async remove(id) {
+    await delete_from_store(STORES.CONFLICTS, id);
+  },
+
+  /**
+   * Get count of unresolved conflicts
+   * @returns {Promise<number>}
+   */
+  async count() {
+    return count_in_store(STORES.CONFLICTS);
+  },
+
+  /**
+   * Clear all conflicts
+   */
+  async clear() {
+    await clear_store(STORES.CONFLICTS);
+  },
+};
+
+/**
+ * Move one record between stores in a single transaction
+ * @param {string} from_store
+ * @param {string} to_store
+ * @param {any} key - Key of the record in from_store
+ * @param {Object} record - Record to put in to_store
+ * @returns {Promise<void>}
+ */
+async function move_between_stores(from_store, to_store, key, record) {
+  const [encoded] = await encode_records(to_store, [record]);
+  const db = await open_db();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([from_store, to_store], 'readwrite');
+    transaction.objectStore(from_store).delete(key);
+    transaction.objectStore(to_store).put(encoded);
+
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+// Failed sync items - queued changes the server rejected, or that failed too often
+export const failed_sync_storage = {
+  /**
+   * Move a sync queue item here
+   * @param {Object} item - Sync queue item
+   * @param {Object} failure
+   * @param {string} failure.error - Last error message
+   * @param {number} failure.status - Last HTTP status (0 for network errors)
+   * @param {boolean} failure.permanent - Rejected outright rather than failing repeatedly
+   */
+  async add_from_queue(item, { error, status, permanent }) {
+    await move_between_stores(STORES.SYNC_QUEUE, STORES.FAILED_SYNC, item.id, {
+      ...item,
+      last_error: error,
+      last_status: status,
+      permanent,
+      failed_at: Date.now(),
+    });
+  },
+
+  /**
+   * Move an item back to the sync queue, as the newest item
+   * @param {Object} item - Failed item, possibly edited
+   */
+  async requeue(item) {
+    const { last_error, last_status, permanent, failed_at, ...queue_item } = item;
+    await move_between_stores(STORES.FAILED_SYNC, STORES.SYNC_QUEUE, item.id, {
+      ...queue_item,
+      timestamp: Date.now(),
+      attempts: 0,
+    });
+  },
+
+  /**
+   * Save a changed failed item (e.g. a temporary ID swapped for the server's)
+   * @param {Object} item
+   */
+  async update(item) {
+    await put_to_store(STORES.FAILED_SYNC, item);
+  },
+
+  /**
+   * Get all failed items, oldest first
+   * @returns {Promise<Array>}
+   */
+  async get_all() {
+    const items = await get_all_from_store(STORES.FAILED_SYNC);
+    return items.sort((a, b) => a.failed_at - b.failed_at);
+  },
+
+  /**
+   * Discard a failed item
+   * @param {number} id
+   */
+  async remove(id) {
+    await delete_from_store(STORES.FAILED_SYNC, id);
+  },
+
+  /**
+   * Get count of failed items
+   * @returns {Promise<number>}
+   */
+  async count() {
+    return count_in_store(STORES.FAILED_SYNC);
+  },
+
+  /**
+   * Clear all failed items
+   */
+  async clear() {
+    await clear_store(STORES.FAILED_SYNC);
+  },
+};
+
+// Encryption of local data
+// While this device's ENCRYPT_STORAGE_KEY setting is on, signing in creates a data
+// key wrapped with the password. The unwrapped key only lives in memory, so after a
+// reload (and in the service worker) local data stays locked until unlock() is
+// called with the password again. Signing out deletes the key along with the data
+export const storage_encryption = {
+  /**
+   * Whether this device encrypts local data from the next sign-in
+   * @returns {Promise<boolean>}
+   */
+  async is_enabled() {
+    return settings_storage.get(ENCRYPT_STORAGE_KEY, false);
+  },
+
+  /**
+   * Turn encryption on or off for this device, from the next sign-in
+   * Cached API responses are cleared right away when turning it on
+   * @param {boolean} enabled
+   */
+  async set_enabled(enabled) {
+    await settings_storage.set(ENCRYPT_STORAGE_KEY, enabled);
+
+    // The service worker stops caching API responses; drop the plaintext ones it has
+    if (enabled) {
+      await clear_api_cache();
+    }
+  },
+
+  /**
+   * Whether local data is encrypted in this session
+   * @returns {boolean}
+   */
+  is_active() {
+    return data_key !== null;
+  },
+
+  /**
+   * Whether local data is encrypted and waiting for the password
+   * @returns {Promise<boolean>}
+   */
+  async is_locked() {
+    return !data_key && Boolean(await settings_storage.get(DATA_KEY_SETTING));
+  },
+
+  /**
+   * Set up encryption after signing in with a password
+   * Unlocks data left encrypted by an earlier session; data encrypted with a
+   * different (since changed) password can't be read and is cleared. Otherwise,
+   * when enabled, creates a new key and encrypts what is already stored
+   * @param {string} password
+   */
+  async start_session(password) {
+    const wrapped = await settings_storage.get(DATA_KEY_SETTING);
+
+    if (wrapped) {
+      try {
+        data_key = await unwrap_data_key(password, wrapped);
+        return;
+      } catch (err) {
+        await clear_all_storage();
+      }
+    }
+
+    if (!(await this.is_enabled())) {
+      return;
+    }
+
+    const created = await create_data_key(password);
+    await settings_storage.set(DATA_KEY_SETTING, created.wrapped);
+    data_key = created.key;
+
+    for (const store_name of Object.keys(CLEAR_FIELDS)) {
+      await put_all_to_store(store_name, await get_all_from_store(store_name));
+    }
+  },
+
+  /**
+   * Whether local data waits for the password after signing in without one (passkey)
+   * @returns {Promise<boolean>}
+   */
+  async needs_password() {
+    return !data_key && ((await this.is_locked()) || (await this.is_enabled()));
+  },
+
+  /**
+   * Unlock local data with the password (after a reload or a passkey sign-in)
+   * Without a key yet (passkey sign-in), sets encryption up as start_session does
+   * @param {string} password
+   * @throws {Error} - Wrong password
+   */
+  async unlock(password) {
+    const wrapped = await settings_storage.get(DATA_KEY_SETTING);
+    if (data_key) {
+      return;
+    }
+    if (!wrapped) {
+      await this.start_session(password);
+      return;
+    }
+
+    try {
+      data_key = await unwrap_data_key(password, wrapped);
+    } catch (err) {
+      throw new Error('Incorrect password');
+    }
+  },
+
+  /**
+   * Forget the key in memory (on logout)
+   */
+  forget_key() {
+    data_key = null;
+  },
+};
+
 /**
- * Clear all data (on logout)
+ * Clear all data (on logout), including API responses cached by the service worker,
+ * the encryption key and the private task key
  */
 export async function clear_all_storage() {
   await clear_store(STORES.PROFILE);
   await clear_store(STORES.SYNC_QUEUE);
-  // Keep settings (theme preference, etc.)
+  await entity_storage.clear();
+  await conflict_storage.clear();
+  await failed_sync_storage.clear();
+  // Keep settings (theme preference, etc.) but not the sync cursor,
+  // which only makes sense with the entities just cleared
+  await settings_storage.remove(SYNC_CURSOR_KEY);
+  await settings_storage.remove(DATA_KEY_SETTING);
+  await settings_storage.remove(PRIVATE_TASK_KEY);
+  data_key = null;
+  await clear_api_cache();
 }
 
 /**
@@ -1,15 +1,36 @@
 /**
  * Sync service for local-first data synchronization
- * Handles syncing queued changes when online
- * Uses last-write-wins conflict resolution
+ * Handles syncing queued changes in batches when online (push) and pulling
+ * server changes since the last sync cursor (delta sync)
+ * Conflicts are resolved per field: each edited field carries a hybrid logical
+ * clock and the later edit of a field wins (see lib/hlc.js). Same-field conflicts
+ * the server reports are kept for the user to review (resolve_conflict)
+ * With several tabs open only the leader tab syncs (see lib/tabs.js); other tabs
+ * hand their requests to it and receive its status updates
  */
 
 import { api, generate_idempotency_key, ApiError } from './api.js';
-import { sync_queue, profile_storage } from './storage.js';
+import {
+  sync_queue, profile_storage, entity_storage, settings_storage, conflict_storage, failed_sync_storage,
+  SYNC_CURSOR_KEY, on_storage_event
+} from './storage.js';
+import { hlc_now, merge_versioned, VERSIONED_FIELDS } from './hlc.js';
+import { decode_html } from './validation.js';
+import { is_leader, on_leader_change, join_election, leave_election, broadcast, on_broadcast } from './tabs.js';
+import { request_background_sync } from './pwa.js';
+import { encrypt_task_fields } from './private_tasks.js';
 
 const MAX_SYNC_ATTEMPTS = 5;
+// Statuses that mean the change will never be accepted as it is, so retrying is pointless
+const PERMANENT_FAILURE_STATUSES = [400, 403, 409];
+// Mirrors sync_config.max_push_batch on the server
+const MAX_PUSH_BATCH = 200;
 let is_syncing = false;
+let is_pulling = false;
+let push_requested = false;
+let pull_requested = false;
 let sync_listeners = new Set();
+let auto_sync_cleanup = null;
 
 /**
  * Check if browser is online
@@ -30,10 +51,10 @@ export function on_sync_change(listener) {
 }
 
 /**
- * Notify listeners of sync status change
+ * Notify this tab's listeners of a sync status change
  * @param {Object} status
  */
-function notify_listeners(status) {
+function notify_local_listeners(status) {
   sync_listeners.forEach((listener) => {
     try {
       listener(status);
@@ -43,85 +64,556 @@ function notify_listeners(status) {
   });
 }
 
+/**
+ * Notify listeners in this and every other tab of a sync status change
+ * @param {Object} status
+ */
+function notify_listeners(status) {
+  notify_local_listeners(status);
+  broadcast({ type: 'sync_status', status });
+}
+
+/**
+ * Ask the leader tab to push and pull
+ */
+function request_leader_sync() {
+  broadcast({ type: 'sync_request' });
+}
+
+/**
+ * Convert a queued item to a mutation for POST /sync/push
+ * @param {Object} item - Sync queue item
+ * @returns {Object} - { idempotency_key, type, op, id?, data? }
+ */
+function to_mutation(item) {
+  return {
+    idempotency_key: item.idempotency_key,
+    type: item.entity,
+    op: item.op,
+    id: item.op === 'create' ? undefined : item.entity_id, // The server picks IDs for creates
+    data: item.data,
+  };
+}
+
+/**
+ * Key of the entity a queued item changes
+ * @param {Object} item - Sync queue item
+ * @returns {string}
+ */
+function entity_key(item) {
+  return item.entity === 'profile' ? 'profile' : `${item.entity}:${item.entity_id}`;
+}
+
+/**
+ * Merge two queued updates of the same entity into the later one
+ * Later values and clocks win; each field keeps the base clock of the first
+ * edit, which is the server version the merged edit replaces
+ * @param {Object} earlier - Sync queue item
+ * @param {Object} later - Sync queue item
+ * @returns {Object} - The later item with merged data
+ */
+function merge_updates(earlier, later) {
+  const { field_clocks: earlier_clocks, base_clocks: earlier_base, ...earlier_data } = earlier.data;
+  const { field_clocks: later_clocks, base_clocks: later_base, ...later_data } = later.data;
+  const data = { ...earlier_data, ...later_data };
+
+  if (earlier_clocks || later_clocks) {
+    data.field_clocks = { ...earlier_clocks, ...later_clocks };
+  }
+
+  // Partial base clocks would make every field without one look concurrent
+  if (earlier_base && later_base) {
+    data.base_clocks = { ...later_base, ...earlier_base };
+  }
+
+  return { ...later, data };
+}
+
+/**
+ * Shrink the queue before pushing
+ * Successive updates of an entity are merged into one (at the position of the
+ * last, so anything they depend on is still sent first), and updates of
+ * entities deleted later in the queue are dropped
+ * @param {Array} items - Sync queue items, oldest first
+ * @returns {{items: Array, removed: Array, merged: Array}} - Items to push, and
+ *   the stored items to delete and to rewrite
+ */
+function compact_queue(items) {
+  // Position of the last delete of each entity that isn't followed by a restore
+  const deleted_at = new Map();
+  items.forEach((item, index) => {
+    if (item.op === 'delete') {
+      deleted_at.set(entity_key(item), index);
+    } else if (item.op === 'restore') {
+      deleted_at.delete(entity_key(item));
+    }
+  });
+
+  const compacted = [];
+  const removed = [];
+  const merged = new Map();
+  // Last update of each entity not yet separated from the next one by another op on it
+  const open_updates = new Map();
+
+  items.forEach((item, index) => {
+    const key = entity_key(item);
+
+    if (item.op !== 'update') {
+      open_updates.delete(key);
+      compacted.push(item);
+      return;
+    }
+
+    if (index < (deleted_at.get(key) ?? -1)) {
+      removed.push(item);
+      return;
+    }
+
+    const earlier = open_updates.get(key);
+    if (!earlier) {
+      open_updates.set(key, item);
+      compacted.push(item);
+      return;
+    }
+
+    const combined = merge_updates(earlier, item);
+    compacted.splice(compacted.indexOf(earlier), 1);
+    compacted.push(combined);
+    removed.push(earlier);
+    merged.delete(earlier.id);
+    merged.set(combined.id, combined);
+    open_updates.set(key, combined);
+  });
+
+  return { items: compacted, removed, merged: [...merged.values()] };
+}
+
+/**
+ * Check whether a value refers to any of the given IDs
+ * @param {any} value - Entity ID or mutation data
+ * @param {Set<string>} ids
+ * @returns {boolean}
+ */
+function refers_to(value, ids) {
+  if (typeof value === 'string') return ids.has(value);
+  if (Array.isArray(value)) return value.some((entry) => refers_to(entry, ids));
+  if (value && typeof value === 'object') return Object.values(value).some((entry) => refers_to(entry, ids));
+  return false;
+}
+
+/**
+ * Replace a temporary ID everywhere in a value
+ * @param {any} value - Entity ID or mutation data
+ * @param {string} temp_id
+ * @param {string} server_id
+ * @returns {any}
+ */
+function replace_id(value, temp_id, server_id) {
+  if (value === temp_id) return server_id;
+  if (Array.isArray(value)) return value.map((entry) => replace_id(entry, temp_id, server_id));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, replace_id(entry, temp_id, server_id)]));
+  }
+  return value;
+}
+
+/**
+ * Point queued and failed items that refer to a newly created entity at its server ID
+ * Failed items are included so they work when the user retries them
+ * @param {Array} items - Sync queue items still to push (rewritten in place)
+ * @param {string} temp_id
+ * @param {string} server_id
+ */
+async function rewrite_temp_id(items, temp_id, server_id) {
+  const ids = new Set([temp_id]);
+  const rewrite = (item) => {
+    if (!refers_to(item.entity_id, ids) && !refers_to(item.data, ids)) {
+      return false;
+    }
+    item.entity_id = replace_id(item.entity_id, temp_id, server_id);
+    item.data = replace_id(item.data, temp_id, server_id);
+    return true;
+  };
+
+  for (const item of items) {
+    if (rewrite(item)) {
+      await sync_queue.update(item);
+    }
+  }
+
+  for (const item of await failed_sync_storage.get_all()) {
+    if (rewrite(item)) {
+      await failed_sync_storage.update(item);
+    }
+  }
+}
+
+/**
+ * Split off items that refer to an entity whose create hasn't been applied
+ * Pushed, they would only get 404s for the temporary ID; held back, they stay
+ * queued as they are and go out after the create has succeeded. Held-back
+ * creates hold back their own dependents too
+ * @param {Array} items - Sync queue items still to push, oldest first
+ * @param {Set<string>} unsent - Temporary IDs of creates not applied (added to)
+ * @returns {{items: Array, held: Array}} - Items to push, and items held back
+ */
+function hold_back_dependents(items, unsent) {
+  const kept = [];
+  const held = [];
+
+  for (const item of items) {
+    // A create's entity_id is its own temporary ID
+    const target_id = item.op === 'create' ? null : item.entity_id;
+
+    if (refers_to(target_id, unsent) || refers_to(item.data, unsent)) {
+      held.push(item);
+      if (item.op === 'create' && item.entity_id) {
+        unsent.add(item.entity_id);
+      }
+    } else {
+      kept.push(item);
+    }
+  }
+
+  return { items: kept, held };
+}
+
+/**
+ * Take the next batch of items to push
+ * A batch ends before the first item that refers to an entity created earlier in
+ * the same batch, since its server ID is only known once the create has been applied
+ * @param {Array} items - Sync queue items, oldest first
+ * @param {number} start - Index of the first item of the batch
+ * @returns {Array}
+ */
+function next_batch(items, start) {
+  const batch = [];
+  const created = new Set();
+
+  for (const item of items.slice(start, start + MAX_PUSH_BATCH)) {
+    if (batch.length > 0 && (refers_to(item.entity_id, created) || refers_to(item.data, created))) {
+      break;
+    }
+
+    batch.push(item);
+    if (item.op === 'create' && item.entity_id) {
+      created.add(item.entity_id);
+    }
+  }
+
+  return batch;
+}
+
+/**
+ * Record a failed attempt, moving the item to the failed store once it has failed too often
+ * @param {Object} item - Sync queue item
+ * @param {string} error - Error message
+ * @param {number} status - HTTP status (0 for network errors)
+ * @returns {Promise<boolean>} - True if the item was moved
+ */
+async function record_failed_attempt(item, error, status) {
+  item.attempts = (item.attempts || 0) + 1;
+  item.last_error = error;
+
+  // The server keeps 4xx results under the idempotency key and would only replay them
+  if (status >= 400 && status < 500) {
+    item.idempotency_key = generate_idempotency_key();
+  }
+
+  if (item.attempts >= MAX_SYNC_ATTEMPTS) {
+    await failed_sync_storage.add_from_queue(item, { error, status, permanent: false });
+    console.error(`Sync item failed after ${MAX_SYNC_ATTEMPTS} attempts:`, item);
+    return true;
+  }
+
+  await sync_queue.update(item);
+  return false;
+}
+
 /**
  * Process all pending items in sync queue
+ * Items are pushed in order, MAX_PUSH_BATCH per request. Items the server applied
+ * are removed; items it rejected for good (PERMANENT_FAILURE_STATUSES) move to the
+ * failed store right away, since resending them replays the same rejection; the rest
+ * stay queued for the next run until they have failed MAX_SYNC_ATTEMPTS times.
+ * Items that refer to a create which failed in this run wait for the next one.
+ * Only the leader tab pushes; in other tabs this asks the leader to
  * @returns {Promise<{success: number, failed: number}>}
  */
 export async function process_sync_queue() {
+  if (!is_leader()) {
+    request_leader_sync();
+    return { success: 0, failed: 0, skipped: true };
+  }
+
   if (is_syncing) {
+    push_requested = true;
     return { success: 0, failed: 0, skipped: true };
   }
 
   if (!is_online()) {
+    // Pushed by the service worker once back online, even if the app is closed by then
+    request_background_sync();
     return { success: 0, failed: 0, offline: true };
   }
 
   is_syncing = true;
   notify_listeners({ syncing: true });
 
-  const items = await sync_queue.get_all();
   let success = 0;
   let failed = 0;
 
-  // Sort by timestamp (oldest first)
-  items.sort((a, b) => a.timestamp - b.timestamp);
+  try {
+    const queued = await sync_queue.get_all();
 
-  for (const item of items) {
-    try {
-      // Generate idempotency key if not present
-      const idempotency_key = item.idempotency_key || generate_idempotency_key();
-
-      // Make API request
-      const response = await api[item.method.toLowerCase()](
-        item.endpoint,
-        item.data,
-        { idempotency_key }
-      );
+    // Sort by timestamp (oldest first)
+    queued.sort((a, b) => a.timestamp - b.timestamp);
 
-      // Success - remove from queue
+    const { items, removed, merged } = compact_queue(queued);
+    for (const item of removed) {
       await sync_queue.remove(item.id);
-      success++;
+    }
+    for (const item of merged) {
+      await sync_queue.update(item);
+    }
+
+    // Temporary IDs of creates that failed in this run, and the items waiting for them
+    const unsent_creates = new Set();
+    const held_back = [];
+
+    for (let start = 0; start < items.length;) {
+      const batch = next_batch(items, start);
+      start += batch.length;
 
-      // If it's a profile update, update local storage with server response
-      if (item.type === 'profile_update' && response.profile) {
-        await profile_storage.save(response.profile);
+      // Items queued without a key get one now, kept for retries
+      for (const item of batch) {
+        if (!item.idempotency_key) {
+          item.idempotency_key = generate_idempotency_key();
+          await sync_queue.update(item);
+        }
       }
-    } catch (err) {
-      // Increment attempts
-      item.attempts = (item.attempts || 0) + 1;
-      item.last_error = err.message;
-
-      if (item.attempts >= MAX_SYNC_ATTEMPTS) {
-        // Too many failures - remove from queue and notify
-        await sync_queue.remove(item.id);
-        failed++;
-        console.error(`Sync item failed after ${MAX_SYNC_ATTEMPTS} attempts:`, item);
-      } else {
-        // Update queue with new attempt count
-        await sync_queue.update(item);
+
+      let response;
+      try {
+        response = await api.post('/sync/push', { mutations: batch.map(to_mutation) });
+      } catch (err) {
+        // Nothing is known to have been applied; every item is retried
+        for (const item of batch) {
+          if (await record_failed_attempt(item, err.message, err.status ?? 0)) {
+            failed++;
+          }
+        }
+
+        // Later batches may depend on this one, so stop here
+        break;
+      }
+
+      for (const [index, result] of response.results.entries()) {
+        const item = batch[index];
+
+        if (result.status < 300) {
+          await sync_queue.remove(item.id);
+          success++;
+
+          if (result.body.conflicts?.length > 0) {
+            const { type, id } = to_mutation(item);
+            await record_conflicts(type, id ?? result.body[type].id, result.body.conflicts);
+          }
+
+          // Later items (and the local copy) used a temporary ID for a created entity
+          const created = item.op === 'create' ? result.body[item.entity] : null;
+          if (created && item.entity_id && item.entity_id !== created.id) {
+            await rewrite_temp_id([...items.slice(start), ...held_back], item.entity_id, created.id);
+            await entity_storage.replace(item.entity, item.entity_id, created);
+          }
+
+          // If it's a profile update, merge the server response into local storage
+          // (keeping edits from items still queued)
+          if (item.type === 'profile_update' && result.body.profile) {
+            const local = await profile_storage.get(result.body.profile.id);
+            await profile_storage.save(merge_versioned(local, result.body.profile, VERSIONED_FIELDS.profile));
+          }
+        } else if (PERMANENT_FAILURE_STATUSES.includes(result.status)) {
+          await failed_sync_storage.add_from_queue(item, {
+            error: result.body.error,
+            status: result.status,
+            permanent: true,
+          });
+          failed++;
+          console.error('Sync item rejected by server:', result.body.error, item);
+        } else if (await record_failed_attempt(item, result.body.error, result.status)) {
+          failed++;
+        }
+
+        if (result.status >= 300 && item.op === 'create' && item.entity_id) {
+          unsent_creates.add(item.entity_id);
+        }
+      }
+
+      if (unsent_creates.size > 0) {
+        const rest = hold_back_dependents(items.slice(start), unsent_creates);
+        items.splice(start, Infinity, ...rest.items);
+        held_back.push(...rest.held);
       }
     }
+  } finally {
+    is_syncing = false;
   }
 
-  is_syncing = false;
   const pending = await sync_queue.count();
-  notify_listeners({ syncing: false, pending, success, failed });
+  const conflicts = await conflict_storage.count();
+  const failed_items = await failed_sync_storage.count();
+  notify_listeners({ syncing: false, pending, conflicts, failed_items, success, failed });
+
+  // Items queued while this run was under way
+  if (push_requested) {
+    push_requested = false;
+    process_sync_queue().catch(console.error);
+  } else if (pending > 0) {
+    request_background_sync();
+  }
 
   return { success, failed };
 }
 
+/**
+ * Save profile changes from the change feed, merged field by field with the local copy
+ * @param {Array} changes - Profile entries of a change feed page
+ */
+async function apply_profile_changes(changes) {
+  for (const change of changes) {
+    if (change.op === 'delete') continue;
+
+    const local = await profile_storage.get(change.id);
+    await profile_storage.save(merge_versioned(local, change.data, VERSIONED_FIELDS.profile));
+  }
+}
+
+/**
+ * Pull task, list, tag and profile changes made since the last sync and apply them to IndexedDB
+ * Follows has_more until caught up, saving the cursor after each page so an
+ * interrupted pull resumes where it stopped (re-applying a page is harmless).
+ * Called again while pulling (e.g. by a live update), it pulls once more afterwards.
+ * Only the leader tab pulls; in other tabs this asks the leader to
+ * @returns {Promise<{applied: number}>}
+ */
+export async function pull_changes() {
+  if (!is_leader()) {
+    request_leader_sync();
+    return { applied: 0, skipped: true };
+  }
+
+  if (is_pulling) {
+    pull_requested = true;
+    return { applied: 0, skipped: true };
+  }
+
+  if (!is_online()) {
+    return { applied: 0, offline: true };
+  }
+
+  is_pulling = true;
+  let applied = 0;
+
+  try {
+    let cursor = await settings_storage.get(SYNC_CURSOR_KEY, '0');
+    let has_more = true;
+
+    while (has_more) {
+      pull_requested = false;
+      const response = await api.get(`/sync/changes?since=${encodeURIComponent(cursor)}`);
+
+      await entity_storage.apply_changes(response.changes, { reset: response.reset });
+      await apply_profile_changes(response.changes.filter((change) => change.type === 'profile'));
+      await settings_storage.set(SYNC_CURSOR_KEY, response.cursor);
+
+      applied += response.changes.length;
+      cursor = response.cursor;
+      has_more = response.has_more || pull_requested;
+    }
+  } finally {
+    is_pulling = false;
+  }
+
+  if (applied > 0) {
+    notify_listeners({ pulled: applied });
+  }
+
+  return { applied };
+}
+
+/**
+ * Push queued changes, then pull what changed on the server
+ * @returns {Promise<void>}
+ */
+export async function sync_now() {
+  if (!is_leader()) {
+    request_leader_sync();
+    return;
+  }
+
+  await process_sync_queue();
+  await pull_changes();
+}
+
+/**
+ * Build a versioned update for a profile, task or list
+ * Only fields that differ from the local copy are included, each stamped with a
+ * new clock and the clock of the version it replaces, so the server can merge
+ * them with edits made meanwhile on other devices
+ * @param {string} type - 'profile', 'task' or 'list'
+ * @param {Object} changes - Edited fields
+ * @param {Object|null} current - Local copy
+ * @returns {Promise<{data: Object, field_clocks: Object, base_clocks: Object}|null>} - null if nothing changed
+ */
+export async function build_versioned_update(type, changes, current) {
+  const versions = current?.field_versions || {};
+  const data = {};
+  const field_clocks = {};
+  const base_clocks = {};
+
+  for (const [field, keys] of Object.entries(VERSIONED_FIELDS[type])) {
+    const changed = keys.some((key) => key in changes && (changes[key] ?? null) !== (current?.[key] ?? null));
+    if (!changed) {
+      continue;
+    }
+
+    // Fields covering several keys (quiet hours) are always sent whole
+    for (const key of keys) {
+      data[key] = key in changes ? changes[key] : current?.[key] ?? null;
+    }
+    field_clocks[field] = await hlc_now();
+    if (versions[field]) {
+      base_clocks[field] = versions[field];
+    }
+  }
+
+  if (Object.keys(field_clocks).length === 0) {
+    return null;
+  }
+
+  return { data, field_clocks, base_clocks };
+}
+
 /**
  * Add profile update to sync queue
  * @param {Object} changes - Changed fields
  * @param {string} user_id - User ID
  */
 export async function queue_profile_update(changes, user_id) {
-  // Save to local storage immediately (optimistic update)
   const current = await profile_storage.get(user_id);
+  const update = await build_versioned_update('profile', changes, current);
+
+  if (!update) {
+    return;
+  }
+
+  // Save to local storage immediately (optimistic update)
   if (current) {
     await profile_storage.save({
       ...current,
-      ...changes,
+      ...update.data,
+      field_versions: { ...current.field_versions, ...update.field_clocks },
       updated_at: new Date().toISOString(),
     });
   }
@@ -129,9 +621,9 @@ export async function queue_profile_update(changes, user_id) {
   // Add to sync queue
   await sync_queue.add({
     type: 'profile_update',
-    endpoint: '/profile',
-    method: 'PATCH',
-    data: changes,
+    entity: 'profile',
+    op: 'update',
+    data: { ...update.data, field_clocks: update.field_clocks, base_clocks: update.base_clocks },
     idempotency_key: generate_idempotency_key(),
   });
 
@@ -143,27 +635,203 @@ export async function queue_profile_update(changes, user_id) {
   notify_listeners({ pending: await sync_queue.count() });
 }
 
+/**
+ * Add a task or list update to sync queue
+ * Successive updates of the same entity are merged before pushing.
+ * The local copy is refreshed by the pull that follows the push
+ * @param {string} type - 'task' or 'list'
+ * @param {string} id - Entity ID
+ * @param {Object} changes - Changed fields
+ */
+export async function queue_entity_update(type, id, changes) {
+  const current = await entity_storage.get(type, id);
+  const update = await build_versioned_update(type, changes, current);
+
+  if (!update) {
+    return;
+  }
+
+  if (type === 'task') {
+    update.data = await encrypt_task_fields(update.data, changes.is_private ?? current?.is_private);
+  }
+
+  await sync_queue.add({
+    type: `${type}_update`,
+    entity: type,
+    op: 'update',
+    entity_id: id,
+    data: { ...update.data, field_clocks: update.field_clocks, base_clocks: update.base_clocks },
+    idempotency_key: generate_idempotency_key(),
+  });
+
+  if (is_online()) {
+    process_sync_queue().catch(console.error);
+  }
+
+  notify_listeners({ pending: await sync_queue.count() });
+}
+
+/**
+ * Add a task, list or tag create to sync queue
+ * The new entity gets a temporary ID, stored locally and usable in later queued
+ * changes (e.g. as a subtask's parent_id); it is swapped for the server's ID
+ * once the create has been pushed. Private tasks are encrypted before they are queued
+ * @param {string} type - 'task', 'list' or 'tag'
+ * @param {Object} data - Request body of the matching REST create
+ * @returns {Promise<string>} - Temporary ID
+ */
+export async function queue_entity_create(type, data) {
+  const temp_id = crypto.randomUUID();
+  if (type === 'task') {
+    data = await encrypt_task_fields(data);
+  }
+
+  await entity_storage.save(type, { ...data, id: temp_id, field_versions: {} });
+  await sync_queue.add({
+    type: `${type}_create`,
+    entity: type,
+    op: 'create',
+    entity_id: temp_id,
+    data,
+    idempotency_key: generate_idempotency_key(),
+  });
+
+  if (is_online()) {
+    process_sync_queue().catch(console.error);
+  }
+
+  notify_listeners({ pending: await sync_queue.count() });
+  return temp_id;
+}
+
+/**
+ * Add a task, list or tag delete to sync queue
+ * Queued updates of the entity are dropped before pushing
+ * @param {string} type - 'task', 'list' or 'tag'
+ * @param {string} id - Entity ID (or temporary ID)
+ * @param {Object} [data] - Request body of the matching REST delete (lists: { tasks, target_list_id })
+ */
+export async function queue_entity_delete(type, id, data) {
+  await entity_storage.remove(type, id);
+  await sync_queue.add({
+    type: `${type}_delete`,
+    entity: type,
+    op: 'delete',
+    entity_id: id,
+    data,
+    idempotency_key: generate_idempotency_key(),
+  });
+
+  if (is_online()) {
+    process_sync_queue().catch(console.error);
+  }
+
+  notify_listeners({ pending: await sync_queue.count() });
+}
+
+/**
+ * Keep same-field conflicts reported by the server until the user reviews them
+ * @param {string} type - 'profile', 'task' or 'list'
+ * @param {string} id - Entity ID
+ * @param {Array} conflicts - conflicts from an update response
+ */
+export async function record_conflicts(type, id, conflicts) {
+  await conflict_storage.save_all(type, id, conflicts);
+  notify_listeners({ conflicts: await conflict_storage.count() });
+}
+
+/**
+ * Resolve a conflict with the user's choice
+ * Choosing the version the server already kept just dismisses the conflict;
+ * otherwise the chosen values are queued as a new edit, which wins since it is newest
+ * @param {Object} conflict - From conflict_storage
+ * @param {string} choice - 'mine', 'theirs' or 'merged'
+ * @param {Object} [merged] - Values for 'merged', keyed like conflict.mine
+ */
+export async function resolve_conflict(conflict, choice, merged = null) {
+  if (choice !== conflict.resolution) {
+    let values = choice === 'merged' ? merged : conflict[choice];
+
+    // Server values are stored escaped; send them back as typed
+    if (choice === 'theirs') {
+      values = Object.fromEntries(
+        Object.entries(values).map(([key, value]) => [key, typeof value === 'string' ? decode_html(value) : value])
+      );
+    }
+
+    if (conflict.entity === 'profile') {
+      await queue_profile_update(values, conflict.entity_id);
+    } else {
+      await queue_entity_update(conflict.entity, conflict.entity_id, values);
+    }
+  }
+
+  await conflict_storage.remove(conflict.id);
+  notify_listeners({ conflicts: await conflict_storage.count() });
+}
+
+/**
+ * Send a failed item again, optionally with edited data
+ * Edited fields get new clocks so they win over what is on the server. The item
+ * keeps its idempotency key only if it may have been applied without us knowing
+ * (network and server errors); otherwise the server would replay the rejection
+ * @param {Object} item - From failed_sync_storage
+ * @param {Object} [changes] - Edited data fields
+ */
+export async function retry_failed_item(item, changes = null) {
+  const retried = { ...item };
+
+  if (changes) {
+    const data = { ...item.data, ...changes };
+
+    if (data.field_clocks) {
+      data.field_clocks = { ...data.field_clocks };
+      for (const [field, keys] of Object.entries(VERSIONED_FIELDS[item.entity] || {})) {
+        if (keys.some((key) => key in changes)) {
+          data.field_clocks[field] = await hlc_now();
+        }
+      }
+    }
+
+    retried.data = data;
+  }
+
+  if (changes || (item.last_status > 0 && item.last_status < 500)) {
+    retried.idempotency_key = generate_idempotency_key();
+  }
+
+  await failed_sync_storage.requeue(retried);
+  notify_listeners({ pending: await sync_queue.count(), failed_items: await failed_sync_storage.count() });
+
+  if (is_online()) {
+    process_sync_queue().catch(console.error);
+  }
+}
+
+/**
+ * Give up on a failed item
+ * @param {number} id
+ */
+export async function discard_failed_item(id) {
+  await failed_sync_storage.remove(id);
+  notify_listeners({ failed_items: await failed_sync_storage.count() });
+}
+
 /**
  * Fetch profile from server and update local storage
+ * Merged field by field with the local copy, so offline edits that have not
+ * been pushed yet survive
  * @param {string} user_id
  * @returns {Promise<Object>}
  */
 export async function fetch_and_cache_profile(user_id) {
   try {
     const response = await api.get('/profile');
-    const profile = response.profile;
-
-    // Get local version
     const local = await profile_storage.get(user_id);
+    const profile = merge_versioned(local, response.profile, VERSIONED_FIELDS.profile);
 
-    // Last-write-wins: use server version if newer
-    if (!local || new Date(profile.updated_at) >= new Date(local.updated_at || 0)) {
-      await profile_storage.save(profile);
-      return profile;
-    }
-
-    // Local is newer - keep local and add to sync queue if not already queued
-    return local;
+    await profile_storage.save(profile);
+    return profile;
   } catch (err) {
     console.error('Failed to fetch profile:', err);
 
@@ -178,25 +846,70 @@ export async function fetch_and_cache_profile(user_id) {
 
 /**
  * Start automatic sync on online/offline changes
+ * This tab joins the leader election; the leader syncs right away (and whenever
+ * it takes over from a closed tab) and on request from the other tabs
  */
 export function start_auto_sync() {
+  if (auto_sync_cleanup) {
+    return;
+  }
+
   // Sync when coming online
-  window.addEventListener('online', () => {
+  function handle_online() {
     console.log('Back online, starting sync...');
-    notify_listeners({ online: true });
-    process_sync_queue().catch(console.error);
-  });
+    notify_local_listeners({ online: true });
+    sync_now().catch(console.error);
+  }
 
   // Notify when going offline
-  window.addEventListener('offline', () => {
+  function handle_offline() {
     console.log('Gone offline');
-    notify_listeners({ online: false });
+    notify_local_listeners({ online: false });
+  }
+
+  window.addEventListener('online', handle_online);
+  window.addEventListener('offline', handle_offline);
+
+  const unsubscribe_leader = on_leader_change((leading) => {
+    if (leading && is_online()) {
+      sync_now().catch(console.error);
+    }
   });
 
-  // Initial sync if online
-  if (is_online()) {
-    process_sync_queue().catch(console.error);
-  }
+  const unsubscribe_broadcast = on_broadcast((message) => {
+    if (message.type === 'sync_status') {
+      notify_local_listeners(message.status);
+    } else if (message.type === 'sync_request' && is_leader()) {
+      sync_now().catch(console.error);
+    }
+  });
+
+  // A rebuilt local database has no sync cursor: push the queued changes it
+  // kept and download everything again
+  const unsubscribe_storage = on_storage_event((event_name) => {
+    if (event_name === 'reset' && is_online()) {
+      sync_now().catch(console.error);
+    }
+  });
+
+  auto_sync_cleanup = () => {
+    window.removeEventListener('online', handle_online);
+    window.removeEventListener('offline', handle_offline);
+    unsubscribe_leader();
+    unsubscribe_broadcast();
+    unsubscribe_storage();
+  };
+
+  join_election();
+}
+
+/**
+ * Stop automatic sync (on logout), handing leadership to another tab
+ */
+export function stop_auto_sync() {
+  auto_sync_cleanup?.();
+  auto_sync_cleanup = null;
+  leave_election();
 }
 
 /**
@@ -205,9 +918,13 @@ export function start_auto_sync() {
  */
 export async function get_sync_status() {
   const pending = await sync_queue.count();
+  const conflicts = await conflict_storage.count();
+  const failed_items = await failed_sync_storage.count();
   return {
     online: is_online(),
     syncing: is_syncing,
     pending,
+    conflicts,
+    failed_items,
   };
 }
@@ -0,0 +1,172 @@
+/**
+ * Cross-tab coordination
+ * Every open tab shares the same IndexedDB sync queue, so only one of them (the
+ * leader) may push and pull. The leader is whichever tab holds a Web Lock; when it
+ * closes, the lock passes to another tab. Tabs talk over a BroadcastChannel:
+ * the leader shares its sync status, and the others ask it to sync
+ */
+
+const LOCK_NAME = 'to-doable-sync-leader';
+const CHANNEL_NAME = 'to-doable-sync';
+
+let leader = false;
+let joined = false;
+let release_lock = null;
+let lock_request = null;
+let channel = null;
+const leader_listeners = new Set();
+const message_listeners = new Set();
+
+/**
+ * Check if this tab runs the sync loop
+ * @returns {boolean}
+ */
+export function is_leader() {
+  return leader;
+}
+
+/**
+ * Add listener called with true/false when this tab gains or loses leadership
+ * @param {Function} listener
+ * @returns {Function} Unsubscribe function
+ */
+export function on_leader_change(listener) {
+  leader_listeners.add(listener);
+  return () => leader_listeners.delete(listener);
+}
+
+/**
+ * Update leadership and tell listeners
+ * @param {boolean} value
+ */
+function set_leader(value) {
+  if (leader === value) {
+    return;
+  }
+
+  leader = value;
+  leader_listeners.forEach((listener) => {
+    try {
+      listener(value);
+    } catch (err) {
+      console.error('Leader listener error:', err);
+    }
+  });
+}
+
+/**
+ * Get the shared channel, opening it on first use
+ * @returns {BroadcastChannel|null} - null if the browser has no BroadcastChannel
+ */
+function get_channel() {
+  if (!channel && typeof BroadcastChannel !== 'undefined') {
+    channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (event) => {
+      message_listeners.forEach((listener) => {
+        try {
+          listener(event.data);
+        } catch (err) {
+          console.error('Tab message listener error:', err);
+        }
+      });
+    };
+  }
+
+  return channel;
+}
+
+/**
+ * Send a message to every other tab
+ * @param {Object} message - { type, ... }; must be structured-cloneable
+ */
+export function broadcast(message) {
+  get_channel()?.postMessage(message);
+}
+
+/**
+ * Add listener for messages from other tabs
+ * @param {Function} listener
+ * @returns {Function} Unsubscribe function
+ */
+export function on_broadcast(listener) {
+  get_channel();
+  message_listeners.add(listener);
+  return () => message_listeners.delete(listener);
+}
+
+/**
+ * Compete for leadership; this tab becomes leader now or once the current leader goes away
+ * Browsers without Web Locks can't coordinate, so every tab leads on its own as before
+ */
+export function join_election() {
+  if (joined) {
+    return;
+  }
+  joined = true;
+
+  if (!navigator.locks) {
+    set_leader(true);
+    return;
+  }
+
+  lock_request = new AbortController();
+  navigator.locks.request(LOCK_NAME, { signal: lock_request.signal }, () => {
+    lock_request = null;
+    set_leader(true);
+
+    // Held until leave_election() or the tab closes
+    return new Promise((resolve) => {
+      release_lock = resolve;
+    });
+  }).catch((err) => {
+    if (err.name !== 'AbortError') {
+      console.error('Leader election error:', err);
+    }
+  });
+}
+
+/**
+ * Give up leadership or stop waiting for it (on logout)
+ */
+export function leave_election() {
+  if (!joined) {
+    return;
+  }
+  joined = false;
+
+  lock_request?.abort();
+  lock_request = null;
+
+  release_lock?.();
+  release_lock = null;
+
+  set_leader(false);
+}
+
+/**
+ * Run a callback as leader if no tab currently leads (used by the service worker)
+ * Without Web Locks there's no telling, so it just runs; idempotency keys make
+ * a push that overlaps with a tab's harmless
+ * @param {Function} callback - Async; runs with is_leader() true
+ * @returns {Promise<boolean>} - False if a tab is leading and the callback was skipped
+ */
+export async function run_if_no_leader(callback) {
+  if (!navigator.locks) {
+    await callback();
+    return true;
+  }
+
+  return navigator.locks.request(LOCK_NAME, { ifAvailable: true }, async (lock) => {
+    if (!lock) {
+      return false;
+    }
+
+    leader = true;
+    try {
+      await callback();
+      return true;
+    } finally {
+      leader = false;
+    }
+  });
+}
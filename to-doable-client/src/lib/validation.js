@@ -4,6 +4,7 @@
  */
 
 const PASSWORD_MIN_LENGTH = 15;
+const PASSPHRASE_MIN_LENGTH = 12;
 const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB
 const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
 
@@ -136,6 +137,23 @@ export function validate_pronouns(pronouns) {
   return { valid: true };
 }
 
+/**
+ * Validate task title
+ * @param {string} title
+ * @returns {{valid: boolean, error?: string}}
+ */
+export function validate_task_title(title) {
+  if (!title || title.trim() === '') {
+    return { valid: false, error: 'Title is required' };
+  }
+
+  if (title.trim().length > 500) {
+    return { valid: false, error: 'Title must be 500 characters or less' };
+  }
+
+  return { valid: true };
+}
+
 /**
  * Validate avatar URL
  * @param {string} url
@@ -184,6 +202,23 @@ export function validate_avatar_file(file) {
   return { valid: true };
 }
 
+/**
+ * Validate the recovery passphrase that backs up the private task key
+ * @param {string} passphrase
+ * @returns {{valid: boolean, error?: string}}
+ */
+export function validate_recovery_passphrase(passphrase) {
+  if (!passphrase || typeof passphrase !== 'string') {
+    return { valid: false, error: 'Recovery passphrase is required' };
+  }
+
+  if (passphrase.length < PASSPHRASE_MIN_LENGTH) {
+    return { valid: false, error: `Recovery passphrase must be at least ${PASSPHRASE_MIN_LENGTH} characters` };
+  }
+
+  return { valid: true };
+}
+
 /**
  * Validate passwords match
  * @param {string} password
@@ -219,3 +254,26 @@ export function sanitize_html(input) {
 
   return input.replace(/[&<>"'/]/g, (char) => html_entities[char]);
 }
+
+/**
+ * Reverse sanitize_html for display
+ * The server stores user text HTML-escaped; React already escapes on render
+ * @param {string} input
+ * @returns {string}
+ */
+export function decode_html(input) {
+  if (typeof input !== 'string') {
+    return '';
+  }
+
+  const html_entities = {
+    '&amp;': '&',
+    '&lt;': '<',
+    '&gt;': '>',
+    '&quot;': '"',
+    '&#x27;': "'",
+    '&#x2F;': '/',
+  };
+
+  return input.replace(/&(amp|lt|gt|quot|#x27|#x2F);/g, (entity) => html_entities[entity]);
+}
@@ -0,0 +1,123 @@
+/**
+ * Passkeys (WebAuthn) in the browser
+ * The server sends ceremony options with binary values as base64url and expects
+ * the credential back in the same form, with snake_case response fields
+ */
+
+/**
+ * Whether this browser can use passkeys
+ * @returns {boolean}
+ */
+export function is_passkey_supported() {
+  return typeof window !== 'undefined'
+    && typeof window.PublicKeyCredential === 'function'
+    && Boolean(navigator.credentials);
+}
+
+/**
+ * Decode base64url to bytes
+ * @param {string} value
+ * @returns {Uint8Array}
+ */
+function from_base64url(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+/**
+ * Encode bytes as base64url (no padding)
+ * @param {ArrayBuffer} buffer
+ * @returns {string}
+ */
+function to_base64url(buffer) {
+  const binary = String.fromCharCode(...new Uint8Array(buffer));
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode the IDs of a credential list from the server
+ * @param {Array<Object>} [descriptors]
+ * @returns {Array<Object>}
+ */
+function decode_descriptors(descriptors = []) {
+  return descriptors.map((descriptor) => ({ ...descriptor, id: from_base64url(descriptor.id) }));
+}
+
+/**
+ * Turn a browser error into one worth showing
+ * @param {Error} err
+ * @returns {Error}
+ */
+function describe_error(err) {
+  if (err.name === 'NotAllowedError' || err.name === 'AbortError') {
+    return new Error('The passkey request was cancelled or timed out');
+  }
+  if (err.name === 'InvalidStateError') {
+    return new Error('This device already has a passkey for your account');
+  }
+  return err;
+}
+
+/**
+ * Create a passkey
+ * @param {Object} options - From POST /auth/passkeys/register/options
+ * @returns {Promise<Object>} - Credential for POST /auth/passkeys/register
+ */
+export async function create_passkey(options) {
+  let credential;
+  try {
+    credential = await navigator.credentials.create({
+      publicKey: {
+        ...options,
+        challenge: from_base64url(options.challenge),
+        user: { ...options.user, id: from_base64url(options.user.id) },
+        excludeCredentials: decode_descriptors(options.excludeCredentials),
+      },
+    });
+  } catch (err) {
+    throw describe_error(err);
+  }
+
+  return {
+    id: credential.id,
+    type: credential.type,
+    response: {
+      client_data_json: to_base64url(credential.response.clientDataJSON),
+      attestation_object: to_base64url(credential.response.attestationObject),
+      transports: credential.response.getTransports?.() ?? [],
+    },
+  };
+}
+
+/**
+ * Sign in with a passkey
+ * @param {Object} options - From POST /auth/passkeys/login/options
+ * @returns {Promise<Object>} - Credential for POST /auth/passkeys/login or /auth/login/mfa
+ */
+export async function get_passkey(options) {
+  let credential;
+  try {
+    credential = await navigator.credentials.get({
+      publicKey: {
+        ...options,
+        challenge: from_base64url(options.challenge),
+        allowCredentials: decode_descriptors(options.allowCredentials),
+      },
+    });
+  } catch (err) {
+    throw describe_error(err);
+  }
+
+  const { response } = credential;
+  return {
+    id: credential.id,
+    type: credential.type,
+    response: {
+      client_data_json: to_base64url(response.clientDataJSON),
+      authenticator_data: to_base64url(response.authenticatorData),
+      signature: to_base64url(response.signature),
+      user_handle: response.userHandle ? to_base64url(response.userHandle) : null,
+    },
+  };
+}
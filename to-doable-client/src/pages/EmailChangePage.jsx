@@ -0,0 +1,118 @@
+/**
+ * Email change landing page
+ * Confirms a new email address (link sent to it) or cancels the change (link
+ * sent to the old one). Either acts on a click, so mail scanners that open
+ * links don't use the token up
+ */
+
+import { useState } from 'react';
+import { useSearchParams, Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext.jsx';
+import { api } from '../lib/api.js';
+import { Button, Card, CardHeader, CardTitle, CardDescription, CardContent, CardFooter } from '../components/ui/index.js';
+import styles from './AuthPages.module.css';
+
+const COPY = {
+  confirm: {
+    title: 'Confirm your new email address',
+    description: 'Your account will use this address from now on',
+    button: 'Confirm email address',
+    done: 'Your email address was changed.',
+  },
+  cancel: {
+    title: 'Cancel the email change',
+    description: 'Your account will keep its current email address',
+    button: 'Cancel email change',
+    done: 'The email change was cancelled. If you didn\'t ask for it, change your password.',
+  },
+};
+
+/**
+ * @param {Object} props
+ * @param {'confirm'|'cancel'} props.action
+ */
+export function EmailChangePage({ action }) {
+  const { is_authenticated, refresh_auth } = useAuth();
+  const [search_params] = useSearchParams();
+  const token = search_params.get('token');
+  const copy = COPY[action];
+
+  const [loading, set_loading] = useState(false);
+  const [error, set_error] = useState('');
+  const [done, set_done] = useState(false);
+
+  async function handle_submit() {
+    set_loading(true);
+    set_error('');
+
+    try {
+      await api.post(`/auth/change-email/${action}`, { token });
+      set_done(true);
+
+      // Show the new address if this browser is signed in
+      if (action === 'confirm' && is_authenticated) {
+        await refresh_auth().catch(console.error);
+      }
+    } catch (err) {
+      set_error(err.message || 'Something went wrong');
+    } finally {
+      set_loading(false);
+    }
+  }
+
+  if (!token) {
+    return (
+      <div className={styles.container}>
+        <Card className={styles.card}>
+          <CardHeader>
+            <CardTitle>Invalid link</CardTitle>
+            <CardDescription>
+              This link is missing its token. Open the link from the email again.
+            </CardDescription>
+          </CardHeader>
+        </Card>
+      </div>
+    );
+  }
+
+  return (
+    <div className={styles.container}>
+      <Card className={styles.card}>
+        <CardHeader>
+          <CardTitle>{copy.title}</CardTitle>
+          <CardDescription>{copy.description}</CardDescription>
+        </CardHeader>
+
+        {(done || error) && (
+          <CardContent className={styles.content}>
+            {done ? (
+              <div className={styles.notice} role="status">
+                {copy.done}
+              </div>
+            ) : (
+              <div className={styles.error} role="alert">
+                {error}
+              </div>
+            )}
+          </CardContent>
+        )}
+
+        {!done && (
+          <CardFooter className={styles.footer}>
+            <Button onClick={handle_submit} loading={loading} className={styles.submit_btn}>
+              {copy.button}
+            </Button>
+          </CardFooter>
+        )}
+
+        <div className={styles.links}>
+          <p>
+            {is_authenticated
+              ? <Link to="/settings">Go to settings</Link>
+              : <Link to="/login">Go to login</Link>}
+          </p>
+        </div>
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,109 @@
+/**
+ * Forgot password page
+ * Requests a password reset link by email. The server answers the same way
+ * whether or not the email has an account, so the page does too
+ */
+
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { api } from '../lib/api.js';
+import { Button, Input, Label, Card, CardHeader, CardTitle, CardDescription, CardContent, CardFooter } from '../components/ui/index.js';
+import { validate_email } from '../lib/validation.js';
+import styles from './AuthPages.module.css';
+
+export function ForgotPasswordPage() {
+  const [email, set_email] = useState('');
+  const [loading, set_loading] = useState(false);
+  const [error, set_error] = useState('');
+  const [sent, set_sent] = useState(false);
+
+  async function handle_submit(e) {
+    e.preventDefault();
+
+    const email_result = validate_email(email);
+    if (!email_result.valid) {
+      set_error(email_result.error);
+      return;
+    }
+
+    set_loading(true);
+    set_error('');
+
+    try {
+      await api.post('/auth/forgot-password', { email: email_result.value });
+      set_sent(true);
+    } catch (err) {
+      set_error(err.message || 'Failed to request password reset');
+
+      if (err.status === 429) {
+        set_error('Too many password reset requests. Please try again later.');
+      }
+    } finally {
+      set_loading(false);
+    }
+  }
+
+  return (
+    <div className={styles.container}>
+      <Card className={styles.card}>
+        <CardHeader>
+          <CardTitle>Forgot your password?</CardTitle>
+          <CardDescription>
+            Enter your account&apos;s email and we&apos;ll send you a link to choose a new password
+          </CardDescription>
+        </CardHeader>
+
+        {sent ? (
+          <CardContent className={styles.content}>
+            <div className={styles.notice} role="status">
+              If an account exists for {email}, a reset link is on its way.
+              The link expires in an hour and works once.
+            </div>
+          </CardContent>
+        ) : (
+          <form onSubmit={handle_submit}>
+            <CardContent className={styles.content}>
+              {error && (
+                <div className={styles.error} role="alert">
+                  {error}
+                </div>
+              )}
+
+              <div className={styles.field}>
+                <Label htmlFor="email">Email</Label>
+                <Input
+                  id="email"
+                  name="email"
+                  type="email"
+                  value={email}
+                  onChange={(e) => {
+                    set_email(e.target.value);
+                    set_error('');
+                  }}
+                  placeholder="Enter your email"
+                  autoComplete="email"
+                  autoFocus
+                  required
+                  disabled={loading}
+                />
+              </div>
+            </CardContent>
+
+            <CardFooter className={styles.footer}>
+              <Button type="submit" loading={loading} className={styles.submit_btn}>
+                Send reset link
+              </Button>
+            </CardFooter>
+          </form>
+        )}
+
+        <div className={styles.links}>
+          <p>
+            Remembered it?{' '}
+            <Link to="/login">Sign in</Link>
+          </p>
+        </div>
+      </Card>
+    </div>
+  );
+}
@@ -24,7 +24,7 @@ export function HomePage() {
 
         <div className={styles.cta}>
           {is_authenticated ? (
-            <Link to={is_admin ? '/admin' : '/profile'}>
+            <Link to={is_admin ? '/admin' : '/tasks'}>
               <Button size="lg">Go to Dashboard</Button>
             </Link>
           ) : (
@@ -1,17 +1,22 @@
 /**
  * Login page
+ * Accounts with 2FA get a second step asking for an authenticator or recovery code
+ * (or one of their passkeys). A passkey also signs in on its own, without a password
+ * A sign-in link for such an account lands on that second step (router state)
  */
 
 import { useState } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
+import { useNavigate, useLocation, Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext.jsx';
+import { is_passkey_supported } from '../lib/webauthn.js';
 import { useToast } from '../components/ui/Toast.jsx';
 import { Button, Input, Label, Card, CardHeader, CardTitle, CardDescription, CardContent, CardFooter } from '../components/ui/index.js';
 import styles from './AuthPages.module.css';
 
 export function LoginPage() {
   const navigate = useNavigate();
-  const { login } = useAuth();
+  const location = useLocation();
+  const { login, verify_mfa, login_with_passkey, verify_mfa_with_passkey } = useAuth();
   const { add_toast } = useToast();
 
   const [form_data, set_form_data] = useState({
@@ -22,6 +27,12 @@ export function LoginPage() {
   const [loading, set_loading] = useState(false);
   const [error, set_error] = useState('');
 
+  // Second step for accounts with 2FA
+  const [mfa_token, set_mfa_token] = useState(location.state?.mfa_token ?? null);
+  const [mfa_code, set_mfa_code] = useState('');
+  const [use_recovery_code, set_use_recovery_code] = useState(false);
+  const [mfa_has_passkeys, set_mfa_has_passkeys] = useState(Boolean(location.state?.has_passkeys));
+
   function handle_change(e) {
     const { name, value, type, checked } = e.target;
     set_form_data((prev) => ({
@@ -31,6 +42,35 @@ export function LoginPage() {
     set_error('');
   }
 
+  function handle_logged_in(response) {
+    // Check for account recovery flow
+    if (response.code === 'ACCOUNT_DELETED') {
+      navigate('/account-recovery');
+      return;
+    }
+
+    add_toast({
+      title: 'Welcome back!',
+      description: `Logged in as ${response.user.username}`,
+      variant: 'success',
+    });
+
+    // Navigate based on user role
+    if (response.user.is_admin) {
+      navigate('/admin');
+    } else {
+      navigate('/tasks');
+    }
+  }
+
+  function handle_login_error(err) {
+    set_error(err.message || 'Login failed');
+
+    if (err.status === 429) {
+      set_error('Too many login attempts. Please try again later.');
+    }
+  }
+
   async function handle_submit(e) {
     e.preventDefault();
     set_loading(true);
@@ -39,35 +79,173 @@ export function LoginPage() {
     try {
       const response = await login(form_data);
 
-      // Check for account recovery flow
-      if (response.code === 'ACCOUNT_DELETED') {
-        navigate('/account-recovery');
+      if (response.code === 'MFA_REQUIRED') {
+        set_mfa_token(response.mfa_token);
+        set_mfa_has_passkeys(Boolean(response.has_passkeys));
         return;
       }
 
-      add_toast({
-        title: 'Welcome back!',
-        description: `Logged in as ${response.user.username}`,
-        variant: 'success',
-      });
+      handle_logged_in(response);
+    } catch (err) {
+      handle_login_error(err);
+    } finally {
+      set_loading(false);
+    }
+  }
+
+  async function handle_passkey_login() {
+    set_loading(true);
+    set_error('');
 
-      // Navigate based on user role
-      if (response.user.is_admin) {
-        navigate('/admin');
-      } else {
-        navigate('/profile');
+    try {
+      const response = await login_with_passkey({ stay_logged_in: form_data.stay_logged_in });
+      handle_logged_in(response);
+    } catch (err) {
+      handle_login_error(err);
+    } finally {
+      set_loading(false);
+    }
+  }
+
+  async function handle_mfa_passkey() {
+    set_loading(true);
+    set_error('');
+
+    try {
+      const response = await verify_mfa_with_passkey({ mfa_token, password: form_data.password });
+      handle_logged_in(response);
+    } catch (err) {
+      handle_login_error(err);
+
+      if (err.data?.code === 'MFA_EXPIRED') {
+        set_mfa_token(null);
       }
+    } finally {
+      set_loading(false);
+    }
+  }
+
+  async function handle_mfa_submit(e) {
+    e.preventDefault();
+    set_loading(true);
+    set_error('');
+
+    try {
+      const response = await verify_mfa({
+        mfa_token,
+        ...(use_recovery_code ? { recovery_code: mfa_code } : { code: mfa_code }),
+        password: form_data.password,
+      });
+
+      handle_logged_in(response);
     } catch (err) {
-      set_error(err.message || 'Login failed');
+      handle_login_error(err);
+      set_mfa_code('');
 
-      if (err.status === 429) {
-        set_error('Too many login attempts. Please try again later.');
+      // The pending sign-in expired: start again from the password
+      if (err.data?.code === 'MFA_EXPIRED') {
+        set_mfa_token(null);
       }
     } finally {
       set_loading(false);
     }
   }
 
+  function cancel_mfa() {
+    set_mfa_token(null);
+    set_mfa_code('');
+    set_use_recovery_code(false);
+    set_mfa_has_passkeys(false);
+    set_error('');
+    set_form_data((prev) => ({ ...prev, password: '' }));
+  }
+
+  if (mfa_token) {
+    return (
+      <div className={styles.container}>
+        <Card className={styles.card}>
+          <CardHeader>
+            <CardTitle>Two-factor authentication</CardTitle>
+            <CardDescription>
+              {use_recovery_code
+                ? 'Enter one of your recovery codes'
+                : 'Enter the code from your authenticator app'}
+            </CardDescription>
+          </CardHeader>
+
+          <form onSubmit={handle_mfa_submit}>
+            <CardContent className={styles.content}>
+              {error && (
+                <div className={styles.error} role="alert">
+                  {error}
+                </div>
+              )}
+
+              <div className={styles.field}>
+                <Label htmlFor="mfa_code">{use_recovery_code ? 'Recovery code' : 'Authentication code'}</Label>
+                <Input
+                  id="mfa_code"
+                  name="mfa_code"
+                  type="text"
+                  value={mfa_code}
+                  onChange={(e) => {
+                    set_mfa_code(e.target.value);
+                    set_error('');
+                  }}
+                  placeholder={use_recovery_code ? 'abcde-fghij' : '123456'}
+                  inputMode={use_recovery_code ? 'text' : 'numeric'}
+                  autoComplete="one-time-code"
+                  autoFocus
+                  required
+                  disabled={loading}
+                />
+              </div>
+            </CardContent>
+
+            <CardFooter className={styles.footer}>
+              <Button type="submit" loading={loading} className={styles.submit_btn}>
+                Verify
+              </Button>
+              {mfa_has_passkeys && is_passkey_supported() && (
+                <Button
+                  type="button"
+                  variant="outline"
+                  onClick={handle_mfa_passkey}
+                  disabled={loading}
+                  className={styles.submit_btn}
+                >
+                  Use a passkey
+                </Button>
+              )}
+            </CardFooter>
+          </form>
+
+          <div className={styles.links}>
+            <p>
+              <Button
+                type="button"
+                variant="link"
+                size="sm"
+                onClick={() => {
+                  set_use_recovery_code((prev) => !prev);
+                  set_mfa_code('');
+                  set_error('');
+                }}
+              >
+                {use_recovery_code ? 'Use a code from your app' : 'Use a recovery code'}
+              </Button>
+            </p>
+            <p>
+              <Button type="button" variant="link" size="sm" onClick={cancel_mfa}>
+                Sign in as someone else
+              </Button>
+            </p>
+          </div>
+        </Card>
+      </div>
+    );
+  }
+
   return (
     <div className={styles.container}>
       <Card className={styles.card}>
@@ -133,10 +311,27 @@ export function LoginPage() {
             <Button type="submit" loading={loading} className={styles.submit_btn}>
               Sign in
             </Button>
+            {is_passkey_supported() && (
+              <Button
+                type="button"
+                variant="outline"
+                onClick={handle_passkey_login}
+                disabled={loading}
+                className={styles.submit_btn}
+              >
+                Sign in with a passkey
+              </Button>
+            )}
           </CardFooter>
         </form>
 
         <div className={styles.links}>
+          <p>
+            <Link to="/forgot-password">Forgot your password?</Link>
+          </p>
+          <p>
+            <Link to="/magic-link">Email me a sign-in link</Link>
+          </p>
           <p>
             Don't have an account?{' '}
             <Link to="/register">Create one</Link>
@@ -0,0 +1,122 @@
+/**
+ * Sign-in link page
+ * Emails a link that signs in without a password. The server answers the same
+ * way whether or not the email has an account, so the page does too
+ */
+
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { api } from '../lib/api.js';
+import { Button, Input, Label, Card, CardHeader, CardTitle, CardDescription, CardContent, CardFooter } from '../components/ui/index.js';
+import { validate_email } from '../lib/validation.js';
+import styles from './AuthPages.module.css';
+
+export function MagicLinkPage() {
+  const [email, set_email] = useState('');
+  const [stay_logged_in, set_stay_logged_in] = useState(false);
+  const [loading, set_loading] = useState(false);
+  const [error, set_error] = useState('');
+  const [sent, set_sent] = useState(false);
+
+  async function handle_submit(e) {
+    e.preventDefault();
+
+    const email_result = validate_email(email);
+    if (!email_result.valid) {
+      set_error(email_result.error);
+      return;
+    }
+
+    set_loading(true);
+    set_error('');
+
+    try {
+      await api.post('/auth/magic-link', { email: email_result.value, stay_logged_in });
+      set_sent(true);
+    } catch (err) {
+      set_error(err.message || 'Failed to send sign-in link');
+
+      if (err.status === 429) {
+        set_error('Too many sign-in attempts. Please try again later.');
+      }
+    } finally {
+      set_loading(false);
+    }
+  }
+
+  return (
+    <div className={styles.container}>
+      <Card className={styles.card}>
+        <CardHeader>
+          <CardTitle>Sign in with email</CardTitle>
+          <CardDescription>
+            Enter your account&apos;s email and we&apos;ll send you a link that signs you in
+          </CardDescription>
+        </CardHeader>
+
+        {sent ? (
+          <CardContent className={styles.content}>
+            <div className={styles.notice} role="status">
+              If an account exists for {email}, a sign-in link is on its way.
+              The link expires in 15 minutes and works once.
+            </div>
+          </CardContent>
+        ) : (
+          <form onSubmit={handle_submit}>
+            <CardContent className={styles.content}>
+              {error && (
+                <div className={styles.error} role="alert">
+                  {error}
+                </div>
+              )}
+
+              <div className={styles.field}>
+                <Label htmlFor="email">Email</Label>
+                <Input
+                  id="email"
+                  name="email"
+                  type="email"
+                  value={email}
+                  onChange={(e) => {
+                    set_email(e.target.value);
+                    set_error('');
+                  }}
+                  placeholder="Enter your email"
+                  autoComplete="email"
+                  autoFocus
+                  required
+                  disabled={loading}
+                />
+              </div>
+
+              <div className={styles.checkbox_field}>
+                <input
+                  type="checkbox"
+                  id="stay_logged_in"
+                  name="stay_logged_in"
+                  checked={stay_logged_in}
+                  onChange={(e) => set_stay_logged_in(e.target.checked)}
+                  disabled={loading}
+                />
+                <Label htmlFor="stay_logged_in">Stay logged in</Label>
+              </div>
+            </CardContent>
+
+            <CardFooter className={styles.footer}>
+              <Button type="submit" loading={loading} className={styles.submit_btn}>
+                Email me a sign-in link
+              </Button>
+            </CardFooter>
+          </form>
+        )}
+
+        <div className={styles.links}>
+          <p>
+            Know your password?{' '}
+            <Link to="/login">Sign in</Link>
+          </p>
+        </div>
+      </Card>
+    </div>
+  );
+}
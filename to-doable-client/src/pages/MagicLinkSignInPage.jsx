@@ -0,0 +1,117 @@
+/**
+ * Sign-in link landing page
+ * Exchanges the token from an emailed link for a session. It waits for a click,
+ * so mail scanners that open links don't use up the single-use token.
+ * Accounts with 2FA continue on the login page's second step
+ */
+
+import { useState } from 'react';
+import { useNavigate, useSearchParams, Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext.jsx';
+import { useToast } from '../components/ui/Toast.jsx';
+import { Button, Card, CardHeader, CardTitle, CardDescription, CardContent, CardFooter } from '../components/ui/index.js';
+import styles from './AuthPages.module.css';
+
+export function MagicLinkSignInPage() {
+  const navigate = useNavigate();
+  const { login_with_magic_link } = useAuth();
+  const { add_toast } = useToast();
+  const [search_params] = useSearchParams();
+  const token = search_params.get('token');
+
+  const [loading, set_loading] = useState(false);
+  const [error, set_error] = useState('');
+
+  async function handle_sign_in() {
+    set_loading(true);
+    set_error('');
+
+    try {
+      const response = await login_with_magic_link({ token });
+
+      if (response.code === 'MFA_REQUIRED') {
+        navigate('/login', {
+          state: { mfa_token: response.mfa_token, has_passkeys: response.has_passkeys },
+        });
+        return;
+      }
+
+      // Check for account recovery flow
+      if (response.code === 'ACCOUNT_DELETED') {
+        navigate('/account-recovery');
+        return;
+      }
+
+      add_toast({
+        title: 'Welcome back!',
+        description: `Logged in as ${response.user.username}`,
+        variant: 'success',
+      });
+
+      navigate(response.user.is_admin ? '/admin' : '/tasks');
+    } catch (err) {
+      set_error(err.message || 'Login failed');
+
+      if (err.status === 429) {
+        set_error('Too many login attempts. Please try again later.');
+      }
+    } finally {
+      set_loading(false);
+    }
+  }
+
+  if (!token) {
+    return (
+      <div className={styles.container}>
+        <Card className={styles.card}>
+          <CardHeader>
+            <CardTitle>Invalid sign-in link</CardTitle>
+            <CardDescription>
+              This link is missing its sign-in token. Request a new one to sign in.
+            </CardDescription>
+          </CardHeader>
+
+          <div className={styles.links}>
+            <p>
+              <Link to="/magic-link">Request a new link</Link>
+            </p>
+          </div>
+        </Card>
+      </div>
+    );
+  }
+
+  return (
+    <div className={styles.container}>
+      <Card className={styles.card}>
+        <CardHeader>
+          <CardTitle>Sign in to To-Doable</CardTitle>
+          <CardDescription>
+            Continue to sign in with the link from your email
+          </CardDescription>
+        </CardHeader>
+
+        {error && (
+          <CardContent className={styles.content}>
+            <div className={styles.error} role="alert">
+              {error}
+            </div>
+          </CardContent>
+        )}
+
+        <CardFooter className={styles.footer}>
+          <Button onClick={handle_sign_in} loading={loading} className={styles.submit_btn}>
+            Sign in
+          </Button>
+        </CardFooter>
+
+        <div className={styles.links}>
+          <p>
+            Link expired?{' '}
+            <Link to="/magic-link">Request a new one</Link>
+          </p>
+        </div>
+      </Card>
+    </div>
+  );
+}
@@ -5,21 +5,35 @@
  */
 
 import { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext.jsx';
 import { useToast } from '../components/ui/Toast.jsx';
 import {
   Button, Input, Label, Textarea, Card, CardHeader, CardTitle,
   CardContent, CardFooter, Avatar, AvatarImage, AvatarFallback,
-  get_initials, Tabs, TabsList, TabsTrigger, TabsContent, Badge, Spinner
+  get_initials, Tabs, TabsList, TabsTrigger, TabsContent, Badge, Spinner, Select
 } from '../components/ui/index.js';
 import { api, generate_idempotency_key } from '../lib/api.js';
 import { profile_storage } from '../lib/storage.js';
-import { queue_profile_update, is_online, get_sync_status, on_sync_change } from '../lib/sync.js';
+import {
+  queue_profile_update, build_versioned_update, record_conflicts, fetch_and_cache_profile,
+  is_online, get_sync_status, on_sync_change
+} from '../lib/sync.js';
 import { validate_bio, validate_phone, validate_pronouns, validate_avatar_url, validate_avatar_file } from '../lib/validation.js';
 import { VerificationBanner } from '../components/VerificationBanner.jsx';
 import { SyncIndicator } from '../components/SyncIndicator.jsx';
 import styles from './ProfilePage.module.css';
 
+/**
+ * Time zones the browser knows about, with the saved zone always included
+ * @param {string} current - The profile's saved time zone
+ * @returns {Array<string>}
+ */
+function get_time_zones(current) {
+  const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+  return [...new Set([current, 'UTC', ...zones])].filter(Boolean);
+}
+
 export function ProfilePage() {
   const { user, refresh_auth } = useAuth();
   const { add_toast } = useToast();
@@ -32,16 +46,16 @@ export function ProfilePage() {
   const [sync_status, set_sync_status] = useState({ online: true, pending: 0 });
 
   const file_input_ref = useRef(null);
+  // Fields edited here and not saved yet, kept when changes arrive from elsewhere
+  const edited_fields_ref = useRef(new Set());
 
   // Load profile
   useEffect(() => {
     async function load_profile() {
       try {
-        // Try to get from server first if online
+        // Try to get from server first if online (keeping edits not yet synced)
         if (is_online()) {
-          const response = await api.get('/profile');
-          set_profile(response.profile);
-          await profile_storage.save(response.profile);
+          set_profile(await fetch_and_cache_profile(user.id));
         } else {
           // Offline - load from local storage
           const cached = await profile_storage.get(user.id);
@@ -69,25 +83,39 @@ export function ProfilePage() {
     load_profile();
   }, [user.id, add_toast]);
 
-  // Listen for sync status changes
+  // Listen for sync status changes (from this tab or the one that syncs)
   useEffect(() => {
     const unsubscribe = on_sync_change((status) => {
-      set_sync_status(status);
+      set_sync_status((prev) => ({ ...prev, ...status }));
+
+      // Show changes pulled from other devices, without discarding edits in progress
+      if (status.pulled) {
+        profile_storage.get(user.id).then((stored) => {
+          if (!stored) return;
+          set_profile((prev) => {
+            const edited = prev ? [...edited_fields_ref.current].map((name) => [name, prev[name]]) : [];
+            return { ...stored, ...Object.fromEntries(edited) };
+          });
+        }).catch(console.error);
+      }
     });
 
     // Get initial status
     get_sync_status().then(set_sync_status);
 
     return unsubscribe;
-  }, []);
+  }, [user.id]);
 
   function handle_change(e) {
     const { name, value } = e.target;
+    edited_fields_ref.current.add(name);
     set_profile((prev) => ({
       ...prev,
       [name]: value,
     }));
-    set_errors((prev) => ({ ...prev, [name]: '' }));
+    // Both quiet hours inputs share one error
+    const error_key = name.startsWith('quiet_hours_') ? 'quiet_hours' : name;
+    set_errors((prev) => ({ ...prev, [error_key]: '' }));
   }
 
   async function handle_save() {
@@ -103,27 +131,50 @@ export function ProfilePage() {
     const pronouns_result = validate_pronouns(profile.pronouns);
     if (!pronouns_result.valid) new_errors.pronouns = pronouns_result.error;
 
+    if (!profile.quiet_hours_start !== !profile.quiet_hours_end) {
+      new_errors.quiet_hours = 'Set both a start and an end time, or neither';
+    } else if (profile.quiet_hours_start && profile.quiet_hours_start === profile.quiet_hours_end) {
+      new_errors.quiet_hours = 'Start and end must differ';
+    }
+
     if (Object.keys(new_errors).length > 0) {
       set_errors(new_errors);
       return;
     }
 
     set_saving(true);
+    edited_fields_ref.current.clear();
 
     try {
       const changes = {
         bio: profile.bio || null,
         phone: profile.phone || null,
         pronouns: profile.pronouns || null,
+        time_zone: profile.time_zone,
+        quiet_hours_start: profile.quiet_hours_start || null,
+        quiet_hours_end: profile.quiet_hours_end || null,
       };
 
       // If online, save directly; otherwise queue for sync
       if (is_online()) {
-        const response = await api.patch('/profile', changes, {
-          idempotency_key: generate_idempotency_key(),
-        });
-        set_profile(response.profile);
-        await profile_storage.save(response.profile);
+        // Only the fields edited here are sent, so edits made meanwhile on other devices are kept
+        const update = await build_versioned_update('profile', changes, await profile_storage.get(user.id));
+        if (update) {
+          const response = await api.patch('/profile', {
+            ...update.data,
+            field_clocks: update.field_clocks,
+            base_clocks: update.base_clocks,
+          }, {
+            idempotency_key: generate_idempotency_key(),
+          });
+          set_profile(response.profile);
+          await profile_storage.save(response.profile);
+
+          // Same-field edits from another device are kept for review
+          if (response.conflicts?.length > 0) {
+            await record_conflicts('profile', response.profile.id, response.conflicts);
+          }
+        }
       } else {
         // Queue for later sync
         await queue_profile_update(changes, user.id);
@@ -140,6 +191,9 @@ export function ProfilePage() {
         bio: profile.bio || null,
         phone: profile.phone || null,
         pronouns: profile.pronouns || null,
+        time_zone: profile.time_zone,
+        quiet_hours_start: profile.quiet_hours_start || null,
+        quiet_hours_end: profile.quiet_hours_end || null,
       };
       await queue_profile_update(changes, user.id);
 
@@ -387,7 +441,9 @@ export function ProfilePage() {
                   <Badge variant="warning">Unverified</Badge>
                 )}
               </div>
-              <span className={styles.field_hint}>Email cannot be changed</span>
+              <span className={styles.field_hint}>
+                Change it in <Link to="/settings">security settings</Link>
+              </span>
             </div>
 
             <div className={styles.field}>
@@ -405,6 +461,51 @@ export function ProfilePage() {
               )}
             </div>
 
+            <div className={styles.field}>
+              <Label htmlFor="time_zone">Time zone</Label>
+              <Select
+                id="time_zone"
+                name="time_zone"
+                value={profile.time_zone || 'UTC'}
+                onChange={handle_change}
+              >
+                {get_time_zones(profile.time_zone).map((zone) => (
+                  <option key={zone} value={zone}>{zone}</option>
+                ))}
+              </Select>
+              <span className={styles.field_hint}>Used to schedule recurring tasks and reminders</span>
+            </div>
+
+            <div className={styles.field}>
+              <Label htmlFor="quiet_hours_start">Quiet hours</Label>
+              <div className={styles.time_range}>
+                <Input
+                  id="quiet_hours_start"
+                  name="quiet_hours_start"
+                  type="time"
+                  value={profile.quiet_hours_start || ''}
+                  onChange={handle_change}
+                  aria-label="Quiet hours start"
+                  error={!!errors.quiet_hours}
+                />
+                <span>to</span>
+                <Input
+                  id="quiet_hours_end"
+                  name="quiet_hours_end"
+                  type="time"
+                  value={profile.quiet_hours_end || ''}
+                  onChange={handle_change}
+                  aria-label="Quiet hours end"
+                  error={!!errors.quiet_hours}
+                />
+              </div>
+              {errors.quiet_hours ? (
+                <span className={styles.field_error}>{errors.quiet_hours}</span>
+              ) : (
+                <span className={styles.field_hint}>Reminders that fall in this window are sent when it ends</span>
+              )}
+            </div>
+
             <div className={styles.field}>
               <Label htmlFor="phone">Phone</Label>
               <Input
@@ -0,0 +1,184 @@
+/**
+ * Reset password page
+ * Sets a new password with the token from a reset link
+ */
+
+import { useState } from 'react';
+import { useNavigate, useSearchParams, Link } from 'react-router-dom';
+import { api } from '../lib/api.js';
+import { useToast } from '../components/ui/Toast.jsx';
+import { Button, Input, Label, Card, CardHeader, CardTitle, CardDescription, CardContent, CardFooter } from '../components/ui/index.js';
+import { validate_password, validate_passwords_match } from '../lib/validation.js';
+import styles from './AuthPages.module.css';
+
+export function ResetPasswordPage() {
+  const navigate = useNavigate();
+  const { add_toast } = useToast();
+  const [search_params] = useSearchParams();
+  const token = search_params.get('token');
+
+  const [form_data, set_form_data] = useState({
+    new_password: '',
+    confirm_password: '',
+  });
+  const [errors, set_errors] = useState({});
+  const [loading, set_loading] = useState(false);
+  const [server_error, set_server_error] = useState('');
+
+  function handle_change(e) {
+    const { name, value } = e.target;
+    set_form_data((prev) => ({
+      ...prev,
+      [name]: value,
+    }));
+
+    // Clear field error on change
+    set_errors((prev) => ({
+      ...prev,
+      [name]: '',
+    }));
+    set_server_error('');
+  }
+
+  function validate_form() {
+    const new_errors = {};
+
+    const password_result = validate_password(form_data.new_password);
+    if (!password_result.valid) {
+      new_errors.new_password = password_result.error;
+    }
+
+    const match_result = validate_passwords_match(form_data.new_password, form_data.confirm_password);
+    if (!match_result.valid) {
+      new_errors.confirm_password = match_result.error;
+    }
+
+    set_errors(new_errors);
+    return Object.keys(new_errors).length === 0;
+  }
+
+  async function handle_submit(e) {
+    e.preventDefault();
+
+    if (!validate_form()) {
+      return;
+    }
+
+    set_loading(true);
+    set_server_error('');
+
+    try {
+      await api.post('/auth/reset-password', {
+        token,
+        new_password: form_data.new_password,
+      });
+
+      add_toast({
+        title: 'Password reset',
+        description: 'Sign in with your new password.',
+        variant: 'success',
+      });
+
+      navigate('/login');
+    } catch (err) {
+      set_server_error(err.message || 'Failed to reset password');
+    } finally {
+      set_loading(false);
+    }
+  }
+
+  if (!token) {
+    return (
+      <div className={styles.container}>
+        <Card className={styles.card}>
+          <CardHeader>
+            <CardTitle>Invalid reset link</CardTitle>
+            <CardDescription>
+              This link is missing its reset token. Request a new one to reset your password.
+            </CardDescription>
+          </CardHeader>
+
+          <div className={styles.links}>
+            <p>
+              <Link to="/forgot-password">Request a new link</Link>
+            </p>
+          </div>
+        </Card>
+      </div>
+    );
+  }
+
+  return (
+    <div className={styles.container}>
+      <Card className={styles.card}>
+        <CardHeader>
+          <CardTitle>Choose a new password</CardTitle>
+          <CardDescription>
+            You&apos;ll be signed out everywhere and can sign in again with the new password
+          </CardDescription>
+        </CardHeader>
+
+        <form onSubmit={handle_submit}>
+          <CardContent className={styles.content}>
+            {server_error && (
+              <div className={styles.error} role="alert">
+                {server_error}
+              </div>
+            )}
+
+            <div className={styles.field}>
+              <Label htmlFor="new_password" error={!!errors.new_password}>New Password</Label>
+              <Input
+                id="new_password"
+                name="new_password"
+                type="password"
+                value={form_data.new_password}
+                onChange={handle_change}
+                placeholder="Create a password (min 15 characters)"
+                autoComplete="new-password"
+                required
+                disabled={loading}
+                error={!!errors.new_password}
+              />
+              {errors.new_password && (
+                <span className={styles.field_error}>{errors.new_password}</span>
+              )}
+            </div>
+
+            <div className={styles.field}>
+              <Label htmlFor="confirm_password" error={!!errors.confirm_password}>Confirm Password</Label>
+              <Input
+                id="confirm_password"
+                name="confirm_password"
+                type="password"
+                value={form_data.confirm_password}
+                onChange={handle_change}
+                placeholder="Confirm your new password"
+                autoComplete="new-password"
+                required
+                disabled={loading}
+                error={!!errors.confirm_password}
+              />
+              {errors.confirm_password && (
+                <span className={styles.field_error}>{errors.confirm_password}</span>
+              )}
+            </div>
+          </CardContent>
+
+          <CardFooter className={styles.footer}>
+            <Button type="submit" loading={loading} className={styles.submit_btn}>
+              Reset password
+            </Button>
+          </CardFooter>
+        </form>
+
+        <div className={styles.links}>
+          <p>
+            Link expired?{' '}
+            <Link to="/forgot-password">Request a new one</Link>
+          </p>
+        </div>
+      </Card>
+    </div>
+  );
+}
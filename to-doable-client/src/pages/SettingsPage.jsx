@@ -1,14 +1,21 @@
 /**
  * Settings page
- * Password change, theme settings, account deletion
+ * Password change, two-factor authentication, passkeys, offline data encryption,
+ * signed-in sessions, theme settings, account deletion
  */
 
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext.jsx';
 import { useTheme } from '../context/ThemeContext.jsx';
 import { useToast } from '../components/ui/Toast.jsx';
 import { api } from '../lib/api.js';
+import { storage_encryption } from '../lib/storage.js';
+import { TwoFactorSettings } from '../components/TwoFactorSettings.jsx';
+import { PasskeySettings } from '../components/PasskeySettings.jsx';
+import { MagicLinkSettings } from '../components/MagicLinkSettings.jsx';
+import { EmailSettings } from '../components/EmailSettings.jsx';
+import { SessionsSettings } from '../components/SessionsSettings.jsx';
 import {
   Button, Input, Label, Card, CardHeader, CardTitle,
   CardDescription, CardContent, CardFooter,
@@ -33,6 +40,13 @@ export function SettingsPage() {
   const [password_errors, set_password_errors] = useState({});
   const [password_loading, set_password_loading] = useState(false);
 
+  // Offline data encryption (this device, from the next sign-in)
+  const [encrypt_storage, set_encrypt_storage] = useState(false);
+
+  useEffect(() => {
+    storage_encryption.is_enabled().then(set_encrypt_storage).catch(console.error);
+  }, []);
+
   // Delete account state
   const [show_delete_dialog, set_show_delete_dialog] = useState(false);
   const [delete_password, set_delete_password] = useState('');
@@ -97,6 +111,26 @@ export function SettingsPage() {
     }
   }
 
+  async function handle_encrypt_storage_change(e) {
+    const enabled = e.target.checked;
+
+    try {
+      await storage_encryption.set_enabled(enabled);
+      set_encrypt_storage(enabled);
+
+      add_toast({
+        title: enabled ? 'Encryption turned on' : 'Encryption turned off',
+        description: 'This takes effect the next time you sign in on this device.',
+      });
+    } catch (err) {
+      add_toast({
+        title: 'Failed to change setting',
+        description: err.message,
+        variant: 'error',
+      });
+    }
+  }
+
   async function handle_delete_account() {
     if (!delete_password) {
       set_delete_error('Password is required');
@@ -135,6 +169,7 @@ export function SettingsPage() {
       <Tabs default_value="security">
         <TabsList>
           <TabsTrigger value="security">Security</TabsTrigger>
+          <TabsTrigger value="sessions">Sessions</TabsTrigger>
           <TabsTrigger value="appearance">Appearance</TabsTrigger>
           <TabsTrigger value="danger">Danger Zone</TabsTrigger>
         </TabsList>
@@ -206,6 +241,42 @@ export function SettingsPage() {
               </CardFooter>
             </form>
           </Card>
+
+          <EmailSettings className={styles.section_card} />
+
+          <TwoFactorSettings className={styles.section_card} />
+
+          <PasskeySettings className={styles.section_card} />
+
+          <MagicLinkSettings className={styles.section_card} />
+
+          <Card className={styles.section_card}>
+            <CardHeader>
+              <CardTitle>Offline Data</CardTitle>
+              <CardDescription>
+                Encrypt the copy of your data kept on this device, so it can only be read
+                with your password. Useful on shared computers
+              </CardDescription>
+            </CardHeader>
+            <CardContent className={styles.form}>
+              <div className={styles.checkbox_field}>
+                <input
+                  type="checkbox"
+                  id="encrypt_storage"
+                  checked={encrypt_storage}
+                  onChange={handle_encrypt_storage_change}
+                />
+                <Label htmlFor="encrypt_storage">Encrypt offline data on this device</Label>
+              </div>
+              <p className={styles.hint}>
+                {storage_encryption.is_active()
+                  ? 'Your offline data is encrypted in this session.'
+                  : 'Your offline data is not encrypted in this session.'}
+                {' '}Changes take effect the next time you sign in. While encrypted, you&apos;ll
+                be asked for your password after reloading the page.
+              </p>
+            </CardContent>
+          </Card>
         </TabsContent>
 
         {/* Appearance Tab */}
@@ -251,6 +322,11 @@ export function SettingsPage() {
           </Card>
         </TabsContent>
 
+        {/* Sessions Tab */}
+        <TabsContent value="sessions">
+          <SessionsSettings />
+        </TabsContent>
+
         {/* Danger Zone Tab */}
         <TabsContent value="danger">
           <Card className={styles.danger_card}>
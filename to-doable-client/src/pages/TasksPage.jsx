@@ -0,0 +1,389 @@
+/**
+ * Tasks page
+ * Shows the tasks in one list with collapsible subtasks (checklists)
+ * New tasks can repeat using a few common recurrence presets
+ * Private tasks are end-to-end encrypted; they show as locked until this device has the key
+ */
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { useToast } from '../components/ui/Toast.jsx';
+import {
+  Button, Input, Select, Card, CardHeader, CardTitle, CardContent,
+  Dialog, DialogHeader, DialogTitle, DialogDescription, DialogFooter, Spinner
+} from '../components/ui/index.js';
+import { TaskTree, build_task_tree } from '../components/TaskTree.jsx';
+import { PrivateTasksDialog } from '../components/PrivateTasksDialog.jsx';
+import { api, generate_idempotency_key } from '../lib/api.js';
+import { on_sync_change } from '../lib/sync.js';
+import {
+  get_private_tasks_state, encrypt_task_fields, decrypt_tasks, task_display_title,
+} from '../lib/private_tasks.js';
+import { decode_html, validate_task_title } from '../lib/validation.js';
+import styles from './TasksPage.module.css';
+
+// Common recurrence rules (RRULE subset understood by the server)
+const REPEAT_PRESETS = {
+  daily: { label: 'Every day', rule: 'FREQ=DAILY', basis: 'due' },
+  weekdays: { label: 'Every weekday', rule: 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR', basis: 'due' },
+  weekly: { label: 'Every week', rule: 'FREQ=WEEKLY', basis: 'due' },
+  biweekly: { label: 'Every 2 weeks', rule: 'FREQ=WEEKLY;INTERVAL=2', basis: 'due' },
+  month_end: { label: 'Monthly on the last day', rule: 'FREQ=MONTHLY;BYMONTHDAY=-1', basis: 'due' },
+  after_completion: { label: '3 days after completion', rule: 'FREQ=DAILY;INTERVAL=3', basis: 'completion' },
+};
+
+export function TasksPage() {
+  const { add_toast } = useToast();
+
+  const [lists, set_lists] = useState([]);
+  const [list_id, set_list_id] = useState('');
+  const [tasks, set_tasks] = useState([]);
+  const [loading, set_loading] = useState(true);
+  const [collapsed, set_collapsed] = useState(() => new Set());
+
+  const [new_title, set_new_title] = useState('');
+  const [new_repeat, set_new_repeat] = useState('');
+  const [new_private, set_new_private] = useState(false);
+  const [title_error, set_title_error] = useState('');
+  const [adding, set_adding] = useState(false);
+
+  // Parent waiting for the "complete subtasks too?" answer
+  const [pending_complete, set_pending_complete] = useState(null);
+
+  // 'ready', 'locked' or 'not_set_up' (null while unknown, e.g. offline)
+  const [private_state, set_private_state] = useState(null);
+  // { mode: 'set_up' | 'unlock', check_private } while the passphrase dialog is open
+  const [private_dialog, set_private_dialog] = useState(null);
+
+  const tree = useMemo(() => build_task_tree(tasks), [tasks]);
+
+  const show_error = useCallback((description) => {
+    add_toast({
+      title: 'Error',
+      description,
+      variant: 'error',
+    });
+  }, [add_toast]);
+
+  // Load lists and select the default one
+  useEffect(() => {
+    async function load_lists() {
+      try {
+        const response = await api.get('/lists');
+        set_lists(response.lists);
+        const default_list = response.lists.find((list) => list.is_default) || response.lists[0];
+        if (default_list) {
+          set_list_id(default_list.id);
+        } else {
+          set_loading(false);
+        }
+      } catch (err) {
+        show_error('Failed to load lists');
+        set_loading(false);
+      }
+    }
+
+    load_lists();
+  }, [show_error]);
+
+  useEffect(() => {
+    get_private_tasks_state().then(set_private_state).catch(() => set_private_state(null));
+  }, []);
+
+  const load_tasks = useCallback(async () => {
+    if (!list_id) return;
+
+    try {
+      const response = await api.get(`/tasks?list_id=${list_id}&limit=-1`);
+      set_tasks(await decrypt_tasks(response.tasks));
+    } catch (err) {
+      show_error('Failed to load tasks');
+    } finally {
+      set_loading(false);
+    }
+  }, [list_id, show_error]);
+
+  useEffect(() => {
+    load_tasks();
+  }, [load_tasks]);
+
+  // Reload when changes made on another device (or in another tab) are pulled
+  useEffect(() => {
+    return on_sync_change((status) => {
+      if (status.pulled) {
+        load_tasks();
+      }
+    });
+  }, [load_tasks]);
+
+  async function handle_add_task(e) {
+    e.preventDefault();
+
+    const title_result = validate_task_title(new_title);
+    if (!title_result.valid) {
+      set_title_error(title_result.error);
+      return;
+    }
+
+    set_adding(true);
+    try {
+      const preset = REPEAT_PRESETS[new_repeat];
+      const body = await encrypt_task_fields({
+        title: new_title.trim(),
+        list_id,
+        is_private: new_private,
+        recurrence_rule: preset?.rule ?? null,
+        recurrence_basis: preset?.basis,
+      });
+      await api.post('/tasks', body, {
+        idempotency_key: generate_idempotency_key(),
+      });
+      set_new_title('');
+      set_new_repeat('');
+      set_new_private(false);
+      await load_tasks();
+    } catch (err) {
+      set_title_error(err.message || 'Failed to add task');
+    } finally {
+      set_adding(false);
+    }
+  }
+
+  async function handle_add_subtask(parent, title) {
+    // Subtasks of a private task are private too
+    const body = await encrypt_task_fields({ title, parent_id: parent.id, is_private: parent.is_private });
+    await api.post('/tasks', body, {
+      idempotency_key: generate_idempotency_key(),
+    });
+
+    // Make sure the new subtask is visible
+    set_collapsed((prev) => {
+      const next = new Set(prev);
+      next.delete(parent.id);
+      return next;
+    });
+    await load_tasks();
+  }
+
+  async function update_status(task, status, complete_subtasks = false) {
+    try {
+      const response = await api.patch(`/tasks/${task.id}`, { status, complete_subtasks }, {
+        idempotency_key: generate_idempotency_key(),
+      });
+      if (response.next_occurrence?.due_at) {
+        add_toast({
+          title: 'Next occurrence scheduled',
+          description: `Due ${new Date(response.next_occurrence.due_at).toLocaleString()}`,
+          variant: 'success',
+        });
+      }
+      await load_tasks();
+    } catch (err) {
+      show_error(err.message || 'Failed to update task');
+    }
+  }
+
+  function handle_toggle_done(task) {
+    if (task.status === 'done') {
+      update_status(task, 'todo');
+      return;
+    }
+
+    // Ask before completing a parent that still has open subtasks
+    if (task.completed_subtask_count < task.subtask_count) {
+      set_pending_complete(task);
+      return;
+    }
+
+    update_status(task, 'done');
+  }
+
+  async function handle_confirm_complete(complete_subtasks) {
+    const task = pending_complete;
+    set_pending_complete(null);
+    await update_status(task, 'done', complete_subtasks);
+  }
+
+  async function handle_delete(task) {
+    try {
+      const response = await api.delete(`/tasks/${task.id}`);
+      add_toast({
+        title: 'Task deleted',
+        description: response.deleted_subtasks > 0
+          ? `Also deleted ${response.deleted_subtasks} subtask${response.deleted_subtasks === 1 ? '' : 's'}.`
+          : 'Moved to trash.',
+        variant: 'success',
+      });
+      await load_tasks();
+    } catch (err) {
+      show_error(err.message || 'Failed to delete task');
+    }
+  }
+
+  function handle_private_change(e) {
+    if (!e.target.checked) {
+      set_new_private(false);
+      return;
+    }
+
+    if (private_state === 'ready') {
+      set_new_private(true);
+    } else if (private_state) {
+      set_private_dialog({ mode: private_state === 'locked' ? 'unlock' : 'set_up', check_private: true });
+    } else {
+      show_error('Private tasks are not available offline');
+    }
+  }
+
+  function handle_private_done() {
+    if (private_dialog?.check_private) {
+      set_new_private(true);
+    }
+    set_private_dialog(null);
+    set_private_state('ready');
+    load_tasks();
+  }
+
+  function handle_toggle_collapse(task) {
+    set_collapsed((prev) => {
+      const next = new Set(prev);
+      if (next.has(task.id)) {
+        next.delete(task.id);
+      } else {
+        next.add(task.id);
+      }
+      return next;
+    });
+  }
+
+  if (loading) {
+    return (
+      <div className={styles.loading}>
+        <Spinner size="lg" />
+      </div>
+    );
+  }
+
+  return (
+    <div className={styles.container}>
+      <div className={styles.header}>
+        <h1>Tasks</h1>
+        <p className={styles.subtitle}>Break bigger tasks into checklists of subtasks</p>
+      </div>
+
+      <Card>
+        <CardHeader>
+          <div className={styles.card_header}>
+            <CardTitle>
+              {decode_html(lists.find((list) => list.id === list_id)?.name || 'Tasks')}
+            </CardTitle>
+            {lists.length > 1 && (
+              <Select
+                value={list_id}
+                onChange={(e) => set_list_id(e.target.value)}
+                aria-label="List"
+                className={styles.list_select}
+              >
+                {lists.map((list) => (
+                  <option key={list.id} value={list.id}>
+                    {decode_html(list.name)}
+                  </option>
+                ))}
+              </Select>
+            )}
+          </div>
+        </CardHeader>
+
+        <CardContent>
+          <form className={styles.add_form} onSubmit={handle_add_task}>
+            <Input
+              value={new_title}
+              onChange={(e) => {
+                set_new_title(e.target.value);
+                set_title_error('');
+              }}
+              placeholder="Add a task"
+              error={title_error}
+            />
+            <label className={styles.private_toggle}>
+              <input type="checkbox" checked={new_private} onChange={handle_private_change} />
+              Private
+            </label>
+            <Select
+              value={new_repeat}
+              onChange={(e) => set_new_repeat(e.target.value)}
+              aria-label="Repeat"
+              className={styles.repeat_select}
+            >
+              <option value="">Doesn&apos;t repeat</option>
+              {Object.entries(REPEAT_PRESETS).map(([key, preset]) => (
+                <option key={key} value={key}>{preset.label}</option>
+              ))}
+            </Select>
+            <Button type="submit" loading={adding}>
+              Add
+            </Button>
+          </form>
+          {title_error && <p className={styles.error}>{title_error}</p>}
+
+          {tasks.some((task) => task.locked) && (
+            <div className={styles.locked_notice}>
+              <span>Some private tasks are locked on this device.</span>
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => set_private_dialog({ mode: 'unlock', check_private: false })}
+              >
+                Unlock
+              </Button>
+            </div>
+          )}
+
+          {tree.length === 0 ? (
+            <p className={styles.empty}>No tasks yet.</p>
+          ) : (
+            <TaskTree
+              tasks={tree}
+              collapsed={collapsed}
+              on_toggle_collapse={handle_toggle_collapse}
+              on_toggle_done={handle_toggle_done}
+              on_add_subtask={handle_add_subtask}
+              on_delete={handle_delete}
+            />
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Complete parent dialog */}
+      <Dialog open={!!pending_complete} on_close={() => set_pending_complete(null)}>
+        <DialogHeader>
+          <DialogTitle>Complete subtasks too?</DialogTitle>
+          <DialogDescription>
+            {pending_complete && (
+              <>
+                &ldquo;{task_display_title(pending_complete)}&rdquo; still has{' '}
+                {pending_complete.subtask_count - pending_complete.completed_subtask_count} open
+                subtask{pending_complete.subtask_count - pending_complete.completed_subtask_count === 1 ? '' : 's'}.
+              </>
+            )}
+          </DialogDescription>
+        </DialogHeader>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => handle_confirm_complete(false)}>
+            Just this task
+          </Button>
+          <Button onClick={() => handle_confirm_complete(true)}>
+            Complete all
+          </Button>
+        </DialogFooter>
+      </Dialog>
+
+      <PrivateTasksDialog
+        open={!!private_dialog}
+        mode={private_dialog?.mode}
+        on_close={() => set_private_dialog(null)}
+        on_done={handle_private_done}
+      />
+    </div>
+  );
+}
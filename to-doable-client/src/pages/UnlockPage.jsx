@@ -0,0 +1,88 @@
+/**
+ * Unlock page
+ * Shown in place of protected pages when this device encrypts local data and
+ * the page was reloaded: the password unlocks the data again
+ */
+
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext.jsx';
+import { Button, Input, Label, Card, CardHeader, CardTitle, CardDescription, CardContent, CardFooter } from '../components/ui/index.js';
+import styles from './AuthPages.module.css';
+
+export function UnlockPage() {
+  const navigate = useNavigate();
+  const { user, unlock_storage, logout } = useAuth();
+
+  const [password, set_password] = useState('');
+  const [loading, set_loading] = useState(false);
+  const [error, set_error] = useState('');
+
+  async function handle_submit(e) {
+    e.preventDefault();
+    set_loading(true);
+    set_error('');
+
+    try {
+      await unlock_storage(password);
+    } catch (err) {
+      set_error(err.message || 'Failed to unlock');
+      set_loading(false);
+    }
+  }
+
+  async function handle_logout() {
+    await logout();
+    navigate('/login');
+  }
+
+  return (
+    <div className={styles.container}>
+      <Card className={styles.card}>
+        <CardHeader>
+          <CardTitle>Unlock your data</CardTitle>
+          <CardDescription>
+            Your offline data on this device is encrypted. Enter the password
+            for {user?.username} to continue.
+          </CardDescription>
+        </CardHeader>
+
+        <form onSubmit={handle_submit}>
+          <CardContent className={styles.content}>
+            {error && (
+              <div className={styles.error} role="alert">
+                {error}
+              </div>
+            )}
+
+            <div className={styles.field}>
+              <Label htmlFor="unlock_password">Password</Label>
+              <Input
+                id="unlock_password"
+                type="password"
+                value={password}
+                onChange={(e) => {
+                  set_password(e.target.value);
+                  set_error('');
+                }}
+                placeholder="Enter your password"
+                autoComplete="current-password"
+                required
+                disabled={loading}
+              />
+            </div>
+          </CardContent>
+
+          <CardFooter className={styles.footer}>
+            <Button type="submit" loading={loading} className={styles.submit_btn}>
+              Unlock
+            </Button>
+            <Button type="button" variant="ghost" onClick={handle_logout} className={styles.submit_btn}>
+              Sign out instead
+            </Button>
+          </CardFooter>
+        </form>
+      </Card>
+    </div>
+  );
+}
@@ -36,6 +36,10 @@ export function AdminDashboard() {
   const [delete_dialog, set_delete_dialog] = useState({ open: false, user: null });
   const [deleting, set_deleting] = useState(false);
 
+  // Reset 2FA dialog
+  const [reset_mfa_dialog, set_reset_mfa_dialog] = useState({ open: false, user: null });
+  const [resetting_mfa, set_resetting_mfa] = useState(false);
+
   // Debounce search
   useEffect(() => {
     const timer = setTimeout(() => {
@@ -108,6 +112,31 @@ export function AdminDashboard() {
     }
   }
 
+  async function handle_reset_mfa(user) {
+    set_resetting_mfa(true);
+
+    try {
+      await api.post(`/admin/users/${user.id}/reset-2fa`);
+
+      add_toast({
+        title: 'Two-factor authentication reset',
+        description: `${user.username} can now sign in with their password alone.`,
+        variant: 'success',
+      });
+
+      set_reset_mfa_dialog({ open: false, user: null });
+      fetch_users();
+    } catch (err) {
+      add_toast({
+        title: 'Reset failed',
+        description: err.message,
+        variant: 'error',
+      });
+    } finally {
+      set_resetting_mfa(false);
+    }
+  }
+
   async function handle_impersonate(user) {
     try {
       const response = await api.post(`/admin/impersonate/${user.id}`);
@@ -256,6 +285,7 @@ export function AdminDashboard() {
                           <span>{user.username}</span>
                           {user.is_admin && <Badge>Admin</Badge>}
                           <Badge variant={status_badge.variant}>{status_badge.label}</Badge>
+                          {user.totp_enabled_at && <Badge variant="outline">2FA</Badge>}
                         </div>
                         <span className={styles.user_email}>{user.email}</span>
                         <span className={styles.user_date}>
@@ -272,6 +302,15 @@ export function AdminDashboard() {
                       >
                         View
                       </Button>
+                      {user.totp_enabled_at && (
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => set_reset_mfa_dialog({ open: true, user })}
+                        >
+                          Reset 2FA
+                        </Button>
+                      )}
                       {!user.is_admin && (
                         <>
                           <Button
@@ -359,6 +398,40 @@ export function AdminDashboard() {
           </Button>
         </DialogFooter>
       </Dialog>
+
+      {/* Reset 2FA confirmation dialog */}
+      <Dialog
+        open={reset_mfa_dialog.open}
+        on_close={() => set_reset_mfa_dialog({ open: false, user: null })}
+      >
+        <DialogHeader>
+          <DialogTitle>Reset Two-Factor Authentication</DialogTitle>
+          <DialogDescription>
+            Turn off two-factor authentication for {reset_mfa_dialog.user?.username}?
+          </DialogDescription>
+        </DialogHeader>
+        <DialogBody>
+          <p className={styles.delete_warning}>
+            Their authenticator app and recovery codes will stop working, and they will be able
+            to sign in with their password alone. Only do this once you have confirmed who is asking.
+          </p>
+        </DialogBody>
+        <DialogFooter>
+          <Button
+            variant="outline"
+            onClick={() => set_reset_mfa_dialog({ open: false, user: null })}
+          >
+            Cancel
+          </Button>
+          <Button
+            variant="destructive"
+            onClick={() => handle_reset_mfa(reset_mfa_dialog.user)}
+            loading={resetting_mfa}
+          >
+            Reset 2FA
+          </Button>
+        </DialogFooter>
+      </Dialog>
     </div>
   );
 }
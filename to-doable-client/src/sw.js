@@ -0,0 +1,135 @@
+/**
+ * Service worker
+ * Built separately into /sw.js by the plugin in vite.config.js, which fills in
+ * __PRECACHE_URLS__ (index.html, the hashed bundle and public files) and __BUILD_ID__
+ *
+ * - App shell: precached on install, served cache-first; page loads fall back
+ *   to the cached index.html when offline
+ * - API GETs: network first, falling back to the last cached response (none are
+ *   kept while local data is encrypted, since the cache is plaintext)
+ * - Background Sync: pushes the IndexedDB sync queue when the connection returns,
+ *   unless an open tab is already syncing (or local data is encrypted)
+ * A new build waits until the page asks it to take over (see lib/pwa.js)
+ */
+
+import { process_sync_queue } from './lib/sync.js';
+import { sync_queue, storage_encryption } from './lib/storage.js';
+import { run_if_no_leader } from './lib/tabs.js';
+import { SYNC_TAG, API_CACHE } from './lib/pwa.js';
+
+const SHELL_CACHE_PREFIX = 'to-doable-shell-';
+const SHELL_CACHE = SHELL_CACHE_PREFIX + __BUILD_ID__;
+
+// Streams and writes never go through the cache
+const UNCACHED_API_PATHS = ['/api/events'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then((cache) => cache.addAll(__PRECACHE_URLS__)));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter((name) => name.startsWith(SHELL_CACHE_PREFIX) && name !== SHELL_CACHE)
+      .map((name) => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+/**
+ * Whether API responses may be kept in the cache
+ * Not while this device encrypts local data, or still holds data encrypted
+ * before it was turned off
+ * @returns {Promise<boolean>}
+ */
+async function can_cache_api() {
+  return !(await storage_encryption.is_enabled()) && !(await storage_encryption.is_locked());
+}
+
+/**
+ * Network first, keeping a copy of successful responses for offline use
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function fetch_api(request) {
+  const cache = await caches.open(API_CACHE);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok && await can_cache_api()) {
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (err) {
+    return (await cache.match(request)) ?? Response.error();
+  }
+}
+
+/**
+ * Load a page from the network, or the cached app shell when offline
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function fetch_page(request) {
+  try {
+    return await fetch(request);
+  } catch (err) {
+    return (await caches.match('/index.html', { cacheName: SHELL_CACHE })) ?? Response.error();
+  }
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (request.method !== 'GET' || url.origin !== self.location.origin) {
+    return;
+  }
+
+  if (url.pathname.startsWith('/api/')) {
+    if (!UNCACHED_API_PATHS.some((path) => url.pathname.startsWith(path))) {
+      event.respondWith(fetch_api(request));
+    }
+    return;
+  }
+
+  if (request.mode === 'navigate') {
+    event.respondWith(fetch_page(request));
+    return;
+  }
+
+  event.respondWith(
+    caches.match(request, { cacheName: SHELL_CACHE }).then((cached) => cached ?? fetch(request))
+  );
+});
+
+/**
+ * Push the sync queue unless a tab is leading (it syncs by itself)
+ * Rejecting makes the browser try again later, while items are still queued.
+ * Encrypted local data can only be read by a tab that was given the password,
+ * so it is left for the next open tab
+ */
+async function flush_sync_queue() {
+  if (await storage_encryption.is_locked()) {
+    return;
+  }
+
+  const ran = await run_if_no_leader(() => process_sync_queue());
+
+  if (ran && (await sync_queue.count()) > 0) {
+    throw new Error('Sync queue not empty');
+  }
+}
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === SYNC_TAG) {
+    event.waitUntil(flush_sync_queue());
+  }
+});
@@ -1,8 +1,73 @@
-import { defineConfig } from 'vite';
+import { createHash } from 'node:crypto';
+import { existsSync, readdirSync, readFileSync } from 'node:fs';
+import { join, relative } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { defineConfig, build } from 'vite';
 import react from '@vitejs/plugin-react';
 
+/**
+ * Build src/sw.js into dist/sw.js once the app is built
+ * The worker is bundled on its own as a classic script, with the list of files
+ * to precache and a build ID (a hash of every precached file's contents, so
+ * browsers see a new worker whenever any of them changes, public files included)
+ * filled in
+ */
+function service_worker() {
+  let config;
+
+  return {
+    name: 'to-doable-service-worker',
+    apply: 'build',
+
+    configResolved(resolved) {
+      config = resolved;
+    },
+
+    async writeBundle(options, bundle) {
+      const bundle_files = Object.keys(bundle).filter((file) => !file.endsWith('.map'));
+      const public_files = config.publicDir && existsSync(config.publicDir)
+        ? readdirSync(config.publicDir, { recursive: true, withFileTypes: true })
+          .filter((entry) => entry.isFile())
+          .map((entry) => relative(config.publicDir, join(entry.parentPath, entry.name)))
+        : [];
+      const precache_urls = [...bundle_files, ...public_files].map((file) => `/${file}`).sort();
+
+      const hash = createHash('sha256');
+      for (const file of bundle_files.sort()) {
+        const output = bundle[file];
+        hash.update(`${file}\n`).update(output.type === 'chunk' ? output.code : output.source);
+      }
+      for (const file of public_files.sort()) {
+        hash.update(`${file}\n`).update(readFileSync(join(config.publicDir, file)));
+      }
+      const build_id = hash.digest('hex').slice(0, 12);
+
+      await build({
+        configFile: false,
+        logLevel: 'warn',
+        publicDir: false,
+        define: {
+          __PRECACHE_URLS__: JSON.stringify(precache_urls),
+          __BUILD_ID__: JSON.stringify(build_id),
+        },
+        build: {
+          outDir: options.dir,
+          emptyOutDir: false,
+          sourcemap: config.build.sourcemap,
+          lib: {
+            entry: fileURLToPath(new URL('./src/sw.js', import.meta.url)),
+            formats: ['iife'],
+            name: 'to_doable_sw',
+            fileName: () => 'sw.js',
+          },
+        },
+      });
+    },
+  };
+}
+
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), service_worker()],
   server: {
     port: 5173,
     proxy: {
@@ -24,6 +24,9 @@ export const jwt_config = {
   secret: process.env.JWT_SECRET || 'dev-secret-change-in-production',
   access_expiry: process.env.JWT_ACCESS_EXPIRY || '15m',
   refresh_expiry: process.env.JWT_REFRESH_EXPIRY || '7d',
+  // A rotated refresh token used again within this window (e.g. by parallel
+  // requests of the same browser) gets an access token instead of counting as reuse
+  refresh_reuse_grace_seconds: 30,
 };
 
 /**
@@ -88,6 +91,35 @@ export const rate_limit_config = {
       block_escalation: [300, 900, 1800], // 5m, 15m, 30m in seconds
     },
   },
+  // Fixed window per IP, counted whether or not the email has an account
+  password_reset: {
+    max_per_hour: 5,
+  },
+};
+
+/**
+ * Two-factor authentication configuration
+ */
+export const mfa_config = {
+  issuer: 'To-Doable', // Shown in authenticator apps
+  totp_period_seconds: 30,
+  totp_digits: 6,
+  totp_window: 1, // Steps either side of now that are accepted (clock drift)
+  recovery_code_count: 10,
+  pending_token_expiry: '5m', // Time to enter the code after the password
+};
+
+/**
+ * Passkey (WebAuthn) configuration
+ * The relying party is the client app: its origin, and its host name as the ID
+ */
+export const webauthn_config = {
+  rp_name: 'To-Doable', // Shown by the browser when creating a passkey
+  rp_id: new URL(server_config.client_url).hostname,
+  origin: new URL(server_config.client_url).origin,
+  challenge_expiry_minutes: 5,
+  max_passkeys: 10, // Per user
+  nickname_max_length: 50,
 };
 
 /**
@@ -106,6 +138,11 @@ export const avatar_config = {
 export const email_config = {
   verification_expiry_hours: 24,
   resend_cooldown_minutes: 5,
+  password_reset_expiry_minutes: 60,
+  password_reset_cooldown_minutes: 5, // Per account; requests inside it send nothing
+  magic_link_expiry_minutes: 15,
+  magic_link_cooldown_minutes: 1, // Per account; requests inside it send nothing
+  email_change_expiry_hours: 24,
 };
 
 /**
@@ -122,6 +159,93 @@ export const password_config = {
   min_length: 15,
 };
 
+/**
+ * Task limits and allowed values
+ */
+export const task_config = {
+  title_max_length: 500,
+  notes_max_length: 10000,
+  statuses: ['todo', 'in_progress', 'done'],
+  max_priority: 3, // 0 = none, 1 = low, 2 = medium, 3 = high
+  max_depth: 3, // Levels of nesting including the top-level task
+};
+
+/**
+ * Private (end-to-end encrypted) tasks
+ * Title and notes are ciphertext from the browser; the limits allow for base64
+ * and multi-byte characters at task_config's plaintext limits
+ */
+export const private_task_config = {
+  title_max_length: 3000,
+  notes_max_length: 60000,
+  min_key_iterations: 100000, // PBKDF2 iterations protecting the key backup
+  max_key_iterations: 10000000,
+};
+
+/**
+ * Task list limits and defaults
+ */
+export const list_config = {
+  name_max_length: 100,
+  icon_max_length: 50,
+  default_name: 'Inbox', // Created for every new account
+};
+
+/**
+ * Tag limits
+ */
+export const tag_config = {
+  name_max_length: 50,
+  max_per_task: 20,
+  max_filter_tags: 20, // Tags accepted by the ?tags= filter
+};
+
+/**
+ * Recurring task limits
+ */
+export const recurrence_config = {
+  rule_max_length: 255,
+  max_interval: 999,
+  bases: ['due', 'completion'], // Next occurrence follows the due date or the completion time
+  max_search_periods: 1000, // Give up on rules that never match (e.g. BYMONTHDAY=31;BYMONTH=2)
+  materialize_days_ahead: 7, // Pre-create occurrences due within this window
+  max_materialized_per_series: 10, // Per scheduler run
+  default_time_zone: 'UTC',
+};
+
+/**
+ * Task reminder configuration
+ */
+export const reminder_config = {
+  max_per_task: 5,
+  max_minutes_before_due: 30 * 24 * 60, // 30 days
+  batch_size: 100, // Reminders claimed per scheduler run
+  max_attempts: 3, // Email send attempts before a reminder is marked failed
+  max_lateness_minutes: 24 * 60, // Reminders overdue by more than this (e.g. after downtime) are skipped
+};
+
+/**
+ * Sync configuration
+ */
+export const sync_config = {
+  page_size: 500, // Changes per GET /api/sync/changes response
+  max_page_size: 1000,
+  tombstone_retention_days: 30, // Clients offline for longer re-download everything
+  max_push_batch: 200, // Mutations per POST /api/sync/push request
+  max_clock_drift_ms: 5 * 60 * 1000, // How far ahead of server time a device's field clock may be
+};
+
+/**
+ * Real-time event stream (GET /api/events) configuration
+ */
+export const events_config = {
+  heartbeat_ms: 25 * 1000, // Keeps proxies from closing idle streams
+  retry_ms: 5 * 1000, // Reconnect delay suggested to the browser
+  max_stream_ms: 15 * 60 * 1000, // Streams are closed after this, so reconnects re-check the session
+  max_streams_per_user: 10,
+  listen_retry_ms: 5 * 1000, // Delay before re-opening a lost LISTEN connection
+};
+
 /**
  * Validate required environment variables
  * Call on startup to fail fast if config is invalid
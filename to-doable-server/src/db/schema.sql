@@ -41,6 +41,53 @@ CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
 CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
 CREATE INDEX IF NOT EXISTS idx_users_deleted_at ON users(deleted_at) WHERE deleted_at IS NOT NULL;
 
+-- User's IANA time zone (e.g. "Europe/Berlin"), used for recurring task dates
+ALTER TABLE users ADD COLUMN IF NOT EXISTS time_zone VARCHAR(64) NOT NULL DEFAULT 'UTC';
+
+-- Two-factor authentication (TOTP); enabled when totp_enabled_at is set
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(64); -- Base32
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_pending_secret VARCHAR(64); -- Enrollment not yet confirmed with a code
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_step BIGINT; -- Last accepted time step, so each code works once
+
+-- Two-factor recovery codes (single-use)
+CREATE TABLE IF NOT EXISTS mfa_recovery_codes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(255) NOT NULL, -- Store hash, not plain code
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_mfa_recovery_codes_user_id ON mfa_recovery_codes(user_id);
+
+-- Passkeys (WebAuthn credentials)
+CREATE TABLE IF NOT EXISTS webauthn_credentials (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    credential_id TEXT UNIQUE NOT NULL, -- Base64url, as the browser reports it
+    public_key TEXT NOT NULL, -- Base64 SPKI (DER)
+    algorithm INTEGER NOT NULL, -- COSE algorithm: -7 ES256, -8 EdDSA, -257 RS256
+    sign_count BIGINT NOT NULL DEFAULT 0,
+    transports TEXT[] NOT NULL DEFAULT '{}',
+    nickname VARCHAR(50) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_used_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_webauthn_credentials_user_id ON webauthn_credentials(user_id);
+
+-- Pending passkey ceremonies; deleted when answered, so each challenge works once
+-- user_id is NULL for a sign-in with any passkey
+CREATE TABLE IF NOT EXISTS webauthn_challenges (
+    challenge VARCHAR(64) PRIMARY KEY, -- Base64url
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    purpose VARCHAR(20) NOT NULL CHECK (purpose IN ('register', 'login')),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_webauthn_challenges_expires ON webauthn_challenges(expires_at);
+
 -- Email verification tokens
 CREATE TABLE IF NOT EXISTS email_verifications (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -57,6 +104,58 @@ CREATE INDEX IF NOT EXISTS idx_email_verifications_user_id ON email_verification
 CREATE INDEX IF NOT EXISTS idx_email_verifications_token ON email_verifications(token);
 CREATE INDEX IF NOT EXISTS idx_email_verifications_expires ON email_verifications(expires_at);
 
+-- Pending email address changes
+-- One per user; users.email only changes once the link sent to the new address
+-- is followed. The old address gets a link that cancels the change
+CREATE TABLE IF NOT EXISTS email_changes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID UNIQUE NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    new_email VARCHAR(255) NOT NULL,
+    token VARCHAR(255) UNIQUE NOT NULL, -- Hash of the confirm link's token
+    cancel_token VARCHAR(255) UNIQUE NOT NULL, -- Hash of the cancel link's token
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    -- Track resend attempts for cooldown
+    last_sent_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_changes_expires ON email_changes(expires_at);
+
+-- Password reset tokens ("forgot password")
+-- One per user; deleted when used, so each link works once
+CREATE TABLE IF NOT EXISTS password_resets (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID UNIQUE NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(255) UNIQUE NOT NULL, -- Store hash, not plain token
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    -- Track resend attempts for cooldown
+    last_sent_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_resets_expires ON password_resets(expires_at);
+
+-- Passwordless sign-in links ("email me a link")
+-- One per user; deleted when used, so each link works once
+CREATE TABLE IF NOT EXISTS magic_links (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID UNIQUE NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(255) UNIQUE NOT NULL, -- Store hash, not plain token
+    stay_logged_in BOOLEAN NOT NULL DEFAULT FALSE, -- Chosen when the link was requested
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    -- Track resend attempts for cooldown
+    last_sent_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_magic_links_expires ON magic_links(expires_at);
+
+-- Users can turn sign-in links off for their account
+ALTER TABLE users ADD COLUMN IF NOT EXISTS magic_link_enabled BOOLEAN NOT NULL DEFAULT TRUE;
+
 -- Refresh tokens for JWT authentication
 -- Storing these allows us to revoke sessions
 CREATE TABLE IF NOT EXISTS refresh_tokens (
@@ -77,6 +176,17 @@ CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id)
 CREATE INDEX IF NOT EXISTS idx_refresh_tokens_token_hash ON refresh_tokens(token_hash);
 CREATE INDEX IF NOT EXISTS idx_refresh_tokens_expires ON refresh_tokens(expires_at);
 
+-- Refresh token rotation: each use replaces the token with a new one in the
+-- same family (one family = one signed-in session). Rotated tokens are kept until
+-- they expire, so presenting one again is detected and revokes the whole family
+ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS family_id UUID;
+ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS rotated_at TIMESTAMP WITH TIME ZONE;
+UPDATE refresh_tokens SET family_id = id WHERE family_id IS NULL;
+ALTER TABLE refresh_tokens ALTER COLUMN family_id SET DEFAULT uuid_generate_v4();
+ALTER TABLE refresh_tokens ALTER COLUMN family_id SET NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family_id ON refresh_tokens(family_id);
+
 -- Admin impersonation sessions
 -- Track when admin is acting as another user
 CREATE TABLE IF NOT EXISTS impersonation_sessions (
@@ -127,6 +237,15 @@ CREATE TABLE IF NOT EXISTS rate_limit_login_user (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Rate limiting: Password reset requests per IP (fixed window)
+CREATE TABLE IF NOT EXISTS rate_limit_password_reset (
+    ip_address INET PRIMARY KEY,
+    request_count INTEGER DEFAULT 1,
+    window_start TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- Idempotency keys for preventing duplicate requests
 CREATE TABLE IF NOT EXISTS idempotency_keys (
     key VARCHAR(255) PRIMARY KEY,
@@ -150,6 +269,181 @@ CREATE TABLE IF NOT EXISTS cache_persistence (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Task lists
+-- Named groups of tasks per user (e.g. "Work", "Groceries")
+CREATE TABLE IF NOT EXISTS lists (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL, -- Stored HTML-escaped, so may exceed list_config.name_max_length
+    color VARCHAR(7), -- Hex color: #RRGGBB
+    icon TEXT, -- Stored HTML-escaped, so may exceed list_config.icon_max_length
+    position INTEGER NOT NULL DEFAULT 0,
+    is_archived BOOLEAN DEFAULT FALSE,
+    is_default BOOLEAN DEFAULT FALSE, -- The user's "Inbox", cannot be archived or deleted
+
+    -- Timestamps
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    -- Constraints
+    CONSTRAINT list_name_not_empty CHECK (LENGTH(name) >= 1),
+    CONSTRAINT list_color_format CHECK (color IS NULL OR color ~* '^#[0-9a-f]{6}$')
+);
+
+CREATE INDEX IF NOT EXISTS idx_lists_user_id ON lists(user_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_lists_user_name ON lists(user_id, LOWER(name));
+CREATE UNIQUE INDEX IF NOT EXISTS idx_lists_user_default ON lists(user_id) WHERE is_default = TRUE;
+
+-- Tasks
+-- Core to-do items owned by a user
+CREATE TABLE IF NOT EXISTS tasks (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    title TEXT NOT NULL, -- Stored HTML-escaped, so may exceed task_config.title_max_length
+    notes TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'todo',
+    priority SMALLINT NOT NULL DEFAULT 0, -- 0 = none, 1 = low, 2 = medium, 3 = high
+    due_at TIMESTAMP WITH TIME ZONE,
+    position INTEGER NOT NULL DEFAULT 0, -- Manual sort order within the user's tasks
+    completed_at TIMESTAMP WITH TIME ZONE, -- Set when status becomes 'done'
+
+    -- Soft delete support
+    deleted_at TIMESTAMP WITH TIME ZONE,
+
+    -- Timestamps
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    -- Constraints
+    CONSTRAINT task_title_not_empty CHECK (LENGTH(title) >= 1),
+    CONSTRAINT task_status_valid CHECK (status IN ('todo', 'in_progress', 'done')),
+    CONSTRAINT task_priority_range CHECK (priority >= 0 AND priority <= 3)
+);
+
+CREATE INDEX IF NOT EXISTS idx_tasks_user_id ON tasks(user_id);
+CREATE INDEX IF NOT EXISTS idx_tasks_user_position ON tasks(user_id, position) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_tasks_due_at ON tasks(due_at) WHERE due_at IS NOT NULL AND deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_tasks_deleted_at ON tasks(deleted_at) WHERE deleted_at IS NOT NULL;
+
+-- Tasks belong to a list (NULL = not yet assigned, treated as the user's Inbox)
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS list_id UUID REFERENCES lists(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_tasks_list_position ON tasks(list_id, position) WHERE deleted_at IS NULL;
+
+-- Subtasks: a task may have a parent task (nesting depth is limited in the API)
+-- Deleting a parent soft-deletes its subtree; hard deletes cascade
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS parent_id UUID REFERENCES tasks(id) ON DELETE CASCADE;
+CREATE INDEX IF NOT EXISTS idx_tasks_parent_position ON tasks(parent_id, position) WHERE parent_id IS NOT NULL;
+
+-- Tags
+-- Per-user labels (e.g. "@waiting", "@errand") that apply across lists
+CREATE TABLE IF NOT EXISTS tags (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL, -- Stored HTML-escaped, so may exceed tag_config.name_max_length
+    color VARCHAR(7), -- Hex color: #RRGGBB
+
+    -- Timestamps
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    -- Constraints
+    CONSTRAINT tag_name_not_empty CHECK (LENGTH(name) >= 1),
+    CONSTRAINT tag_color_format CHECK (color IS NULL OR color ~* '^#[0-9a-f]{6}$')
+);
+
+CREATE INDEX IF NOT EXISTS idx_tags_user_id ON tags(user_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tags_user_name ON tags(user_id, LOWER(name));
+
+-- Task <-> tag assignments
+CREATE TABLE IF NOT EXISTS task_tags (
+    task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    tag_id UUID NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (task_id, tag_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_tags_tag_id ON task_tags(tag_id);
+
+-- Recurring tasks
+-- Each occurrence is its own task; occurrences of one series share recurrence_series_id
+-- and are numbered by recurrence_index so each one is only ever created once
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence_rule TEXT; -- RFC 5545 RRULE subset, e.g. FREQ=WEEKLY;BYDAY=MO,WE
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence_basis VARCHAR(20)
+    CHECK (recurrence_basis IN ('due', 'completion')); -- Next occurrence follows the due date or the completion time
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence_series_id UUID;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence_index INTEGER;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tasks_recurrence_occurrence ON tasks(recurrence_series_id, recurrence_index)
+    WHERE recurrence_series_id IS NOT NULL;
+
+-- Task reminders
+-- Either an absolute time (remind_at) or relative to the task's due date (minutes_before_due)
+-- status moves pending -> sending -> sent so a reminder is never emailed twice, even across restarts
+CREATE TABLE IF NOT EXISTS task_reminders (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    remind_at TIMESTAMP WITH TIME ZONE,
+    minutes_before_due INTEGER,
+
+    -- Delivery state
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, sending, sent, skipped, failed
+    attempts INTEGER NOT NULL DEFAULT 0,
+    sent_at TIMESTAMP WITH TIME ZONE,
+
+    -- Timestamps
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    -- Constraints
+    CONSTRAINT reminder_time_kind CHECK ((remind_at IS NULL) != (minutes_before_due IS NULL)),
+    CONSTRAINT reminder_minutes_before_due CHECK (minutes_before_due IS NULL OR minutes_before_due >= 0),
+    CONSTRAINT reminder_status CHECK (status IN ('pending', 'sending', 'sent', 'skipped', 'failed'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_reminders_task_id ON task_reminders(task_id);
+CREATE INDEX IF NOT EXISTS idx_task_reminders_pending ON task_reminders(user_id) WHERE status = 'pending';
+
+-- Per-user quiet hours (local time in users.time_zone); reminders due inside the window wait until it ends
+ALTER TABLE users ADD COLUMN IF NOT EXISTS quiet_hours_start TIME;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS quiet_hours_end TIME;
+
+-- Private (end-to-end encrypted) tasks
+-- Title and notes of a private task are ciphertext from the browser (e2e1.<iv>.<data>), stored as sent
+-- and never searched. The key only exists on the user's devices; task_key_backup holds it wrapped with
+-- the user's recovery passphrase so a new device can unlock it: { key_id, salt, iv, iterations, wrapped_key }
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS is_private BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS task_key_backup JSONB;
+
+-- Sync change log
+-- One row per changed entity (task, list, tag, profile) holding the sequence number of its latest change,
+-- so GET /api/sync/changes can return everything changed since a client's cursor.
+-- Sequence numbers are per user and handed out under a row lock on sync_cursors, so they
+-- commit in order and a cursor never skips a change that was still in flight
+CREATE TABLE IF NOT EXISTS sync_cursors (
+    user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    last_seq BIGINT NOT NULL DEFAULT 0, -- Latest sequence number handed out
+    purged_seq BIGINT NOT NULL DEFAULT 0 -- Highest tombstone removed; older cursors must resync from scratch
+);
+
+CREATE TABLE IF NOT EXISTS change_log (
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    entity_type VARCHAR(20) NOT NULL, -- task, list, tag, profile
+    entity_id UUID NOT NULL,
+    seq BIGINT NOT NULL,
+    deleted BOOLEAN NOT NULL DEFAULT FALSE, -- Tombstone: hard deleted, or a task moved to trash
+    changed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (user_id, entity_type, entity_id)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_change_log_user_seq ON change_log(user_id, seq);
+CREATE INDEX IF NOT EXISTS idx_change_log_tombstones ON change_log(changed_at) WHERE deleted = TRUE;
+
+-- Per-field versions for conflict resolution: { field: hybrid logical clock } (see utils/hlc.js).
+-- Concurrent offline edits to different fields both apply; for the same field the later clock wins
+ALTER TABLE users ADD COLUMN IF NOT EXISTS field_versions JSONB NOT NULL DEFAULT '{}';
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS field_versions JSONB NOT NULL DEFAULT '{}';
+ALTER TABLE lists ADD COLUMN IF NOT EXISTS field_versions JSONB NOT NULL DEFAULT '{}';
+
 -- Function to update updated_at timestamp automatically
 CREATE OR REPLACE FUNCTION update_updated_at_column()
 RETURNS TRIGGER AS $$
@@ -189,3 +483,147 @@ CREATE TRIGGER update_cache_persistence_updated_at
     BEFORE UPDATE ON cache_persistence
     FOR EACH ROW
     EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_tasks_updated_at ON tasks;
+CREATE TRIGGER update_tasks_updated_at
+    BEFORE UPDATE ON tasks
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_lists_updated_at ON lists;
+CREATE TRIGGER update_lists_updated_at
+    BEFORE UPDATE ON lists
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_tags_updated_at ON tags;
+CREATE TRIGGER update_tags_updated_at
+    BEFORE UPDATE ON tags
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_task_reminders_updated_at ON task_reminders;
+CREATE TRIGGER update_task_reminders_updated_at
+    BEFORE UPDATE ON task_reminders
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Record a change in the sync change log (see change_log above)
+-- Does nothing while the user is being deleted
+CREATE OR REPLACE FUNCTION record_change(p_user_id UUID, p_entity_type TEXT, p_entity_id UUID, p_deleted BOOLEAN)
+RETURNS VOID AS $$
+DECLARE
+    next_seq BIGINT;
+BEGIN
+    PERFORM 1 FROM users WHERE id = p_user_id;
+    IF NOT FOUND THEN
+        RETURN;
+    END IF;
+
+    INSERT INTO sync_cursors (user_id, last_seq) VALUES (p_user_id, 1)
+    ON CONFLICT (user_id) DO UPDATE SET last_seq = sync_cursors.last_seq + 1
+    RETURNING last_seq INTO next_seq;
+
+    INSERT INTO change_log (user_id, entity_type, entity_id, seq, deleted, changed_at)
+    VALUES (p_user_id, p_entity_type, p_entity_id, next_seq, p_deleted, NOW())
+    ON CONFLICT (user_id, entity_type, entity_id)
+    DO UPDATE SET seq = EXCLUDED.seq, deleted = EXCLUDED.deleted, changed_at = EXCLUDED.changed_at;
+
+    -- Wake the user's open event streams (services/events.js) once the transaction commits;
+    -- identical notifications in one transaction are delivered once
+    PERFORM pg_notify('sync_changes', p_user_id::TEXT);
+END;
+$$ language 'plpgsql';
+
+-- Tasks, lists and tags log themselves; soft-deleted rows (trashed tasks) are logged as tombstones
+CREATE OR REPLACE FUNCTION log_entity_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        PERFORM record_change(OLD.user_id, TG_ARGV[0], OLD.id, TRUE);
+        RETURN OLD;
+    END IF;
+
+    PERFORM record_change(NEW.user_id, TG_ARGV[0], NEW.id, to_jsonb(NEW) ->> 'deleted_at' IS NOT NULL);
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+-- The user's own profile is logged as entity 'profile' with the user's ID
+CREATE OR REPLACE FUNCTION log_profile_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    PERFORM record_change(NEW.id, 'profile', NEW.id, FALSE);
+    RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+-- Tag assignments and reminders are part of the task they belong to
+CREATE OR REPLACE FUNCTION log_task_child_change()
+RETURNS TRIGGER AS $$
+DECLARE
+    row_task_id UUID;
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        row_task_id := OLD.task_id;
+    ELSE
+        row_task_id := NEW.task_id;
+    END IF;
+
+    PERFORM record_change(t.user_id, 'task', t.id, t.deleted_at IS NOT NULL)
+    FROM tasks t WHERE t.id = row_task_id;
+
+    RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+-- Only edits to profile fields; logins and other bookkeeping updates are not changes
+DROP TRIGGER IF EXISTS log_profile_change ON users;
+CREATE TRIGGER log_profile_change
+    AFTER UPDATE ON users
+    FOR EACH ROW
+    WHEN (OLD.field_versions IS DISTINCT FROM NEW.field_versions
+          OR OLD.email IS DISTINCT FROM NEW.email
+          OR OLD.is_verified IS DISTINCT FROM NEW.is_verified)
+    EXECUTE FUNCTION log_profile_change();
+
+DROP TRIGGER IF EXISTS log_tasks_change ON tasks;
+CREATE TRIGGER log_tasks_change
+    AFTER INSERT OR UPDATE OR DELETE ON tasks
+    FOR EACH ROW
+    EXECUTE FUNCTION log_entity_change('task');
+
+DROP TRIGGER IF EXISTS log_lists_change ON lists;
+CREATE TRIGGER log_lists_change
+    AFTER INSERT OR UPDATE OR DELETE ON lists
+    FOR EACH ROW
+    EXECUTE FUNCTION log_entity_change('list');
+
+DROP TRIGGER IF EXISTS log_tags_change ON tags;
+CREATE TRIGGER log_tags_change
+    AFTER INSERT OR UPDATE OR DELETE ON tags
+    FOR EACH ROW
+    EXECUTE FUNCTION log_entity_change('tag');
+
+DROP TRIGGER IF EXISTS log_task_tags_change ON task_tags;
+CREATE TRIGGER log_task_tags_change
+    AFTER INSERT OR DELETE ON task_tags
+    FOR EACH ROW
+    EXECUTE FUNCTION log_task_child_change();
+
+DROP TRIGGER IF EXISTS log_task_reminders_change ON task_reminders;
+CREATE TRIGGER log_task_reminders_change
+    AFTER INSERT OR UPDATE OR DELETE ON task_reminders
+    FOR EACH ROW
+    EXECUTE FUNCTION log_task_child_change();
+
+-- Backfill the change log with entities created before it existed
+SELECT record_change(user_id, 'list', id, FALSE) FROM lists l
+WHERE NOT EXISTS (SELECT 1 FROM change_log c WHERE c.user_id = l.user_id AND c.entity_type = 'list' AND c.entity_id = l.id);
+
+SELECT record_change(user_id, 'tag', id, FALSE) FROM tags g
+WHERE NOT EXISTS (SELECT 1 FROM change_log c WHERE c.user_id = g.user_id AND c.entity_type = 'tag' AND c.entity_id = g.id);
+
+SELECT record_change(user_id, 'task', id, FALSE) FROM tasks t
+WHERE t.deleted_at IS NULL
+  AND NOT EXISTS (SELECT 1 FROM change_log c WHERE c.user_id = t.user_id AND c.entity_type = 'task' AND c.entity_id = t.id);
@@ -14,6 +14,7 @@ import { server_config, validate_config } from './config/index.js';
 import { test_connection, close_pool } from './db/pool.js';
 import { persist_cache, restore_cache } from './services/cache.js';
 import { start_cleanup_jobs, stop_cleanup_jobs } from './jobs/cleanup.js';
+import { close_event_streams } from './services/events.js';
 import {
   csrf_protection,
   csrf_token_setter,
@@ -27,6 +28,12 @@ import authRoutes from './routes/auth.js';
 import profileRoutes from './routes/profile.js';
 import adminRoutes from './routes/admin.js';
 import accountRoutes from './routes/account.js';
+import mfaRoutes from './routes/mfa.js';
+import taskRoutes from './routes/tasks.js';
+import listRoutes from './routes/lists.js';
+import tagRoutes from './routes/tags.js';
+import syncRoutes from './routes/sync.js';
+import eventRoutes from './routes/events.js';
 
 // Validate configuration on startup
 validate_config();
@@ -48,7 +55,7 @@ app.use(cors({
   origin: server_config.client_url,
   credentials: true, // Allow cookies
   methods: ['GET', 'POST', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Idempotency-Key', 'X-CSRF-Token'],
+  allowedHeaders: ['Content-Type', 'Idempotency-Key', 'X-CSRF-Token', 'Last-Event-ID'],
   exposedHeaders: ['Idempotent-Replayed'],
 }));
 
@@ -92,6 +99,12 @@ app.use('/api/auth', authRoutes);
 app.use('/api/profile', profileRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/account', accountRoutes);
+app.use('/api/mfa', mfaRoutes);
+app.use('/api/tasks', taskRoutes);
+app.use('/api/lists', listRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/sync', syncRoutes);
+app.use('/api/events', eventRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -117,6 +130,9 @@ async function graceful_shutdown(signal) {
     console.log('HTTP server closed');
   });
 
+  // End open event streams, which would otherwise keep the server from closing
+  close_event_streams();
+
   try {
     // Stop cleanup jobs
     stop_cleanup_jobs();
@@ -2,14 +2,24 @@
  * Cleanup jobs for expired data
  * Runs on schedule to remove:
  * - Soft-deleted accounts past 30-day retention
+ * - Soft-deleted tasks past 30-day retention
  * - Expired refresh tokens
  * - Expired email verifications
+ * - Expired password reset tokens
+ * - Expired passkey challenges
  * - Expired idempotency keys
  * - Expired impersonation sessions
+ * - Sync tombstones past their retention period
+ * Also hosts other periodic jobs:
+ * - Pre-creating upcoming occurrences of recurring tasks
+ * - Emailing due task reminders
  */
 
 import { query } from '../db/pool.js';
 import { delete_avatar } from '../services/s3.js';
+import { materialize_recurring_tasks } from '../services/recurrence.js';
+import { send_due_reminders } from '../services/reminders.js';
+import { purge_old_tombstones } from '../services/sync.js';
 import { soft_delete_config } from '../config/index.js';
 
 /**
@@ -105,6 +115,24 @@ async function cleanup_deleted_accounts() {
   }
 }
 
+/**
+ * Hard delete tasks that have been in the trash past the retention period
+ */
+async function cleanup_deleted_tasks() {
+  try {
+    const result = await query(
+      `DELETE FROM tasks
+       WHERE deleted_at IS NOT NULL
+       AND deleted_at < NOW() - INTERVAL '${soft_delete_config.retention_days} days'`
+    );
+    if (result.rowCount > 0) {
+      console.log(`Permanently deleted ${result.rowCount} trashed tasks`);
+    }
+  } catch (err) {
+    console.error('Cleanup deleted tasks error:', err);
+  }
+}
+
 /**
  * Remove expired refresh tokens
  */
@@ -137,6 +165,70 @@ async function cleanup_email_verifications() {
   }
 }
 
+/**
+ * Remove email changes that were never confirmed
+ */
+async function cleanup_email_changes() {
+  try {
+    const result = await query(
+      `DELETE FROM email_changes WHERE expires_at < NOW()`
+    );
+    if (result.rowCount > 0) {
+      console.log(`Cleaned up ${result.rowCount} expired email changes`);
+    }
+  } catch (err) {
+    console.error('Cleanup email changes error:', err);
+  }
+}
+
+/**
+ * Remove expired password reset tokens
+ */
+async function cleanup_password_resets() {
+  try {
+    const result = await query(
+      `DELETE FROM password_resets WHERE expires_at < NOW()`
+    );
+    if (result.rowCount > 0) {
+      console.log(`Cleaned up ${result.rowCount} expired password reset tokens`);
+    }
+  } catch (err) {
+    console.error('Cleanup password resets error:', err);
+  }
+}
+
+/**
+ * Remove expired sign-in links
+ */
+async function cleanup_magic_links() {
+  try {
+    const result = await query(
+      `DELETE FROM magic_links WHERE expires_at < NOW()`
+    );
+    if (result.rowCount > 0) {
+      console.log(`Cleaned up ${result.rowCount} expired sign-in links`);
+    }
+  } catch (err) {
+    console.error('Cleanup magic links error:', err);
+  }
+}
+
+/**
+ * Remove passkey challenges that were never answered
+ */
+async function cleanup_webauthn_challenges() {
+  try {
+    const result = await query(
+      `DELETE FROM webauthn_challenges WHERE expires_at < NOW()`
+    );
+    if (result.rowCount > 0) {
+      console.log(`Cleaned up ${result.rowCount} expired passkey challenges`);
+    }
+  } catch (err) {
+    console.error('Cleanup passkey challenges error:', err);
+  }
+}
+
 /**
  * Remove expired idempotency keys
  */
@@ -197,21 +289,75 @@ async function cleanup_rate_limits() {
        SET consecutive_failures = 0, blocked_until = NULL
        WHERE blocked_until IS NOT NULL AND blocked_until < NOW()`
     );
+
+    // Password reset rate limits - drop records whose window has passed
+    await query(
+      `DELETE FROM rate_limit_password_reset
+       WHERE window_start < NOW() - INTERVAL '1 hour'`
+    );
   } catch (err) {
     console.error('Cleanup rate limits error:', err);
   }
 }
 
+/**
+ * Remove old sync tombstones
+ */
+async function cleanup_sync_tombstones() {
+  try {
+    const purged = await purge_old_tombstones();
+    if (purged > 0) {
+      console.log(`Removed ${purged} old sync tombstones`);
+    }
+  } catch (err) {
+    console.error('Cleanup sync tombstones error:', err);
+  }
+}
+
+/**
+ * Create upcoming occurrences of recurring tasks ahead of their due dates
+ */
+async function materialize_recurring_occurrences() {
+  try {
+    const created = await materialize_recurring_tasks();
+    if (created > 0) {
+      console.log(`Created ${created} upcoming recurring task occurrences`);
+    }
+  } catch (err) {
+    console.error('Materialize recurring tasks error:', err);
+  }
+}
+
+/**
+ * Email task reminders that are due
+ */
+async function send_task_reminders() {
+  try {
+    const { sent, failed, skipped } = await send_due_reminders();
+    if (sent > 0 || failed > 0 || skipped > 0) {
+      console.log(`Task reminders: ${sent} sent, ${failed} failed, ${skipped} skipped as stale`);
+    }
+  } catch (err) {
+    console.error('Send task reminders error:', err);
+  }
+}
+
 /**
  * Run all cleanup tasks
  */
 async function run_all_cleanup() {
   await cleanup_deleted_accounts();
+  await cleanup_deleted_tasks();
   await cleanup_refresh_tokens();
   await cleanup_email_verifications();
+  await cleanup_email_changes();
+  await cleanup_password_resets();
+  await cleanup_magic_links();
+  await cleanup_webauthn_challenges();
   await cleanup_idempotency_keys();
   await cleanup_impersonation_sessions();
   await cleanup_rate_limits();
+  await cleanup_sync_tombstones();
 }
 
 /**
@@ -221,12 +367,27 @@ export function start_cleanup_jobs() {
   // Run account cleanup every hour
   scheduler.schedule('cleanup_accounts', 60 * 60 * 1000, cleanup_deleted_accounts);
 
+  // Run trashed task cleanup every hour
+  scheduler.schedule('cleanup_tasks', 60 * 60 * 1000, cleanup_deleted_tasks);
+
   // Run token cleanup every 15 minutes
   scheduler.schedule('cleanup_tokens', 15 * 60 * 1000, cleanup_refresh_tokens);
 
   // Run verification cleanup every hour
   scheduler.schedule('cleanup_verifications', 60 * 60 * 1000, cleanup_email_verifications);
 
+  // Run email change cleanup every hour
+  scheduler.schedule('cleanup_email_changes', 60 * 60 * 1000, cleanup_email_changes);
+
+  // Run password reset cleanup every hour
+  scheduler.schedule('cleanup_password_resets', 60 * 60 * 1000, cleanup_password_resets);
+
+  // Run sign-in link cleanup every hour
+  scheduler.schedule('cleanup_magic_links', 60 * 60 * 1000, cleanup_magic_links);
+
+  // Run passkey challenge cleanup every hour
+  scheduler.schedule('cleanup_webauthn_challenges', 60 * 60 * 1000, cleanup_webauthn_challenges);
+
   // Run idempotency cleanup every hour
   scheduler.schedule('cleanup_idempotency', 60 * 60 * 1000, cleanup_idempotency_keys);
 
@@ -235,6 +396,15 @@ export function start_cleanup_jobs() {
 
   // Run rate limit cleanup every 5 minutes
   scheduler.schedule('cleanup_rate_limits', 5 * 60 * 1000, cleanup_rate_limits);
+
+  // Run sync tombstone cleanup every hour
+  scheduler.schedule('cleanup_tombstones', 60 * 60 * 1000, cleanup_sync_tombstones);
+
+  // Pre-create recurring task occurrences every hour
+  scheduler.schedule('recurring_tasks', 60 * 60 * 1000, materialize_recurring_occurrences);
+
+  // Send due task reminders every minute
+  scheduler.schedule('task_reminders', 60 * 1000, send_task_reminders);
 }
 
 /**
@@ -6,7 +6,7 @@
 
 import { verify_jwt, create_access_token, get_cookie_options } from '../utils/jwt.js';
 import { query } from '../db/pool.js';
-import { hash_token } from '../utils/crypto.js';
+import { rotate_refresh_token } from '../services/sessions.js';
 
 /**
  * Extract access token from cookies
@@ -40,7 +40,8 @@ export async function require_auth(req, res, next) {
 
   const result = verify_jwt(access_token);
 
-  if (!result.valid) {
+  // Other token types (refresh, 2FA pending) are never access tokens
+  if (!result.valid || result.payload.type !== 'access') {
     // Try to refresh the token
     const refresh_token = get_refresh_token(req);
 
@@ -55,12 +56,17 @@ export async function require_auth(req, res, next) {
   }
 
   // Check if user still exists and is not deleted
-  const user = await get_user_by_id(result.payload.sub);
+  const user = await get_user_by_id(result.payload.sub, result.payload.sid);
 
   if (!user) {
     return res.status(401).json({ error: 'User not found' });
   }
 
+  // The session was signed out (from another device, or by a password change)
+  if (!user.session_active) {
+    return res.status(401).json({ error: 'Session has ended' });
+  }
+
   // Attach user to request
   req.user = {
     id: user.id,
@@ -70,6 +76,7 @@ export async function require_auth(req, res, next) {
     is_verified: user.is_verified,
     deleted_at: user.deleted_at,
   };
+  req.session_id = result.payload.sid ?? null;
 
   // Check for impersonation
   if (result.payload.is_impersonation) {
@@ -96,13 +103,13 @@ export async function optional_auth(req, res, next) {
 
   const result = verify_jwt(access_token);
 
-  if (!result.valid) {
+  if (!result.valid || result.payload.type !== 'access') {
     return next();
   }
 
-  const user = await get_user_by_id(result.payload.sub);
+  const user = await get_user_by_id(result.payload.sub, result.payload.sid);
 
-  if (user) {
+  if (user?.session_active) {
     req.user = {
       id: user.id,
       username: user.username,
@@ -175,6 +182,45 @@ export function block_deleted_users(req, res, next) {
   next();
 }
 
+/**
+ * Rotate the refresh token and issue a new access token
+ * Sets both cookies (only the access token when a parallel request already
+ * rotated it, see rotate_refresh_token)
+ * @param {Request} req
+ * @param {Response} res
+ * @param {string} refresh_token
+ * @returns {Promise<Object|null>} - The user, or null if the token is invalid or was reused
+ */
+export async function refresh_session(req, res, refresh_token) {
+  const session = await rotate_refresh_token(refresh_token, req);
+
+  if (!session) {
+    return null;
+  }
+
+  const cookie_options = get_cookie_options(session.session_only);
+  const access_token = create_access_token(session.user, { session_id: session.session_id });
+
+  res.cookie('access_token', access_token, {
+    ...cookie_options,
+    maxAge: 15 * 60 * 1000, // 15 minutes
+  });
+
+  if (session.refresh_token) {
+    // Persistent cookies keep the session's expiry rather than starting over
+    res.cookie('refresh_token', session.refresh_token, {
+      ...cookie_options,
+      ...(cookie_options.maxAge && {
+        maxAge: Math.max(new Date(session.expires_at).getTime() - Date.now(), 0),
+      }),
+    });
+  }
+
+  req.session_id = session.session_id;
+
+  return session.user;
+}
+
 /**
  * Try to refresh access token using refresh token
  * @param {Request} req
@@ -184,59 +230,14 @@ export function block_deleted_users(req, res, next) {
  */
 async function try_refresh_token(req, res, refresh_token) {
   try {
-    const result = verify_jwt(refresh_token);
-
-    if (!result.valid || result.payload.type !== 'refresh') {
-      return false;
-    }
+    const user = await refresh_session(req, res, refresh_token);
 
-    // Verify refresh token exists in database
-    const token_hash = hash_token(refresh_token);
-    const db_result = await query(
-      `SELECT rt.*, u.id, u.username, u.email, u.is_admin, u.is_verified, u.deleted_at
-       FROM refresh_tokens rt
-       JOIN users u ON rt.user_id = u.id
-       WHERE rt.token_hash = $1 AND rt.expires_at > NOW()`,
-      [token_hash]
-    );
-
-    if (db_result.rows.length === 0) {
+    if (!user) {
       return false;
     }
 
-    const record = db_result.rows[0];
-
-    // Update last used
-    await query(
-      `UPDATE refresh_tokens SET last_used_at = NOW() WHERE token_hash = $1`,
-      [token_hash]
-    );
-
-    // Create new access token
-    const user = {
-      id: record.user_id,
-      username: record.username,
-      is_admin: record.is_admin,
-      is_verified: record.is_verified,
-    };
-
-    const new_access_token = create_access_token(user);
-
-    // Set new access token cookie
-    res.cookie('access_token', new_access_token, {
-      ...get_cookie_options(record.is_session_only),
-      maxAge: 15 * 60 * 1000, // 15 minutes
-    });
-
     // Attach user to request
-    req.user = {
-      id: record.user_id,
-      username: record.username,
-      email: record.email,
-      is_admin: record.is_admin,
-      is_verified: record.is_verified,
-      deleted_at: record.deleted_at,
-    };
+    req.user = user;
 
     return true;
   } catch (err) {
@@ -248,14 +249,19 @@ async function try_refresh_token(req, res, refresh_token) {
 /**
  * Get user by ID from database
  * @param {string} user_id
+ * @param {string} [session_id] - From the access token; session_active is
+ *   false once it is signed out (tokens without one, e.g. impersonation, pass)
  * @returns {Promise<Object|null>}
  */
-async function get_user_by_id(user_id) {
+async function get_user_by_id(user_id, session_id = null) {
   try {
     const result = await query(
-      `SELECT id, username, email, is_admin, is_verified, deleted_at
+      `SELECT id, username, email, is_admin, is_verified, deleted_at,
+              ($2::uuid IS NULL OR EXISTS (
+                SELECT 1 FROM refresh_tokens WHERE family_id = $2 AND user_id = users.id AND expires_at > NOW()
+              )) as session_active
        FROM users WHERE id = $1`,
-      [user_id]
+      [user_id, session_id]
     );
 
     return result.rows[0] || null;
@@ -4,8 +4,9 @@
  * - Registration: Fixed window (20/day per IP)
  * - Login IP: Token bucket (5/min per IP)
  * - Login User: Counter + decay (5 consecutive failures per user)
+ * - Password reset: Fixed window (5/hour per IP)
  *
- * All with exponential backoff block escalation
+ * All but password reset with exponential backoff block escalation
  */
 
 import { query } from '../db/pool.js';
@@ -378,3 +379,57 @@ export async function check_user_login_block(user_id) {
     return { blocked: false };
   }
 }
+
+// ============================================
+// PASSWORD RESET RATE LIMITER (Fixed Window)
+// ============================================
+
+/**
+ * Password reset request rate limiter middleware
+ * 5 requests per IP per hour using fixed window. Every request counts, whether
+ * or not the email belongs to an account, so the limit reveals nothing about it
+ */
+export async function rate_limit_password_reset(req, res, next) {
+  const ip = get_client_ip(req);
+  const config = rate_limit_config.password_reset;
+
+  try {
+    const result = await query(
+      `INSERT INTO rate_limit_password_reset (ip_address, request_count, window_start)
+       VALUES ($1, 1, NOW())
+       ON CONFLICT (ip_address) DO UPDATE SET
+         request_count = CASE
+           WHEN rate_limit_password_reset.window_start < NOW() - INTERVAL '1 hour'
+           THEN 1
+           ELSE rate_limit_password_reset.request_count + 1
+         END,
+         window_start = CASE
+           WHEN rate_limit_password_reset.window_start < NOW() - INTERVAL '1 hour'
+           THEN NOW()
+           ELSE rate_limit_password_reset.window_start
+         END,
+         updated_at = NOW()
+       RETURNING request_count, window_start`,
+      [ip]
+    );
+
+    const record = result.rows[0];
+
+    if (record.request_count > config.max_per_hour) {
+      const remaining = Math.ceil(
+        (new Date(record.window_start).getTime() + 60 * 60 * 1000 - Date.now()) / 1000
+      );
+
+      return res.status(429).json({
+        error: 'Too many password reset requests',
+        message: 'Please try again later',
+        retry_after: remaining,
+      });
+    }
+
+    next();
+  } catch (err) {
+    console.error('Password reset rate limit error:', err);
+    next();
+  }
+}
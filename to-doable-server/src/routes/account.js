@@ -1,14 +1,16 @@
 /**
  * Account management routes
- * Handles soft delete, recovery, and permanent deletion
+ * Handles soft delete, recovery, and permanent deletion,
+ * and the backup of the key for private (end-to-end encrypted) tasks
  */
 
 import { Router } from 'express';
 import { query, with_transaction } from '../db/pool.js';
 import { verify_password } from '../utils/crypto.js';
+import { validate_task_key_backup } from '../utils/validation.js';
 import { send_account_deleted_email, send_account_recovered_email } from '../services/email.js';
 import { delete_avatar } from '../services/s3.js';
-import { require_auth } from '../middleware/auth.js';
+import { require_auth, block_deleted_users } from '../middleware/auth.js';
 
 const router = Router();
 
@@ -244,4 +246,60 @@ router.get('/status', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/account/task-key
+ * Get the private task key backup, wrapped in the browser with the user's recovery passphrase
+ * 404 until private tasks have been set up
+ */
+router.get('/task-key', async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT task_key_backup FROM users WHERE id = $1`,
+      [req.user.id]
+    );
+
+    const backup = result.rows[0]?.task_key_backup;
+
+    if (!backup) {
+      return res.status(404).json({ error: 'Private tasks are not set up' });
+    }
+
+    res.json({ backup });
+  } catch (err) {
+    console.error('Get task key error:', err);
+    res.status(500).json({ error: 'Failed to get task key' });
+  }
+});
+
+/**
+ * POST /api/account/task-key
+ * Store the private task key backup: { backup: { key_id, salt, iv, iterations, wrapped_key } }
+ * Only once: key_id is readable by any session, so it can't prove the caller holds
+ * the current key, and a swapped-in key would be used by devices that unlock next
+ */
+router.post('/task-key', block_deleted_users, async (req, res) => {
+  try {
+    const backup_result = validate_task_key_backup(req.body.backup);
+    if (!backup_result.valid) {
+      return res.status(400).json({ error: backup_result.error });
+    }
+
+    const result = await query(
+      `UPDATE users SET task_key_backup = $2
+       WHERE id = $1 AND task_key_backup IS NULL
+       RETURNING id`,
+      [req.user.id, backup_result.value]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({ error: 'Private tasks are already set up' });
+    }
+
+    res.json({ message: 'Task key saved' });
+  } catch (err) {
+    console.error('Save task key error:', err);
+    res.status(500).json({ error: 'Failed to save task key' });
+  }
+});
+
 export default router;
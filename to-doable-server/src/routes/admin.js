@@ -20,6 +20,9 @@ import {
 } from '../utils/validation.js';
 import { create_access_token, get_cookie_options, get_expiry_date } from '../utils/jwt.js';
 import { send_verification_email, send_account_deleted_email } from '../services/email.js';
+import { create_default_list } from '../services/lists.js';
+import { disable_mfa } from '../services/mfa.js';
+import { list_sessions } from '../services/sessions.js';
 import { require_auth, require_admin, block_deleted_users } from '../middleware/auth.js';
 import { idempotency } from '../middleware/idempotency.js';
 import { email_config } from '../config/index.js';
@@ -96,7 +99,8 @@ router.get('/users', async (req, res) => {
 
     // Get users
     const users_result = await query(
-      `SELECT id, username, email, avatar_url, bio, phone, pronouns, is_admin, is_verified, deleted_at, deleted_by_admin, created_at, updated_at
+      `SELECT id, username, email, avatar_url, bio, phone, pronouns, is_admin, is_verified, deleted_at, deleted_by_admin,
+              totp_enabled_at, created_at, updated_at
        FROM users
        ${where_clause}
        ORDER BY created_at DESC
@@ -121,7 +125,7 @@ router.get('/users', async (req, res) => {
 
 /**
  * GET /api/admin/users/:id
- * Get single user details
+ * Get single user details, with the devices they are signed in on
  */
 router.get('/users/:id', async (req, res) => {
   try {
@@ -132,9 +136,9 @@ router.get('/users/:id', async (req, res) => {
 
     const result = await query(
       `SELECT u.id, u.username, u.email, u.avatar_url, u.bio, u.phone, u.pronouns,
-              u.is_admin, u.is_verified, u.deleted_at, u.deleted_by_admin, u.created_at, u.updated_at,
+              u.is_admin, u.is_verified, u.deleted_at, u.deleted_by_admin, u.totp_enabled_at, u.created_at, u.updated_at,
               rl.blocked_until, rl.block_count,
-              (SELECT COUNT(*) FROM refresh_tokens WHERE user_id = u.id AND expires_at > NOW()) as active_sessions
+              (SELECT COUNT(*) FROM refresh_tokens WHERE user_id = u.id AND rotated_at IS NULL AND expires_at > NOW()) as active_sessions
        FROM users u
        LEFT JOIN rate_limit_login_user rl ON u.id = rl.user_id
        WHERE u.id = $1`,
@@ -145,7 +149,9 @@ router.get('/users/:id', async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    res.json({ user: result.rows[0] });
+    const sessions = await list_sessions(id_result.value);
+
+    res.json({ user: { ...result.rows[0], sessions } });
   } catch (err) {
     console.error('Get user error:', err);
     res.status(500).json({ error: 'Failed to get user' });
@@ -200,6 +206,8 @@ router.post('/users', idempotency({ required: true }), async (req, res) => {
 
       const new_user = user_result.rows[0];
 
+      await create_default_list(client, new_user.id);
+
       // If not pre-verified, create verification token
       if (!is_verified) {
         const verification_token = generate_token();
@@ -391,6 +399,30 @@ router.post('/users/:id/unblock', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/admin/users/:id/reset-2fa
+ * Turn off a user's 2FA (e.g. they lost their device and recovery codes)
+ * They can sign in with the password alone and enroll again
+ */
+router.post('/users/:id/reset-2fa', async (req, res) => {
+  try {
+    const id_result = validate_uuid(req.params.id);
+    if (!id_result.valid) {
+      return res.status(400).json({ error: id_result.error });
+    }
+
+    const found = await disable_mfa(id_result.value);
+    if (!found) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ message: 'Two-factor authentication reset' });
+  } catch (err) {
+    console.error('Reset 2FA error:', err);
+    res.status(500).json({ error: 'Failed to reset two-factor authentication' });
+  }
+});
+
 /**
  * POST /api/admin/impersonate/:id
  * Start impersonation session for a user
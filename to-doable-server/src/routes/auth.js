@@ -1,6 +1,8 @@
 /**
  * Authentication routes
- * Handles registration, login, logout, email verification, password change
+ * Handles registration, login (with an optional 2FA step), passkeys, sign-in
+ * links, logout, signed-in sessions, email verification and change, password
+ * change and reset
  */
 
 import { Router } from 'express';
@@ -10,18 +12,54 @@ import {
   validate_email,
   validate_username,
   validate_password,
+  validate_time_zone,
+  validate_passkey_nickname,
+  validate_uuid,
 } from '../utils/validation.js';
 import {
+  verify_jwt,
   create_access_token,
-  create_refresh_token,
+  create_mfa_token,
   get_cookie_options,
-  get_expiry_date,
 } from '../utils/jwt.js';
-import { send_verification_email, send_password_changed_email } from '../services/email.js';
-import { rate_limit_registration, rate_limit_login_ip, record_login_failure, reset_login_failures, check_user_login_block } from '../middleware/rate-limit.js';
-import { require_auth, block_deleted_users } from '../middleware/auth.js';
+import {
+  send_verification_email,
+  send_password_reset_email,
+  send_password_changed_email,
+  send_magic_link_email,
+  send_email_change_verification_email,
+  send_email_change_notice_email,
+} from '../services/email.js';
+import { create_default_list } from '../services/lists.js';
+import { verify_second_factor } from '../services/mfa.js';
+import {
+  list_passkeys,
+  create_registration_options,
+  register_passkey,
+  create_authentication_options,
+  verify_passkey_login,
+  rename_passkey,
+  delete_passkey,
+} from '../services/passkeys.js';
+import {
+  create_session,
+  list_sessions,
+  revoke_session,
+  revoke_session_by_token,
+  revoke_other_sessions,
+} from '../services/sessions.js';
+import { HttpError } from '../utils/errors.js';
+import {
+  rate_limit_registration,
+  rate_limit_login_ip,
+  rate_limit_password_reset,
+  record_login_failure,
+  reset_login_failures,
+  check_user_login_block,
+} from '../middleware/rate-limit.js';
+import { require_auth, block_deleted_users, refresh_session } from '../middleware/auth.js';
 import { idempotency } from '../middleware/idempotency.js';
-import { email_config, jwt_config } from '../config/index.js';
+import { email_config, recurrence_config } from '../config/index.js';
 
 const router = Router();
 
@@ -35,7 +73,7 @@ router.post(
   idempotency({ required: true }),
   async (req, res) => {
     try {
-      const { username, email, password } = req.body;
+      const { username, email, password, time_zone } = req.body;
 
       // Validate inputs
       const username_result = validate_username(username);
@@ -53,6 +91,10 @@ router.post(
         return res.status(400).json({ error: password_result.error });
       }
 
+      // Time zone is optional (the client sends the browser's zone); fall back to the default
+      const time_zone_result = validate_time_zone(time_zone);
+      const user_time_zone = time_zone_result.valid ? time_zone_result.value : recurrence_config.default_time_zone;
+
       // Check for existing user
       const existing = await query(
         `SELECT id FROM users WHERE LOWER(username) = LOWER($1) OR LOWER(email) = LOWER($2)`,
@@ -75,10 +117,10 @@ router.post(
       const user = await with_transaction(async (client) => {
         // Insert user
         const user_result = await client.query(
-          `INSERT INTO users (username, email, password_hash, password_salt)
-           VALUES ($1, $2, $3, $4)
+          `INSERT INTO users (username, email, password_hash, password_salt, time_zone)
+           VALUES ($1, $2, $3, $4, $5)
            RETURNING id, username, email, is_admin, is_verified`,
-          [username_result.value, email_result.value, hash, salt]
+          [username_result.value, email_result.value, hash, salt, user_time_zone]
         );
 
         const new_user = user_result.rows[0];
@@ -90,6 +132,9 @@ router.post(
           [new_user.id, hash_token(verification_token)]
         );
 
+        // Every account starts with an Inbox list
+        await create_default_list(client, new_user.id);
+
         return new_user;
       });
 
@@ -127,7 +172,9 @@ router.post('/login', rate_limit_login_ip, async (req, res) => {
 
     // Find user by username or email
     const user_result = await query(
-      `SELECT id, username, email, password_hash, password_salt, is_admin, is_verified, deleted_at, deleted_by_admin
+      `SELECT id, username, email, password_hash, password_salt, is_admin, is_verified, deleted_at, deleted_by_admin,
+              totp_enabled_at,
+              EXISTS (SELECT 1 FROM webauthn_credentials WHERE user_id = users.id) as has_passkeys
        FROM users
        WHERE LOWER(username) = LOWER($1) OR LOWER(email) = LOWER($1)`,
       [username]
@@ -144,18 +191,7 @@ router.post('/login', rate_limit_login_ip, async (req, res) => {
     // Check if user is blocked from login
     const block_status = await check_user_login_block(user.id);
     if (block_status.blocked) {
-      if (block_status.permanent) {
-        return res.status(403).json({
-          error: 'Account locked',
-          message: 'Too many failed login attempts. Please contact support.',
-        });
-      }
-
-      const remaining = Math.ceil((block_status.until - new Date()) / 1000);
-      return res.status(429).json({
-        error: 'Account temporarily locked',
-        retry_after: remaining,
-      });
+      return send_login_blocked(res, block_status);
     }
 
     // Verify password
@@ -180,31 +216,144 @@ router.post('/login', rate_limit_login_ip, async (req, res) => {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
+    // Check for admin-deleted account (cannot recover)
+    if (user.deleted_at && user.deleted_by_admin) {
+      return res.status(403).json({
+        error: 'Account has been deleted',
+        can_recover: false,
+      });
+    }
+
+    // With 2FA, cookies are only issued once POST /api/auth/login/mfa gets a code
+    // or a passkey (failures are reset there, so a known password doesn't reset
+    // code guesses)
+    if (user.totp_enabled_at) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        code: 'MFA_REQUIRED',
+        mfa_token: create_mfa_token(user, stay_logged_in),
+        has_passkeys: user.has_passkeys,
+      });
+    }
+
     // Reset failure counter on success
     await reset_login_failures(user.id);
 
-    // Check for soft-deleted account (user-deleted, can recover)
-    if (user.deleted_at && !user.deleted_by_admin) {
-      // Issue limited tokens for recovery flow
-      const access_token = create_access_token(user);
-      const refresh_token = create_refresh_token(user, stay_logged_in);
+    await complete_login(req, res, user, stay_logged_in);
+  } catch (err) {
+    console.error('Login error:', err);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
 
-      // Store refresh token
-      await store_refresh_token(user.id, refresh_token, stay_logged_in, req);
+/**
+ * POST /api/auth/login/mfa
+ * Second login step for users with 2FA: exchange the token from
+ * POST /api/auth/login and an authenticator (or recovery) code for a session
+ * One of the user's passkeys (options from POST /api/auth/passkeys/login/options
+ * with the same token) works instead of a code
+ * Wrong codes count as failed logins
+ */
+router.post('/login/mfa', rate_limit_login_ip, async (req, res) => {
+  try {
+    const { mfa_token, code, recovery_code, passkey } = req.body;
 
-      // Set cookies
-      set_auth_cookies(res, access_token, refresh_token, stay_logged_in);
+    const token_result = verify_jwt(mfa_token);
+    if (!token_result.valid || token_result.payload.type !== 'mfa_pending') {
+      return res.status(401).json({ error: 'Sign-in expired. Please sign in again.', code: 'MFA_EXPIRED' });
+    }
 
-      return res.json({
-        message: 'Account is deactivated',
-        code: 'ACCOUNT_DELETED',
-        can_recover: true,
-        user: {
-          id: user.id,
-          username: user.username,
-          deleted_at: user.deleted_at,
-        },
-      });
+    const user_result = await query(
+      `SELECT id, username, email, is_admin, is_verified, deleted_at, deleted_by_admin, totp_enabled_at
+       FROM users WHERE id = $1`,
+      [token_result.payload.sub]
+    );
+
+    const user = user_result.rows[0];
+    if (!user || (user.deleted_at && user.deleted_by_admin) || !user.totp_enabled_at) {
+      return res.status(401).json({ error: 'Sign-in expired. Please sign in again.', code: 'MFA_EXPIRED' });
+    }
+
+    const block_status = await check_user_login_block(user.id);
+    if (block_status.blocked) {
+      return send_login_blocked(res, block_status);
+    }
+
+    const factor_result = passkey
+      ? await verify_passkey_factor(user.id, passkey)
+      : await verify_second_factor(user.id, { code, recovery_code });
+
+    if (!factor_result.valid) {
+      const failure_result = await record_login_failure(user.id);
+
+      if (failure_result.blocked) {
+        return res.status(429).json({
+          error: 'Account temporarily locked',
+          message: 'Too many failed login attempts',
+          retry_after: failure_result.duration,
+        });
+      }
+
+      return res.status(401).json({ error: factor_result.error });
+    }
+
+    await reset_login_failures(user.id);
+
+    await complete_login(req, res, user, token_result.payload.stay_logged_in === true);
+  } catch (err) {
+    console.error('2FA login error:', err);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+/**
+ * POST /api/auth/passkeys/login/options
+ * Start a passkey sign-in
+ * With the mfa_token from POST /api/auth/login, only that user's passkeys are
+ * offered (second login step); otherwise the browser lets the user pick one
+ */
+router.post('/passkeys/login/options', rate_limit_login_ip, async (req, res) => {
+  try {
+    let user_id = null;
+
+    if (req.body.mfa_token !== undefined) {
+      const token_result = verify_jwt(req.body.mfa_token);
+      if (!token_result.valid || token_result.payload.type !== 'mfa_pending') {
+        return res.status(401).json({ error: 'Sign-in expired. Please sign in again.', code: 'MFA_EXPIRED' });
+      }
+      user_id = token_result.payload.sub;
+    }
+
+    const options = await create_authentication_options(user_id);
+    res.json({ options });
+  } catch (err) {
+    console.error('Passkey login options error:', err);
+    res.status(500).json({ error: 'Failed to start passkey sign-in' });
+  }
+});
+
+/**
+ * POST /api/auth/passkeys/login
+ * Sign in with a passkey instead of a password
+ * Passkeys verify the user (PIN or biometrics), so there is no 2FA step
+ */
+router.post('/passkeys/login', rate_limit_login_ip, async (req, res) => {
+  try {
+    const { credential, stay_logged_in = false } = req.body;
+
+    const user_id = await verify_passkey_login(credential);
+
+    const user_result = await query(
+      `SELECT id, username, email, is_admin, is_verified, deleted_at, deleted_by_admin
+       FROM users WHERE id = $1`,
+      [user_id]
+    );
+
+    const user = user_result.rows[0];
+
+    const block_status = await check_user_login_block(user.id);
+    if (block_status.blocked) {
+      return send_login_blocked(res, block_status);
     }
 
     // Check for admin-deleted account (cannot recover)
@@ -215,29 +364,140 @@ router.post('/login', rate_limit_login_ip, async (req, res) => {
       });
     }
 
-    // Create tokens
-    const access_token = create_access_token(user);
-    const refresh_token = create_refresh_token(user, stay_logged_in);
+    await reset_login_failures(user.id);
 
-    // Store refresh token
-    await store_refresh_token(user.id, refresh_token, stay_logged_in, req);
+    await complete_login(req, res, user, stay_logged_in === true);
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Passkey login error:', err);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
 
-    // Set cookies
-    set_auth_cookies(res, access_token, refresh_token, stay_logged_in);
+/**
+ * GET /api/auth/passkeys
+ * List the signed-in user's passkeys
+ */
+router.get('/passkeys', require_auth, block_deleted_users, async (req, res) => {
+  try {
+    const passkeys = await list_passkeys(req.user.id);
+    res.json({ passkeys });
+  } catch (err) {
+    console.error('List passkeys error:', err);
+    res.status(500).json({ error: 'Failed to get passkeys' });
+  }
+});
 
-    res.json({
-      message: 'Login successful',
-      user: {
-        id: user.id,
-        username: user.username,
-        email: user.email,
-        is_admin: user.is_admin,
-        is_verified: user.is_verified,
-      },
+/**
+ * POST /api/auth/passkeys/register/options
+ * Start adding a passkey (needs the password, since a passkey signs in on its own)
+ */
+router.post('/passkeys/register/options', require_auth, block_deleted_users, async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    if (!password || typeof password !== 'string') {
+      return res.status(400).json({ error: 'Password is required' });
+    }
+
+    const user_result = await query(
+      `SELECT id, username, email, password_hash, password_salt FROM users WHERE id = $1`,
+      [req.user.id]
+    );
+
+    const user = user_result.rows[0];
+    if (!(await verify_password(password, user.password_hash, user.password_salt))) {
+      return res.status(401).json({ error: 'Incorrect password' });
+    }
+
+    const options = await create_registration_options(user);
+    res.json({ options });
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Passkey registration options error:', err);
+    res.status(500).json({ error: 'Failed to start adding a passkey' });
+  }
+});
+
+/**
+ * POST /api/auth/passkeys/register
+ * Finish adding a passkey with the browser's response
+ */
+router.post('/passkeys/register', require_auth, block_deleted_users, async (req, res) => {
+  try {
+    const { credential, nickname } = req.body;
+
+    const nickname_result = validate_passkey_nickname(nickname);
+    if (!nickname_result.valid) {
+      return res.status(400).json({ error: nickname_result.error });
+    }
+
+    const passkey = await register_passkey(req.user.id, credential, nickname_result.value);
+
+    res.status(201).json({
+      message: 'Passkey added',
+      passkey,
     });
   } catch (err) {
-    console.error('Login error:', err);
-    res.status(500).json({ error: 'Login failed' });
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Register passkey error:', err);
+    res.status(500).json({ error: 'Failed to add passkey' });
+  }
+});
+
+/**
+ * PATCH /api/auth/passkeys/:id
+ * Rename a passkey
+ */
+router.patch('/passkeys/:id', require_auth, block_deleted_users, async (req, res) => {
+  try {
+    const id_result = validate_uuid(req.params.id);
+    if (!id_result.valid) {
+      return res.status(400).json({ error: id_result.error });
+    }
+
+    const nickname_result = validate_passkey_nickname(req.body.nickname);
+    if (!nickname_result.valid) {
+      return res.status(400).json({ error: nickname_result.error });
+    }
+
+    const passkey = await rename_passkey(req.user.id, id_result.value, nickname_result.value);
+    if (!passkey) {
+      return res.status(404).json({ error: 'Passkey not found' });
+    }
+
+    res.json({ passkey });
+  } catch (err) {
+    console.error('Rename passkey error:', err);
+    res.status(500).json({ error: 'Failed to rename passkey' });
+  }
+});
+
+/**
+ * DELETE /api/auth/passkeys/:id
+ * Remove a passkey
+ */
+router.delete('/passkeys/:id', require_auth, block_deleted_users, async (req, res) => {
+  try {
+    const id_result = validate_uuid(req.params.id);
+    if (!id_result.valid) {
+      return res.status(400).json({ error: id_result.error });
+    }
+
+    if (!(await delete_passkey(req.user.id, id_result.value))) {
+      return res.status(404).json({ error: 'Passkey not found' });
+    }
+
+    res.json({ message: 'Passkey removed' });
+  } catch (err) {
+    console.error('Delete passkey error:', err);
+    res.status(500).json({ error: 'Failed to remove passkey' });
   }
 });
 
@@ -250,12 +510,8 @@ router.post('/logout', require_auth, async (req, res) => {
     const refresh_token = req.cookies?.refresh_token;
 
     if (refresh_token) {
-      // Revoke refresh token
-      const token_hash = hash_token(refresh_token);
-      await query(
-        `DELETE FROM refresh_tokens WHERE token_hash = $1`,
-        [token_hash]
-      );
+      // Revoke the session (every token in its family)
+      await revoke_session_by_token(refresh_token);
     }
 
     // Clear cookies
@@ -275,6 +531,7 @@ router.post('/logout', require_auth, async (req, res) => {
 /**
  * POST /api/auth/refresh
  * Get new access token using refresh token
+ * The refresh token is rotated on every use
  */
 router.post('/refresh', async (req, res) => {
   try {
@@ -284,57 +541,18 @@ router.post('/refresh', async (req, res) => {
       return res.status(401).json({ error: 'No refresh token' });
     }
 
-    const token_hash = hash_token(refresh_token);
-
-    // Verify token exists and is valid
-    const result = await query(
-      `SELECT rt.*, u.id as user_id, u.username, u.email, u.is_admin, u.is_verified, u.deleted_at
-       FROM refresh_tokens rt
-       JOIN users u ON rt.user_id = u.id
-       WHERE rt.token_hash = $1 AND rt.expires_at > NOW()`,
-      [token_hash]
-    );
+    // Rotates the refresh token; a reused one revokes the whole session
+    const user = await refresh_session(req, res, refresh_token);
 
-    if (result.rows.length === 0) {
+    if (!user) {
       res.clearCookie('access_token', { path: '/' });
       res.clearCookie('refresh_token', { path: '/' });
       return res.status(401).json({ error: 'Invalid refresh token' });
     }
 
-    const record = result.rows[0];
-
-    // Update last used
-    await query(
-      `UPDATE refresh_tokens SET last_used_at = NOW() WHERE token_hash = $1`,
-      [token_hash]
-    );
-
-    // Create new access token
-    const user = {
-      id: record.user_id,
-      username: record.username,
-      is_admin: record.is_admin,
-      is_verified: record.is_verified,
-    };
-
-    const access_token = create_access_token(user);
-
-    // Set new access token cookie
-    res.cookie('access_token', access_token, {
-      ...get_cookie_options(record.is_session_only),
-      maxAge: 15 * 60 * 1000, // 15 minutes
-    });
-
     res.json({
       message: 'Token refreshed',
-      user: {
-        id: record.user_id,
-        username: record.username,
-        email: record.email,
-        is_admin: record.is_admin,
-        is_verified: record.is_verified,
-        deleted_at: record.deleted_at,
-      },
+      user,
     });
   } catch (err) {
     console.error('Refresh error:', err);
@@ -342,6 +560,65 @@ router.post('/refresh', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/auth/sessions
+ * List the devices the user is signed in on; is_current marks this one
+ */
+router.get('/sessions', require_auth, block_deleted_users, async (req, res) => {
+  try {
+    const sessions = await list_sessions(req.user.id, req.session_id);
+    res.json({ sessions });
+  } catch (err) {
+    console.error('List sessions error:', err);
+    res.status(500).json({ error: 'Failed to get sessions' });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions
+ * Sign out everywhere else (every session but this one)
+ */
+router.delete('/sessions', require_auth, block_deleted_users, async (req, res) => {
+  try {
+    const count = await revoke_other_sessions(req.user.id, req.session_id);
+
+    res.json({
+      message: count === 1 ? 'Signed out of 1 other session' : `Signed out of ${count} other sessions`,
+      count,
+    });
+  } catch (err) {
+    console.error('Revoke other sessions error:', err);
+    res.status(500).json({ error: 'Failed to sign out other sessions' });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions/:id
+ * Sign out one session; for this one, same as logging out
+ */
+router.delete('/sessions/:id', require_auth, block_deleted_users, async (req, res) => {
+  try {
+    const id_result = validate_uuid(req.params.id);
+    if (!id_result.valid) {
+      return res.status(400).json({ error: id_result.error });
+    }
+
+    if (!(await revoke_session(req.user.id, id_result.value))) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    if (id_result.value === req.session_id) {
+      res.clearCookie('access_token', { path: '/' });
+      res.clearCookie('refresh_token', { path: '/' });
+    }
+
+    res.json({ message: 'Session signed out' });
+  } catch (err) {
+    console.error('Revoke session error:', err);
+    res.status(500).json({ error: 'Failed to sign out session' });
+  }
+});
+
 /**
  * GET /api/auth/verify-email
  * Verify email using token from query param
@@ -466,6 +743,241 @@ router.post('/resend-verification', require_auth, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/auth/change-email
+ * The pending email change, if any
+ */
+router.get('/change-email', require_auth, block_deleted_users, async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT new_email, expires_at, created_at FROM email_changes
+       WHERE user_id = $1 AND expires_at > NOW()`,
+      [req.user.id]
+    );
+
+    res.json({ pending: result.rows[0] || null });
+  } catch (err) {
+    console.error('Get email change error:', err);
+    res.status(500).json({ error: 'Failed to get email change' });
+  }
+});
+
+/**
+ * POST /api/auth/change-email
+ * Start changing the account's email address
+ * The new address gets a confirm link and the current one a notice with a
+ * cancel link; users.email only changes once the new address is confirmed.
+ * A new request replaces a pending one
+ */
+router.post('/change-email', require_auth, block_deleted_users, async (req, res) => {
+  try {
+    const { new_email, password } = req.body;
+
+    if (!password || typeof password !== 'string') {
+      return res.status(400).json({ error: 'Password is required' });
+    }
+
+    const email_result = validate_email(new_email);
+    if (!email_result.valid) {
+      return res.status(400).json({ error: email_result.error });
+    }
+
+    const user_result = await query(
+      `SELECT id, username, email, password_hash, password_salt FROM users WHERE id = $1`,
+      [req.user.id]
+    );
+
+    const user = user_result.rows[0];
+    if (!(await verify_password(password, user.password_hash, user.password_salt))) {
+      return res.status(401).json({ error: 'Incorrect password' });
+    }
+
+    if (email_result.value.toLowerCase() === user.email.toLowerCase()) {
+      return res.status(400).json({ error: 'That is already your email address' });
+    }
+
+    // Checked again on confirmation, since the address can be taken meanwhile
+    const existing = await query(
+      `SELECT id FROM users WHERE LOWER(email) = LOWER($1)`,
+      [email_result.value]
+    );
+
+    if (existing.rows.length > 0) {
+      return res.status(409).json({ error: 'That email address is already in use' });
+    }
+
+    // Check cooldown
+    const recent = await query(
+      `SELECT last_sent_at FROM email_changes
+       WHERE user_id = $1 AND last_sent_at > NOW() - INTERVAL '${email_config.resend_cooldown_minutes} minutes'`,
+      [user.id]
+    );
+
+    if (recent.rows.length > 0) {
+      const wait_time = Math.ceil(
+        (new Date(recent.rows[0].last_sent_at).getTime() +
+          email_config.resend_cooldown_minutes * 60 * 1000 -
+          Date.now()) /
+          1000
+      );
+
+      return res.status(429).json({
+        error: 'Please wait before requesting another email change',
+        retry_after: wait_time,
+      });
+    }
+
+    const confirm_token = generate_token();
+    const cancel_token = generate_token();
+
+    const result = await query(
+      `INSERT INTO email_changes (user_id, new_email, token, cancel_token, expires_at, last_sent_at)
+       VALUES ($1, $2, $3, $4, NOW() + INTERVAL '${email_config.email_change_expiry_hours} hours', NOW())
+       ON CONFLICT (user_id) DO UPDATE SET
+         new_email = $2,
+         token = $3,
+         cancel_token = $4,
+         expires_at = NOW() + INTERVAL '${email_config.email_change_expiry_hours} hours',
+         last_sent_at = NOW()
+       RETURNING new_email, expires_at, created_at`,
+      [user.id, email_result.value, hash_token(confirm_token), hash_token(cancel_token)]
+    );
+
+    send_email_change_verification_email(email_result.value, user.username, confirm_token)
+      .catch((err) => console.error('Failed to send email change verification:', err));
+    send_email_change_notice_email(user.email, user.username, email_result.value, cancel_token)
+      .catch((err) => console.error('Failed to send email change notice:', err));
+
+    res.json({
+      message: `We sent a confirmation link to ${email_result.value}`,
+      pending: result.rows[0],
+    });
+  } catch (err) {
+    console.error('Email change request error:', err);
+    res.status(500).json({ error: 'Failed to start email change' });
+  }
+});
+
+/**
+ * DELETE /api/auth/change-email
+ * Cancel the pending email change
+ */
+router.delete('/change-email', require_auth, block_deleted_users, async (req, res) => {
+  try {
+    const result = await query(
+      `DELETE FROM email_changes WHERE user_id = $1`,
+      [req.user.id]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'No email change is pending' });
+    }
+
+    res.json({ message: 'Email change cancelled' });
+  } catch (err) {
+    console.error('Cancel email change error:', err);
+    res.status(500).json({ error: 'Failed to cancel email change' });
+  }
+});
+
+/**
+ * POST /api/auth/change-email/confirm
+ * Switch to the new address with the token from the link sent to it
+ * Works without a session, since the link may be opened anywhere. Links
+ * already sent to the old address (verification, password reset, sign-in) stop working
+ */
+router.post('/change-email/confirm', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ error: 'Confirmation token required' });
+    }
+
+    const new_email = await with_transaction(async (client) => {
+      const change_result = await client.query(
+        `DELETE FROM email_changes
+         WHERE token = $1 AND expires_at > NOW()
+         RETURNING user_id, new_email`,
+        [hash_token(token)]
+      );
+
+      if (change_result.rows.length === 0) {
+        throw new HttpError(400, 'Invalid or expired confirmation link');
+      }
+
+      const { user_id, new_email: email } = change_result.rows[0];
+
+      // Someone else may have registered (or switched to) the address meanwhile
+      const existing = await client.query(
+        `SELECT id FROM users WHERE LOWER(email) = LOWER($1) AND id <> $2`,
+        [email, user_id]
+      );
+
+      if (existing.rows.length > 0) {
+        throw new HttpError(409, 'That email address is now used by another account');
+      }
+
+      const user_result = await client.query(
+        `UPDATE users SET email = $1, is_verified = true, updated_at = NOW()
+         WHERE id = $2 AND deleted_at IS NULL
+         RETURNING id`,
+        [email, user_id]
+      );
+
+      if (user_result.rows.length === 0) {
+        throw new HttpError(400, 'Invalid or expired confirmation link');
+      }
+
+      await client.query(`DELETE FROM email_verifications WHERE user_id = $1`, [user_id]);
+      await client.query(`DELETE FROM password_resets WHERE user_id = $1`, [user_id]);
+      await client.query(`DELETE FROM magic_links WHERE user_id = $1`, [user_id]);
+
+      return email;
+    });
+
+    res.json({ message: 'Email address changed', email: new_email });
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    // Lost a race for the address to a concurrent change
+    if (err.code === '23505' && err.constraint === 'users_email_key') {
+      return res.status(409).json({ error: 'That email address is now used by another account' });
+    }
+    console.error('Email change confirmation error:', err);
+    res.status(500).json({ error: 'Failed to change email address' });
+  }
+});
+
+/**
+ * POST /api/auth/change-email/cancel
+ * Cancel a pending email change with the token from the notice sent to the old address
+ */
+router.post('/change-email/cancel', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ error: 'Cancel token required' });
+    }
+
+    const result = await query(
+      `DELETE FROM email_changes WHERE cancel_token = $1`,
+      [hash_token(token)]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(400).json({ error: 'This email change was already confirmed, cancelled or has expired' });
+    }
+
+    res.json({ message: 'Email change cancelled' });
+  } catch (err) {
+    console.error('Cancel email change error:', err);
+    res.status(500).json({ error: 'Failed to cancel email change' });
+  }
+});
+
 /**
  * POST /api/auth/change-password
  * Change password for authenticated user
@@ -542,6 +1054,306 @@ router.post(
   }
 );
 
+/**
+ * POST /api/auth/forgot-password
+ * Email a password reset link
+ * The response is the same whether or not the email has an account, and the
+ * email is sent in the background so the response time doesn't tell either
+ */
+router.post('/forgot-password', rate_limit_password_reset, async (req, res) => {
+  try {
+    const email_result = validate_email(req.body.email);
+    if (!email_result.valid) {
+      return res.status(400).json({ error: email_result.error });
+    }
+
+    const response = {
+      message: 'If an account exists for that email, we sent a link to reset its password',
+    };
+
+    // Admin-deleted accounts can't sign in again, so they get nothing
+    const user_result = await query(
+      `SELECT id, username, email FROM users
+       WHERE LOWER(email) = LOWER($1) AND deleted_by_admin IS NOT TRUE`,
+      [email_result.value]
+    );
+
+    if (user_result.rows.length === 0) {
+      return res.json(response);
+    }
+
+    const user = user_result.rows[0];
+    const reset_token = generate_token();
+
+    // Replace any earlier token, unless one was sent within the cooldown
+    const result = await query(
+      `INSERT INTO password_resets (user_id, token_hash, expires_at, last_sent_at)
+       VALUES ($1, $2, NOW() + INTERVAL '${email_config.password_reset_expiry_minutes} minutes', NOW())
+       ON CONFLICT (user_id) DO UPDATE SET
+         token_hash = $2,
+         expires_at = NOW() + INTERVAL '${email_config.password_reset_expiry_minutes} minutes',
+         last_sent_at = NOW()
+       WHERE password_resets.last_sent_at <= NOW() - INTERVAL '${email_config.password_reset_cooldown_minutes} minutes'
+       RETURNING id`,
+      [user.id, hash_token(reset_token)]
+    );
+
+    if (result.rows.length > 0) {
+      send_password_reset_email(user.email, user.username, reset_token)
+        .catch((err) => console.error('Failed to send password reset email:', err));
+    }
+
+    res.json(response);
+  } catch (err) {
+    console.error('Forgot password error:', err);
+    res.status(500).json({ error: 'Failed to request password reset' });
+  }
+});
+
+/**
+ * POST /api/auth/reset-password
+ * Set a new password using the token from a reset link
+ * The token is deleted as it is used; every session is signed out
+ */
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, new_password } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ error: 'Reset token required' });
+    }
+
+    const password_result = validate_password(new_password);
+    if (!password_result.valid) {
+      return res.status(400).json({ error: password_result.error });
+    }
+
+    // Only hash for a live token: hashing is slow, and this route is open to anyone
+    const token_result = await query(
+      `SELECT 1 FROM password_resets WHERE token_hash = $1 AND expires_at > NOW()`,
+      [hash_token(token)]
+    );
+
+    if (token_result.rows.length === 0) {
+      return res.status(400).json({ error: 'Invalid or expired reset link' });
+    }
+
+    const { hash, salt } = await hash_password(new_password);
+
+    const user = await with_transaction(async (client) => {
+      // Claiming the token by deleting it makes the link single-use
+      const reset_result = await client.query(
+        `DELETE FROM password_resets
+         WHERE token_hash = $1 AND expires_at > NOW()
+         RETURNING user_id`,
+        [hash_token(token)]
+      );
+
+      if (reset_result.rows.length === 0) {
+        return null;
+      }
+
+      const user_result = await client.query(
+        `UPDATE users SET password_hash = $1, password_salt = $2, updated_at = NOW()
+         WHERE id = $3 AND deleted_by_admin IS NOT TRUE
+         RETURNING id, username, email`,
+        [hash, salt, reset_result.rows[0].user_id]
+      );
+
+      if (user_result.rows.length === 0) {
+        return null;
+      }
+
+      // Sign out every device (whoever had the old password included)
+      await client.query(
+        `DELETE FROM refresh_tokens WHERE user_id = $1`,
+        [user_result.rows[0].id]
+      );
+
+      return user_result.rows[0];
+    });
+
+    if (!user) {
+      return res.status(400).json({ error: 'Invalid or expired reset link' });
+    }
+
+    // The new password starts with a clean failure count
+    await reset_login_failures(user.id);
+
+    send_password_changed_email(user.email, user.username)
+      .catch((err) => console.error('Failed to send password change email:', err));
+
+    res.clearCookie('access_token', { path: '/' });
+    res.clearCookie('refresh_token', { path: '/' });
+
+    res.json({ message: 'Password reset successfully. Please log in with your new password.' });
+  } catch (err) {
+    console.error('Password reset error:', err);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+/**
+ * POST /api/auth/magic-link
+ * Email a passwordless sign-in link
+ * Answers like POST /api/auth/forgot-password: the same whether or not the
+ * email has an account (or has sign-in links turned off), sending in the background
+ */
+router.post('/magic-link', rate_limit_login_ip, async (req, res) => {
+  try {
+    const email_result = validate_email(req.body.email);
+    if (!email_result.valid) {
+      return res.status(400).json({ error: email_result.error });
+    }
+
+    const response = {
+      message: 'If an account exists for that email, we sent it a sign-in link',
+    };
+
+    const user_result = await query(
+      `SELECT id, username, email FROM users
+       WHERE LOWER(email) = LOWER($1) AND deleted_by_admin IS NOT TRUE AND magic_link_enabled`,
+      [email_result.value]
+    );
+
+    if (user_result.rows.length === 0) {
+      return res.json(response);
+    }
+
+    const user = user_result.rows[0];
+    const sign_in_token = generate_token();
+
+    // Replace any earlier link, unless one was sent within the cooldown
+    const result = await query(
+      `INSERT INTO magic_links (user_id, token_hash, stay_logged_in, expires_at, last_sent_at)
+       VALUES ($1, $2, $3, NOW() + INTERVAL '${email_config.magic_link_expiry_minutes} minutes', NOW())
+       ON CONFLICT (user_id) DO UPDATE SET
+         token_hash = $2,
+         stay_logged_in = $3,
+         expires_at = NOW() + INTERVAL '${email_config.magic_link_expiry_minutes} minutes',
+         last_sent_at = NOW()
+       WHERE magic_links.last_sent_at <= NOW() - INTERVAL '${email_config.magic_link_cooldown_minutes} minutes'
+       RETURNING id`,
+      [user.id, hash_token(sign_in_token), req.body.stay_logged_in === true]
+    );
+
+    if (result.rows.length > 0) {
+      send_magic_link_email(user.email, user.username, sign_in_token)
+        .catch((err) => console.error('Failed to send sign-in link email:', err));
+    }
+
+    res.json(response);
+  } catch (err) {
+    console.error('Magic link request error:', err);
+    res.status(500).json({ error: 'Failed to send sign-in link' });
+  }
+});
+
+/**
+ * POST /api/auth/magic-link/verify
+ * Exchange the token from a sign-in link for a session
+ * The token is deleted as it is used. Accounts with 2FA still need the second
+ * step (POST /api/auth/login/mfa), as after a password
+ */
+router.post('/magic-link/verify', rate_limit_login_ip, async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ error: 'Sign-in token required' });
+    }
+
+    // Claiming the token by deleting it makes the link single-use
+    const link_result = await query(
+      `DELETE FROM magic_links ml
+       USING users u
+       WHERE ml.user_id = u.id AND ml.token_hash = $1 AND ml.expires_at > NOW()
+       RETURNING ml.stay_logged_in, u.id, u.username, u.email, u.is_admin, u.is_verified,
+                 u.deleted_at, u.deleted_by_admin, u.totp_enabled_at, u.magic_link_enabled,
+                 EXISTS (SELECT 1 FROM webauthn_credentials WHERE user_id = u.id) as has_passkeys`,
+      [hash_token(token)]
+    );
+
+    const user = link_result.rows[0];
+    if (!user || !user.magic_link_enabled || (user.deleted_at && user.deleted_by_admin)) {
+      return res.status(400).json({ error: 'Invalid or expired sign-in link' });
+    }
+
+    const block_status = await check_user_login_block(user.id);
+    if (block_status.blocked) {
+      return send_login_blocked(res, block_status);
+    }
+
+    // The link stands in for the password only
+    if (user.totp_enabled_at) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        code: 'MFA_REQUIRED',
+        mfa_token: create_mfa_token(user, user.stay_logged_in),
+        has_passkeys: user.has_passkeys,
+      });
+    }
+
+    await reset_login_failures(user.id);
+
+    await complete_login(req, res, user, user.stay_logged_in);
+  } catch (err) {
+    console.error('Magic link sign-in error:', err);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+/**
+ * GET /api/auth/magic-link/settings
+ * Whether sign-in links can be sent to the user
+ */
+router.get('/magic-link/settings', require_auth, block_deleted_users, async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT magic_link_enabled FROM users WHERE id = $1`,
+      [req.user.id]
+    );
+
+    res.json({ enabled: result.rows[0].magic_link_enabled });
+  } catch (err) {
+    console.error('Get magic link settings error:', err);
+    res.status(500).json({ error: 'Failed to get sign-in link settings' });
+  }
+});
+
+/**
+ * PATCH /api/auth/magic-link/settings
+ * Turn sign-in links on or off; turning them off voids a link already sent
+ */
+router.patch('/magic-link/settings', require_auth, block_deleted_users, async (req, res) => {
+  try {
+    const { enabled } = req.body;
+
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({ error: 'enabled must be true or false' });
+    }
+
+    await with_transaction(async (client) => {
+      await client.query(
+        `UPDATE users SET magic_link_enabled = $1, updated_at = NOW() WHERE id = $2`,
+        [enabled, req.user.id]
+      );
+
+      if (!enabled) {
+        await client.query(`DELETE FROM magic_links WHERE user_id = $1`, [req.user.id]);
+      }
+    });
+
+    res.json({
+      message: enabled ? 'Sign-in links turned on' : 'Sign-in links turned off',
+      enabled,
+    });
+  } catch (err) {
+    console.error('Update magic link settings error:', err);
+    res.status(500).json({ error: 'Failed to update sign-in link settings' });
+  }
+});
+
 /**
  * GET /api/auth/me
  * Get current authenticated user
@@ -573,24 +1385,83 @@ router.get('/me', require_auth, async (req, res) => {
 // Helper functions
 
 /**
- * Store refresh token in database
- */
-async function store_refresh_token(user_id, token, stay_logged_in, req) {
-  const token_hash = hash_token(token);
-  const expires_at = get_expiry_date(stay_logged_in ? jwt_config.refresh_expiry : '24h');
-
-  await query(
-    `INSERT INTO refresh_tokens (user_id, token_hash, expires_at, is_session_only, user_agent, ip_address)
-     VALUES ($1, $2, $3, $4, $5, $6)`,
-    [
-      user_id,
-      token_hash,
-      expires_at,
-      !stay_logged_in,
-      req.headers['user-agent'] || null,
-      req.ip || null,
-    ]
-  );
+ * Respond to a login attempt for a user blocked by the failure limiter
+ * @param {Response} res
+ * @param {{permanent?: boolean, until?: Date}} block_status - From check_user_login_block
+ */
+function send_login_blocked(res, block_status) {
+  if (block_status.permanent) {
+    return res.status(403).json({
+      error: 'Account locked',
+      message: 'Too many failed login attempts. Please contact support.',
+    });
+  }
+
+  const remaining = Math.ceil((block_status.until - new Date()) / 1000);
+  return res.status(429).json({
+    error: 'Account temporarily locked',
+    retry_after: remaining,
+  });
+}
+
+/**
+ * Check a passkey as the second factor of a user's login
+ * @param {string} user_id
+ * @param {Object} passkey - Serialized PublicKeyCredential
+ * @returns {Promise<{valid: boolean, error?: string}>} - Like verify_second_factor
+ */
+async function verify_passkey_factor(user_id, passkey) {
+  try {
+    await verify_passkey_login(passkey, user_id);
+    return { valid: true };
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return { valid: false, error: err.message };
+    }
+    throw err;
+  }
+}
+
+/**
+ * Issue the session of a fully authenticated user
+ * Soft-deleted (user-deleted) accounts get a session for the recovery flow only
+ * @param {Request} req
+ * @param {Response} res
+ * @param {Object} user - Row with id, username, email, is_admin, is_verified, deleted_at
+ * @param {boolean} stay_logged_in
+ */
+async function complete_login(req, res, user, stay_logged_in) {
+  // Create tokens; the access token names the session (refresh token family)
+  const { refresh_token, session_id } = await create_session(user, stay_logged_in, req);
+  const access_token = create_access_token(user, { session_id });
+
+  // Set cookies
+  set_auth_cookies(res, access_token, refresh_token, stay_logged_in);
+
+  // Check for soft-deleted account (user-deleted, can recover)
+  if (user.deleted_at) {
+    return res.json({
+      message: 'Account is deactivated',
+      code: 'ACCOUNT_DELETED',
+      can_recover: true,
+      user: {
+        id: user.id,
+        username: user.username,
+        deleted_at: user.deleted_at,
+      },
+    });
+  }
+
+  res.json({
+    message: 'Login successful',
+    user: {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      is_admin: user.is_admin,
+      is_verified: user.is_verified,
+    },
+  });
 }
 
 /**
@@ -0,0 +1,53 @@
+/**
+ * Event stream routes
+ * Server-Sent Events telling open clients when their data changed on another
+ * device, so they can pull the changes right away instead of polling
+ */
+
+import { Router } from 'express';
+import { validate_sync_cursor } from '../utils/validation.js';
+import { open_event_stream } from '../services/events.js';
+import { HttpError } from '../utils/errors.js';
+import { require_auth, block_deleted_users } from '../middleware/auth.js';
+
+const router = Router();
+
+router.use(require_auth);
+router.use(block_deleted_users);
+
+/**
+ * GET /api/events
+ * Headers: Last-Event-ID (sent by the browser when reconnecting; ?last_event_id= also accepted)
+ * Streams text/event-stream with:
+ *   ready   - connected; id is the current sync cursor
+ *   changes - new changes since the last event; pull them from GET /api/sync/changes
+ * Heartbeat comments are sent regularly, and the stream is closed after a while
+ * so the browser reconnects and the session is checked again
+ */
+router.get('/', async (req, res) => {
+  try {
+    const raw_id = req.get('Last-Event-ID') ?? req.query.last_event_id;
+    let last_event_id = null;
+
+    if (raw_id !== undefined && raw_id !== '') {
+      const cursor_result = validate_sync_cursor(raw_id);
+      if (!cursor_result.valid) {
+        return res.status(400).json({ error: 'Invalid Last-Event-ID' });
+      }
+      last_event_id = cursor_result.value;
+    }
+
+    await open_event_stream(res, req.user.id, last_event_id);
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Open event stream error:', err);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ error: 'Failed to open event stream' });
+  }
+});
+
+export default router;
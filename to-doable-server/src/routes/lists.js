@@ -0,0 +1,217 @@
+/**
+ * Task list routes
+ * Handles creating, renaming, reordering, archiving and deleting lists
+ */
+
+import { Router } from 'express';
+import { query, with_transaction } from '../db/pool.js';
+import { validate_uuid } from '../utils/validation.js';
+import { HttpError } from '../utils/errors.js';
+import {
+  get_default_list_id,
+  create_list,
+  update_list,
+  delete_list,
+  LIST_COLUMNS,
+} from '../services/lists.js';
+import { require_auth, block_deleted_users } from '../middleware/auth.js';
+import { idempotency } from '../middleware/idempotency.js';
+
+const router = Router();
+
+// All list routes require an active (non-deleted) account
+router.use(require_auth);
+router.use(block_deleted_users);
+
+/**
+ * GET /api/lists
+ * List the user's lists with open/completed top-level task counts
+ * Query: archived=true to show archived lists instead of active ones
+ */
+router.get('/', async (req, res) => {
+  try {
+    // Make sure accounts created before lists existed get their Inbox
+    await get_default_list_id(req.user.id);
+
+    const archived = req.query.archived === 'true';
+
+    const result = await query(
+      `SELECT l.id, l.name, l.color, l.icon, l.position, l.is_archived, l.is_default, l.field_versions, l.created_at, l.updated_at,
+              COUNT(t.id) FILTER (WHERE t.status != 'done') AS open_count,
+              COUNT(t.id) FILTER (WHERE t.status = 'done') AS completed_count
+       FROM lists l
+       LEFT JOIN tasks t ON t.list_id = l.id AND t.deleted_at IS NULL AND t.parent_id IS NULL
+       WHERE l.user_id = $1 AND l.is_archived = $2
+       GROUP BY l.id
+       ORDER BY l.is_default DESC, l.position ASC, l.created_at ASC`,
+      [req.user.id, archived]
+    );
+
+    res.json({
+      lists: result.rows.map((list) => ({
+        ...list,
+        open_count: parseInt(list.open_count, 10),
+        completed_count: parseInt(list.completed_count, 10),
+      })),
+    });
+  } catch (err) {
+    console.error('List lists error:', err);
+    res.status(500).json({ error: 'Failed to get lists' });
+  }
+});
+
+/**
+ * POST /api/lists
+ * Create a new list (appended after the user's other lists)
+ */
+router.post('/', idempotency({ required: true }), async (req, res) => {
+  try {
+    const list = await with_transaction((client) => create_list(client, req.user.id, req.body));
+
+    res.status(201).json({
+      message: 'List created',
+      list,
+    });
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Create list error:', err);
+    res.status(500).json({ error: 'Failed to create list' });
+  }
+});
+
+/**
+ * POST /api/lists/reorder
+ * Set list positions from an ordered array of list IDs
+ */
+router.post('/reorder', idempotency({ required: true }), async (req, res) => {
+  try {
+    const { list_ids } = req.body;
+
+    if (!Array.isArray(list_ids) || list_ids.length === 0) {
+      return res.status(400).json({ error: 'list_ids must be a non-empty array' });
+    }
+
+    const ids = [];
+    for (const id of list_ids) {
+      const id_result = validate_uuid(id);
+      if (!id_result.valid) {
+        return res.status(400).json({ error: id_result.error });
+      }
+      ids.push(id_result.value);
+    }
+
+    if (new Set(ids).size !== ids.length) {
+      return res.status(400).json({ error: 'list_ids must not contain duplicates' });
+    }
+
+    const updated = await with_transaction(async (client) => {
+      const result = await client.query(
+        `UPDATE lists SET position = ordered.position
+         FROM (SELECT id, ordinality - 1 AS position FROM unnest($1::uuid[]) WITH ORDINALITY AS t(id, ordinality)) AS ordered
+         WHERE lists.id = ordered.id AND lists.user_id = $2
+         RETURNING lists.id`,
+        [ids, req.user.id]
+      );
+
+      // Roll back if any ID was unknown or belonged to someone else
+      if (result.rowCount !== ids.length) {
+        throw Object.assign(new Error('Unknown list'), { status: 404 });
+      }
+
+      return result.rowCount;
+    });
+
+    res.json({ message: 'Lists reordered', updated });
+  } catch (err) {
+    if (err.status === 404) {
+      return res.status(404).json({ error: 'List not found' });
+    }
+    console.error('Reorder lists error:', err);
+    res.status(500).json({ error: 'Failed to reorder lists' });
+  }
+});
+
+/**
+ * GET /api/lists/:id
+ * Get a single list
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const id_result = validate_uuid(req.params.id);
+    if (!id_result.valid) {
+      return res.status(400).json({ error: id_result.error });
+    }
+
+    const result = await query(
+      `SELECT ${LIST_COLUMNS} FROM lists WHERE id = $1 AND user_id = $2`,
+      [id_result.value, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'List not found' });
+    }
+
+    res.json({ list: result.rows[0] });
+  } catch (err) {
+    console.error('Get list error:', err);
+    res.status(500).json({ error: 'Failed to get list' });
+  }
+});
+
+/**
+ * PATCH /api/lists/:id
+ * Rename, recolor, move or archive a list
+ * The default list cannot be archived
+ * Offline edits send field_clocks (and base_clocks) to merge per field; see PATCH /api/profile
+ */
+router.patch('/:id', idempotency({ required: true }), async (req, res) => {
+  try {
+    const { list, conflicts } = await with_transaction((client) =>
+      update_list(client, req.user.id, req.params.id, req.body)
+    );
+
+    res.json({
+      message: 'List updated',
+      list,
+      conflicts,
+    });
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Update list error:', err);
+    res.status(500).json({ error: 'Failed to update list' });
+  }
+});
+
+/**
+ * DELETE /api/lists/:id
+ * Delete a list and either move its tasks or delete them with it
+ * Query: tasks=move (default) with optional target_list_id (defaults to Inbox),
+ *        or tasks=delete to soft delete the list's tasks
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const result = await with_transaction((client) =>
+      delete_list(client, req.user.id, req.params.id, {
+        tasks: req.query.tasks,
+        target_list_id: req.query.target_list_id,
+      })
+    );
+
+    res.json({
+      message: 'List deleted',
+      ...result,
+    });
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Delete list error:', err);
+    res.status(500).json({ error: 'Failed to delete list' });
+  }
+});
+
+export default router;
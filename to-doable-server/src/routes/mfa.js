@@ -0,0 +1,175 @@
+/**
+ * Two-factor authentication settings routes
+ * Enrollment (setup -> enable with a first code), disabling, and new recovery codes
+ * Changes need the password, so a session left open can't turn 2FA on or off
+ */
+
+import { Router } from 'express';
+import { query, with_transaction } from '../db/pool.js';
+import { verify_password } from '../utils/crypto.js';
+import { generate_totp_secret, build_otpauth_uri } from '../utils/totp.js';
+import { validate_totp_code } from '../utils/validation.js';
+import {
+  get_mfa_status,
+  verify_second_factor,
+  enable_totp,
+  disable_mfa,
+  create_recovery_codes,
+} from '../services/mfa.js';
+import { require_auth, block_deleted_users } from '../middleware/auth.js';
+
+const router = Router();
+
+// All 2FA routes require an active account
+router.use(require_auth);
+router.use(block_deleted_users);
+
+/**
+ * Check the signed-in user's password
+ * @param {string} user_id
+ * @param {string} password
+ * @returns {Promise<boolean>}
+ */
+async function check_password(user_id, password) {
+  if (!password || typeof password !== 'string') {
+    return false;
+  }
+
+  const result = await query(
+    `SELECT password_hash, password_salt FROM users WHERE id = $1`,
+    [user_id]
+  );
+
+  const user = result.rows[0];
+  return verify_password(password, user.password_hash, user.password_salt);
+}
+
+/**
+ * GET /api/mfa
+ * Get 2FA status and how many recovery codes are left
+ */
+router.get('/', async (req, res) => {
+  try {
+    const status = await get_mfa_status(req.user.id);
+    res.json({ mfa: status });
+  } catch (err) {
+    console.error('Get 2FA status error:', err);
+    res.status(500).json({ error: 'Failed to get two-factor status' });
+  }
+});
+
+/**
+ * POST /api/mfa/totp/setup
+ * Start enrollment: create a secret for the authenticator app
+ * 2FA stays off until POST /api/mfa/totp/enable confirms a code from it
+ */
+router.post('/totp/setup', async (req, res) => {
+  try {
+    if (!(await check_password(req.user.id, req.body.password))) {
+      return res.status(401).json({ error: 'Incorrect password' });
+    }
+
+    const secret = generate_totp_secret();
+
+    const result = await query(
+      `UPDATE users SET totp_pending_secret = $2
+       WHERE id = $1 AND totp_enabled_at IS NULL
+       RETURNING email`,
+      [req.user.id, secret]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    res.json({
+      secret,
+      otpauth_uri: build_otpauth_uri(secret, result.rows[0].email),
+    });
+  } catch (err) {
+    console.error('2FA setup error:', err);
+    res.status(500).json({ error: 'Failed to set up two-factor authentication' });
+  }
+});
+
+/**
+ * POST /api/mfa/totp/enable
+ * Finish enrollment with a code from the app
+ * Returns the recovery codes; they aren't shown again
+ */
+router.post('/totp/enable', async (req, res) => {
+  try {
+    const code_result = validate_totp_code(req.body.code);
+    if (!code_result.valid) {
+      return res.status(400).json({ error: code_result.error });
+    }
+
+    const recovery_codes = await enable_totp(req.user.id, code_result.value);
+
+    if (!recovery_codes) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recovery_codes,
+    });
+  } catch (err) {
+    console.error('2FA enable error:', err);
+    res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+  }
+});
+
+/**
+ * POST /api/mfa/totp/disable
+ * Turn 2FA off (password and a current code or recovery code)
+ */
+router.post('/totp/disable', async (req, res) => {
+  try {
+    const { password, code, recovery_code } = req.body;
+
+    if (!(await check_password(req.user.id, password))) {
+      return res.status(401).json({ error: 'Incorrect password' });
+    }
+
+    const factor_result = await verify_second_factor(req.user.id, { code, recovery_code });
+    if (!factor_result.valid) {
+      return res.status(400).json({ error: factor_result.error });
+    }
+
+    await disable_mfa(req.user.id);
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (err) {
+    console.error('2FA disable error:', err);
+    res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+  }
+});
+
+/**
+ * POST /api/mfa/recovery-codes
+ * Replace the recovery codes (password and a current code or recovery code)
+ */
+router.post('/recovery-codes', async (req, res) => {
+  try {
+    const { password, code, recovery_code } = req.body;
+
+    if (!(await check_password(req.user.id, password))) {
+      return res.status(401).json({ error: 'Incorrect password' });
+    }
+
+    const factor_result = await verify_second_factor(req.user.id, { code, recovery_code });
+    if (!factor_result.valid) {
+      return res.status(400).json({ error: factor_result.error });
+    }
+
+    const recovery_codes = await with_transaction((client) => create_recovery_codes(client, req.user.id));
+
+    res.json({ recovery_codes });
+  } catch (err) {
+    console.error('Recovery codes error:', err);
+    res.status(500).json({ error: 'Failed to create recovery codes' });
+  }
+});
+
+export default router;
@@ -4,15 +4,11 @@
  */
 
 import { Router } from 'express';
-import { query } from '../db/pool.js';
-import {
-  validate_bio,
-  validate_phone,
-  validate_pronouns,
-  validate_avatar_url,
-  validate_avatar_file,
-  sanitize_html,
-} from '../utils/validation.js';
+import { query, with_transaction } from '../db/pool.js';
+import { validate_avatar_file } from '../utils/validation.js';
+import { HttpError } from '../utils/errors.js';
+import { hlc_now } from '../utils/hlc.js';
+import { update_profile } from '../services/profile.js';
 import { upload_avatar, delete_avatar } from '../services/s3.js';
 import { require_auth, block_deleted_users } from '../middleware/auth.js';
 import { idempotency } from '../middleware/idempotency.js';
@@ -30,7 +26,9 @@ router.use(require_auth);
 router.get('/', async (req, res) => {
   try {
     const result = await query(
-      `SELECT id, username, email, avatar_url, bio, phone, pronouns, is_admin, is_verified, deleted_at, created_at, updated_at
+      `SELECT id, username, email, avatar_url, bio, phone, pronouns, time_zone,
+              to_char(quiet_hours_start, 'HH24:MI') AS quiet_hours_start, to_char(quiet_hours_end, 'HH24:MI') AS quiet_hours_end,
+              is_admin, is_verified, deleted_at, field_versions, created_at, updated_at
        FROM users WHERE id = $1`,
       [req.user.id]
     );
@@ -48,8 +46,10 @@ router.get('/', async (req, res) => {
 
 /**
  * PATCH /api/profile
- * Update profile fields (bio, phone, pronouns, avatar_url)
- * Username and email are not editable
+ * Update profile fields (bio, phone, pronouns, avatar_url, time_zone, quiet_hours_start/end)
+ * Username is not editable; email changes go through POST /api/auth/change-email
+ * Offline edits send field_clocks (and base_clocks) so they merge per field with newer
+ * edits from other devices; same-field conflicts are returned as conflicts
  */
 router.patch(
   '/',
@@ -57,70 +57,17 @@ router.patch(
   idempotency({ required: true }),
   async (req, res) => {
     try {
-      const { bio, phone, pronouns, avatar_url } = req.body;
-      const updates = [];
-      const values = [];
-      let param_count = 1;
-
-      // Validate and add bio if provided
-      if (bio !== undefined) {
-        const bio_result = validate_bio(bio);
-        if (!bio_result.valid) {
-          return res.status(400).json({ error: bio_result.error });
-        }
-        updates.push(`bio = $${param_count++}`);
-        values.push(bio_result.value ? sanitize_html(bio_result.value) : null);
-      }
-
-      // Validate and add phone if provided
-      if (phone !== undefined) {
-        const phone_result = validate_phone(phone);
-        if (!phone_result.valid) {
-          return res.status(400).json({ error: phone_result.error });
-        }
-        updates.push(`phone = $${param_count++}`);
-        values.push(phone_result.value);
-      }
-
-      // Validate and add pronouns if provided
-      if (pronouns !== undefined) {
-        const pronouns_result = validate_pronouns(pronouns);
-        if (!pronouns_result.valid) {
-          return res.status(400).json({ error: pronouns_result.error });
-        }
-        updates.push(`pronouns = $${param_count++}`);
-        values.push(pronouns_result.value ? sanitize_html(pronouns_result.value) : null);
-      }
-
-      // Validate and add avatar_url if provided
-      if (avatar_url !== undefined) {
-        const avatar_result = validate_avatar_url(avatar_url);
-        if (!avatar_result.valid) {
-          return res.status(400).json({ error: avatar_result.error });
-        }
-        updates.push(`avatar_url = $${param_count++}`);
-        values.push(avatar_result.value);
-      }
-
-      if (updates.length === 0) {
-        return res.status(400).json({ error: 'No valid fields to update' });
-      }
-
-      // Add user ID as last parameter
-      values.push(req.user.id);
-
-      const result = await query(
-        `UPDATE users SET ${updates.join(', ')}, updated_at = NOW()
-         WHERE id = $${param_count}
-         RETURNING id, username, email, avatar_url, bio, phone, pronouns, is_admin, is_verified, created_at, updated_at`,
-        values
-      );
+      const { profile, conflicts } = await with_transaction((client) => update_profile(client, req.user.id, req.body));
 
       res.json({
         message: 'Profile updated',
-        profile: result.rows[0],
+        profile,
+        conflicts,
       });
     } catch (err) {
+      if (err instanceof HttpError) {
+        return res.status(err.status).json({ error: err.message });
+      }
       console.error('Update profile error:', err);
       res.status(500).json({ error: 'Failed to update profile' });
     }
@@ -206,8 +153,10 @@ router.post(
 
       // Update user's avatar_url
       await query(
-        `UPDATE users SET avatar_url = $1, updated_at = NOW() WHERE id = $2`,
-        [upload_result.url, req.user.id]
+        `UPDATE users SET avatar_url = $1, field_versions = field_versions || jsonb_build_object('avatar_url', $3::TEXT),
+           updated_at = NOW()
+         WHERE id = $2`,
+        [upload_result.url, req.user.id, hlc_now()]
       );
 
       res.json({
@@ -242,8 +191,10 @@ router.delete('/avatar', block_deleted_users, async (req, res) => {
 
     // Clear avatar_url in database
     await query(
-      `UPDATE users SET avatar_url = NULL, updated_at = NOW() WHERE id = $1`,
-      [req.user.id]
+      `UPDATE users SET avatar_url = NULL, field_versions = field_versions || jsonb_build_object('avatar_url', $2::TEXT),
+         updated_at = NOW()
+       WHERE id = $1`,
+      [req.user.id, hlc_now()]
     );
 
     res.json({ message: 'Avatar removed' });
@@ -0,0 +1,128 @@
+/**
+ * Sync routes
+ * Delta sync for offline-capable clients: pull every task, list, tag and profile change
+ * since a cursor instead of refetching everything, and push queued offline changes in batches
+ */
+
+import { Router } from 'express';
+import { with_transaction } from '../db/pool.js';
+import { validate_sync_cursor, validate_idempotency_key, validate_uuid } from '../utils/validation.js';
+import { get_changes_since, push_mutations, is_known_mutation } from '../services/sync.js';
+import { sync_config } from '../config/index.js';
+import { require_auth, block_deleted_users } from '../middleware/auth.js';
+
+const router = Router();
+
+// All sync routes require an active (non-deleted) account
+router.use(require_auth);
+router.use(block_deleted_users);
+
+/**
+ * GET /api/sync/changes
+ * Query params: since (cursor from the previous response, omit for a full download), limit
+ * Returns { changes: [{ type, id, op: 'upsert'|'delete', data? }], cursor, has_more, reset }
+ * Keep calling with the returned cursor while has_more is true.
+ * reset: true means the cursor was too old; drop local data before applying the changes
+ */
+router.get('/changes', async (req, res) => {
+  try {
+    const cursor_result = validate_sync_cursor(req.query.since);
+    if (!cursor_result.valid) {
+      return res.status(400).json({ error: cursor_result.error });
+    }
+
+    let limit = sync_config.page_size;
+    if (req.query.limit !== undefined) {
+      limit = parseInt(req.query.limit, 10);
+      if (!Number.isInteger(limit) || limit < 1 || limit > sync_config.max_page_size) {
+        return res.status(400).json({ error: `limit must be between 1 and ${sync_config.max_page_size}` });
+      }
+    }
+
+    const result = await get_changes_since(req.user.id, cursor_result.value, limit);
+
+    res.json(result);
+  } catch (err) {
+    console.error('Get sync changes error:', err);
+    res.status(500).json({ error: 'Failed to get changes' });
+  }
+});
+
+/**
+ * POST /api/sync/push
+ * Apply an ordered batch of queued changes in a single transaction
+ * Body: { mutations: [{ idempotency_key, type: 'task'|'list'|'tag'|'profile', op, id?, data? }] }
+ *   task: create, update, delete, restore; list: create, update, delete; tag: create, update, delete;
+ *   profile: update. id is required except for create and profile updates; data is the
+ *   request body of the matching REST endpoint (for list deletes: { tasks, target_list_id })
+ * Returns { results: [{ idempotency_key, status, body, replayed? }] } in the same order.
+ * A failed mutation is rolled back on its own and does not stop the rest of the batch;
+ * 5xx results are safe to retry with the same idempotency key
+ */
+router.post('/push', async (req, res) => {
+  try {
+    const { mutations } = req.body;
+
+    if (!Array.isArray(mutations) || mutations.length === 0) {
+      return res.status(400).json({ error: 'mutations must be a non-empty array' });
+    }
+
+    if (mutations.length > sync_config.max_push_batch) {
+      return res.status(400).json({ error: `At most ${sync_config.max_push_batch} mutations per request` });
+    }
+
+    // Reject malformed batches up front so nothing is applied from them
+    const keys = new Set();
+    const batch = [];
+
+    for (const [index, mutation] of mutations.entries()) {
+      if (!mutation || typeof mutation !== 'object') {
+        return res.status(400).json({ error: `Mutation ${index} must be an object` });
+      }
+
+      const key_result = validate_idempotency_key(mutation.idempotency_key);
+      if (!key_result.valid) {
+        return res.status(400).json({ error: `Mutation ${index}: ${key_result.error}` });
+      }
+
+      if (keys.has(key_result.value)) {
+        return res.status(400).json({ error: `Mutation ${index}: duplicate idempotency key` });
+      }
+      keys.add(key_result.value);
+
+      if (!is_known_mutation(mutation.type, mutation.op)) {
+        return res.status(400).json({ error: `Mutation ${index}: unsupported type or op` });
+      }
+
+      let id;
+      if (mutation.op !== 'create' && mutation.type !== 'profile') {
+        const id_result = validate_uuid(mutation.id);
+        if (!id_result.valid) {
+          return res.status(400).json({ error: `Mutation ${index}: ${id_result.error}` });
+        }
+        id = id_result.value;
+      }
+
+      if (mutation.data !== undefined && (mutation.data === null || typeof mutation.data !== 'object' || Array.isArray(mutation.data))) {
+        return res.status(400).json({ error: `Mutation ${index}: data must be an object` });
+      }
+
+      batch.push({
+        idempotency_key: key_result.value,
+        type: mutation.type,
+        op: mutation.op,
+        id,
+        data: mutation.data,
+      });
+    }
+
+    const results = await with_transaction((client) => push_mutations(client, req.user.id, batch));
+
+    res.json({ results });
+  } catch (err) {
+    console.error('Sync push error:', err);
+    res.status(500).json({ error: 'Failed to push changes' });
+  }
+});
+
+export default router;
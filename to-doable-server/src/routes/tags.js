@@ -0,0 +1,192 @@
+/**
+ * Tag routes
+ * Handles creating, renaming, recoloring, merging and deleting tags
+ * Tags are assigned to tasks through the task routes (tag_ids)
+ */
+
+import { Router } from 'express';
+import { query, with_transaction } from '../db/pool.js';
+import { validate_uuid } from '../utils/validation.js';
+import { HttpError } from '../utils/errors.js';
+import { TAG_COLUMNS, create_tag, update_tag, delete_tag } from '../services/tags.js';
+import { require_auth, block_deleted_users } from '../middleware/auth.js';
+import { idempotency } from '../middleware/idempotency.js';
+
+const router = Router();
+
+// All tag routes require an active (non-deleted) account
+router.use(require_auth);
+router.use(block_deleted_users);
+
+/**
+ * GET /api/tags
+ * List the user's tags with task counts
+ */
+router.get('/', async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT ${TAG_COLUMNS} FROM tags WHERE user_id = $1 ORDER BY LOWER(name) ASC`,
+      [req.user.id]
+    );
+
+    res.json({ tags: result.rows });
+  } catch (err) {
+    console.error('List tags error:', err);
+    res.status(500).json({ error: 'Failed to get tags' });
+  }
+});
+
+/**
+ * POST /api/tags
+ * Create a new tag
+ */
+router.post('/', idempotency({ required: true }), async (req, res) => {
+  try {
+    const tag = await with_transaction((client) => create_tag(client, req.user.id, req.body));
+
+    res.status(201).json({
+      message: 'Tag created',
+      tag,
+    });
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Create tag error:', err);
+    res.status(500).json({ error: 'Failed to create tag' });
+  }
+});
+
+/**
+ * GET /api/tags/:id
+ * Get a single tag
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const id_result = validate_uuid(req.params.id);
+    if (!id_result.valid) {
+      return res.status(400).json({ error: id_result.error });
+    }
+
+    const result = await query(
+      `SELECT ${TAG_COLUMNS} FROM tags WHERE id = $1 AND user_id = $2`,
+      [id_result.value, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    res.json({ tag: result.rows[0] });
+  } catch (err) {
+    console.error('Get tag error:', err);
+    res.status(500).json({ error: 'Failed to get tag' });
+  }
+});
+
+/**
+ * PATCH /api/tags/:id
+ * Rename or recolor a tag
+ */
+router.patch('/:id', idempotency({ required: true }), async (req, res) => {
+  try {
+    const tag = await with_transaction((client) => update_tag(client, req.user.id, req.params.id, req.body));
+
+    res.json({
+      message: 'Tag updated',
+      tag,
+    });
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Update tag error:', err);
+    res.status(500).json({ error: 'Failed to update tag' });
+  }
+});
+
+/**
+ * POST /api/tags/:id/merge
+ * Merge a tag into another: its tasks get the target tag, then it is deleted
+ * Body: { target_tag_id }
+ */
+router.post('/:id/merge', idempotency({ required: true }), async (req, res) => {
+  try {
+    const id_result = validate_uuid(req.params.id);
+    if (!id_result.valid) {
+      return res.status(400).json({ error: id_result.error });
+    }
+
+    const target_result = validate_uuid(req.body.target_tag_id);
+    if (!target_result.valid) {
+      return res.status(400).json({ error: target_result.error });
+    }
+
+    if (target_result.value === id_result.value) {
+      return res.status(400).json({ error: 'Cannot merge a tag into itself' });
+    }
+
+    const merged = await with_transaction(async (client) => {
+      // Lock both tags so a concurrent rename/delete can't interleave
+      const existing = await client.query(
+        `SELECT id FROM tags WHERE id = ANY($1::uuid[]) AND user_id = $2 FOR UPDATE`,
+        [[id_result.value, target_result.value], req.user.id]
+      );
+
+      if (existing.rows.length !== 2) {
+        throw Object.assign(new Error('Unknown tag'), { status: 404 });
+      }
+
+      // Tasks that already have both tags keep a single assignment
+      await client.query(
+        `INSERT INTO task_tags (task_id, tag_id)
+         SELECT task_id, $2 FROM task_tags WHERE tag_id = $1
+         ON CONFLICT DO NOTHING`,
+        [id_result.value, target_result.value]
+      );
+
+      await client.query(
+        `DELETE FROM tags WHERE id = $1`,
+        [id_result.value]
+      );
+
+      const result = await client.query(
+        `SELECT ${TAG_COLUMNS} FROM tags WHERE id = $1`,
+        [target_result.value]
+      );
+
+      return result.rows[0];
+    });
+
+    res.json({
+      message: 'Tags merged',
+      tag: merged,
+    });
+  } catch (err) {
+    if (err.status === 404) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+    console.error('Merge tags error:', err);
+    res.status(500).json({ error: 'Failed to merge tags' });
+  }
+});
+
+/**
+ * DELETE /api/tags/:id
+ * Delete a tag and remove it from all tasks
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    await with_transaction((client) => delete_tag(client, req.user.id, req.params.id));
+
+    res.json({ message: 'Tag deleted' });
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Delete tag error:', err);
+    res.status(500).json({ error: 'Failed to delete tag' });
+  }
+});
+
+export default router;
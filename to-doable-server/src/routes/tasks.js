@@ -0,0 +1,448 @@
+/**
+ * Task routes
+ * Handles listing, creating, reading, updating and deleting the user's tasks
+ * Tasks can be nested as subtasks (checklists) up to task_config.max_depth levels
+ * and can have email reminders at a fixed time or relative to the due date
+ */
+
+import { Router } from 'express';
+import { query, with_transaction } from '../db/pool.js';
+import {
+  validate_task_status,
+  validate_date,
+  validate_uuid,
+  validate_pagination,
+  validate_search_query,
+  validate_reminder,
+  normalize_string,
+  sanitize_html,
+} from '../utils/validation.js';
+import { HttpError } from '../utils/errors.js';
+import { TASK_COLUMNS, create_task, update_task, delete_task, restore_task } from '../services/tasks.js';
+import { REMINDER_COLUMNS } from '../services/reminders.js';
+import { tag_config, reminder_config } from '../config/index.js';
+import { require_auth, block_deleted_users } from '../middleware/auth.js';
+import { idempotency } from '../middleware/idempotency.js';
+
+const router = Router();
+
+// All task routes require an active (non-deleted) account
+router.use(require_auth);
+router.use(block_deleted_users);
+
+/**
+ * Build a condition matching tasks that have any of the tags in a text[] parameter
+ * Tags are matched by ID or by lowercased (escaped) name
+ * @param {number} param - Parameter number holding the tag values
+ * @returns {string}
+ */
+function has_tag_condition(param) {
+  return `EXISTS (
+    SELECT 1 FROM task_tags tt JOIN tags tg ON tg.id = tt.tag_id
+    WHERE tt.task_id = tasks.id AND (tg.id::text = ANY($${param}) OR LOWER(tg.name) = ANY($${param}))
+  )`;
+}
+
+// Allowed values for ?sort=
+const SORT_COLUMNS = {
+  position: 'position ASC, created_at ASC',
+  due_at: 'due_at ASC NULLS LAST, position ASC',
+  priority: 'priority DESC, position ASC',
+  created_at: 'created_at DESC',
+  updated_at: 'updated_at DESC',
+};
+
+/**
+ * GET /api/tasks
+ * List tasks with pagination, search, and filtering
+ * Query: list_id, parent_id (a task ID, or "none" for top-level tasks only),
+ *        tags (comma-separated tag IDs or names), tag_mode (any = OR, all = AND; default any),
+ *        status, search, due_before, due_after, deleted, sort, page, limit
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { page, limit } = validate_pagination(req.query.page, req.query.limit);
+    const search = validate_search_query(req.query.search);
+
+    const conditions = ['user_id = $1'];
+    const params = [req.user.id];
+    let param_count = 2;
+
+    // Trash view shows only soft-deleted tasks
+    if (req.query.deleted === 'true') {
+      conditions.push('deleted_at IS NOT NULL');
+    } else {
+      conditions.push('deleted_at IS NULL');
+    }
+
+    if (req.query.list_id) {
+      const list_result = validate_uuid(req.query.list_id);
+      if (!list_result.valid) {
+        return res.status(400).json({ error: list_result.error });
+      }
+      conditions.push(`list_id = $${param_count++}`);
+      params.push(list_result.value);
+    }
+
+    if (req.query.parent_id === 'none') {
+      conditions.push('parent_id IS NULL');
+    } else if (req.query.parent_id) {
+      const parent_result = validate_uuid(req.query.parent_id);
+      if (!parent_result.valid) {
+        return res.status(400).json({ error: parent_result.error });
+      }
+      conditions.push(`parent_id = $${param_count++}`);
+      params.push(parent_result.value);
+    }
+
+    if (req.query.tags) {
+      const tag_mode = req.query.tag_mode || 'any';
+      if (!['any', 'all'].includes(tag_mode)) {
+        return res.status(400).json({ error: 'tag_mode must be either any or all' });
+      }
+
+      // Normalize names the same way they are stored so "@Waiting " matches "@waiting"
+      const tag_values = [...new Set(
+        String(req.query.tags).split(',')
+          .map((tag) => sanitize_html(normalize_string(tag)).toLowerCase())
+          .filter(Boolean)
+      )];
+
+      if (tag_values.length > tag_config.max_filter_tags) {
+        return res.status(400).json({ error: `Filter by at most ${tag_config.max_filter_tags} tags` });
+      }
+
+      if (tag_values.length > 0) {
+        if (tag_mode === 'any') {
+          conditions.push(has_tag_condition(param_count++));
+          params.push(tag_values);
+        } else {
+          // Every tag must be present, so add one condition per tag
+          for (const value of tag_values) {
+            conditions.push(has_tag_condition(param_count++));
+            params.push([value]);
+          }
+        }
+      }
+    }
+
+    if (req.query.status) {
+      const status_result = validate_task_status(req.query.status);
+      if (!status_result.valid) {
+        return res.status(400).json({ error: status_result.error });
+      }
+      conditions.push(`status = $${param_count++}`);
+      params.push(status_result.value);
+    }
+
+    // Private tasks only hold ciphertext, so they never match a search
+    if (search.value) {
+      conditions.push(`(NOT is_private AND (LOWER(title) LIKE $${param_count} OR LOWER(notes) LIKE $${param_count}))`);
+      params.push(`%${search.value.toLowerCase()}%`);
+      param_count++;
+    }
+
+    if (req.query.due_before) {
+      const due_result = validate_date(req.query.due_before);
+      if (!due_result.valid) {
+        return res.status(400).json({ error: due_result.error });
+      }
+      conditions.push(`due_at < $${param_count++}`);
+      params.push(due_result.value);
+    }
+
+    if (req.query.due_after) {
+      const due_result = validate_date(req.query.due_after);
+      if (!due_result.valid) {
+        return res.status(400).json({ error: due_result.error });
+      }
+      conditions.push(`due_at >= $${param_count++}`);
+      params.push(due_result.value);
+    }
+
+    const order_clause = SORT_COLUMNS[req.query.sort] || SORT_COLUMNS.position;
+    const where_clause = `WHERE ${conditions.join(' AND ')}`;
+
+    // Get total count
+    const count_result = await query(
+      `SELECT COUNT(*) FROM tasks ${where_clause}`,
+      params
+    );
+    const total = parseInt(count_result.rows[0].count, 10);
+
+    // Build pagination
+    let pagination_clause = '';
+    if (limit !== null) {
+      const offset = (page - 1) * limit;
+      pagination_clause = `LIMIT ${limit} OFFSET ${offset}`;
+    }
+
+    const tasks_result = await query(
+      `SELECT ${TASK_COLUMNS}
+       FROM tasks
+       ${where_clause}
+       ORDER BY ${order_clause}
+       ${pagination_clause}`,
+      params
+    );
+
+    res.json({
+      tasks: tasks_result.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        total_pages: limit ? Math.ceil(total / limit) : 1,
+      },
+    });
+  } catch (err) {
+    console.error('List tasks error:', err);
+    res.status(500).json({ error: 'Failed to list tasks' });
+  }
+});
+
+/**
+ * POST /api/tasks
+ * Create a new task (appended to the end of its list, the Inbox by default)
+ * Pass parent_id to create a subtask; subtasks always live in their parent's list
+ * Pass tag_ids to tag the task
+ * Pass recurrence_rule (RRULE subset) and recurrence_basis ("due" or "completion") to make it repeat
+ * Pass is_private: true with a title and notes encrypted in the browser for a private task
+ */
+router.post('/', idempotency({ required: true }), async (req, res) => {
+  try {
+    const task = await with_transaction((client) => create_task(client, req.user.id, req.body));
+
+    res.status(201).json({
+      message: 'Task created',
+      task,
+    });
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Create task error:', err);
+    res.status(500).json({ error: 'Failed to create task' });
+  }
+});
+
+/**
+ * GET /api/tasks/:id
+ * Get a single task with its direct subtasks
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const id_result = validate_uuid(req.params.id);
+    if (!id_result.valid) {
+      return res.status(400).json({ error: id_result.error });
+    }
+
+    const result = await query(
+      `SELECT ${TASK_COLUMNS} FROM tasks WHERE id = $1 AND user_id = $2`,
+      [id_result.value, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const subtasks_result = await query(
+      `SELECT ${TASK_COLUMNS} FROM tasks
+       WHERE parent_id = $1 AND user_id = $2 AND deleted_at IS NULL
+       ORDER BY position ASC, created_at ASC`,
+      [id_result.value, req.user.id]
+    );
+
+    res.json({
+      task: {
+        ...result.rows[0],
+        subtasks: subtasks_result.rows,
+      },
+    });
+  } catch (err) {
+    console.error('Get task error:', err);
+    res.status(500).json({ error: 'Failed to get task' });
+  }
+});
+
+/**
+ * PATCH /api/tasks/:id
+ * Update task fields (list_id, parent_id, title, notes, is_private, status, priority, due_at, position)
+ * Changing is_private needs the title and notes re-sent, encrypted for a private task
+ * parent_id nests the task under another task (null moves it back to the top level);
+ * subtasks always follow their parent's list, so moving a task moves its whole subtree
+ * complete_subtasks: true together with status "done" also completes every subtask
+ * tag_ids replaces the task's tags
+ * recurrence_rule/recurrence_basis change how the task repeats (null stops it); the task then
+ * starts a new series and upcoming occurrences of its old series are removed
+ * Completing a recurring task creates its next occurrence (returned as next_occurrence)
+ * Offline edits send field_clocks (and base_clocks) to merge per field; see PATCH /api/profile
+ */
+router.patch('/:id', idempotency({ required: true }), async (req, res) => {
+  try {
+    const updated = await with_transaction((client) =>
+      update_task(client, req.user.id, req.params.id, req.body)
+    );
+
+    res.json({
+      message: 'Task updated',
+      task: updated.task,
+      next_occurrence: updated.next_occurrence,
+      conflicts: updated.conflicts,
+    });
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Update task error:', err);
+    res.status(500).json({ error: 'Failed to update task' });
+  }
+});
+
+/**
+ * DELETE /api/tasks/:id
+ * Soft delete a task and its subtasks (kept in trash until the retention period passes)
+ * The whole subtree shares one deleted_at so it can be restored together
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const { deleted_subtasks } = await with_transaction((client) =>
+      delete_task(client, req.user.id, req.params.id)
+    );
+
+    res.json({
+      message: 'Task deleted',
+      deleted_subtasks,
+    });
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Delete task error:', err);
+    res.status(500).json({ error: 'Failed to delete task' });
+  }
+});
+
+/**
+ * POST /api/tasks/:id/restore
+ * Restore a soft-deleted task, along with the subtasks that were deleted with it
+ * Tasks whose list was deleted are restored into the Inbox; subtasks of a trashed
+ * parent cannot be restored on their own
+ */
+router.post('/:id/restore', async (req, res) => {
+  try {
+    const restored = await with_transaction((client) =>
+      restore_task(client, req.user.id, req.params.id)
+    );
+
+    res.json({
+      message: 'Task restored',
+      task: restored,
+    });
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Restore task error:', err);
+    res.status(500).json({ error: 'Failed to restore task' });
+  }
+});
+
+/**
+ * POST /api/tasks/:id/reminders
+ * Add a reminder: { remind_at } for a fixed time or { minutes_before_due } relative to the due date
+ */
+router.post('/:id/reminders', idempotency({ required: true }), async (req, res) => {
+  try {
+    const id_result = validate_uuid(req.params.id);
+    if (!id_result.valid) {
+      return res.status(400).json({ error: id_result.error });
+    }
+
+    const reminder_result = validate_reminder(req.body);
+    if (!reminder_result.valid) {
+      return res.status(400).json({ error: reminder_result.error });
+    }
+
+    const { remind_at, minutes_before_due } = reminder_result.value;
+
+    const reminder = await with_transaction(async (client) => {
+      // Lock the task so parallel requests count its reminders one at a time
+      const task_result = await client.query(
+        `SELECT id, due_at FROM tasks WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL FOR UPDATE`,
+        [id_result.value, req.user.id]
+      );
+
+      if (task_result.rows.length === 0) {
+        throw new HttpError(404, 'Task not found');
+      }
+
+      if (minutes_before_due !== null && !task_result.rows[0].due_at) {
+        throw new HttpError(400, 'Task has no due date');
+      }
+
+      const count_result = await client.query(
+        `SELECT COUNT(*)::int AS count FROM task_reminders WHERE task_id = $1`,
+        [id_result.value]
+      );
+
+      if (count_result.rows[0].count >= reminder_config.max_per_task) {
+        throw new HttpError(400, `A task can have at most ${reminder_config.max_per_task} reminders`);
+      }
+
+      const result = await client.query(
+        `INSERT INTO task_reminders (task_id, user_id, remind_at, minutes_before_due)
+         VALUES ($1, $2, $3, $4)
+         RETURNING ${REMINDER_COLUMNS}`,
+        [id_result.value, req.user.id, remind_at, minutes_before_due]
+      );
+
+      return result.rows[0];
+    });
+
+    res.status(201).json({
+      message: 'Reminder added',
+      reminder,
+    });
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Add reminder error:', err);
+    res.status(500).json({ error: 'Failed to add reminder' });
+  }
+});
+
+/**
+ * DELETE /api/tasks/:id/reminders/:reminder_id
+ * Remove a reminder
+ */
+router.delete('/:id/reminders/:reminder_id', async (req, res) => {
+  try {
+    const id_result = validate_uuid(req.params.id);
+    if (!id_result.valid) {
+      return res.status(400).json({ error: id_result.error });
+    }
+
+    const reminder_id_result = validate_uuid(req.params.reminder_id);
+    if (!reminder_id_result.valid) {
+      return res.status(400).json({ error: reminder_id_result.error });
+    }
+
+    const result = await query(
+      `DELETE FROM task_reminders WHERE id = $1 AND task_id = $2 AND user_id = $3 RETURNING id`,
+      [reminder_id_result.value, id_result.value, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Reminder not found' });
+    }
+
+    res.json({ message: 'Reminder deleted' });
+  } catch (err) {
+    console.error('Delete reminder error:', err);
+    res.status(500).json({ error: 'Failed to delete reminder' });
+  }
+});
+
+export default router;
@@ -5,7 +5,8 @@
  */
 
 import { SESClient, SendEmailCommand } from '@aws-sdk/client-ses';
-import { ses_config, server_config } from '../config/index.js';
+import { ses_config, server_config, email_config } from '../config/index.js';
+import { unescape_html } from '../utils/validation.js';
 
 // Initialize SES client
 const ses_client = new SESClient({
@@ -83,6 +84,123 @@ The To-Doable Team`;
   return send_email({ to, subject, body });
 }
 
+/**
+ * Send the link that confirms a new email address
+ * @param {string} to - The new address
+ * @param {string} username - User's username
+ * @param {string} token - Confirm token
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function send_email_change_verification_email(to, username, token) {
+  const confirm_url = `${server_config.client_url}/confirm-email-change?token=${token}`;
+
+  const subject = 'Confirm your new To-Doable email address';
+
+  const body = `Hi ${username},
+
+You asked to use this address for your To-Doable account.
+
+To confirm it, click the link below:
+
+${confirm_url}
+
+This link will expire in ${email_config.email_change_expiry_hours} hours. Until then, your account keeps its current address.
+
+If you didn't ask for this, you can safely ignore this email.
+
+Best,
+The To-Doable Team`;
+
+  return send_email({ to, subject, body });
+}
+
+/**
+ * Tell the current address that a change to another one was requested
+ * @param {string} to - The current address
+ * @param {string} username - User's username
+ * @param {string} new_email - The requested address
+ * @param {string} cancel_token - Cancel token
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function send_email_change_notice_email(to, username, new_email, cancel_token) {
+  const cancel_url = `${server_config.client_url}/cancel-email-change?token=${cancel_token}`;
+
+  const subject = 'Your To-Doable email address is being changed';
+
+  const body = `Hi ${username},
+
+Someone asked to change the email address of your To-Doable account to ${new_email}. The change happens once that address is confirmed.
+
+If this wasn't you, cancel the change with the link below and change your password:
+
+${cancel_url}
+
+Best,
+The To-Doable Team`;
+
+  return send_email({ to, subject, body });
+}
+
+/**
+ * Send password reset link ("forgot password")
+ * @param {string} to - Recipient email
+ * @param {string} username - User's username
+ * @param {string} token - Reset token
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function send_password_reset_email(to, username, token) {
+  const reset_url = `${server_config.client_url}/reset-password?token=${token}`;
+
+  const subject = 'Reset your To-Doable password';
+
+  const body = `Hi ${username},
+
+Someone asked to reset the password for your To-Doable account.
+
+To choose a new password, click the link below:
+
+${reset_url}
+
+This link will expire in ${email_config.password_reset_expiry_minutes} minutes and can only be used once.
+
+If you didn't ask to reset your password, you can safely ignore this email. Your password won't change.
+
+Best,
+The To-Doable Team`;
+
+  return send_email({ to, subject, body });
+}
+
+/**
+ * Send a passwordless sign-in link
+ * @param {string} to - Recipient email
+ * @param {string} username - User's username
+ * @param {string} token - Sign-in token
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function send_magic_link_email(to, username, token) {
+  const sign_in_url = `${server_config.client_url}/magic-link/sign-in?token=${token}`;
+
+  const subject = 'Your To-Doable sign-in link';
+
+  const body = `Hi ${username},
+
+Someone asked to sign in to your To-Doable account without a password.
+
+To sign in, click the link below:
+
+${sign_in_url}
+
+This link will expire in ${email_config.magic_link_expiry_minutes} minutes and can only be used once.
+
+If you didn't ask for it, you can safely ignore this email. You can turn sign-in links off in your account's security settings.
+
+Best,
+The To-Doable Team`;
+
+  return send_email({ to, subject, body });
+}
+
 /**
  * Send password change confirmation
  * @param {string} to - Recipient email
@@ -106,6 +224,34 @@ The To-Doable Team`;
   return send_email({ to, subject, body });
 }
 
+/**
+ * Send a warning that an already-replaced refresh token was used again
+ * @param {string} to - Recipient email
+ * @param {string} username - User's username
+ * @param {Object} details - The device that presented the old token
+ * @param {string|null} details.device - Browser and OS label
+ * @param {string|null} details.ip_address
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function send_session_reuse_email(to, username, { device, ip_address }) {
+  const subject = 'Possible unauthorized access to your To-Doable account';
+  const settings_url = `${server_config.client_url}/settings`;
+
+  const body = `Hi ${username},
+
+An old sign-in token for your To-Doable account was used again (${device || 'unknown device'}, IP ${ip_address || 'unknown'}). This can mean someone copied it from one of your devices.
+
+To be safe, we signed that session out everywhere. You'll need to sign in again on the affected device.
+
+If you don't recognize this, change your password and review where you're signed in:
+${settings_url}
+
+Best,
+The To-Doable Team`;
+
+  return send_email({ to, subject, body });
+}
+
 /**
  * Send account deleted notification
  * @param {string} to - Recipient email
@@ -155,3 +301,36 @@ The To-Doable Team`;
 
   return send_email({ to, subject, body });
 }
+
+/**
+ * Send a task reminder
+ * @param {string} to - Recipient email
+ * @param {string} username - User's username
+ * @param {Object} task - Task with title (stored HTML-escaped), is_private and due_at
+ * @param {string} time_zone - User's IANA time zone, used to format the due date
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function send_task_reminder_email(to, username, task, time_zone) {
+  // A private task's title is encrypted; only the user's devices can read it
+  const title = task.is_private ? null : unescape_html(task.title);
+  const tasks_url = `${server_config.client_url}/tasks`;
+
+  const subject = title ? `Reminder: ${title}` : 'Reminder: private task';
+
+  const due_text = task.due_at
+    ? `\nIt's due ${new Intl.DateTimeFormat('en-US', { dateStyle: 'full', timeStyle: 'short', timeZone: time_zone }).format(new Date(task.due_at))}.\n`
+    : '';
+
+  const body = `Hi ${username},
+
+This is your reminder for ${title ? `"${title}"` : 'one of your private tasks'}.
+${due_text}
+View your tasks here:
+
+${tasks_url}
+
+Best,
+The To-Doable Team`;
+
+  return send_email({ to, subject, body });
+}
@@ -0,0 +1,300 @@
+/**
+ * Real-time change notifications
+ * record_change (schema.sql) sends a NOTIFY on the sync_changes channel with the
+ * user's ID whenever their tasks, lists, tags or profile change. One LISTEN
+ * connection per server process fans that out to the user's open event streams.
+ *
+ * Event IDs are the user's change log sequence numbers, so a browser reconnecting
+ * with Last-Event-ID learns straight away whether it missed anything; the events
+ * only say "something changed", the data itself comes from GET /api/sync/changes
+ */
+
+import { query, get_client } from '../db/pool.js';
+import { HttpError } from '../utils/errors.js';
+import { events_config } from '../config/index.js';
+
+const CHANNEL = 'sync_changes';
+
+// user_id -> Set of { res, last_id, timer, ready }; ready once the headers are sent
+const streams = new Map();
+
+// LISTEN clients already released, so a second stop_listening() doesn't release again
+const stopped_clients = new WeakSet();
+
+let listen_client = null;
+let listen_promise = null; // While the LISTEN connection is being opened
+let listen_retry_timer = null;
+let heartbeat_timer = null;
+let shutting_down = false;
+
+/**
+ * Get the user's latest change log sequence number
+ * @param {string} user_id
+ * @returns {Promise<string>}
+ */
+async function get_last_seq(user_id) {
+  const result = await query(
+    `SELECT last_seq FROM sync_cursors WHERE user_id = $1`,
+    [user_id]
+  );
+
+  return result.rows[0]?.last_seq ?? '0';
+}
+
+/**
+ * Write one event to a stream
+ * @param {Object} stream
+ * @param {string} event - Event name
+ * @param {string} id - Event ID (change log sequence number)
+ */
+function send_event(stream, event, id) {
+  stream.last_id = id;
+  stream.res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify({ cursor: id })}\n\n`);
+}
+
+/**
+ * Tell each of the user's streams about changes it has not been told about yet
+ * @param {string} user_id
+ */
+async function notify_user(user_id) {
+  const user_streams = streams.get(user_id);
+  if (!user_streams) {
+    return;
+  }
+
+  const seq = await get_last_seq(user_id);
+
+  for (const stream of user_streams) {
+    if (stream.ready && stream.last_id !== seq) {
+      send_event(stream, 'changes', seq);
+    }
+  }
+}
+
+/**
+ * Open the LISTEN connection if it isn't open yet
+ * Callers arriving while it is being opened wait for that attempt rather than
+ * opening a second connection. A lost connection is re-opened after
+ * events_config.listen_retry_ms, and every open stream is then checked for
+ * changes made in the meantime
+ * @returns {Promise<void>}
+ */
+function start_listening() {
+  if (listen_promise) {
+    return listen_promise;
+  }
+
+  if (listen_client || listen_retry_timer || shutting_down) {
+    return Promise.resolve();
+  }
+
+  listen_promise = listen().finally(() => {
+    listen_promise = null;
+  });
+  return listen_promise;
+}
+
+/**
+ * Take a pool client and LISTEN on it (see start_listening)
+ */
+async function listen() {
+  let client;
+  try {
+    client = await get_client();
+
+    // Shut down while waiting for the connection
+    if (shutting_down) {
+      client.release();
+      return;
+    }
+
+    listen_client = client;
+
+    client.on('notification', (message) => {
+      notify_user(message.payload).catch((err) => console.error('Event notify error:', err));
+    });
+
+    client.on('error', (err) => {
+      console.error('Event listener connection error:', err.message);
+      stop_listening(client);
+      schedule_listen_retry();
+    });
+
+    await client.query(`LISTEN ${CHANNEL}`);
+
+    for (const user_id of streams.keys()) {
+      notify_user(user_id).catch((err) => console.error('Event notify error:', err));
+    }
+  } catch (err) {
+    console.error('Failed to listen for changes:', err.message);
+    if (client) {
+      stop_listening(client);
+    }
+    schedule_listen_retry();
+  }
+}
+
+/**
+ * Drop the LISTEN connection (destroyed, since LISTEN would outlive a release to the pool)
+ * Safe to call again for a client already dropped: a failing LISTEN query reports
+ * the error both to the client's 'error' handler and to the caller
+ * @param {pg.PoolClient} client
+ */
+function stop_listening(client) {
+  if (listen_client === client) {
+    listen_client = null;
+  }
+
+  if (stopped_clients.has(client)) {
+    return;
+  }
+  stopped_clients.add(client);
+
+  client.removeAllListeners('notification');
+  client.release(true);
+}
+
+/**
+ * Re-open the LISTEN connection later, while streams are still open
+ */
+function schedule_listen_retry() {
+  if (shutting_down || listen_retry_timer) {
+    return;
+  }
+
+  listen_retry_timer = setTimeout(() => {
+    listen_retry_timer = null;
+    if (streams.size > 0) {
+      start_listening();
+    }
+  }, events_config.listen_retry_ms);
+}
+
+/**
+ * Send a comment line to every stream so idle connections stay open
+ */
+function send_heartbeats() {
+  for (const user_streams of streams.values()) {
+    for (const stream of user_streams) {
+      if (stream.ready) {
+        stream.res.write(': ping\n\n');
+      }
+    }
+  }
+}
+
+/**
+ * Remove a closed stream
+ * @param {string} user_id
+ * @param {Object} stream
+ */
+function remove_stream(user_id, stream) {
+  clearTimeout(stream.timer);
+
+  const user_streams = streams.get(user_id);
+  if (!user_streams) {
+    return;
+  }
+
+  user_streams.delete(stream);
+  if (user_streams.size === 0) {
+    streams.delete(user_id);
+  }
+
+  if (streams.size === 0 && heartbeat_timer) {
+    clearInterval(heartbeat_timer);
+    heartbeat_timer = null;
+  }
+}
+
+/**
+ * Start an event stream on a response
+ * Sends "ready" with the current sequence number on a fresh connection, or
+ * "changes" straight away when reconnecting after missing changes
+ * @param {express.Response} res
+ * @param {string} user_id
+ * @param {string|null} last_event_id - From the Last-Event-ID header, when reconnecting
+ * @returns {Promise<void>}
+ * @throws {HttpError} - Too many open streams (429)
+ */
+export async function open_event_stream(res, user_id, last_event_id) {
+  if (shutting_down) {
+    throw new HttpError(503, 'Server is shutting down');
+  }
+
+  if ((streams.get(user_id)?.size ?? 0) >= events_config.max_streams_per_user) {
+    throw new HttpError(429, 'Too many open event streams');
+  }
+
+  // Take the slot before awaiting anything, so parallel requests can't all pass
+  // the check above, and watch for the client leaving while we wait
+  const stream = { res, last_id: null, timer: null, ready: false };
+  if (!streams.has(user_id)) {
+    streams.set(user_id, new Set());
+  }
+  streams.get(user_id).add(stream);
+  res.on('close', () => remove_stream(user_id, stream));
+
+  let seq;
+  try {
+    await start_listening();
+    seq = await get_last_seq(user_id);
+  } catch (err) {
+    remove_stream(user_id, stream);
+    throw err;
+  }
+
+  // Disconnected (or shut down) while we were waiting; 'close' removes the stream
+  if (res.destroyed || res.writableEnded) {
+    return;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Don't let nginx buffer the stream
+  });
+  res.write(`retry: ${events_config.retry_ms}\n\n`);
+
+  stream.last_id = last_event_id ?? seq;
+  stream.ready = true;
+
+  if (last_event_id === null) {
+    send_event(stream, 'ready', seq);
+  } else if (last_event_id !== seq) {
+    send_event(stream, 'changes', seq);
+  }
+
+  if (!heartbeat_timer) {
+    heartbeat_timer = setInterval(send_heartbeats, events_config.heartbeat_ms);
+  }
+
+  // The browser reconnects on its own, going through authentication again
+  stream.timer = setTimeout(() => res.end(), events_config.max_stream_ms);
+}
+
+/**
+ * Close every stream and the LISTEN connection (graceful shutdown)
+ * Browsers reconnect to another instance, or to this one once it is back
+ */
+export function close_event_streams() {
+  shutting_down = true;
+
+  clearTimeout(listen_retry_timer);
+  clearInterval(heartbeat_timer);
+  listen_retry_timer = null;
+  heartbeat_timer = null;
+
+  for (const [user_id, user_streams] of streams) {
+    for (const stream of user_streams) {
+      clearTimeout(stream.timer);
+      stream.res.end();
+    }
+    streams.delete(user_id);
+  }
+
+  if (listen_client) {
+    stop_listening(listen_client);
+  }
+}
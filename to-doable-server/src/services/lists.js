@@ -0,0 +1,378 @@
+/**
+ * Task list helpers and mutations
+ * Shared between registration, task and list routes and the sync push endpoint
+ * Every user has exactly one default list ("Inbox") that tasks fall back to
+ */
+
+import { query } from '../db/pool.js';
+import {
+  validate_list_name,
+  validate_color,
+  validate_list_icon,
+  validate_position,
+  validate_uuid,
+  sanitize_html,
+} from '../utils/validation.js';
+import { HttpError } from '../utils/errors.js';
+import { resolve_field_versions } from './versions.js';
+import { list_config } from '../config/index.js';
+
+// Columns returned to the client for a list (routes and sync)
+export const LIST_COLUMNS = `id, name, color, icon, position, is_archived, is_default, field_versions, created_at, updated_at`;
+
+// Versioned list fields and the input keys each covers
+const LIST_FIELDS = {
+  name: ['name'],
+  color: ['color'],
+  icon: ['icon'],
+  position: ['position'],
+  is_archived: ['is_archived'],
+};
+
+/**
+ * Create the default list for a user
+ * Call inside the registration transaction so every new account starts usable
+ * @param {pg.PoolClient} client - Transaction client
+ * @param {string} user_id
+ * @returns {Promise<Object>} - Created list row
+ */
+export async function create_default_list(client, user_id) {
+  const result = await client.query(
+    `INSERT INTO lists (user_id, name, position, is_default)
+     VALUES ($1, $2, 0, true)
+     RETURNING *`,
+    [user_id, list_config.default_name]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Get the user's default list ID, creating the list if it is missing
+ * (accounts created before lists existed have no Inbox yet)
+ * @param {string} user_id
+ * @param {pg.PoolClient} [client] - Optional transaction client
+ * @returns {Promise<string>}
+ */
+export async function get_default_list_id(user_id, client = null) {
+  const run = client ? client.query.bind(client) : query;
+
+  const existing = await run(
+    `SELECT id FROM lists WHERE user_id = $1 AND is_default = true`,
+    [user_id]
+  );
+
+  if (existing.rows.length > 0) {
+    return existing.rows[0].id;
+  }
+
+  const created = await run(
+    `INSERT INTO lists (user_id, name, position, is_default)
+     VALUES ($1, $2, 0, true)
+     ON CONFLICT DO NOTHING
+     RETURNING id`,
+    [user_id, list_config.default_name]
+  );
+
+  if (created.rows.length > 0) {
+    // Adopt any active tasks created before the user had lists
+    await run(
+      `UPDATE tasks SET list_id = $1 WHERE user_id = $2 AND list_id IS NULL AND deleted_at IS NULL`,
+      [created.rows[0].id, user_id]
+    );
+    return created.rows[0].id;
+  }
+
+  // Nothing inserted: a concurrent request created the default list first
+  const concurrent = await run(
+    `SELECT id FROM lists WHERE user_id = $1 AND is_default = true`,
+    [user_id]
+  );
+
+  if (concurrent.rows.length > 0) {
+    return concurrent.rows[0].id;
+  }
+
+  // ...or a regular list already uses the default name, so promote it
+  const promoted = await run(
+    `UPDATE lists SET is_default = true, is_archived = false
+     WHERE user_id = $1 AND LOWER(name) = LOWER($2)
+     RETURNING id`,
+    [user_id, list_config.default_name]
+  );
+
+  return promoted.rows[0].id;
+}
+
+/**
+ * Check that a list exists and belongs to the user
+ * @param {string} list_id
+ * @param {string} user_id
+ * @param {pg.PoolClient} [client] - Optional transaction client
+ * @returns {Promise<boolean>}
+ */
+export async function user_owns_list(list_id, user_id, client = null) {
+  const run = client ? client.query.bind(client) : query;
+
+  const result = await run(
+    `SELECT 1 FROM lists WHERE id = $1 AND user_id = $2`,
+    [list_id, user_id]
+  );
+
+  return result.rows.length > 0;
+}
+
+/**
+ * Turn a unique violation on the per-user list name index into a 409
+ * @param {Error} err
+ * @returns {Error}
+ */
+function duplicate_name_to_conflict(err) {
+  if (err.code === '23505' && err.constraint === 'idx_lists_user_name') {
+    return new HttpError(409, 'A list with that name already exists');
+  }
+  return err;
+}
+
+/**
+ * Create a list (appended after the user's other lists)
+ * @param {pg.PoolClient} client - Transaction client
+ * @param {string} user_id
+ * @param {Object} input - name, color, icon
+ * @returns {Promise<Object>} - Created list (LIST_COLUMNS)
+ * @throws {HttpError} - Invalid input or duplicate name (409)
+ */
+export async function create_list(client, user_id, input) {
+  const { name, color, icon } = input;
+
+  const name_result = validate_list_name(name);
+  if (!name_result.valid) {
+    throw new HttpError(400, name_result.error);
+  }
+
+  const color_result = validate_color(color);
+  if (!color_result.valid) {
+    throw new HttpError(400, color_result.error);
+  }
+
+  const icon_result = validate_list_icon(icon);
+  if (!icon_result.valid) {
+    throw new HttpError(400, icon_result.error);
+  }
+
+  try {
+    const result = await client.query(
+      `INSERT INTO lists (user_id, name, color, icon, position)
+       VALUES (
+         $1, $2, $3, $4,
+         (SELECT COALESCE(MAX(position) + 1, 0) FROM lists WHERE user_id = $1)
+       )
+       RETURNING ${LIST_COLUMNS}`,
+      [
+        user_id,
+        sanitize_html(name_result.value),
+        color_result.value,
+        icon_result.value ? sanitize_html(icon_result.value) : null,
+      ]
+    );
+
+    return result.rows[0];
+  } catch (err) {
+    throw duplicate_name_to_conflict(err);
+  }
+}
+
+/**
+ * Rename, recolor, move or archive a list
+ * The default list cannot be archived. Fields are merged by version (see services/versions.js)
+ * @param {pg.PoolClient} client - Transaction client
+ * @param {string} user_id
+ * @param {string} list_id
+ * @param {Object} input - name, color, icon, position, is_archived, optionally field_clocks/base_clocks
+ * @returns {Promise<{list: Object, conflicts: Array}>} - Updated list (LIST_COLUMNS)
+ * @throws {HttpError} - Invalid input, unknown list or duplicate name (409)
+ */
+export async function update_list(client, user_id, list_id, input) {
+  const id_result = validate_uuid(list_id);
+  if (!id_result.valid) {
+    throw new HttpError(400, id_result.error);
+  }
+
+  // Locked so concurrent updates merge their field versions one at a time
+  const existing = await client.query(
+    `SELECT name, color, icon, position, is_archived, is_default, field_versions
+     FROM lists WHERE id = $1 AND user_id = $2
+     FOR UPDATE`,
+    [id_result.value, user_id]
+  );
+
+  if (existing.rows.length === 0) {
+    throw new HttpError(404, 'List not found');
+  }
+
+  const versioned = resolve_field_versions(existing.rows[0], input, LIST_FIELDS);
+
+  // Every edited field lost to a newer edit: nothing to write
+  if (versioned.unchanged) {
+    const current = await client.query(`SELECT ${LIST_COLUMNS} FROM lists WHERE id = $1`, [id_result.value]);
+    return { list: current.rows[0], conflicts: versioned.conflicts };
+  }
+
+  const { name, color, icon, position, is_archived } = versioned.input;
+  const updates = [];
+  const values = [];
+  let param_count = 1;
+
+  if (name !== undefined) {
+    const name_result = validate_list_name(name);
+    if (!name_result.valid) {
+      throw new HttpError(400, name_result.error);
+    }
+    updates.push(`name = $${param_count++}`);
+    values.push(sanitize_html(name_result.value));
+  }
+
+  if (color !== undefined) {
+    const color_result = validate_color(color);
+    if (!color_result.valid) {
+      throw new HttpError(400, color_result.error);
+    }
+    updates.push(`color = $${param_count++}`);
+    values.push(color_result.value);
+  }
+
+  if (icon !== undefined) {
+    const icon_result = validate_list_icon(icon);
+    if (!icon_result.valid) {
+      throw new HttpError(400, icon_result.error);
+    }
+    updates.push(`icon = $${param_count++}`);
+    values.push(icon_result.value ? sanitize_html(icon_result.value) : null);
+  }
+
+  if (position !== undefined) {
+    const position_result = validate_position(position);
+    if (!position_result.valid) {
+      throw new HttpError(400, position_result.error);
+    }
+    updates.push(`position = $${param_count++}`);
+    values.push(position_result.value);
+  }
+
+  if (typeof is_archived === 'boolean') {
+    updates.push(`is_archived = $${param_count++}`);
+    values.push(is_archived);
+  }
+
+  if (updates.length === 0) {
+    throw new HttpError(400, 'No valid fields to update');
+  }
+
+  if (existing.rows[0].is_default && is_archived === true) {
+    throw new HttpError(400, 'The default list cannot be archived');
+  }
+
+  updates.push(`field_versions = $${param_count++}`);
+  values.push(versioned.field_versions);
+
+  values.push(id_result.value, user_id);
+
+  try {
+    const result = await client.query(
+      `UPDATE lists SET ${updates.join(', ')}, updated_at = NOW()
+       WHERE id = $${param_count} AND user_id = $${param_count + 1}
+       RETURNING ${LIST_COLUMNS}`,
+      values
+    );
+
+    return { list: result.rows[0], conflicts: versioned.conflicts };
+  } catch (err) {
+    throw duplicate_name_to_conflict(err);
+  }
+}
+
+/**
+ * Delete a list and either move its tasks or delete them with it
+ * @param {pg.PoolClient} client - Transaction client
+ * @param {string} user_id
+ * @param {string} list_id
+ * @param {Object} [options]
+ * @param {string} [options.tasks] - 'move' (default) or 'delete' to soft delete the list's tasks
+ * @param {string} [options.target_list_id] - Where moved tasks go (defaults to the Inbox)
+ * @returns {Promise<{tasks: string, affected_tasks: number, target_list_id: string|null}>}
+ * @throws {HttpError} - Invalid options, unknown list or the default list
+ */
+export async function delete_list(client, user_id, list_id, options = {}) {
+  const id_result = validate_uuid(list_id);
+  if (!id_result.valid) {
+    throw new HttpError(400, id_result.error);
+  }
+
+  const task_action = options.tasks || 'move';
+  if (!['move', 'delete'].includes(task_action)) {
+    throw new HttpError(400, 'tasks must be either move or delete');
+  }
+
+  const existing = await client.query(
+    `SELECT is_default FROM lists WHERE id = $1 AND user_id = $2`,
+    [id_result.value, user_id]
+  );
+
+  if (existing.rows.length === 0) {
+    throw new HttpError(404, 'List not found');
+  }
+
+  if (existing.rows[0].is_default) {
+    throw new HttpError(400, 'The default list cannot be deleted');
+  }
+
+  // Resolve where tasks should go before touching anything
+  let target_list_id = null;
+  if (task_action === 'move') {
+    if (options.target_list_id) {
+      const target_result = validate_uuid(options.target_list_id);
+      if (!target_result.valid) {
+        throw new HttpError(400, target_result.error);
+      }
+      if (target_result.value === id_result.value) {
+        throw new HttpError(400, 'Cannot move tasks into the list being deleted');
+      }
+      if (!(await user_owns_list(target_result.value, user_id, client))) {
+        throw new HttpError(404, 'Target list not found');
+      }
+      target_list_id = target_result.value;
+    } else {
+      target_list_id = await get_default_list_id(user_id, client);
+    }
+  }
+
+  let task_result;
+
+  if (task_action === 'move') {
+    // Append moved tasks after the target list's existing tasks
+    task_result = await client.query(
+      `UPDATE tasks SET
+         list_id = $1,
+         position = position + (SELECT COALESCE(MAX(position) + 1, 0) FROM tasks WHERE list_id = $1)
+       WHERE list_id = $2 AND user_id = $3`,
+      [target_list_id, id_result.value, user_id]
+    );
+  } else {
+    task_result = await client.query(
+      `UPDATE tasks SET deleted_at = COALESCE(deleted_at, NOW()), list_id = NULL
+       WHERE list_id = $1 AND user_id = $2`,
+      [id_result.value, user_id]
+    );
+  }
+
+  await client.query(
+    `DELETE FROM lists WHERE id = $1 AND user_id = $2`,
+    [id_result.value, user_id]
+  );
+
+  return {
+    tasks: task_action === 'move' ? 'moved' : 'deleted',
+    affected_tasks: task_result.rowCount,
+    target_list_id,
+  };
+}
@@ -0,0 +1,196 @@
+/**
+ * Two-factor authentication
+ * Shared between the login second step, the 2FA settings routes and admin reset
+ * - TOTP: the secret lives on the user row; each accepted time step is recorded
+ *   so a code can't be replayed
+ * - Recovery codes: single-use, stored as hashes, replaced as a set
+ */
+
+import { randomBytes } from 'crypto';
+import { query, with_transaction } from '../db/pool.js';
+import { hash_token } from '../utils/crypto.js';
+import { base32_encode, verify_totp_code } from '../utils/totp.js';
+import { validate_totp_code, validate_recovery_code } from '../utils/validation.js';
+import { mfa_config } from '../config/index.js';
+
+/**
+ * Get a user's 2FA status
+ * @param {string} user_id
+ * @returns {Promise<{enabled: boolean, enabled_at: Date|null, recovery_codes_remaining: number}>}
+ */
+export async function get_mfa_status(user_id) {
+  const result = await query(
+    `SELECT u.totp_enabled_at,
+            (SELECT COUNT(*) FROM mfa_recovery_codes WHERE user_id = u.id AND used_at IS NULL)::int as recovery_codes_remaining
+     FROM users u WHERE u.id = $1`,
+    [user_id]
+  );
+
+  const row = result.rows[0];
+  return {
+    enabled: Boolean(row?.totp_enabled_at),
+    enabled_at: row?.totp_enabled_at ?? null,
+    recovery_codes_remaining: row?.totp_enabled_at ? row.recovery_codes_remaining : 0,
+  };
+}
+
+/**
+ * Replace a user's recovery codes with a new set
+ * @param {Object} client - Transaction client
+ * @param {string} user_id
+ * @returns {Promise<Array<string>>} - The codes, shown to the user once (abcde-fghij)
+ */
+export async function create_recovery_codes(client, user_id) {
+  await client.query(`DELETE FROM mfa_recovery_codes WHERE user_id = $1`, [user_id]);
+
+  const codes = [];
+  for (let i = 0; i < mfa_config.recovery_code_count; i++) {
+    // 50 random bits as 10 lowercase base32 characters
+    const code = base32_encode(randomBytes(7)).slice(0, 10).toLowerCase();
+    codes.push(`${code.slice(0, 5)}-${code.slice(5)}`);
+
+    await client.query(
+      `INSERT INTO mfa_recovery_codes (user_id, code_hash) VALUES ($1, $2)`,
+      [user_id, hash_token(code)]
+    );
+  }
+
+  return codes;
+}
+
+/**
+ * Check an authenticator code and mark its time step as used
+ * @param {string} user_id
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} code - From validate_totp_code
+ * @returns {Promise<boolean>}
+ */
+async function use_totp_code(user_id, secret, code) {
+  const step = verify_totp_code(secret, code);
+  if (step === null) {
+    return false;
+  }
+
+  // Only a later step than the last one accepted counts, so each code works once
+  const result = await query(
+    `UPDATE users SET totp_last_step = $2
+     WHERE id = $1 AND (totp_last_step IS NULL OR totp_last_step < $2)
+     RETURNING id`,
+    [user_id, step]
+  );
+
+  return result.rows.length > 0;
+}
+
+/**
+ * Use up a recovery code
+ * @param {string} user_id
+ * @param {string} code - From validate_recovery_code
+ * @returns {Promise<boolean>}
+ */
+async function use_recovery_code(user_id, code) {
+  const result = await query(
+    `UPDATE mfa_recovery_codes SET used_at = NOW()
+     WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+     RETURNING id`,
+    [user_id, hash_token(code)]
+  );
+
+  return result.rows.length > 0;
+}
+
+/**
+ * Verify the second factor of a user with 2FA enabled
+ * @param {string} user_id
+ * @param {Object} input
+ * @param {string} [input.code] - Authenticator code
+ * @param {string} [input.recovery_code] - Used instead of a code
+ * @returns {Promise<{valid: boolean, error?: string, method?: string}>}
+ */
+export async function verify_second_factor(user_id, { code, recovery_code } = {}) {
+  const user_result = await query(
+    `SELECT totp_secret FROM users WHERE id = $1 AND totp_enabled_at IS NOT NULL`,
+    [user_id]
+  );
+
+  if (user_result.rows.length === 0) {
+    return { valid: false, error: 'Two-factor authentication is not enabled' };
+  }
+
+  if (recovery_code !== undefined && recovery_code !== null && recovery_code !== '') {
+    const code_result = validate_recovery_code(recovery_code);
+    if (!code_result.valid) {
+      return { valid: false, error: code_result.error };
+    }
+
+    return await use_recovery_code(user_id, code_result.value)
+      ? { valid: true, method: 'recovery_code' }
+      : { valid: false, error: 'Invalid recovery code' };
+  }
+
+  const code_result = validate_totp_code(code);
+  if (!code_result.valid) {
+    return { valid: false, error: code_result.error };
+  }
+
+  return await use_totp_code(user_id, user_result.rows[0].totp_secret, code_result.value)
+    ? { valid: true, method: 'totp' }
+    : { valid: false, error: 'Invalid authentication code' };
+}
+
+/**
+ * Finish enrollment: check a code against the pending secret and enable 2FA
+ * @param {string} user_id
+ * @param {string} code - From validate_totp_code
+ * @returns {Promise<Array<string>|null>} - New recovery codes, or null if the code is wrong
+ */
+export async function enable_totp(user_id, code) {
+  const user_result = await query(
+    `SELECT totp_pending_secret FROM users WHERE id = $1`,
+    [user_id]
+  );
+
+  const secret = user_result.rows[0]?.totp_pending_secret;
+  const step = secret ? verify_totp_code(secret, code) : null;
+  if (step === null) {
+    return null;
+  }
+
+  return with_transaction(async (client) => {
+    const result = await client.query(
+      `UPDATE users
+       SET totp_secret = totp_pending_secret, totp_pending_secret = NULL,
+           totp_enabled_at = NOW(), totp_last_step = $3
+       WHERE id = $1 AND totp_pending_secret = $2
+       RETURNING id`,
+      [user_id, secret, step]
+    );
+
+    // Enrollment was restarted meanwhile
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return create_recovery_codes(client, user_id);
+  });
+}
+
+/**
+ * Turn 2FA off and forget the secret and recovery codes
+ * @param {string} user_id
+ * @returns {Promise<boolean>} - False if the user doesn't exist
+ */
+export async function disable_mfa(user_id) {
+  return with_transaction(async (client) => {
+    const result = await client.query(
+      `UPDATE users
+       SET totp_secret = NULL, totp_pending_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL
+       WHERE id = $1`,
+      [user_id]
+    );
+
+    await client.query(`DELETE FROM mfa_recovery_codes WHERE user_id = $1`, [user_id]);
+
+    return result.rowCount > 0;
+  });
+}
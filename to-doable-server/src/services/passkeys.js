@@ -0,0 +1,318 @@
+/**
+ * Passkeys (WebAuthn)
+ * Each ceremony starts with options holding a fresh challenge, stored until the
+ * browser's answer comes back; answering deletes it, so a response can't be replayed
+ * - Registration: a signed-in user adds a discoverable credential
+ * - Sign-in: any passkey (no username), or one of a given user's passkeys for
+ *   the second login step
+ */
+
+import { randomBytes } from 'crypto';
+import { query } from '../db/pool.js';
+import { HttpError } from '../utils/errors.js';
+import {
+  SUPPORTED_ALGORITHMS,
+  base64url_encode,
+  parse_client_data,
+  verify_registration_response,
+  verify_authentication_response,
+} from '../utils/webauthn.js';
+import { webauthn_config } from '../config/index.js';
+
+const CHALLENGE_BYTES = 32;
+const CEREMONY_TIMEOUT_MS = webauthn_config.challenge_expiry_minutes * 60 * 1000;
+
+/**
+ * Store a new challenge for a ceremony
+ * @param {string} purpose - register or login
+ * @param {string|null} user_id
+ * @returns {Promise<string>} - Base64url
+ */
+async function create_challenge(purpose, user_id) {
+  const challenge = base64url_encode(randomBytes(CHALLENGE_BYTES));
+
+  await query(
+    `INSERT INTO webauthn_challenges (challenge, user_id, purpose, expires_at)
+     VALUES ($1, $2, $3, NOW() + make_interval(mins => $4))`,
+    [challenge, user_id, purpose, webauthn_config.challenge_expiry_minutes]
+  );
+
+  return challenge;
+}
+
+/**
+ * Use up the challenge a browser answered
+ * @param {string} challenge - From clientDataJSON
+ * @param {string} purpose
+ * @returns {Promise<{user_id: string|null}|null>} - Null if unknown, used or expired
+ */
+async function consume_challenge(challenge, purpose) {
+  const result = await query(
+    `DELETE FROM webauthn_challenges
+     WHERE challenge = $1 AND purpose = $2
+     RETURNING user_id, expires_at > NOW() as is_current`,
+    [challenge, purpose]
+  );
+
+  const row = result.rows[0];
+  return row?.is_current ? { user_id: row.user_id } : null;
+}
+
+/**
+ * Check the shape of a serialized PublicKeyCredential from the client
+ * @param {*} credential
+ * @param {Array<string>} fields - Required response fields
+ * @throws {HttpError}
+ */
+function check_credential_shape(credential, fields) {
+  const valid = credential
+    && typeof credential === 'object'
+    && typeof credential.id === 'string'
+    && credential.response
+    && typeof credential.response === 'object'
+    && fields.every((field) => typeof credential.response[field] === 'string');
+
+  if (!valid) {
+    throw new HttpError(400, 'Invalid passkey response');
+  }
+}
+
+/**
+ * Format a stored credential for the client
+ * @param {Object} row
+ * @returns {Object}
+ */
+function format_passkey(row) {
+  return {
+    id: row.id,
+    nickname: row.nickname,
+    transports: row.transports,
+    created_at: row.created_at,
+    last_used_at: row.last_used_at,
+  };
+}
+
+/**
+ * List a user's passkeys
+ * @param {string} user_id
+ * @returns {Promise<Array<Object>>}
+ */
+export async function list_passkeys(user_id) {
+  const result = await query(
+    `SELECT id, nickname, transports, created_at, last_used_at
+     FROM webauthn_credentials
+     WHERE user_id = $1
+     ORDER BY created_at`,
+    [user_id]
+  );
+
+  return result.rows.map(format_passkey);
+}
+
+/**
+ * Options for navigator.credentials.create()
+ * Binary values are base64url; the client converts them
+ * @param {Object} user - Row with id, username, email
+ * @returns {Promise<Object>}
+ * @throws {HttpError} - Too many passkeys (409)
+ */
+export async function create_registration_options(user) {
+  const existing = await query(
+    `SELECT credential_id, transports FROM webauthn_credentials WHERE user_id = $1`,
+    [user.id]
+  );
+
+  if (existing.rows.length >= webauthn_config.max_passkeys) {
+    throw new HttpError(409, `You can have up to ${webauthn_config.max_passkeys} passkeys`);
+  }
+
+  const challenge = await create_challenge('register', user.id);
+
+  return {
+    challenge,
+    rp: { id: webauthn_config.rp_id, name: webauthn_config.rp_name },
+    user: {
+      id: base64url_encode(Buffer.from(user.id)),
+      name: user.email,
+      displayName: user.username,
+    },
+    pubKeyCredParams: SUPPORTED_ALGORITHMS.map((alg) => ({ type: 'public-key', alg })),
+    timeout: CEREMONY_TIMEOUT_MS,
+    attestation: 'none',
+    authenticatorSelection: {
+      residentKey: 'required',
+      requireResidentKey: true,
+      userVerification: 'required',
+    },
+    // Don't register the same authenticator twice
+    excludeCredentials: existing.rows.map((row) => ({
+      type: 'public-key',
+      id: row.credential_id,
+      transports: row.transports,
+    })),
+  };
+}
+
+/**
+ * Verify a new passkey and save it
+ * @param {string} user_id
+ * @param {Object} credential - Serialized PublicKeyCredential from navigator.credentials.create()
+ * @param {string} nickname - Validated
+ * @returns {Promise<Object>} - The passkey
+ * @throws {HttpError} - Invalid response (400), already registered (409)
+ */
+export async function register_passkey(user_id, credential, nickname) {
+  check_credential_shape(credential, ['client_data_json', 'attestation_object']);
+
+  let verified;
+  try {
+    const client_data = parse_client_data(credential.response.client_data_json, 'webauthn.create');
+    const pending = await consume_challenge(client_data.challenge, 'register');
+    if (!pending || pending.user_id !== user_id) {
+      throw new HttpError(400, 'Passkey setup expired. Please try again.');
+    }
+
+    verified = verify_registration_response(credential.response);
+  } catch (err) {
+    if (err instanceof HttpError) throw err;
+    throw new HttpError(400, 'Invalid passkey response');
+  }
+
+  const transports = Array.isArray(credential.response.transports)
+    ? credential.response.transports.filter((transport) => typeof transport === 'string').slice(0, 10)
+    : [];
+
+  const result = await query(
+    `INSERT INTO webauthn_credentials (user_id, credential_id, public_key, algorithm, sign_count, transports, nickname)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT (credential_id) DO NOTHING
+     RETURNING id, nickname, transports, created_at, last_used_at`,
+    [user_id, verified.credential_id, verified.public_key, verified.algorithm, verified.sign_count, transports, nickname]
+  );
+
+  if (result.rows.length === 0) {
+    throw new HttpError(409, 'This passkey is already registered');
+  }
+
+  return format_passkey(result.rows[0]);
+}
+
+/**
+ * Options for navigator.credentials.get()
+ * Without a user, any of the browser's passkeys for this site can answer
+ * @param {string|null} [user_id] - Limit to this user's passkeys (second login step)
+ * @returns {Promise<Object>}
+ */
+export async function create_authentication_options(user_id = null) {
+  let allow_credentials = [];
+
+  if (user_id) {
+    const result = await query(
+      `SELECT credential_id, transports FROM webauthn_credentials WHERE user_id = $1`,
+      [user_id]
+    );
+    allow_credentials = result.rows.map((row) => ({
+      type: 'public-key',
+      id: row.credential_id,
+      transports: row.transports,
+    }));
+  }
+
+  const challenge = await create_challenge('login', user_id);
+
+  return {
+    challenge,
+    rpId: webauthn_config.rp_id,
+    timeout: CEREMONY_TIMEOUT_MS,
+    userVerification: 'required',
+    allowCredentials: allow_credentials,
+  };
+}
+
+/**
+ * Verify a passkey sign-in and record its use
+ * @param {Object} credential - Serialized PublicKeyCredential from navigator.credentials.get()
+ * @param {string|null} [user_id] - The user the options were created for, if any
+ * @returns {Promise<string>} - The user's ID
+ * @throws {HttpError} - Expired challenge, unknown passkey or invalid response (401)
+ */
+export async function verify_passkey_login(credential, user_id = null) {
+  check_credential_shape(credential, ['client_data_json', 'authenticator_data', 'signature']);
+
+  try {
+    const client_data = parse_client_data(credential.response.client_data_json, 'webauthn.get');
+    const pending = await consume_challenge(client_data.challenge, 'login');
+    if (!pending || pending.user_id !== user_id) {
+      throw new HttpError(401, 'Passkey sign-in expired. Please try again.');
+    }
+
+    const stored_result = await query(
+      `SELECT id, user_id, public_key, algorithm, sign_count
+       FROM webauthn_credentials WHERE credential_id = $1`,
+      [credential.id]
+    );
+
+    const stored = stored_result.rows[0];
+    if (!stored || (user_id && stored.user_id !== user_id)) {
+      throw new HttpError(401, 'This passkey is not registered');
+    }
+
+    // Discoverable credentials return the user handle set at registration
+    const user_handle = credential.response.user_handle;
+    if (user_handle && Buffer.from(user_handle, 'base64url').toString('utf8') !== stored.user_id) {
+      throw new HttpError(401, 'This passkey is not registered');
+    }
+
+    const { sign_count } = verify_authentication_response(credential.response, client_data.hash, stored);
+
+    // A counter that doesn't move forward means the authenticator may have been
+    // cloned (passkeys synced between devices always report 0)
+    const last_count = Number(stored.sign_count);
+    if ((sign_count !== 0 || last_count !== 0) && sign_count <= last_count) {
+      throw new HttpError(401, 'Passkey rejected. Please remove it and add it again.');
+    }
+
+    await query(
+      `UPDATE webauthn_credentials SET sign_count = $2, last_used_at = NOW() WHERE id = $1`,
+      [stored.id, sign_count]
+    );
+
+    return stored.user_id;
+  } catch (err) {
+    if (err instanceof HttpError) throw err;
+    throw new HttpError(401, 'Passkey sign-in failed');
+  }
+}
+
+/**
+ * Rename a passkey
+ * @param {string} user_id
+ * @param {string} passkey_id
+ * @param {string} nickname - Validated
+ * @returns {Promise<Object|null>} - Null if not found
+ */
+export async function rename_passkey(user_id, passkey_id, nickname) {
+  const result = await query(
+    `UPDATE webauthn_credentials SET nickname = $3
+     WHERE id = $1 AND user_id = $2
+     RETURNING id, nickname, transports, created_at, last_used_at`,
+    [passkey_id, user_id, nickname]
+  );
+
+  return result.rows[0] ? format_passkey(result.rows[0]) : null;
+}
+
+/**
+ * Remove a passkey
+ * @param {string} user_id
+ * @param {string} passkey_id
+ * @returns {Promise<boolean>} - False if not found
+ */
+export async function delete_passkey(user_id, passkey_id) {
+  const result = await query(
+    `DELETE FROM webauthn_credentials WHERE id = $1 AND user_id = $2`,
+    [passkey_id, user_id]
+  );
+
+  return result.rowCount > 0;
+}
@@ -0,0 +1,146 @@
+/**
+ * Profile mutations
+ * Shared between the profile routes and the sync push endpoint
+ */
+
+import {
+  validate_bio,
+  validate_phone,
+  validate_pronouns,
+  validate_avatar_url,
+  validate_time_zone,
+  validate_quiet_hours,
+  sanitize_html,
+} from '../utils/validation.js';
+import { HttpError } from '../utils/errors.js';
+import { resolve_field_versions } from './versions.js';
+
+// Columns returned to the client after a profile update
+export const PROFILE_COLUMNS = `id, username, email, avatar_url, bio, phone, pronouns, time_zone,
+  to_char(quiet_hours_start, 'HH24:MI') AS quiet_hours_start, to_char(quiet_hours_end, 'HH24:MI') AS quiet_hours_end,
+  is_admin, is_verified, field_versions, created_at, updated_at`;
+
+// Versioned profile fields and the input keys each covers (quiet hours are set together)
+const PROFILE_FIELDS = {
+  bio: ['bio'],
+  phone: ['phone'],
+  pronouns: ['pronouns'],
+  avatar_url: ['avatar_url'],
+  time_zone: ['time_zone'],
+  quiet_hours: ['quiet_hours_start', 'quiet_hours_end'],
+};
+
+/**
+ * Update profile fields (bio, phone, pronouns, avatar_url, time_zone, quiet_hours_start/end)
+ * Username is not editable and email changes go through POST /api/auth/change-email.
+ * Fields are merged by version (see services/versions.js)
+ * @param {pg.PoolClient} client - Transaction client
+ * @param {string} user_id
+ * @param {Object} input - Fields to change, optionally with field_clocks/base_clocks
+ * @returns {Promise<{profile: Object, conflicts: Array}>} - Updated profile (PROFILE_COLUMNS)
+ * @throws {HttpError} - Invalid input
+ */
+export async function update_profile(client, user_id, input) {
+  const existing = await client.query(
+    `SELECT bio, phone, pronouns, avatar_url, time_zone,
+            to_char(quiet_hours_start, 'HH24:MI') AS quiet_hours_start, to_char(quiet_hours_end, 'HH24:MI') AS quiet_hours_end,
+            field_versions
+     FROM users WHERE id = $1
+     FOR UPDATE`,
+    [user_id]
+  );
+
+  const versioned = resolve_field_versions(existing.rows[0], input, PROFILE_FIELDS);
+
+  // Every edited field lost to a newer edit: nothing to write
+  if (versioned.unchanged) {
+    const current = await client.query(`SELECT ${PROFILE_COLUMNS} FROM users WHERE id = $1`, [user_id]);
+    return { profile: current.rows[0], conflicts: versioned.conflicts };
+  }
+
+  const { bio, phone, pronouns, avatar_url, time_zone, quiet_hours_start, quiet_hours_end } = versioned.input;
+  const updates = [];
+  const values = [];
+  let param_count = 1;
+
+  // Validate and add bio if provided
+  if (bio !== undefined) {
+    const bio_result = validate_bio(bio);
+    if (!bio_result.valid) {
+      throw new HttpError(400, bio_result.error);
+    }
+    updates.push(`bio = $${param_count++}`);
+    values.push(bio_result.value ? sanitize_html(bio_result.value) : null);
+  }
+
+  // Validate and add phone if provided
+  if (phone !== undefined) {
+    const phone_result = validate_phone(phone);
+    if (!phone_result.valid) {
+      throw new HttpError(400, phone_result.error);
+    }
+    updates.push(`phone = $${param_count++}`);
+    values.push(phone_result.value);
+  }
+
+  // Validate and add pronouns if provided
+  if (pronouns !== undefined) {
+    const pronouns_result = validate_pronouns(pronouns);
+    if (!pronouns_result.valid) {
+      throw new HttpError(400, pronouns_result.error);
+    }
+    updates.push(`pronouns = $${param_count++}`);
+    values.push(pronouns_result.value ? sanitize_html(pronouns_result.value) : null);
+  }
+
+  // Validate and add avatar_url if provided
+  if (avatar_url !== undefined) {
+    const avatar_result = validate_avatar_url(avatar_url);
+    if (!avatar_result.valid) {
+      throw new HttpError(400, avatar_result.error);
+    }
+    updates.push(`avatar_url = $${param_count++}`);
+    values.push(avatar_result.value);
+  }
+
+  // Validate and add time zone if provided
+  if (time_zone !== undefined) {
+    const time_zone_result = validate_time_zone(time_zone);
+    if (!time_zone_result.valid) {
+      throw new HttpError(400, time_zone_result.error);
+    }
+    updates.push(`time_zone = $${param_count++}`);
+    values.push(time_zone_result.value);
+  }
+
+  // Quiet hours are set together; null for both turns them off
+  if (quiet_hours_start !== undefined || quiet_hours_end !== undefined) {
+    const quiet_hours_result = validate_quiet_hours(quiet_hours_start, quiet_hours_end);
+    if (!quiet_hours_result.valid) {
+      throw new HttpError(400, quiet_hours_result.error);
+    }
+    updates.push(`quiet_hours_start = $${param_count++}`);
+    values.push(quiet_hours_result.value.start);
+    updates.push(`quiet_hours_end = $${param_count++}`);
+    values.push(quiet_hours_result.value.end);
+  }
+
+  if (updates.length === 0) {
+    throw new HttpError(400, 'No valid fields to update');
+  }
+
+  updates.push(`field_versions = $${param_count++}`);
+  values.push(versioned.field_versions);
+
+  // Add user ID as last parameter
+  values.push(user_id);
+
+  const result = await client.query(
+    `UPDATE users SET ${updates.join(', ')}, updated_at = NOW()
+     WHERE id = $${param_count}
+     RETURNING ${PROFILE_COLUMNS}`,
+    values
+  );
+
+  return { profile: result.rows[0], conflicts: versioned.conflicts };
+}
@@ -0,0 +1,162 @@
+/**
+ * Recurring task occurrences
+ * Creates the next occurrence of a recurring task when one is completed,
+ * and pre-materializes upcoming occurrences from the scheduler
+ */
+
+import { query, with_transaction } from '../db/pool.js';
+import { parse_rrule, get_next_due_at } from '../utils/recurrence.js';
+import { recurrence_config } from '../config/index.js';
+
+/**
+ * Create the occurrence that follows a recurring task
+ * Copies the title, notes, priority, list, tags, subtask checklist (reset to todo)
+ * and reminders relative to the due date
+ * Safe to call repeatedly: each occurrence index is only ever created once per series
+ * @param {pg.PoolClient} client - Transaction client
+ * @param {Object} task - Task row including due_at, completed_at and the recurrence_* columns
+ * @param {string} time_zone - User's IANA time zone
+ * @param {Object} [options]
+ * @param {Date|null} [options.not_before] - Skip occurrences at or before this instant
+ * @param {Date|null} [options.due_before] - Don't create occurrences due after this instant
+ * @returns {Promise<{id: string, due_at: Date}|null>} - null if the series ended or the occurrence exists
+ */
+export async function create_next_occurrence(client, task, time_zone, { not_before = null, due_before = null } = {}) {
+  if (!task.recurrence_rule || !task.recurrence_series_id) {
+    return null;
+  }
+
+  const rule_result = parse_rrule(task.recurrence_rule);
+  if (!rule_result.valid) {
+    return null;
+  }
+
+  const rule = rule_result.value;
+  if (rule.count !== null && task.recurrence_index >= rule.count) {
+    return null;
+  }
+
+  const due_at = get_next_due_at({
+    rule,
+    basis: task.recurrence_basis || 'due',
+    due_at: task.due_at,
+    completed_at: task.completed_at || new Date(),
+    time_zone,
+    not_before,
+  });
+
+  if (!due_at || (due_before && due_at > due_before)) {
+    return null;
+  }
+
+  const inserted = await client.query(
+    `INSERT INTO tasks (user_id, list_id, title, notes, is_private, priority, due_at, position,
+                        recurrence_rule, recurrence_basis, recurrence_series_id, recurrence_index)
+     SELECT user_id, list_id, title, notes, is_private, priority, $2,
+            (SELECT COALESCE(MAX(position) + 1, 0) FROM tasks s
+             WHERE s.list_id = t.list_id AND s.parent_id IS NULL AND s.deleted_at IS NULL),
+            recurrence_rule, recurrence_basis, recurrence_series_id, recurrence_index + 1
+     FROM tasks t WHERE id = $1
+     ON CONFLICT (recurrence_series_id, recurrence_index) WHERE recurrence_series_id IS NOT NULL DO NOTHING
+     RETURNING id, list_id, due_at`,
+    [task.id, due_at]
+  );
+
+  if (inserted.rows.length === 0) {
+    return null;
+  }
+
+  const next = inserted.rows[0];
+
+  // Copy the checklist top-down so each subtask's parent exists before it
+  const subtasks = await client.query(
+    `WITH RECURSIVE subtree AS (
+       SELECT id, 1 AS depth FROM tasks WHERE parent_id = $1 AND deleted_at IS NULL
+       UNION ALL
+       SELECT t.id, s.depth + 1 FROM tasks t JOIN subtree s ON t.parent_id = s.id WHERE t.deleted_at IS NULL
+     )
+     SELECT t.id, t.parent_id FROM subtree s JOIN tasks t ON t.id = s.id
+     ORDER BY s.depth, t.position`,
+    [task.id]
+  );
+
+  const copied_ids = new Map([[task.id, next.id]]);
+
+  for (const subtask of subtasks.rows) {
+    const copy = await client.query(
+      `INSERT INTO tasks (user_id, list_id, parent_id, title, notes, is_private, priority, position)
+       SELECT user_id, $3, $2, title, notes, is_private, priority, position FROM tasks WHERE id = $1
+       RETURNING id`,
+      [subtask.id, copied_ids.get(subtask.parent_id), next.list_id]
+    );
+    copied_ids.set(subtask.id, copy.rows[0].id);
+  }
+
+  for (const [source_id, copy_id] of copied_ids) {
+    await client.query(
+      `INSERT INTO task_tags (task_id, tag_id) SELECT $2, tag_id FROM task_tags WHERE task_id = $1`,
+      [source_id, copy_id]
+    );
+  }
+
+  await client.query(
+    `INSERT INTO task_reminders (task_id, user_id, minutes_before_due)
+     SELECT $2, user_id, minutes_before_due FROM task_reminders
+     WHERE task_id = $1 AND minutes_before_due IS NOT NULL`,
+    [task.id, next.id]
+  );
+
+  return { id: next.id, due_at: next.due_at };
+}
+
+/**
+ * Pre-create upcoming occurrences of recurring tasks
+ * Looks at the latest occurrence of every date-based series and creates the following
+ * ones that fall within recurrence_config.materialize_days_ahead
+ * A series whose latest occurrence was deleted or had its rule removed is left alone
+ * @returns {Promise<number>} - Number of occurrences created
+ */
+export async function materialize_recurring_tasks() {
+  const now = new Date();
+  const horizon = new Date(now.getTime() + recurrence_config.materialize_days_ahead * 24 * 60 * 60 * 1000);
+
+  const latest = await query(
+    `SELECT * FROM (
+       SELECT DISTINCT ON (t.recurrence_series_id)
+              t.id, t.due_at, t.completed_at, t.deleted_at, t.recurrence_rule, t.recurrence_basis,
+              t.recurrence_series_id, t.recurrence_index, u.time_zone
+       FROM tasks t
+       JOIN users u ON u.id = t.user_id
+       WHERE t.recurrence_series_id IS NOT NULL AND u.deleted_at IS NULL
+       ORDER BY t.recurrence_series_id, t.recurrence_index DESC
+     ) latest
+     WHERE deleted_at IS NULL AND recurrence_rule IS NOT NULL AND recurrence_basis = 'due'
+       AND due_at IS NOT NULL AND due_at <= $1`,
+    [horizon]
+  );
+
+  let created = 0;
+
+  for (const row of latest.rows) {
+    try {
+      let task = row;
+
+      for (let i = 0; i < recurrence_config.max_materialized_per_series; i++) {
+        const next = await with_transaction((client) =>
+          create_next_occurrence(client, task, row.time_zone, { not_before: now, due_before: horizon })
+        );
+
+        if (!next) {
+          break;
+        }
+
+        created++;
+        task = { ...task, id: next.id, due_at: next.due_at, completed_at: null, recurrence_index: task.recurrence_index + 1 };
+      }
+    } catch (err) {
+      console.error('Materialize recurring task error:', err);
+    }
+  }
+
+  return created;
+}
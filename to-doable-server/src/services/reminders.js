@@ -0,0 +1,113 @@
+/**
+ * Task reminders
+ * Finds reminders that are due and emails them to their owners
+ *
+ * Delivery is claimed in the database before the email goes out (status 'sending'),
+ * so overlapping runs or a restart can never send the same reminder twice.
+ * A reminder whose send fails is released for another attempt; one left in 'sending'
+ * by a crash mid-send is not retried
+ */
+
+import { query } from '../db/pool.js';
+import { send_task_reminder_email } from './email.js';
+import { reminder_config } from '../config/index.js';
+
+// Columns returned to the client for a reminder
+export const REMINDER_COLUMNS = 'id, task_id, remind_at, minutes_before_due, status, sent_at, created_at';
+
+// When a reminder fires: its absolute time, or the task's due date minus the offset
+const FIRE_AT_SQL = 'COALESCE(r.remind_at, t.due_at - make_interval(mins => r.minutes_before_due))';
+
+// Whether the current time is inside the user's quiet hours (local time, may wrap past midnight)
+const IN_QUIET_HOURS_SQL = `CASE
+    WHEN u.quiet_hours_start IS NULL OR u.quiet_hours_end IS NULL THEN FALSE
+    WHEN u.quiet_hours_start < u.quiet_hours_end
+      THEN (NOW() AT TIME ZONE u.time_zone)::time >= u.quiet_hours_start
+       AND (NOW() AT TIME ZONE u.time_zone)::time < u.quiet_hours_end
+    ELSE (NOW() AT TIME ZONE u.time_zone)::time >= u.quiet_hours_start
+      OR (NOW() AT TIME ZONE u.time_zone)::time < u.quiet_hours_end
+  END`;
+
+/**
+ * Re-arm a task's relative reminders after its due date changed
+ * Only reminders that will fire in the future are reset; one being sent right now is left alone
+ * @param {pg.PoolClient} client - Transaction client
+ * @param {string} task_id - Task ID
+ * @returns {Promise<void>}
+ */
+export async function rearm_task_reminders(client, task_id) {
+  await client.query(
+    `UPDATE task_reminders r SET status = 'pending', attempts = 0, sent_at = NULL
+     FROM tasks t
+     WHERE t.id = r.task_id AND r.task_id = $1 AND r.minutes_before_due IS NOT NULL
+       AND r.status != 'sending' AND ${FIRE_AT_SQL} > NOW()`,
+    [task_id]
+  );
+}
+
+/**
+ * Send every reminder that is due
+ * Skips unverified and deleted users, deleted and completed tasks, and waits
+ * out the user's quiet hours. Reminders overdue by more than
+ * reminder_config.max_lateness_minutes (e.g. after downtime) are dropped
+ * @returns {Promise<{sent: number, failed: number, skipped: number}>}
+ */
+export async function send_due_reminders() {
+  const stale = await query(
+    `UPDATE task_reminders r SET status = 'skipped'
+     FROM tasks t
+     WHERE t.id = r.task_id AND r.status = 'pending'
+       AND ${FIRE_AT_SQL} < NOW() - make_interval(mins => $1)`,
+    [reminder_config.max_lateness_minutes]
+  );
+
+  const due = await query(
+    `SELECT r.id, t.title, t.is_private, t.due_at, u.email, u.username, u.time_zone
+     FROM task_reminders r
+     JOIN tasks t ON t.id = r.task_id
+     JOIN users u ON u.id = r.user_id
+     WHERE r.status = 'pending'
+       AND t.deleted_at IS NULL AND t.status != 'done'
+       AND u.is_verified = TRUE AND u.deleted_at IS NULL
+       AND ${FIRE_AT_SQL} <= NOW()
+       AND NOT (${IN_QUIET_HOURS_SQL})
+     ORDER BY ${FIRE_AT_SQL}
+     LIMIT $1`,
+    [reminder_config.batch_size]
+  );
+
+  let sent = 0;
+  let failed = 0;
+
+  for (const reminder of due.rows) {
+    // Claim it; another run may have got here first
+    const claimed = await query(
+      `UPDATE task_reminders SET status = 'sending', attempts = attempts + 1
+       WHERE id = $1 AND status = 'pending'
+       RETURNING attempts`,
+      [reminder.id]
+    );
+
+    if (claimed.rows.length === 0) {
+      continue;
+    }
+
+    const result = await send_task_reminder_email(reminder.email, reminder.username, reminder, reminder.time_zone);
+
+    if (result.success) {
+      await query(
+        `UPDATE task_reminders SET status = 'sent', sent_at = NOW() WHERE id = $1`,
+        [reminder.id]
+      );
+      sent++;
+    } else {
+      await query(
+        `UPDATE task_reminders SET status = $2 WHERE id = $1`,
+        [reminder.id, claimed.rows[0].attempts >= reminder_config.max_attempts ? 'failed' : 'pending']
+      );
+      failed++;
+    }
+  }
+
+  return { sent, failed, skipped: stale.rowCount };
+}
@@ -0,0 +1,237 @@
+/**
+ * Signed-in sessions
+ * A session is a family of refresh tokens: every refresh replaces the token with
+ * a new one in the same family, and the rotated one is kept until it expires.
+ * A rotated token presented again means two parties hold the session (e.g. a
+ * stolen cookie), so the family is revoked and the user is warned
+ * Access tokens carry the family ID (sid), so revoking a session also ends the
+ * access token it issued
+ * Shared between login, token refresh, the user's session routes and the admin user view
+ */
+
+import { query, with_transaction } from '../db/pool.js';
+import { hash_token } from '../utils/crypto.js';
+import { verify_jwt, create_refresh_token, get_expiry_date } from '../utils/jwt.js';
+import { parse_user_agent } from '../utils/user-agent.js';
+import { send_session_reuse_email } from './email.js';
+import { jwt_config } from '../config/index.js';
+
+/**
+ * Store a refresh token
+ * @param {Object} client - Query client (pool or transaction)
+ * @param {Object} token
+ * @param {string} token.user_id
+ * @param {string} token.refresh_token
+ * @param {Date} token.expires_at
+ * @param {boolean} token.session_only
+ * @param {string|null} token.family_id - Null starts a new session
+ * @param {Request} req - For the user agent and IP
+ * @returns {Promise<string>} - Family (session) ID
+ */
+async function insert_refresh_token(client, { user_id, refresh_token, expires_at, session_only, family_id }, req) {
+  const result = await client.query(
+    `INSERT INTO refresh_tokens (user_id, token_hash, expires_at, is_session_only, user_agent, ip_address, family_id)
+     VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, uuid_generate_v4()))
+     RETURNING family_id`,
+    [
+      user_id,
+      hash_token(refresh_token),
+      expires_at,
+      session_only,
+      req.headers['user-agent'] || null,
+      req.ip || null,
+      family_id,
+    ]
+  );
+
+  return result.rows[0].family_id;
+}
+
+/**
+ * Start a session after a successful login
+ * @param {Object} user - Row with id
+ * @param {boolean} stay_logged_in
+ * @param {Request} req
+ * @returns {Promise<{refresh_token: string, session_id: string}>}
+ */
+export async function create_session(user, stay_logged_in, req) {
+  const refresh_token = create_refresh_token(user, stay_logged_in);
+
+  const session_id = await insert_refresh_token({ query }, {
+    user_id: user.id,
+    refresh_token,
+    expires_at: get_expiry_date(stay_logged_in ? jwt_config.refresh_expiry : '24h'),
+    session_only: !stay_logged_in,
+    family_id: null,
+  }, req);
+
+  return { refresh_token, session_id };
+}
+
+/**
+ * Exchange a refresh token for a new one in the same session
+ * The new token keeps the session's expiry. Parallel requests of one browser
+ * can present the same token; within the grace period the later ones get a
+ * session without a new token (the browser keeps the first one's)
+ * @param {string} refresh_token - From the cookie
+ * @param {Request} req
+ * @returns {Promise<{user: Object, session_id: string, session_only: boolean, expires_at: Date, refresh_token: string|null}|null>}
+ *   - Null if the token is invalid, expired or was reused (the session is then revoked)
+ */
+export async function rotate_refresh_token(refresh_token, req) {
+  const token_result = verify_jwt(refresh_token);
+  if (!token_result.valid || token_result.payload.type !== 'refresh') {
+    return null;
+  }
+
+  const result = await with_transaction(async (client) => {
+    // Lock the token so parallel refreshes queue up behind the first one
+    const token_rows = await client.query(
+      `SELECT rt.id, rt.family_id, rt.expires_at, rt.is_session_only, rt.rotated_at,
+              rt.rotated_at > NOW() - make_interval(secs => $2) as in_grace_period,
+              u.id as user_id, u.username, u.email, u.is_admin, u.is_verified, u.deleted_at
+       FROM refresh_tokens rt
+       JOIN users u ON rt.user_id = u.id
+       WHERE rt.token_hash = $1 AND rt.expires_at > NOW()
+       FOR UPDATE OF rt`,
+      [hash_token(refresh_token), jwt_config.refresh_reuse_grace_seconds]
+    );
+
+    if (token_rows.rows.length === 0) {
+      return null;
+    }
+
+    const record = token_rows.rows[0];
+    const user = {
+      id: record.user_id,
+      username: record.username,
+      email: record.email,
+      is_admin: record.is_admin,
+      is_verified: record.is_verified,
+      deleted_at: record.deleted_at,
+    };
+    const session = {
+      user,
+      session_id: record.family_id,
+      session_only: record.is_session_only,
+      expires_at: record.expires_at,
+    };
+
+    if (record.rotated_at) {
+      if (record.in_grace_period) {
+        return { ...session, refresh_token: null };
+      }
+
+      await client.query(`DELETE FROM refresh_tokens WHERE family_id = $1`, [record.family_id]);
+      return { reused: true, user };
+    }
+
+    await client.query(
+      `UPDATE refresh_tokens SET rotated_at = NOW(), last_used_at = NOW() WHERE id = $1`,
+      [record.id]
+    );
+
+    const new_token = create_refresh_token(user, !record.is_session_only, record.expires_at);
+    await insert_refresh_token(client, {
+      user_id: user.id,
+      refresh_token: new_token,
+      expires_at: record.expires_at,
+      session_only: record.is_session_only,
+      family_id: record.family_id,
+    }, req);
+
+    return { ...session, refresh_token: new_token };
+  });
+
+  if (result?.reused) {
+    console.warn(`Refresh token reuse detected for user ${result.user.id}; session revoked`);
+    send_session_reuse_email(result.user.email, result.user.username, {
+      device: parse_user_agent(req.headers['user-agent']).label,
+      ip_address: req.ip || null,
+    }).catch((err) => console.error('Failed to send session reuse email:', err));
+    return null;
+  }
+
+  return result;
+}
+
+/**
+ * List a user's active sessions, most recently used first
+ * @param {string} user_id
+ * @param {string|null} [current_session_id] - Marked is_current
+ * @returns {Promise<Array<Object>>}
+ */
+export async function list_sessions(user_id, current_session_id = null) {
+  // One current (not yet rotated) token per session; the family's first token
+  // tells when it signed in
+  const result = await query(
+    `SELECT rt.family_id, rt.user_agent, rt.ip_address, rt.created_at as last_refreshed_at, rt.last_used_at,
+            rt.expires_at, rt.is_session_only,
+            (SELECT MIN(f.created_at) FROM refresh_tokens f WHERE f.family_id = rt.family_id) as created_at
+     FROM refresh_tokens rt
+     WHERE rt.user_id = $1 AND rt.rotated_at IS NULL AND rt.expires_at > NOW()
+     ORDER BY COALESCE(rt.last_used_at, rt.created_at) DESC`,
+    [user_id]
+  );
+
+  return result.rows.map((row) => {
+    const device = parse_user_agent(row.user_agent);
+    return {
+      id: row.family_id,
+      label: device.label,
+      browser: device.browser,
+      os: device.os,
+      is_mobile: device.is_mobile,
+      ip_address: row.ip_address,
+      created_at: row.created_at,
+      last_used_at: row.last_used_at ?? row.last_refreshed_at,
+      expires_at: row.expires_at,
+      is_session_only: row.is_session_only,
+      is_current: row.family_id === current_session_id,
+    };
+  });
+}
+
+/**
+ * Sign out the session a refresh token belongs to (logout)
+ * @param {string} refresh_token
+ */
+export async function revoke_session_by_token(refresh_token) {
+  await query(
+    `DELETE FROM refresh_tokens
+     WHERE family_id = (SELECT family_id FROM refresh_tokens WHERE token_hash = $1)`,
+    [hash_token(refresh_token)]
+  );
+}
+
+/**
+ * Sign out one session
+ * @param {string} user_id
+ * @param {string} session_id
+ * @returns {Promise<boolean>} - False if not found
+ */
+export async function revoke_session(user_id, session_id) {
+  const result = await query(
+    `DELETE FROM refresh_tokens WHERE family_id = $1 AND user_id = $2`,
+    [session_id, user_id]
+  );
+
+  return result.rowCount > 0;
+}
+
+/**
+ * Sign out every session but one
+ * @param {string} user_id
+ * @param {string|null} keep_session_id
+ * @returns {Promise<number>} - Sessions signed out
+ */
+export async function revoke_other_sessions(user_id, keep_session_id) {
+  const result = await query(
+    `DELETE FROM refresh_tokens
+     WHERE user_id = $1 AND family_id IS DISTINCT FROM $2
+     RETURNING family_id`,
+    [user_id, keep_session_id]
+  );
+
+  return new Set(result.rows.map((row) => row.family_id)).size;
+}
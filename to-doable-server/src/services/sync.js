@@ -0,0 +1,241 @@
+/**
+ * Sync service
+ * Reads the per-user change log (maintained by triggers, see schema.sql) so clients
+ * can pull only what changed since their last cursor instead of downloading everything,
+ * and applies batches of queued offline mutations in one round trip
+ */
+
+import { query } from '../db/pool.js';
+import { HttpError } from '../utils/errors.js';
+import { TASK_COLUMNS, create_task, update_task, delete_task, restore_task } from './tasks.js';
+import { LIST_COLUMNS, create_list, update_list, delete_list } from './lists.js';
+import { TAG_COLUMNS, create_tag, update_tag, delete_tag } from './tags.js';
+import { PROFILE_COLUMNS, update_profile } from './profile.js';
+import { sync_config } from '../config/index.js';
+
+// Entity types in the change log and the columns returned for each
+const ENTITY_QUERIES = {
+  list: `SELECT ${LIST_COLUMNS} FROM lists WHERE id = ANY($1::uuid[]) AND user_id = $2`,
+  tag: `SELECT ${TAG_COLUMNS} FROM tags WHERE id = ANY($1::uuid[]) AND user_id = $2`,
+  task: `SELECT ${TASK_COLUMNS} FROM tasks WHERE id = ANY($1::uuid[]) AND user_id = $2 AND deleted_at IS NULL`,
+  profile: `SELECT ${PROFILE_COLUMNS} FROM users WHERE id = ANY($1::uuid[]) AND id = $2`,
+};
+
+/**
+ * Get the user's changes after a cursor
+ * A cursor from before the oldest kept tombstone (or from a different server) can't be
+ * caught up safely, so the feed restarts from the beginning and reports reset: true;
+ * the client must then drop its local copy before applying the changes
+ * @param {string} user_id
+ * @param {string} since - Cursor ('0' for everything)
+ * @param {number} [limit] - Maximum changes to return
+ * @returns {Promise<{changes: Array, cursor: string, has_more: boolean, reset: boolean}>}
+ */
+export async function get_changes_since(user_id, since, limit = sync_config.page_size) {
+  const state = await query(
+    `SELECT last_seq, purged_seq FROM sync_cursors WHERE user_id = $1`,
+    [user_id]
+  );
+
+  const last_seq = BigInt(state.rows[0]?.last_seq ?? 0);
+  const purged_seq = BigInt(state.rows[0]?.purged_seq ?? 0);
+
+  let cursor = BigInt(since);
+  let reset = false;
+
+  if (cursor > 0n && (cursor < purged_seq || cursor > last_seq)) {
+    cursor = 0n;
+    reset = true;
+  }
+
+  // Starting from scratch there is nothing to delete, so tombstones are skipped
+  const log = await query(
+    `SELECT entity_type, entity_id, seq, deleted FROM change_log
+     WHERE user_id = $1 AND seq > $2 AND ($2 > 0 OR deleted = FALSE)
+     ORDER BY seq
+     LIMIT $3`,
+    [user_id, cursor.toString(), limit + 1]
+  );
+
+  const has_more = log.rows.length > limit;
+  const entries = log.rows.slice(0, limit);
+
+  // Load the current state of every changed entity, one query per type
+  const entities = new Map();
+
+  for (const [type, sql] of Object.entries(ENTITY_QUERIES)) {
+    const ids = entries
+      .filter((entry) => entry.entity_type === type && !entry.deleted)
+      .map((entry) => entry.entity_id);
+
+    if (ids.length === 0) {
+      continue;
+    }
+
+    const result = await query(sql, [ids, user_id]);
+    for (const row of result.rows) {
+      entities.set(`${type}:${row.id}`, row);
+    }
+  }
+
+  // An entity deleted after the log was read is reported as deleted;
+  // its own tombstone follows in a later page
+  const changes = entries.map((entry) => {
+    const data = entry.deleted ? null : entities.get(`${entry.entity_type}:${entry.entity_id}`);
+
+    return data
+      ? { type: entry.entity_type, id: entry.entity_id, op: 'upsert', data }
+      : { type: entry.entity_type, id: entry.entity_id, op: 'delete' };
+  });
+
+  return {
+    changes,
+    cursor: entries.length > 0 ? entries[entries.length - 1].seq : cursor.toString(),
+    has_more,
+    reset,
+  };
+}
+
+/**
+ * Remove tombstones older than sync_config.tombstone_retention_days
+ * Remembers the highest removed sequence number per user so clients whose
+ * cursor is older than that know to resync from scratch
+ * @returns {Promise<number>} - Number of tombstones removed
+ */
+export async function purge_old_tombstones() {
+  const result = await query(
+    `WITH purged AS (
+       DELETE FROM change_log
+       WHERE deleted = TRUE AND changed_at < NOW() - make_interval(days => $1)
+       RETURNING user_id, seq
+     ),
+     per_user AS (
+       SELECT user_id, MAX(seq) AS max_seq, COUNT(*) AS count FROM purged GROUP BY user_id
+     ),
+     updated AS (
+       UPDATE sync_cursors s SET purged_seq = GREATEST(s.purged_seq, p.max_seq)
+       FROM per_user p WHERE s.user_id = p.user_id
+     )
+     SELECT COALESCE(SUM(count), 0)::int AS count FROM per_user`,
+    [sync_config.tombstone_retention_days]
+  );
+
+  return result.rows[0].count;
+}
+
+// Mutations accepted by push_mutations, keyed by "type.op"
+// Each returns [status, body] with the same body the matching REST endpoint responds with
+const MUTATION_HANDLERS = {
+  'task.create': async (client, user_id, { data }) =>
+    [201, { message: 'Task created', task: await create_task(client, user_id, data) }],
+  'task.update': async (client, user_id, { id, data }) => {
+    const { task, next_occurrence, conflicts } = await update_task(client, user_id, id, data);
+    return [200, { message: 'Task updated', task, next_occurrence, conflicts }];
+  },
+  'task.delete': async (client, user_id, { id }) =>
+    [200, { message: 'Task deleted', ...(await delete_task(client, user_id, id)) }],
+  'task.restore': async (client, user_id, { id }) =>
+    [200, { message: 'Task restored', task: await restore_task(client, user_id, id) }],
+  'list.create': async (client, user_id, { data }) =>
+    [201, { message: 'List created', list: await create_list(client, user_id, data) }],
+  'list.update': async (client, user_id, { id, data }) => {
+    const { list, conflicts } = await update_list(client, user_id, id, data);
+    return [200, { message: 'List updated', list, conflicts }];
+  },
+  'list.delete': async (client, user_id, { id, data }) =>
+    [200, { message: 'List deleted', ...(await delete_list(client, user_id, id, data)) }],
+  'tag.create': async (client, user_id, { data }) =>
+    [201, { message: 'Tag created', tag: await create_tag(client, user_id, data) }],
+  'tag.update': async (client, user_id, { id, data }) =>
+    [200, { message: 'Tag updated', tag: await update_tag(client, user_id, id, data) }],
+  'tag.delete': async (client, user_id, { id }) => {
+    await delete_tag(client, user_id, id);
+    return [200, { message: 'Tag deleted' }];
+  },
+  'profile.update': async (client, user_id, { data }) => {
+    const { profile, conflicts } = await update_profile(client, user_id, data);
+    return [200, { message: 'Profile updated', profile, conflicts }];
+  },
+};
+
+/**
+ * Check whether a mutation type and operation are supported
+ * @param {string} type
+ * @param {string} op
+ * @returns {boolean}
+ */
+export function is_known_mutation(type, op) {
+  return Object.hasOwn(MUTATION_HANDLERS, `${type}.${op}`);
+}
+
+/**
+ * Apply a batch of mutations in order inside one transaction
+ * Each mutation runs in its own savepoint, so one that fails is rolled back
+ * without affecting the others. Results are remembered under the mutation's
+ * idempotency key (like the idempotency middleware does for single requests),
+ * so a batch resent after a lost response is not applied twice
+ * @param {pg.PoolClient} client - Transaction client
+ * @param {string} user_id
+ * @param {Array<{idempotency_key: string, type: string, op: string, id?: string, data?: Object}>} mutations
+ * @returns {Promise<Array<{idempotency_key: string, status: number, body: Object, replayed?: boolean}>>}
+ */
+export async function push_mutations(client, user_id, mutations) {
+  const results = [];
+
+  for (const mutation of mutations) {
+    const { idempotency_key, type, op } = mutation;
+    const endpoint = `SYNC:${type}.${op}`;
+
+    const existing = await client.query(
+      `SELECT response_status, response_body FROM idempotency_keys
+       WHERE key = $1 AND user_id = $2 AND endpoint = $3 AND expires_at > NOW()`,
+      [idempotency_key, user_id, endpoint]
+    );
+
+    if (existing.rows.length > 0) {
+      results.push({
+        idempotency_key,
+        status: existing.rows[0].response_status,
+        body: existing.rows[0].response_body,
+        replayed: true,
+      });
+      continue;
+    }
+
+    let status;
+    let body;
+
+    await client.query('SAVEPOINT sync_mutation');
+
+    try {
+      [status, body] = await MUTATION_HANDLERS[`${type}.${op}`](client, user_id, {
+        id: mutation.id,
+        data: mutation.data || {},
+      });
+      await client.query('RELEASE SAVEPOINT sync_mutation');
+    } catch (err) {
+      await client.query('ROLLBACK TO SAVEPOINT sync_mutation');
+
+      if (err instanceof HttpError) {
+        [status, body] = [err.status, { error: err.message }];
+      } else {
+        console.error(`Sync push ${type}.${op} error:`, err);
+        [status, body] = [500, { error: 'Failed to apply change' }];
+      }
+    }
+
+    // Server errors are not remembered so the client can retry them
+    if (status < 500) {
+      await client.query(
+        `INSERT INTO idempotency_keys (key, user_id, endpoint, response_status, response_body, expires_at)
+         VALUES ($1, $2, $3, $4, $5, NOW() + INTERVAL '24 hours')
+         ON CONFLICT (key) DO NOTHING`,
+        [idempotency_key, user_id, endpoint, status, body]
+      );
+    }
+
+    results.push({ idempotency_key, status, body });
+  }
+
+  return results;
+}
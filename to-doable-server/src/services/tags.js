@@ -0,0 +1,192 @@
+/**
+ * Tag helpers and mutations
+ * Shared between the tag and task routes and the sync push endpoint
+ */
+
+import { query } from '../db/pool.js';
+import { validate_tag_name, validate_color, validate_uuid, sanitize_html } from '../utils/validation.js';
+import { HttpError } from '../utils/errors.js';
+
+// Columns returned to the client for a tag, with the number of active tasks using it (routes and sync)
+export const TAG_COLUMNS = `id, name, color, created_at, updated_at,
+  (SELECT COUNT(*)::int FROM task_tags tt JOIN tasks t ON t.id = tt.task_id
+   WHERE tt.tag_id = tags.id AND t.deleted_at IS NULL) AS task_count`;
+
+/**
+ * Check that every tag exists and belongs to the user
+ * @param {Array<string>} tag_ids - Deduplicated tag IDs
+ * @param {string} user_id
+ * @param {pg.PoolClient} [client] - Optional transaction client
+ * @returns {Promise<boolean>}
+ */
+export async function user_owns_tags(tag_ids, user_id, client = null) {
+  if (tag_ids.length === 0) {
+    return true;
+  }
+
+  const run = client ? client.query.bind(client) : query;
+
+  const result = await run(
+    `SELECT COUNT(*)::int AS count FROM tags WHERE id = ANY($1::uuid[]) AND user_id = $2`,
+    [tag_ids, user_id]
+  );
+
+  return result.rows[0].count === tag_ids.length;
+}
+
+/**
+ * Replace the tags assigned to a task
+ * Call after user_owns_tags has confirmed the tags are the user's own
+ * @param {pg.PoolClient} client - Transaction client
+ * @param {string} task_id
+ * @param {Array<string>} tag_ids
+ */
+export async function set_task_tags(client, task_id, tag_ids) {
+  await client.query(
+    `DELETE FROM task_tags WHERE task_id = $1 AND NOT (tag_id = ANY($2::uuid[]))`,
+    [task_id, tag_ids]
+  );
+
+  if (tag_ids.length > 0) {
+    await client.query(
+      `INSERT INTO task_tags (task_id, tag_id)
+       SELECT $1, unnest($2::uuid[])
+       ON CONFLICT DO NOTHING`,
+      [task_id, tag_ids]
+    );
+  }
+}
+
+/**
+ * Turn a unique violation on the per-user tag name index into a 409
+ * @param {Error} err
+ * @returns {Error}
+ */
+function duplicate_name_to_conflict(err) {
+  if (err.code === '23505' && err.constraint === 'idx_tags_user_name') {
+    return new HttpError(409, 'A tag with that name already exists');
+  }
+  return err;
+}
+
+/**
+ * Create a tag
+ * @param {pg.PoolClient} client - Transaction client
+ * @param {string} user_id
+ * @param {Object} input - name, color
+ * @returns {Promise<Object>} - Created tag (TAG_COLUMNS)
+ * @throws {HttpError} - Invalid input or duplicate name (409)
+ */
+export async function create_tag(client, user_id, input) {
+  const { name, color } = input;
+
+  const name_result = validate_tag_name(name);
+  if (!name_result.valid) {
+    throw new HttpError(400, name_result.error);
+  }
+
+  const color_result = validate_color(color);
+  if (!color_result.valid) {
+    throw new HttpError(400, color_result.error);
+  }
+
+  try {
+    const result = await client.query(
+      `INSERT INTO tags (user_id, name, color)
+       VALUES ($1, $2, $3)
+       RETURNING ${TAG_COLUMNS}`,
+      [user_id, sanitize_html(name_result.value), color_result.value]
+    );
+
+    return result.rows[0];
+  } catch (err) {
+    throw duplicate_name_to_conflict(err);
+  }
+}
+
+/**
+ * Rename or recolor a tag
+ * @param {pg.PoolClient} client - Transaction client
+ * @param {string} user_id
+ * @param {string} tag_id
+ * @param {Object} input - name, color
+ * @returns {Promise<Object>} - Updated tag (TAG_COLUMNS)
+ * @throws {HttpError} - Invalid input, unknown tag or duplicate name (409)
+ */
+export async function update_tag(client, user_id, tag_id, input) {
+  const id_result = validate_uuid(tag_id);
+  if (!id_result.valid) {
+    throw new HttpError(400, id_result.error);
+  }
+
+  const { name, color } = input;
+  const updates = [];
+  const values = [];
+  let param_count = 1;
+
+  if (name !== undefined) {
+    const name_result = validate_tag_name(name);
+    if (!name_result.valid) {
+      throw new HttpError(400, name_result.error);
+    }
+    updates.push(`name = $${param_count++}`);
+    values.push(sanitize_html(name_result.value));
+  }
+
+  if (color !== undefined) {
+    const color_result = validate_color(color);
+    if (!color_result.valid) {
+      throw new HttpError(400, color_result.error);
+    }
+    updates.push(`color = $${param_count++}`);
+    values.push(color_result.value);
+  }
+
+  if (updates.length === 0) {
+    throw new HttpError(400, 'No valid fields to update');
+  }
+
+  values.push(id_result.value, user_id);
+
+  let result;
+  try {
+    result = await client.query(
+      `UPDATE tags SET ${updates.join(', ')}, updated_at = NOW()
+       WHERE id = $${param_count} AND user_id = $${param_count + 1}
+       RETURNING ${TAG_COLUMNS}`,
+      values
+    );
+  } catch (err) {
+    throw duplicate_name_to_conflict(err);
+  }
+
+  if (result.rows.length === 0) {
+    throw new HttpError(404, 'Tag not found');
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Delete a tag and remove it from all tasks
+ * @param {pg.PoolClient} client - Transaction client
+ * @param {string} user_id
+ * @param {string} tag_id
+ * @returns {Promise<void>}
+ * @throws {HttpError} - Unknown tag
+ */
+export async function delete_tag(client, user_id, tag_id) {
+  const id_result = validate_uuid(tag_id);
+  if (!id_result.valid) {
+    throw new HttpError(400, id_result.error);
+  }
+
+  const result = await client.query(
+    `DELETE FROM tags WHERE id = $1 AND user_id = $2 RETURNING id`,
+    [id_result.value, user_id]
+  );
+
+  if (result.rows.length === 0) {
+    throw new HttpError(404, 'Tag not found');
+  }
+}
@@ -0,0 +1,736 @@
+/**
+ * Task helpers and mutations
+ * Subtasks are tasks with a parent_id; the hierarchy helpers walk the tree
+ * so mutations can enforce the nesting limit and prevent cycles
+ * Mutations run on a transaction client and throw HttpError for invalid input,
+ * so the task routes and the sync push endpoint share them
+ * Private tasks hold an encrypted title and notes, stored as sent instead of escaped
+ */
+
+import { query } from '../db/pool.js';
+import {
+  validate_task_title,
+  validate_task_notes,
+  validate_task_status,
+  validate_task_priority,
+  validate_date,
+  validate_position,
+  validate_uuid,
+  validate_tag_ids,
+  validate_recurrence,
+  validate_encrypted_text,
+  sanitize_html,
+} from '../utils/validation.js';
+import { HttpError } from '../utils/errors.js';
+import { get_default_list_id, user_owns_list } from './lists.js';
+import { user_owns_tags, set_task_tags } from './tags.js';
+import { create_next_occurrence } from './recurrence.js';
+import { rearm_task_reminders } from './reminders.js';
+import { resolve_field_versions } from './versions.js';
+import { task_config, private_task_config } from '../config/index.js';
+
+// Columns returned to the client for a task (routes and sync)
+// subtask_count/completed_subtask_count give checklist progress (e.g. 3/7) for direct children
+export const TASK_COLUMNS = `id, list_id, parent_id, title, notes, is_private, status, priority, due_at, position, completed_at, deleted_at, created_at, updated_at,
+  recurrence_rule, recurrence_basis, recurrence_series_id, recurrence_index, field_versions,
+  (SELECT COUNT(*)::int FROM tasks c WHERE c.parent_id = tasks.id AND c.deleted_at IS NULL) AS subtask_count,
+  (SELECT COUNT(*)::int FROM tasks c WHERE c.parent_id = tasks.id AND c.deleted_at IS NULL AND c.status = 'done') AS completed_subtask_count,
+  (SELECT COALESCE(json_agg(json_build_object('id', tg.id, 'name', tg.name, 'color', tg.color) ORDER BY LOWER(tg.name)), '[]')
+   FROM task_tags tt JOIN tags tg ON tg.id = tt.tag_id WHERE tt.task_id = tasks.id) AS tags,
+  (SELECT COALESCE(json_agg(json_build_object('id', r.id, 'remind_at', r.remind_at, 'minutes_before_due', r.minutes_before_due,
+                                              'status', r.status, 'sent_at', r.sent_at) ORDER BY r.created_at), '[]')
+   FROM task_reminders r WHERE r.task_id = tasks.id) AS reminders`;
+
+// Versioned task fields and the input keys each covers
+const TASK_FIELDS = {
+  list_id: ['list_id'],
+  parent_id: ['parent_id'],
+  title: ['title'],
+  notes: ['notes'],
+  is_private: ['is_private'],
+  status: ['status', 'complete_subtasks'],
+  priority: ['priority'],
+  due_at: ['due_at'],
+  position: ['position'],
+  tag_ids: ['tag_ids'],
+  recurrence: ['recurrence_rule', 'recurrence_basis'],
+};
+
+/**
+ * Get how deep a task sits in its tree (top-level task = 1)
+ * @param {string} task_id
+ * @param {pg.PoolClient} [client] - Optional transaction client
+ * @returns {Promise<number>}
+ */
+export async function get_task_depth(task_id, client = null) {
+  const run = client ? client.query.bind(client) : query;
+
+  const result = await run(
+    `WITH RECURSIVE ancestors AS (
+       SELECT id, parent_id, 1 AS depth FROM tasks WHERE id = $1
+       UNION ALL
+       SELECT t.id, t.parent_id, a.depth + 1
+       FROM tasks t JOIN ancestors a ON t.id = a.parent_id
+     )
+     SELECT COALESCE(MAX(depth), 0) AS depth FROM ancestors`,
+    [task_id]
+  );
+
+  return result.rows[0].depth;
+}
+
+/**
+ * Get how many levels a task's subtree spans (task without subtasks = 1)
+ * Soft-deleted subtasks are counted since they may be restored
+ * @param {string} task_id
+ * @param {pg.PoolClient} [client] - Optional transaction client
+ * @returns {Promise<number>}
+ */
+export async function get_subtree_height(task_id, client = null) {
+  const run = client ? client.query.bind(client) : query;
+
+  const result = await run(
+    `WITH RECURSIVE subtree AS (
+       SELECT id, 1 AS depth FROM tasks WHERE id = $1
+       UNION ALL
+       SELECT t.id, s.depth + 1
+       FROM tasks t JOIN subtree s ON t.parent_id = s.id
+     )
+     SELECT COALESCE(MAX(depth), 0) AS height FROM subtree`,
+    [task_id]
+  );
+
+  return result.rows[0].height;
+}
+
+/**
+ * Check whether a task is inside another task's subtree (including the task itself)
+ * Used to stop a task being moved under one of its own descendants
+ * @param {string} root_id
+ * @param {string} task_id
+ * @param {pg.PoolClient} [client] - Optional transaction client
+ * @returns {Promise<boolean>}
+ */
+export async function is_in_subtree(root_id, task_id, client = null) {
+  const run = client ? client.query.bind(client) : query;
+
+  const result = await run(
+    `WITH RECURSIVE subtree AS (
+       SELECT id FROM tasks WHERE id = $1
+       UNION ALL
+       SELECT t.id FROM tasks t JOIN subtree s ON t.parent_id = s.id
+     )
+     SELECT 1 FROM subtree WHERE id = $2`,
+    [root_id, task_id]
+  );
+
+  return result.rows.length > 0;
+}
+
+/**
+ * SQL for the IDs of a task and all of its descendants
+ * Expects the root task ID as $1 and the user ID as $2
+ */
+export const SUBTREE_IDS_SQL = `
+  WITH RECURSIVE subtree AS (
+    SELECT id FROM tasks WHERE id = $1 AND user_id = $2
+    UNION ALL
+    SELECT t.id FROM tasks t JOIN subtree s ON t.parent_id = s.id
+  )
+  SELECT id FROM subtree`;
+
+/**
+ * Validate a task title for storage
+ * @param {string} title
+ * @param {boolean} is_private - Title is ciphertext
+ * @returns {string} - Value to store
+ * @throws {HttpError} - Invalid title
+ */
+function prepare_title(title, is_private) {
+  const result = is_private
+    ? validate_encrypted_text(title, 'Title', private_task_config.title_max_length, true)
+    : validate_task_title(title);
+  if (!result.valid) {
+    throw new HttpError(400, result.error);
+  }
+
+  return is_private ? result.value : sanitize_html(result.value);
+}
+
+/**
+ * Validate task notes for storage
+ * @param {string|null} notes
+ * @param {boolean} is_private - Notes are ciphertext
+ * @returns {string|null} - Value to store
+ * @throws {HttpError} - Invalid notes
+ */
+function prepare_notes(notes, is_private) {
+  const result = is_private
+    ? validate_encrypted_text(notes, 'Notes', private_task_config.notes_max_length, false)
+    : validate_task_notes(notes);
+  if (!result.valid) {
+    throw new HttpError(400, result.error);
+  }
+
+  return result.value && !is_private ? sanitize_html(result.value) : result.value;
+}
+
+/**
+ * Load a task's parent for nesting checks
+ * @param {string} parent_id
+ * @param {string} user_id
+ * @param {pg.PoolClient} [client] - Optional transaction client
+ * @returns {Promise<Object|null>} - { id, list_id, deleted_at } or null if not found
+ */
+async function find_parent_task(parent_id, user_id, client = null) {
+  const run = client ? client.query.bind(client) : query;
+
+  const result = await run(
+    `SELECT id, list_id, deleted_at FROM tasks WHERE id = $1 AND user_id = $2`,
+    [parent_id, user_id]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Create a task (appended to the end of its list, the Inbox by default)
+ * parent_id creates a subtask, which always lives in its parent's list
+ * @param {pg.PoolClient} client - Transaction client
+ * @param {string} user_id
+ * @param {Object} input - list_id, parent_id, title, notes, is_private, status, priority, due_at, tag_ids,
+ *                         recurrence_rule, recurrence_basis
+ * @returns {Promise<Object>} - Created task (TASK_COLUMNS)
+ * @throws {HttpError} - Invalid input or unknown list/parent/tag
+ */
+export async function create_task(client, user_id, input) {
+  const {
+    list_id, parent_id, title, notes, is_private = false, status = 'todo', priority, due_at, tag_ids = [],
+    recurrence_rule = null, recurrence_basis = 'due',
+  } = input;
+
+  if (typeof is_private !== 'boolean') {
+    throw new HttpError(400, 'is_private must be a boolean');
+  }
+
+  const stored_title = prepare_title(title, is_private);
+  const stored_notes = prepare_notes(notes, is_private);
+
+  const status_result = validate_task_status(status);
+  if (!status_result.valid) {
+    throw new HttpError(400, status_result.error);
+  }
+
+  const priority_result = validate_task_priority(priority);
+  if (!priority_result.valid) {
+    throw new HttpError(400, priority_result.error);
+  }
+
+  const due_result = validate_date(due_at);
+  if (!due_result.valid) {
+    throw new HttpError(400, due_result.error);
+  }
+
+  const tags_result = validate_tag_ids(tag_ids);
+  if (!tags_result.valid) {
+    throw new HttpError(400, tags_result.error);
+  }
+  if (!(await user_owns_tags(tags_result.value, user_id, client))) {
+    throw new HttpError(404, 'Tag not found');
+  }
+
+  const recurrence_result = validate_recurrence(recurrence_rule, recurrence_basis);
+  if (!recurrence_result.valid) {
+    throw new HttpError(400, recurrence_result.error);
+  }
+
+  let target_list_id;
+  let target_parent_id = null;
+  if (parent_id) {
+    if (recurrence_result.value.rule) {
+      throw new HttpError(400, 'Subtasks cannot repeat');
+    }
+    const parent_result = validate_uuid(parent_id);
+    if (!parent_result.valid) {
+      throw new HttpError(400, parent_result.error);
+    }
+    const parent = await find_parent_task(parent_result.value, user_id, client);
+    if (!parent || parent.deleted_at) {
+      throw new HttpError(404, 'Parent task not found');
+    }
+    if ((await get_task_depth(parent.id, client)) >= task_config.max_depth) {
+      throw new HttpError(400, `Subtasks can only be nested ${task_config.max_depth} levels deep`);
+    }
+    target_parent_id = parent.id;
+    target_list_id = parent.list_id;
+  } else if (list_id) {
+    const list_result = validate_uuid(list_id);
+    if (!list_result.valid) {
+      throw new HttpError(400, list_result.error);
+    }
+    if (!(await user_owns_list(list_result.value, user_id, client))) {
+      throw new HttpError(404, 'List not found');
+    }
+    target_list_id = list_result.value;
+  } else {
+    target_list_id = await get_default_list_id(user_id, client);
+  }
+
+  const result = await client.query(
+    `INSERT INTO tasks (user_id, list_id, parent_id, title, notes, status, priority, due_at, position, completed_at,
+                        recurrence_rule, recurrence_basis, recurrence_series_id, recurrence_index, is_private)
+     VALUES (
+       $1, $2, $3, $4, $5, $6, $7, $8,
+       -- Top-level tasks are ordered within their list, subtasks among their siblings
+       (SELECT COALESCE(MAX(position) + 1, 0) FROM tasks
+        WHERE deleted_at IS NULL AND user_id = $1
+          AND CASE WHEN $3::UUID IS NULL THEN list_id = $2 AND parent_id IS NULL ELSE parent_id = $3 END),
+       CASE WHEN $6::VARCHAR = 'done' THEN NOW() ELSE NULL END,
+       -- A recurring task starts a new series as its first occurrence
+       $9, $10,
+       CASE WHEN $9::TEXT IS NULL THEN NULL ELSE uuid_generate_v4() END,
+       CASE WHEN $9::TEXT IS NULL THEN NULL ELSE 1 END,
+       $11
+     )
+     RETURNING id`,
+    [
+      user_id,
+      target_list_id,
+      target_parent_id,
+      stored_title,
+      stored_notes,
+      status_result.value,
+      priority_result.value,
+      due_result.value,
+      recurrence_result.value.rule,
+      recurrence_result.value.basis,
+      is_private,
+    ]
+  );
+
+  const task_id = result.rows[0].id;
+  await set_task_tags(client, task_id, tags_result.value);
+
+  const task_result = await client.query(
+    `SELECT ${TASK_COLUMNS} FROM tasks WHERE id = $1`,
+    [task_id]
+  );
+
+  return task_result.rows[0];
+}
+
+/**
+ * Update a task
+ * See PATCH /api/tasks/:id for the fields and how moves, completion and recurrence behave.
+ * Fields are merged by version (see services/versions.js)
+ * @param {pg.PoolClient} client - Transaction client
+ * @param {string} user_id
+ * @param {string} task_id
+ * @param {Object} input - Fields to change, optionally with field_clocks/base_clocks
+ * @returns {Promise<{task: Object, next_occurrence: Object|null, conflicts: Array}>}
+ * @throws {HttpError} - Invalid input or unknown task/list/parent/tag
+ */
+export async function update_task(client, user_id, task_id, input) {
+  const id_result = validate_uuid(task_id);
+  if (!id_result.valid) {
+    throw new HttpError(400, id_result.error);
+  }
+
+  const existing = await client.query(
+    `SELECT id, list_id, parent_id, title, notes, is_private, status, priority, due_at, position,
+            recurrence_rule, recurrence_basis, recurrence_series_id, recurrence_index, field_versions,
+            ARRAY(SELECT tag_id FROM task_tags WHERE task_id = tasks.id) AS tag_ids
+     FROM tasks WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL
+     FOR UPDATE`,
+    [id_result.value, user_id]
+  );
+
+  if (existing.rows.length === 0) {
+    throw new HttpError(404, 'Task not found');
+  }
+
+  const task = existing.rows[0];
+  const versioned = resolve_field_versions(task, input, TASK_FIELDS);
+
+  // Every edited field lost to a newer edit: nothing to write
+  if (versioned.unchanged) {
+    const current = await client.query(`SELECT ${TASK_COLUMNS} FROM tasks WHERE id = $1`, [task.id]);
+    return { task: current.rows[0], next_occurrence: null, conflicts: versioned.conflicts };
+  }
+
+  const {
+    list_id, parent_id, title, notes, is_private, status, priority, due_at, position, complete_subtasks, tag_ids,
+    recurrence_rule, recurrence_basis,
+  } = versioned.input;
+  const updates = [];
+  const values = [];
+  let param_count = 1;
+  let target_list_id = task.list_id;
+  let target_parent_id = task.parent_id;
+
+  // Nest under another task, or move back to the top level
+  if (parent_id !== undefined) {
+    if (parent_id === null) {
+      target_parent_id = null;
+    } else {
+      const parent_result = validate_uuid(parent_id);
+      if (!parent_result.valid) {
+        throw new HttpError(400, parent_result.error);
+      }
+      const parent = await find_parent_task(parent_result.value, user_id, client);
+      if (!parent || parent.deleted_at) {
+        throw new HttpError(404, 'Parent task not found');
+      }
+      if (await is_in_subtree(task.id, parent.id, client)) {
+        throw new HttpError(400, 'A task cannot be moved under itself or its own subtasks');
+      }
+      const depth = (await get_task_depth(parent.id, client)) + (await get_subtree_height(task.id, client));
+      if (depth > task_config.max_depth) {
+        throw new HttpError(400, `Subtasks can only be nested ${task_config.max_depth} levels deep`);
+      }
+      target_parent_id = parent.id;
+      target_list_id = parent.list_id;
+    }
+  }
+
+  // Move to another list (top-level tasks only)
+  if (list_id !== undefined) {
+    if (target_parent_id !== null) {
+      throw new HttpError(400, "Subtasks always stay in their parent task's list");
+    }
+    const list_result = validate_uuid(list_id);
+    if (!list_result.valid) {
+      throw new HttpError(400, list_result.error);
+    }
+    if (!(await user_owns_list(list_result.value, user_id, client))) {
+      throw new HttpError(404, 'List not found');
+    }
+    target_list_id = list_result.value;
+  }
+
+  // Change or stop repetition
+  let target_rule = task.recurrence_rule;
+  let target_basis = task.recurrence_basis;
+  let recurrence_changed = false;
+  if (recurrence_rule !== undefined || recurrence_basis !== undefined) {
+    const recurrence_result = validate_recurrence(
+      recurrence_rule !== undefined ? recurrence_rule : task.recurrence_rule,
+      recurrence_basis ?? task.recurrence_basis ?? 'due'
+    );
+    if (!recurrence_result.valid) {
+      throw new HttpError(400, recurrence_result.error);
+    }
+
+    const { rule, basis } = recurrence_result.value;
+    if (rule !== task.recurrence_rule || basis !== task.recurrence_basis) {
+      target_rule = rule;
+      target_basis = basis;
+      recurrence_changed = true;
+    }
+  }
+
+  if (target_rule && target_parent_id !== null) {
+    throw new HttpError(400, 'Subtasks cannot repeat');
+  }
+
+  if (recurrence_changed) {
+    updates.push(`recurrence_rule = $${param_count}`);
+    updates.push(`recurrence_basis = $${param_count + 1}`);
+    // The task becomes the first occurrence of a fresh series
+    updates.push(`recurrence_series_id = CASE WHEN $${param_count}::TEXT IS NULL THEN NULL ELSE uuid_generate_v4() END`);
+    updates.push(`recurrence_index = CASE WHEN $${param_count}::TEXT IS NULL THEN NULL ELSE 1 END`);
+    param_count += 2;
+    values.push(target_rule, target_basis);
+  }
+
+  const moved_list = target_list_id !== task.list_id;
+  const moved_parent = target_parent_id !== task.parent_id;
+
+  if (moved_list) {
+    updates.push(`list_id = $${param_count++}`);
+    values.push(target_list_id);
+  }
+
+  if (moved_parent) {
+    updates.push(`parent_id = $${param_count++}`);
+    values.push(target_parent_id);
+  }
+
+  // Making a task private (or public again) needs its text re-sent, encrypted (or decrypted)
+  let target_private = task.is_private;
+  if (is_private !== undefined) {
+    if (typeof is_private !== 'boolean') {
+      throw new HttpError(400, 'is_private must be a boolean');
+    }
+    if (is_private !== task.is_private) {
+      if (title === undefined || (task.notes !== null && notes === undefined)) {
+        throw new HttpError(400, 'Send the title and notes when changing is_private');
+      }
+      target_private = is_private;
+      updates.push(`is_private = $${param_count++}`);
+      values.push(is_private);
+    }
+  }
+
+  if (title !== undefined) {
+    updates.push(`title = $${param_count++}`);
+    values.push(prepare_title(title, target_private));
+  }
+
+  if (notes !== undefined) {
+    updates.push(`notes = $${param_count++}`);
+    values.push(prepare_notes(notes, target_private));
+  }
+
+  let new_status = null;
+  if (status !== undefined) {
+    const status_result = validate_task_status(status);
+    if (!status_result.valid) {
+      throw new HttpError(400, status_result.error);
+    }
+    updates.push(`status = $${param_count}`);
+    // Keep the original completion time if the task was already done
+    updates.push(`completed_at = CASE WHEN $${param_count}::VARCHAR = 'done' THEN COALESCE(completed_at, NOW()) ELSE NULL END`);
+    param_count++;
+    values.push(status_result.value);
+    new_status = status_result.value;
+  }
+
+  if (priority !== undefined) {
+    const priority_result = validate_task_priority(priority);
+    if (!priority_result.valid) {
+      throw new HttpError(400, priority_result.error);
+    }
+    updates.push(`priority = $${param_count++}`);
+    values.push(priority_result.value);
+  }
+
+  if (due_at !== undefined) {
+    const due_result = validate_date(due_at);
+    if (!due_result.valid) {
+      throw new HttpError(400, due_result.error);
+    }
+    updates.push(`due_at = $${param_count++}`);
+    values.push(due_result.value);
+  }
+
+  if (position !== undefined) {
+    const position_result = validate_position(position);
+    if (!position_result.valid) {
+      throw new HttpError(400, position_result.error);
+    }
+    updates.push(`position = $${param_count++}`);
+    values.push(position_result.value);
+  } else if (moved_list || moved_parent) {
+    // Append after the new siblings when no explicit position is given
+    updates.push(`position = (
+      SELECT COALESCE(MAX(position) + 1, 0) FROM tasks s
+      WHERE s.user_id = tasks.user_id AND s.deleted_at IS NULL AND s.id != tasks.id
+        AND CASE WHEN $${param_count}::UUID IS NULL
+              THEN s.list_id = $${param_count + 1} AND s.parent_id IS NULL
+              ELSE s.parent_id = $${param_count} END
+    )`);
+    param_count += 2;
+    values.push(target_parent_id, target_list_id);
+  }
+
+  let new_tag_ids = null;
+  if (tag_ids !== undefined) {
+    const tags_result = validate_tag_ids(tag_ids);
+    if (!tags_result.valid) {
+      throw new HttpError(400, tags_result.error);
+    }
+    if (!(await user_owns_tags(tags_result.value, user_id, client))) {
+      throw new HttpError(404, 'Tag not found');
+    }
+    new_tag_ids = tags_result.value;
+  }
+
+  if (updates.length === 0 && new_tag_ids === null) {
+    throw new HttpError(400, 'No valid fields to update');
+  }
+
+  updates.push(`field_versions = $${param_count++}`);
+  values.push(versioned.field_versions);
+
+  // Always bump updated_at, so a tags-only change still counts as an update
+  updates.push('updated_at = NOW()');
+  values.push(id_result.value, user_id);
+
+  const result = await client.query(
+    `UPDATE tasks SET ${updates.join(', ')}
+     WHERE id = $${param_count} AND user_id = $${param_count + 1} AND deleted_at IS NULL
+     RETURNING id`,
+    values
+  );
+
+  if (result.rows.length === 0) {
+    throw new HttpError(404, 'Task not found');
+  }
+
+  if (new_tag_ids !== null) {
+    await set_task_tags(client, id_result.value, new_tag_ids);
+  }
+
+  // Relative reminders follow the new due date
+  if (due_at !== undefined) {
+    await rearm_task_reminders(client, id_result.value);
+  }
+
+  // Subtasks follow their root into the new list
+  if (moved_list) {
+    await client.query(
+      `UPDATE tasks SET list_id = $3, updated_at = NOW()
+       WHERE id IN (${SUBTREE_IDS_SQL}) AND id != $1`,
+      [id_result.value, user_id, target_list_id]
+    );
+  }
+
+  if (new_status === 'done' && complete_subtasks === true) {
+    await client.query(
+      `UPDATE tasks SET status = 'done', completed_at = COALESCE(completed_at, NOW()), updated_at = NOW()
+       WHERE id IN (${SUBTREE_IDS_SQL}) AND id != $1 AND deleted_at IS NULL AND status != 'done'`,
+      [id_result.value, user_id]
+    );
+  }
+
+  // Leaving a series: remove its upcoming open occurrences and stop the rest from repeating
+  if (recurrence_changed && task.recurrence_series_id) {
+    await client.query(
+      `WITH RECURSIVE subtree AS (
+         SELECT id FROM tasks
+         WHERE recurrence_series_id = $1 AND user_id = $2 AND recurrence_index > $3
+           AND status != 'done' AND deleted_at IS NULL
+         UNION ALL
+         SELECT t.id FROM tasks t JOIN subtree s ON t.parent_id = s.id WHERE t.deleted_at IS NULL
+       )
+       UPDATE tasks SET deleted_at = NOW() WHERE id IN (SELECT id FROM subtree)`,
+      [task.recurrence_series_id, user_id, task.recurrence_index]
+    );
+    await client.query(
+      `UPDATE tasks SET recurrence_rule = NULL, recurrence_basis = NULL
+       WHERE recurrence_series_id = $1 AND user_id = $2`,
+      [task.recurrence_series_id, user_id]
+    );
+  }
+
+  // Completing a recurring task creates its next occurrence, in the user's time zone
+  let next_occurrence = null;
+  if (new_status === 'done' && task.status !== 'done' && target_rule) {
+    const completed = await client.query(
+      `SELECT t.id, t.due_at, t.completed_at, t.recurrence_rule, t.recurrence_basis,
+              t.recurrence_series_id, t.recurrence_index, u.time_zone
+       FROM tasks t JOIN users u ON u.id = t.user_id
+       WHERE t.id = $1`,
+      [id_result.value]
+    );
+    const next = await create_next_occurrence(client, completed.rows[0], completed.rows[0].time_zone, {
+      not_before: new Date(),
+    });
+    if (next) {
+      const next_result = await client.query(
+        `SELECT ${TASK_COLUMNS} FROM tasks WHERE id = $1`,
+        [next.id]
+      );
+      next_occurrence = next_result.rows[0];
+    }
+  }
+
+  // Re-read so subtask progress reflects the changes above
+  const task_result = await client.query(
+    `SELECT ${TASK_COLUMNS} FROM tasks WHERE id = $1`,
+    [id_result.value]
+  );
+
+  return { task: task_result.rows[0], next_occurrence, conflicts: versioned.conflicts };
+}
+
+/**
+ * Soft delete a task and its subtasks
+ * The whole subtree shares one deleted_at so it can be restored together
+ * @param {pg.PoolClient} client - Transaction client
+ * @param {string} user_id
+ * @param {string} task_id
+ * @returns {Promise<{deleted_subtasks: number}>}
+ * @throws {HttpError} - Unknown task
+ */
+export async function delete_task(client, user_id, task_id) {
+  const id_result = validate_uuid(task_id);
+  if (!id_result.valid) {
+    throw new HttpError(400, id_result.error);
+  }
+
+  const result = await client.query(
+    `WITH RECURSIVE subtree AS (
+       SELECT id FROM tasks WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL
+       UNION ALL
+       SELECT t.id FROM tasks t JOIN subtree s ON t.parent_id = s.id WHERE t.deleted_at IS NULL
+     )
+     UPDATE tasks SET deleted_at = NOW()
+     WHERE id IN (SELECT id FROM subtree)
+     RETURNING id`,
+    [id_result.value, user_id]
+  );
+
+  if (result.rows.length === 0) {
+    throw new HttpError(404, 'Task not found');
+  }
+
+  return { deleted_subtasks: result.rowCount - 1 };
+}
+
+/**
+ * Restore a soft-deleted task, along with the subtasks that were deleted with it
+ * @param {pg.PoolClient} client - Transaction client
+ * @param {string} user_id
+ * @param {string} task_id
+ * @returns {Promise<Object>} - Restored task (TASK_COLUMNS)
+ * @throws {HttpError} - Task not in trash, or its parent is still trashed (409)
+ */
+export async function restore_task(client, user_id, task_id) {
+  const id_result = validate_uuid(task_id);
+  if (!id_result.valid) {
+    throw new HttpError(400, id_result.error);
+  }
+
+  const existing = await client.query(
+    `SELECT t.id, t.list_id, p.id AS parent_id, p.list_id AS parent_list_id, p.deleted_at AS parent_deleted_at
+     FROM tasks t
+     LEFT JOIN tasks p ON p.id = t.parent_id
+     WHERE t.id = $1 AND t.user_id = $2 AND t.deleted_at IS NOT NULL`,
+    [id_result.value, user_id]
+  );
+
+  if (existing.rows.length === 0) {
+    throw new HttpError(404, 'Task not found in trash');
+  }
+
+  const task = existing.rows[0];
+
+  if (task.parent_deleted_at) {
+    throw new HttpError(409, 'Restore the parent task first');
+  }
+
+  const target_list_id = (task.parent_id ? task.parent_list_id : task.list_id)
+    || await get_default_list_id(user_id, client);
+
+  // Only bring back subtasks deleted in the same operation as this task
+  await client.query(
+    `WITH RECURSIVE subtree AS (
+       SELECT id, deleted_at FROM tasks WHERE id = $1 AND user_id = $2
+       UNION ALL
+       SELECT t.id, t.deleted_at FROM tasks t JOIN subtree s ON t.parent_id = s.id
+       WHERE t.deleted_at = s.deleted_at
+     )
+     UPDATE tasks SET deleted_at = NULL, list_id = $3
+     WHERE id IN (SELECT id FROM subtree)`,
+    [id_result.value, user_id, target_list_id]
+  );
+
+  const result = await client.query(
+    `SELECT ${TASK_COLUMNS} FROM tasks WHERE id = $1`,
+    [id_result.value]
+  );
+
+  return result.rows[0];
+}
@@ -0,0 +1,104 @@
+/**
+ * Field-level versioning
+ * Profiles, tasks and lists keep a hybrid logical clock per field (field_versions column),
+ * so concurrent edits to different fields both apply instead of the newer record
+ * overwriting the whole older one
+ *
+ * Clients editing offline send the clock of each edit (field_clocks) and, optionally,
+ * the clocks of the versions they edited (base_clocks). For each field the later clock
+ * wins. An edit made without seeing the server's current version of the same field is
+ * a conflict: it is resolved the same way, and also reported back so the client can
+ * let the user review it. Without base_clocks only conflicts the client lost are detected
+ */
+
+import { hlc_now, hlc_receive } from '../utils/hlc.js';
+import { validate_field_clocks } from '../utils/validation.js';
+import { HttpError } from '../utils/errors.js';
+
+/**
+ * Pick the given keys of an object
+ * @param {Object} source
+ * @param {string[]} keys
+ * @returns {Object}
+ */
+function pick(source, keys) {
+  return Object.fromEntries(keys.map((key) => [key, source[key]]));
+}
+
+/**
+ * Decide which fields of an update to apply
+ * Edits without field_clocks (made online) are stamped with the server clock and always apply
+ * @param {Object} current - Current row: field_versions plus the value of every input key
+ * @param {Object} input - Update input, optionally with field_clocks and base_clocks
+ * @param {Object<string, string[]>} fields - Versioned fields and the input keys each one covers
+ * @returns {{input: Object, field_versions: Object, conflicts: Array, unchanged: boolean}}
+ *   input: the update without losing fields or clocks; unchanged: every edited field lost
+ * @throws {HttpError} - Invalid clocks
+ */
+export function resolve_field_versions(current, input, fields) {
+  const names = Object.keys(fields);
+
+  const clocks_result = validate_field_clocks(input.field_clocks, names, 'field_clocks');
+  if (!clocks_result.valid) {
+    throw new HttpError(400, clocks_result.error);
+  }
+
+  const base_result = validate_field_clocks(input.base_clocks, names, 'base_clocks');
+  if (!base_result.valid) {
+    throw new HttpError(400, base_result.error);
+  }
+
+  const field_clocks = clocks_result.value || {};
+  const base_clocks = base_result.value;
+  const stored = current.field_versions || {};
+
+  const resolved = { ...input };
+  delete resolved.field_clocks;
+  delete resolved.base_clocks;
+
+  const field_versions = { ...stored };
+  const conflicts = [];
+  let edited = 0;
+  let applied = 0;
+
+  for (const [field, keys] of Object.entries(fields)) {
+    if (!keys.some((key) => input[key] !== undefined)) {
+      continue;
+    }
+    edited++;
+
+    let clock = field_clocks[field];
+    if (clock) {
+      hlc_receive(clock);
+    } else {
+      clock = hlc_now();
+    }
+
+    const server_clock = stored[field];
+    const mine_wins = !server_clock || clock > server_clock;
+    const concurrent = Boolean(server_clock) &&
+      (!mine_wins || (base_clocks !== null && base_clocks[field] !== server_clock));
+
+    if (concurrent) {
+      conflicts.push({
+        field,
+        mine: pick(input, keys),
+        theirs: pick(current, keys),
+        resolution: mine_wins ? 'mine' : 'theirs',
+        clock,
+        server_clock,
+      });
+    }
+
+    if (mine_wins) {
+      field_versions[field] = clock;
+      applied++;
+    } else {
+      for (const key of keys) {
+        delete resolved[key];
+      }
+    }
+  }
+
+  return { input: resolved, field_versions, conflicts, unchanged: edited > 0 && applied === 0 };
+}
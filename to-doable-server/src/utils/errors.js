@@ -0,0 +1,20 @@
+/**
+ * Error types shared by services and routes
+ */
+
+/**
+ * A client error (4xx) raised by a service
+ * Routes answer with its status and { error: message }; the sync push endpoint
+ * reports it as the failed item's result
+ */
+export class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} message - Message shown to the client
+   */
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
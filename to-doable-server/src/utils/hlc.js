@@ -0,0 +1,97 @@
+/**
+ * Hybrid logical clock
+ * Timestamps that follow wall time but never go backwards and always sort after
+ * every timestamp this process has seen, so edits made on devices with slightly
+ * different clocks still order correctly
+ *
+ * Format: <wall ms, 15 digits>-<counter, 5 digits>-<node id>
+ * Fixed-width parts mean plain string comparison gives the clock order, with the
+ * node id breaking ties between devices. The client (lib/hlc.js) uses the same format
+ */
+
+import { randomBytes } from 'crypto';
+
+const HLC_REGEX = /^(\d{15})-(\d{5})-([a-z0-9]{1,32})$/;
+const MAX_COUNTER = 99999;
+
+// Identifies this server process among the devices writing timestamps
+const NODE_ID = `s${randomBytes(4).toString('hex')}`;
+
+let last_wall = 0;
+let last_counter = 0;
+
+/**
+ * Format clock parts as a timestamp string
+ * @param {number} wall - Milliseconds since the epoch
+ * @param {number} counter
+ * @param {string} node
+ * @returns {string}
+ */
+function format_hlc(wall, counter, node) {
+  return `${String(wall).padStart(15, '0')}-${String(counter).padStart(5, '0')}-${node}`;
+}
+
+/**
+ * Split a timestamp into its parts
+ * @param {string} hlc
+ * @returns {{wall: number, counter: number, node: string}|null} - null if malformed
+ */
+export function parse_hlc(hlc) {
+  const match = typeof hlc === 'string' ? HLC_REGEX.exec(hlc) : null;
+  if (!match) {
+    return null;
+  }
+
+  return { wall: parseInt(match[1], 10), counter: parseInt(match[2], 10), node: match[3] };
+}
+
+/**
+ * Move the local clock to (wall, counter), carrying counter overflow into wall time
+ * @param {number} wall
+ * @param {number} counter
+ */
+function advance(wall, counter) {
+  if (counter > MAX_COUNTER) {
+    wall += 1;
+    counter = 0;
+  }
+  last_wall = wall;
+  last_counter = counter;
+}
+
+/**
+ * Get a new timestamp for a change made by the server
+ * @returns {string}
+ */
+export function hlc_now() {
+  const now = Date.now();
+
+  if (now > last_wall) {
+    advance(now, 0);
+  } else {
+    advance(last_wall, last_counter + 1);
+  }
+
+  return format_hlc(last_wall, last_counter, NODE_ID);
+}
+
+/**
+ * Merge a timestamp received from a client into the local clock
+ * so later server timestamps sort after it
+ * @param {string} hlc - Valid timestamp (see parse_hlc)
+ */
+export function hlc_receive(hlc) {
+  const remote = parse_hlc(hlc);
+  const now = Date.now();
+  const wall = Math.max(now, last_wall, remote.wall);
+
+  if (wall === last_wall && wall === remote.wall) {
+    advance(wall, Math.max(last_counter, remote.counter) + 1);
+  } else if (wall === last_wall) {
+    advance(wall, last_counter + 1);
+  } else if (wall === remote.wall) {
+    advance(wall, remote.counter + 1);
+  } else {
+    advance(wall, 0);
+  }
+}
@@ -4,8 +4,8 @@
  * Tokens are stored in httpOnly cookies for security
  */
 
-import { createHmac, timingSafeEqual } from 'crypto';
-import { jwt_config } from '../config/index.js';
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+import { jwt_config, mfa_config } from '../config/index.js';
 
 /**
  * Parse duration string to milliseconds
@@ -100,6 +100,7 @@ function verify_signature(data, signature, secret) {
  * @param {Object} payload - Token payload
  * @param {Object} options - Token options
  * @param {string} options.expiry - Expiry duration (e.g., '15m', '7d')
+ * @param {Date} options.expires_at - Exact expiry, instead of a duration
  * @returns {string} - JWT token
  */
 export function create_jwt(payload, options = {}) {
@@ -116,7 +117,7 @@ export function create_jwt(payload, options = {}) {
   const full_payload = {
     ...payload,
     iat: Math.floor(now / 1000), // Issued at
-    exp: Math.floor((now + parse_duration(expiry)) / 1000), // Expiration
+    exp: Math.floor((options.expires_at?.getTime() ?? now + parse_duration(expiry)) / 1000), // Expiration
   };
 
   // Encode header and payload
@@ -174,6 +175,7 @@ export function verify_jwt(token) {
  * Short-lived token for API authentication
  * @param {Object} user - User object
  * @param {Object} options - Additional options
+ * @param {string} options.session_id - Refresh token (session) it belongs to
  * @param {boolean} options.is_impersonation - Is this an impersonation session
  * @param {string} options.admin_id - Admin ID if impersonating
  * @returns {string}
@@ -187,6 +189,11 @@ export function create_access_token(user, options = {}) {
     type: 'access',
   };
 
+  // Lets require_auth reject tokens of a session that was signed out
+  if (options.session_id) {
+    payload.sid = options.session_id;
+  }
+
   // Add impersonation info if present
   if (options.is_impersonation) {
     payload.is_impersonation = true;
@@ -201,17 +208,38 @@ export function create_access_token(user, options = {}) {
  * Longer-lived token for obtaining new access tokens
  * @param {Object} user - User object
  * @param {boolean} stay_logged_in - If true, uses longer expiry
+ * @param {Date} [expires_at] - Keep the expiry of the token it replaces (rotation)
  * @returns {string}
  */
-export function create_refresh_token(user, stay_logged_in = false) {
+export function create_refresh_token(user, stay_logged_in = false, expires_at = undefined) {
   const payload = {
     sub: user.id,
     type: 'refresh',
     session_only: !stay_logged_in,
+    // Unique, so tokens issued in the same second still differ
+    jti: base64_url_encode(randomBytes(16)),
   };
 
   const expiry = stay_logged_in ? jwt_config.refresh_expiry : '24h';
-  return create_jwt(payload, { expiry });
+  return create_jwt(payload, { expiry, expires_at });
+}
+
+/**
+ * Create a token for the second login step of a user with 2FA
+ * Returned in the login response (not a cookie) and only accepted by
+ * POST /api/auth/login/mfa, never as an access token
+ * @param {Object} user - User object
+ * @param {boolean} stay_logged_in - Carried over to the session created after the code
+ * @returns {string}
+ */
+export function create_mfa_token(user, stay_logged_in = false) {
+  const payload = {
+    sub: user.id,
+    type: 'mfa_pending',
+    stay_logged_in,
+  };
+
+  return create_jwt(payload, { expiry: mfa_config.pending_token_expiry });
 }
 
 /**
@@ -0,0 +1,574 @@
+/**
+ * Recurrence rule utilities
+ * Parses a subset of RFC 5545 RRULEs and computes the next occurrence of a recurring task
+ *
+ * Supported parts: FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, BYDAY, BYMONTHDAY, BYMONTH, COUNT, UNTIL
+ * Examples:
+ *   Every weekday:           FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR
+ *   Every 2nd Tuesday:       FREQ=WEEKLY;INTERVAL=2;BYDAY=TU  (or FREQ=MONTHLY;BYDAY=2TU)
+ *   Monthly on the last day: FREQ=MONTHLY;BYMONTHDAY=-1
+ *   3 days after completion: FREQ=DAILY;INTERVAL=3 with the "completion" basis
+ *
+ * All calendar math happens on the user's local dates so occurrences keep their
+ * wall-clock time across DST changes. Weeks start on Monday.
+ */
+
+import { recurrence_config } from '../config/index.js';
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU']; // Index 0 = Monday
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// ============================================
+// Parsing
+// ============================================
+
+/**
+ * Parse a comma-separated list of integers within allowed ranges
+ * @param {string} value
+ * @param {number} min - Smallest allowed absolute value
+ * @param {number} max - Largest allowed absolute value
+ * @param {boolean} allow_negative
+ * @returns {Array<number>|null} - null if any entry is invalid
+ */
+function parse_int_list(value, min, max, allow_negative) {
+  const numbers = [];
+
+  for (const entry of value.split(',')) {
+    if (!/^[+-]?\d{1,3}$/.test(entry)) {
+      return null;
+    }
+    const number = parseInt(entry, 10);
+    if (Math.abs(number) < min || Math.abs(number) > max || (number < 0 && !allow_negative)) {
+      return null;
+    }
+    if (!numbers.includes(number)) {
+      numbers.push(number);
+    }
+  }
+
+  return numbers;
+}
+
+/**
+ * Parse an UNTIL value (YYYYMMDD or YYYYMMDDTHHMMSSZ)
+ * Date-only values include the whole day (UTC)
+ * @param {string} value
+ * @returns {Date|null}
+ */
+function parse_until(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z)?$/.exec(value);
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hour, minute, second] = match.map((part) => (part === undefined ? undefined : Number(part)));
+  const date = hour === undefined
+    ? new Date(Date.UTC(year, month - 1, day, 23, 59, 59))
+    : new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+
+  // Reject dates that rolled over (e.g. 20240231)
+  if (Number.isNaN(date.getTime()) || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+
+  return date;
+}
+
+/**
+ * Parse an RRULE string into a rule object
+ * @param {string} input - e.g. "FREQ=WEEKLY;BYDAY=MO,WE" (an "RRULE:" prefix is allowed)
+ * @returns {{valid: boolean, error?: string, value?: Object}}
+ */
+export function parse_rrule(input) {
+  if (!input || typeof input !== 'string') {
+    return { valid: false, error: 'Recurrence rule is required' };
+  }
+
+  const text = input.trim().toUpperCase().replace(/^RRULE:/, '');
+  if (text.length === 0 || text.length > recurrence_config.rule_max_length) {
+    return { valid: false, error: 'Invalid recurrence rule' };
+  }
+
+  const parts = {};
+  for (const part of text.split(';')) {
+    const [key, value, extra] = part.split('=');
+    if (!key || !value || extra !== undefined) {
+      return { valid: false, error: 'Invalid recurrence rule' };
+    }
+    if (parts[key] !== undefined) {
+      return { valid: false, error: `Recurrence rule has more than one ${key}` };
+    }
+    parts[key] = value;
+  }
+
+  const rule = {
+    freq: parts.FREQ,
+    interval: 1,
+    by_day: [],
+    by_month_day: [],
+    by_month: [],
+    count: null,
+    until: null,
+  };
+
+  if (!FREQUENCIES.includes(rule.freq)) {
+    return { valid: false, error: 'FREQ must be DAILY, WEEKLY, MONTHLY or YEARLY' };
+  }
+
+  for (const [key, value] of Object.entries(parts)) {
+    switch (key) {
+      case 'FREQ':
+        break;
+
+      case 'INTERVAL': {
+        const interval = /^\d{1,4}$/.test(value) ? parseInt(value, 10) : 0;
+        if (interval < 1 || interval > recurrence_config.max_interval) {
+          return { valid: false, error: `INTERVAL must be between 1 and ${recurrence_config.max_interval}` };
+        }
+        rule.interval = interval;
+        break;
+      }
+
+      case 'BYDAY': {
+        for (const entry of value.split(',')) {
+          const match = /^([+-]?\d{1,2})?(MO|TU|WE|TH|FR|SA|SU)$/.exec(entry);
+          if (!match) {
+            return { valid: false, error: 'BYDAY must list weekdays like MO,WE or 2TU' };
+          }
+          const ordinal = match[1] ? parseInt(match[1], 10) : null;
+          if (ordinal !== null) {
+            if (ordinal === 0 || Math.abs(ordinal) > 5) {
+              return { valid: false, error: 'BYDAY ordinals must be between -5 and 5' };
+            }
+            if (rule.freq !== 'MONTHLY' && rule.freq !== 'YEARLY') {
+              return { valid: false, error: 'BYDAY ordinals are only supported with MONTHLY or YEARLY' };
+            }
+          }
+          const weekday = WEEKDAYS.indexOf(match[2]);
+          if (!rule.by_day.some((day) => day.weekday === weekday && day.ordinal === ordinal)) {
+            rule.by_day.push({ weekday, ordinal });
+          }
+        }
+        break;
+      }
+
+      case 'BYMONTHDAY': {
+        if (rule.freq !== 'MONTHLY' && rule.freq !== 'YEARLY') {
+          return { valid: false, error: 'BYMONTHDAY is only supported with MONTHLY or YEARLY' };
+        }
+        const days = parse_int_list(value, 1, 31, true);
+        if (!days) {
+          return { valid: false, error: 'BYMONTHDAY must list days between 1 and 31 (or -1 for the last day)' };
+        }
+        rule.by_month_day = days;
+        break;
+      }
+
+      case 'BYMONTH': {
+        if (rule.freq !== 'YEARLY') {
+          return { valid: false, error: 'BYMONTH is only supported with YEARLY' };
+        }
+        const months = parse_int_list(value, 1, 12, false);
+        if (!months) {
+          return { valid: false, error: 'BYMONTH must list months between 1 and 12' };
+        }
+        rule.by_month = months.sort((a, b) => a - b);
+        break;
+      }
+
+      case 'COUNT': {
+        const count = /^\d{1,5}$/.test(value) ? parseInt(value, 10) : 0;
+        if (count < 1) {
+          return { valid: false, error: 'COUNT must be a positive number' };
+        }
+        rule.count = count;
+        break;
+      }
+
+      case 'UNTIL': {
+        const until = parse_until(value);
+        if (!until) {
+          return { valid: false, error: 'UNTIL must be a date like 20250131 or 20250131T090000Z' };
+        }
+        rule.until = until;
+        break;
+      }
+
+      default:
+        return { valid: false, error: `Unsupported recurrence rule part: ${key}` };
+    }
+  }
+
+  if (rule.count !== null && rule.until !== null) {
+    return { valid: false, error: 'Recurrence rule cannot have both COUNT and UNTIL' };
+  }
+
+  if (rule.by_day.length > 0 && rule.by_month_day.length > 0) {
+    return { valid: false, error: 'Recurrence rule cannot combine BYDAY and BYMONTHDAY' };
+  }
+
+  if (rule.freq === 'YEARLY' && rule.by_day.length > 0 && rule.by_month.length === 0) {
+    return { valid: false, error: 'Yearly rules with BYDAY also need BYMONTH' };
+  }
+
+  return { valid: true, value: rule };
+}
+
+/**
+ * Serialize a rule object back to a canonical RRULE string
+ * @param {Object} rule - From parse_rrule
+ * @returns {string}
+ */
+export function serialize_rrule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+
+  if (rule.interval > 1) {
+    parts.push(`INTERVAL=${rule.interval}`);
+  }
+  if (rule.by_month.length > 0) {
+    parts.push(`BYMONTH=${rule.by_month.join(',')}`);
+  }
+  if (rule.by_month_day.length > 0) {
+    parts.push(`BYMONTHDAY=${rule.by_month_day.join(',')}`);
+  }
+  if (rule.by_day.length > 0) {
+    parts.push(`BYDAY=${rule.by_day.map((day) => `${day.ordinal ?? ''}${WEEKDAYS[day.weekday]}`).join(',')}`);
+  }
+  if (rule.count !== null) {
+    parts.push(`COUNT=${rule.count}`);
+  }
+  if (rule.until !== null) {
+    parts.push(`UNTIL=${rule.until.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+  }
+
+  return parts.join(';');
+}
+
+/**
+ * Check whether a rule only uses FREQ/INTERVAL/COUNT/UNTIL
+ * Completion-based recurrence ("3 days after completion") cannot use BY* parts
+ * @param {Object} rule
+ * @returns {boolean}
+ */
+export function is_simple_rule(rule) {
+  return rule.by_day.length === 0 && rule.by_month_day.length === 0 && rule.by_month.length === 0;
+}
+
+// ============================================
+// Time zones
+// ============================================
+
+/**
+ * Get the wall-clock date and time of an instant in a time zone
+ * @param {Date} date
+ * @param {string} time_zone - IANA zone name
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ */
+export function get_zoned_parts(date, time_zone) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: time_zone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  });
+
+  const parts = {};
+  for (const { type, value } of formatter.formatToParts(date)) {
+    if (type !== 'literal') {
+      parts[type] = parseInt(value, 10);
+    }
+  }
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+  };
+}
+
+/**
+ * Get a time zone's UTC offset at an instant
+ * @param {number} utc_ms
+ * @param {string} time_zone - IANA zone name
+ * @returns {number} - Milliseconds to add to UTC for the local time
+ */
+function get_zone_offset(utc_ms, time_zone) {
+  const zoned = get_zoned_parts(new Date(utc_ms), time_zone);
+  return Date.UTC(zoned.year, zoned.month - 1, zoned.day, zoned.hour, zoned.minute, zoned.second) - utc_ms;
+}
+
+/**
+ * Convert a wall-clock date and time in a time zone to an instant
+ * Times skipped by a DST change resolve to the following valid time (02:30 on a
+ * spring-forward day in New York is 03:30); repeated times resolve to the first
+ * @param {{year: number, month: number, day: number, hour: number, minute: number, second: number}} parts
+ * @param {string} time_zone - IANA zone name
+ * @returns {Date}
+ */
+export function zoned_time_to_date(parts, time_zone) {
+  const local_ms = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+
+  // Zones change offset at most once a day, so the offsets a day either side are
+  // the ones from before and after any change around this time
+  const offset_before = get_zone_offset(local_ms - MS_PER_DAY, time_zone);
+  const offset_after = get_zone_offset(local_ms + MS_PER_DAY, time_zone);
+  const with_before = local_ms - offset_before;
+  const with_after = local_ms - offset_after;
+
+  const before_fits = get_zone_offset(with_before, time_zone) === offset_before;
+  const after_fits = get_zone_offset(with_after, time_zone) === offset_after;
+
+  if (before_fits && after_fits) {
+    // No change, or a repeated (fall-back) time: the first occurrence
+    return new Date(Math.min(with_before, with_after));
+  }
+
+  if (after_fits) {
+    return new Date(with_after);
+  }
+
+  // Either only the earlier offset fits, or the time falls in a spring-forward
+  // gap, where reading it with the earlier offset moves it past the gap
+  return new Date(with_before);
+}
+
+// ============================================
+// Calendar math (on local dates)
+// ============================================
+
+/**
+ * Convert a local date to a day number for comparisons and arithmetic
+ * @param {{year: number, month: number, day: number}} date
+ * @returns {number}
+ */
+function to_day_number(date) {
+  return Date.UTC(date.year, date.month - 1, date.day) / MS_PER_DAY;
+}
+
+/**
+ * Convert a day number back to a local date
+ * @param {number} day_number
+ * @returns {{year: number, month: number, day: number}}
+ */
+function from_day_number(day_number) {
+  const date = new Date(day_number * MS_PER_DAY);
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+/**
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @returns {number}
+ */
+function days_in_month(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * Weekday of a day number (0 = Monday)
+ * @param {number} day_number
+ * @returns {number}
+ */
+function weekday_of(day_number) {
+  // Day 0 (1970-01-01) was a Thursday
+  return (((day_number + 3) % 7) + 7) % 7;
+}
+
+/**
+ * Add months to a year/month pair
+ * @returns {{year: number, month: number}}
+ */
+function add_months(year, month, months) {
+  const index = year * 12 + (month - 1) + months;
+  return { year: Math.floor(index / 12), month: (index % 12) + 1 };
+}
+
+/**
+ * Get the days of a month matching the rule, in order
+ * @param {Object} rule
+ * @param {number} year
+ * @param {number} month
+ * @param {number} default_day - Day of month used when the rule has no BYDAY/BYMONTHDAY
+ * @returns {Array<number>} - Day numbers
+ */
+function month_candidates(rule, year, month, default_day) {
+  const length = days_in_month(year, month);
+  const first = to_day_number({ year, month, day: 1 });
+  const days = new Set();
+
+  if (rule.by_month_day.length > 0) {
+    for (const month_day of rule.by_month_day) {
+      const day = month_day > 0 ? month_day : length + month_day + 1;
+      if (day >= 1 && day <= length) {
+        days.add(first + day - 1);
+      }
+    }
+  } else if (rule.by_day.length > 0) {
+    for (const { weekday, ordinal } of rule.by_day) {
+      const matches = [];
+      for (let day = 0; day < length; day++) {
+        if (weekday_of(first + day) === weekday) {
+          matches.push(first + day);
+        }
+      }
+      if (ordinal === null) {
+        matches.forEach((day) => days.add(day));
+      } else {
+        const match = ordinal > 0 ? matches[ordinal - 1] : matches[matches.length + ordinal];
+        if (match !== undefined) {
+          days.add(match);
+        }
+      }
+    }
+  } else if (default_day <= length) {
+    // Months without the anchor's day (e.g. the 31st) are skipped, as in RFC 5545
+    days.add(first + default_day - 1);
+  }
+
+  return [...days].sort((a, b) => a - b);
+}
+
+/**
+ * Find the first local date after an occurrence that matches the rule
+ * The anchor is assumed to be a valid occurrence, so INTERVAL counts from its period
+ * @param {Object} rule
+ * @param {{year: number, month: number, day: number}} anchor
+ * @returns {{year: number, month: number, day: number}|null}
+ */
+function next_matching_date(rule, anchor) {
+  const anchor_day = to_day_number(anchor);
+  const max_periods = recurrence_config.max_search_periods;
+
+  if (rule.freq === 'DAILY') {
+    for (let period = 1; period <= max_periods; period++) {
+      const day = anchor_day + period * rule.interval;
+      if (rule.by_day.length === 0 || rule.by_day.some((by_day) => by_day.weekday === weekday_of(day))) {
+        return from_day_number(day);
+      }
+    }
+    return null;
+  }
+
+  if (rule.freq === 'WEEKLY') {
+    const weekdays = rule.by_day.length > 0
+      ? [...new Set(rule.by_day.map((by_day) => by_day.weekday))].sort((a, b) => a - b)
+      : [weekday_of(anchor_day)];
+    const week_start = anchor_day - weekday_of(anchor_day);
+
+    for (let period = 0; period <= max_periods; period++) {
+      const start = week_start + period * rule.interval * 7;
+      for (const weekday of weekdays) {
+        if (start + weekday > anchor_day) {
+          return from_day_number(start + weekday);
+        }
+      }
+    }
+    return null;
+  }
+
+  if (rule.freq === 'MONTHLY') {
+    for (let period = 0; period <= max_periods; period++) {
+      const { year, month } = add_months(anchor.year, anchor.month, period * rule.interval);
+      const match = month_candidates(rule, year, month, anchor.day).find((day) => day > anchor_day);
+      if (match !== undefined) {
+        return from_day_number(match);
+      }
+    }
+    return null;
+  }
+
+  // YEARLY
+  const months = rule.by_month.length > 0 ? rule.by_month : [anchor.month];
+  for (let period = 0; period <= max_periods; period++) {
+    const year = anchor.year + period * rule.interval;
+    for (const month of months) {
+      const match = month_candidates(rule, year, month, anchor.day).find((day) => day > anchor_day);
+      if (match !== undefined) {
+        return from_day_number(match);
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Add one INTERVAL of the rule's frequency to a local date
+ * Month and year steps clamp to the end of shorter months
+ * @param {Object} rule
+ * @param {{year: number, month: number, day: number}} date
+ * @returns {{year: number, month: number, day: number}}
+ */
+function add_interval(rule, date) {
+  switch (rule.freq) {
+    case 'DAILY':
+      return from_day_number(to_day_number(date) + rule.interval);
+    case 'WEEKLY':
+      return from_day_number(to_day_number(date) + rule.interval * 7);
+    default: {
+      const months = rule.freq === 'MONTHLY' ? rule.interval : rule.interval * 12;
+      const { year, month } = add_months(date.year, date.month, months);
+      return { year, month, day: Math.min(date.day, days_in_month(year, month)) };
+    }
+  }
+}
+
+/**
+ * Compute when the next occurrence of a recurring task is due
+ *
+ * With the "due" basis occurrences follow the calendar from the current due date
+ * (or from the completion time if the task had no due date). Occurrences at or
+ * before not_before are skipped, so completing an overdue daily task doesn't
+ * create a backlog of overdue copies.
+ * With the "completion" basis the next occurrence is one INTERVAL after completion.
+ *
+ * Occurrences keep the local time of day of the current due date.
+ *
+ * @param {Object} options
+ * @param {Object} options.rule - From parse_rrule
+ * @param {'due'|'completion'} options.basis
+ * @param {Date|null} options.due_at - Current occurrence's due date
+ * @param {Date|null} options.completed_at - When the current occurrence was completed
+ * @param {string} options.time_zone - User's IANA time zone
+ * @param {Date|null} [options.not_before] - Skip occurrences at or before this instant
+ * @returns {Date|null} - null when the rule has run out (UNTIL) or no match was found
+ */
+export function get_next_due_at({ rule, basis, due_at, completed_at, time_zone, not_before = null }) {
+  const reference = basis === 'completion' || !due_at ? completed_at : due_at;
+  if (!reference) {
+    return null;
+  }
+
+  const local = get_zoned_parts(reference, time_zone);
+  const time_of_day = due_at ? get_zoned_parts(due_at, time_zone) : local;
+  let date = { year: local.year, month: local.month, day: local.day };
+
+  for (let attempt = 0; attempt < recurrence_config.max_search_periods; attempt++) {
+    date = basis === 'completion' ? add_interval(rule, date) : next_matching_date(rule, date);
+    if (!date) {
+      return null;
+    }
+
+    const next = zoned_time_to_date(
+      { ...date, hour: time_of_day.hour, minute: time_of_day.minute, second: time_of_day.second },
+      time_zone
+    );
+
+    if (rule.until && next > rule.until) {
+      return null;
+    }
+
+    if (!not_before || next > not_before) {
+      return next;
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,60 @@
+/**
+ * User agent parsing
+ * Just enough to label a session ("Firefox on Windows"); order matters, since
+ * most browsers also claim to be Chrome, Safari and Mozilla
+ */
+
+// First match wins
+const BROWSERS = [
+  { name: 'Edge', pattern: /Edg(?:e|A|iOS)?\/([\d.]+)/ },
+  { name: 'Opera', pattern: /(?:OPR|Opera)\/([\d.]+)/ },
+  { name: 'Samsung Internet', pattern: /SamsungBrowser\/([\d.]+)/ },
+  { name: 'Firefox', pattern: /(?:Firefox|FxiOS)\/([\d.]+)/ },
+  { name: 'Chrome', pattern: /(?:Chrome|CriOS)\/([\d.]+)/ },
+  { name: 'Safari', pattern: /Version\/([\d.]+).*Safari\// },
+];
+
+const OPERATING_SYSTEMS = [
+  { name: 'iPadOS', pattern: /iPad/ },
+  { name: 'iOS', pattern: /iPhone|iPod/ },
+  { name: 'Android', pattern: /Android/ },
+  { name: 'ChromeOS', pattern: /CrOS/ },
+  { name: 'Windows', pattern: /Windows/ },
+  { name: 'macOS', pattern: /Macintosh|Mac OS X/ },
+  { name: 'Linux', pattern: /Linux/ },
+];
+
+/**
+ * Parse a User-Agent header
+ * @param {string|null} user_agent
+ * @returns {{browser: string|null, browser_version: string|null, os: string|null, is_mobile: boolean, label: string}}
+ */
+export function parse_user_agent(user_agent) {
+  if (!user_agent || typeof user_agent !== 'string') {
+    return { browser: null, browser_version: null, os: null, is_mobile: false, label: 'Unknown device' };
+  }
+
+  let browser = null;
+  let browser_version = null;
+  for (const { name, pattern } of BROWSERS) {
+    const match = user_agent.match(pattern);
+    if (match) {
+      browser = name;
+      // Major version only
+      browser_version = match[1].split('.')[0];
+      break;
+    }
+  }
+
+  const os = OPERATING_SYSTEMS.find(({ pattern }) => pattern.test(user_agent))?.name ?? null;
+  const is_mobile = /Mobi|iPhone|iPod|Android/.test(user_agent);
+
+  let label;
+  if (browser && os) {
+    label = `${browser} on ${os}`;
+  } else {
+    label = browser || os || 'Unknown device';
+  }
+
+  return { browser, browser_version, os, is_mobile, label };
+}
@@ -4,7 +4,12 @@
  * All user inputs should pass through these before use
  */
 
-import { password_config, avatar_config } from '../config/index.js';
+import {
+  password_config, mfa_config, webauthn_config, avatar_config, task_config, private_task_config, list_config, tag_config, recurrence_config,
+  reminder_config, sync_config,
+} from '../config/index.js';
+import { parse_rrule, serialize_rrule, is_simple_rule } from './recurrence.js';
+import { parse_hlc } from './hlc.js';
 
 /**
  * Sanitize string input to prevent XSS
@@ -31,6 +36,30 @@ export function sanitize_html(input) {
   return input.replace(/[&<>"'`=/]/g, (char) => html_entities[char]);
 }
 
+/**
+ * Reverse sanitize_html for plain-text output (e.g. email bodies)
+ * @param {string} input - Escaped string
+ * @returns {string} - Original string
+ */
+export function unescape_html(input) {
+  if (typeof input !== 'string') {
+    return '';
+  }
+
+  const html_entities = {
+    '&amp;': '&',
+    '&lt;': '<',
+    '&gt;': '>',
+    '&quot;': '"',
+    '&#x27;': "'",
+    '&#x2F;': '/',
+    '&#x60;': '`',
+    '&#x3D;': '=',
+  };
+
+  return input.replace(/&(?:amp|lt|gt|quot|#x27|#x2F|#x60|#x3D);/g, (entity) => html_entities[entity]);
+}
+
 /**
  * Trim and normalize whitespace in string
  * @param {string} input - Raw input
@@ -127,6 +156,65 @@ export function validate_password(password) {
   return { valid: true };
 }
 
+/**
+ * Validate a two-factor code from an authenticator app
+ * @param {string} code - Spaces are ignored ("123 456")
+ * @returns {{valid: boolean, error?: string, value?: string}}
+ */
+export function validate_totp_code(code) {
+  if (!code || typeof code !== 'string') {
+    return { valid: false, error: 'Authentication code is required' };
+  }
+
+  const normalized = code.replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${mfa_config.totp_digits}}$`).test(normalized)) {
+    return { valid: false, error: `Authentication code must be ${mfa_config.totp_digits} digits` };
+  }
+
+  return { valid: true, value: normalized };
+}
+
+/**
+ * Validate a two-factor recovery code
+ * @param {string} code - Case, spaces and dashes are ignored ("abcde-fghij")
+ * @returns {{valid: boolean, error?: string, value?: string}}
+ */
+export function validate_recovery_code(code) {
+  if (!code || typeof code !== 'string') {
+    return { valid: false, error: 'Recovery code is required' };
+  }
+
+  const normalized = code.toLowerCase().replace(/[\s-]/g, '');
+  if (!/^[a-z2-7]{10}$/.test(normalized)) {
+    return { valid: false, error: 'Invalid recovery code format' };
+  }
+
+  return { valid: true, value: normalized };
+}
+
+/**
+ * Validate a passkey nickname
+ * @param {string} nickname - Nickname to validate
+ * @returns {{valid: boolean, error?: string, value?: string}}
+ */
+export function validate_passkey_nickname(nickname) {
+  if (!nickname || typeof nickname !== 'string') {
+    return { valid: false, error: 'Passkey name is required' };
+  }
+
+  const normalized = normalize_string(nickname);
+
+  if (normalized.length === 0) {
+    return { valid: false, error: 'Passkey name is required' };
+  }
+
+  if (normalized.length > webauthn_config.nickname_max_length) {
+    return { valid: false, error: `Passkey name must be ${webauthn_config.nickname_max_length} characters or less` };
+  }
+
+  return { valid: true, value: normalized };
+}
+
 /**
  * Validate phone number in E.164 format
  * @param {string} phone - Phone number to validate
@@ -202,6 +290,25 @@ export function validate_pronouns(pronouns) {
   return { valid: true, value: trimmed };
 }
 
+/**
+ * Validate IANA time zone name (e.g. "Europe/Berlin")
+ * @param {string} time_zone - Time zone to validate
+ * @returns {{valid: boolean, error?: string, value?: string}}
+ */
+export function validate_time_zone(time_zone) {
+  if (!time_zone || typeof time_zone !== 'string' || time_zone.length > 64) {
+    return { valid: false, error: 'Invalid time zone' };
+  }
+
+  try {
+    // Intl rejects unknown zones and gives back the canonical spelling
+    const resolved = new Intl.DateTimeFormat('en-US', { timeZone: time_zone.trim() }).resolvedOptions().timeZone;
+    return { valid: true, value: resolved };
+  } catch {
+    return { valid: false, error: 'Invalid time zone' };
+  }
+}
+
 /**
  * Validate avatar URL
  * @param {string} url - URL to validate
@@ -301,6 +408,382 @@ export function validate_avatar_file(file) {
   return { valid: true };
 }
 
+/**
+ * Validate task title
+ * @param {string} title - Task title to validate
+ * @returns {{valid: boolean, error?: string, value?: string}}
+ */
+export function validate_task_title(title) {
+  if (!title || typeof title !== 'string') {
+    return { valid: false, error: 'Title is required' };
+  }
+
+  const normalized = normalize_string(title);
+
+  if (normalized.length === 0) {
+    return { valid: false, error: 'Title is required' };
+  }
+
+  if (normalized.length > task_config.title_max_length) {
+    return { valid: false, error: `Title must be ${task_config.title_max_length} characters or less` };
+  }
+
+  return { valid: true, value: normalized };
+}
+
+/**
+ * Validate task notes
+ * @param {string} notes - Notes text to validate
+ * @returns {{valid: boolean, error?: string, value?: string}}
+ */
+export function validate_task_notes(notes) {
+  // Notes are optional
+  if (!notes || (typeof notes === 'string' && notes.trim() === '')) {
+    return { valid: true, value: null };
+  }
+
+  if (typeof notes !== 'string') {
+    return { valid: false, error: 'Invalid notes format' };
+  }
+
+  const trimmed = notes.trim();
+
+  if (trimmed.length > task_config.notes_max_length) {
+    return { valid: false, error: `Notes must be ${task_config.notes_max_length} characters or less` };
+  }
+
+  return { valid: true, value: trimmed };
+}
+
+// Ciphertext of a private task's title or notes: version, base64 IV, base64 AES-GCM output
+const ENCRYPTED_TEXT_PATTERN = /^e2e1\.[A-Za-z0-9+/]+={0,2}\.[A-Za-z0-9+/]+={0,2}$/;
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+
+/**
+ * Validate an encrypted title or notes of a private task
+ * The server can't read it, so only the format and size are checked
+ * @param {string} value - Ciphertext
+ * @param {string} label - Field name for error messages
+ * @param {number} max_length
+ * @param {boolean} required - Whether the field may be empty
+ * @returns {{valid: boolean, error?: string, value?: string|null}}
+ */
+export function validate_encrypted_text(value, label, max_length, required) {
+  if (value === undefined || value === null || value === '') {
+    return required ? { valid: false, error: `${label} is required` } : { valid: true, value: null };
+  }
+
+  if (typeof value !== 'string' || !ENCRYPTED_TEXT_PATTERN.test(value)) {
+    return { valid: false, error: `${label} of a private task must be encrypted` };
+  }
+
+  if (value.length > max_length) {
+    return { valid: false, error: `${label} is too long` };
+  }
+
+  return { valid: true, value };
+}
+
+/**
+ * Validate the private task key backup (wrapped in the browser with the recovery passphrase)
+ * @param {Object} backup - { key_id, salt, iv, iterations, wrapped_key }; binary values base64
+ * @returns {{valid: boolean, error?: string, value?: Object}}
+ */
+export function validate_task_key_backup(backup) {
+  if (!backup || typeof backup !== 'object' || Array.isArray(backup)) {
+    return { valid: false, error: 'Key backup is required' };
+  }
+
+  const { key_id, salt, iv, iterations, wrapped_key } = backup;
+
+  if (!validate_uuid(key_id).valid) {
+    return { valid: false, error: 'Invalid key ID' };
+  }
+
+  for (const [name, value] of [['salt', salt], ['iv', iv], ['wrapped_key', wrapped_key]]) {
+    if (typeof value !== 'string' || value.length > 200 || !BASE64_PATTERN.test(value)) {
+      return { valid: false, error: `Invalid ${name}` };
+    }
+  }
+
+  if (
+    !Number.isInteger(iterations)
+    || iterations < private_task_config.min_key_iterations
+    || iterations > private_task_config.max_key_iterations
+  ) {
+    return {
+      valid: false,
+      error: `Iterations must be between ${private_task_config.min_key_iterations} and ${private_task_config.max_key_iterations}`,
+    };
+  }
+
+  return { valid: true, value: { key_id: key_id.toLowerCase(), salt, iv, iterations, wrapped_key } };
+}
+
+/**
+ * Validate task status
+ * @param {string} status - One of task_config.statuses
+ * @returns {{valid: boolean, error?: string, value?: string}}
+ */
+export function validate_task_status(status) {
+  if (!status || typeof status !== 'string') {
+    return { valid: false, error: 'Status is required' };
+  }
+
+  if (!task_config.statuses.includes(status)) {
+    return { valid: false, error: `Status must be one of: ${task_config.statuses.join(', ')}` };
+  }
+
+  return { valid: true, value: status };
+}
+
+/**
+ * Validate task priority
+ * @param {any} priority - Integer from 0 (none) to task_config.max_priority
+ * @returns {{valid: boolean, error?: string, value?: number}}
+ */
+export function validate_task_priority(priority) {
+  // Priority is optional, defaults to none
+  if (priority === null || priority === undefined || priority === '') {
+    return { valid: true, value: 0 };
+  }
+
+  const parsed = Number(priority);
+
+  if (!Number.isInteger(parsed) || parsed < 0 || parsed > task_config.max_priority) {
+    return { valid: false, error: `Priority must be an integer from 0 to ${task_config.max_priority}` };
+  }
+
+  return { valid: true, value: parsed };
+}
+
+/**
+ * Validate an optional ISO 8601 date/time
+ * @param {string} value - Date string
+ * @returns {{valid: boolean, error?: string, value?: Date|null}}
+ */
+export function validate_date(value) {
+  // Dates are optional, empty clears the value
+  if (value === null || value === undefined || value === '') {
+    return { valid: true, value: null };
+  }
+
+  if (typeof value !== 'string' || value.length > 40) {
+    return { valid: false, error: 'Invalid date format' };
+  }
+
+  const parsed = new Date(value);
+
+  if (Number.isNaN(parsed.getTime())) {
+    return { valid: false, error: 'Invalid date format' };
+  }
+
+  return { valid: true, value: parsed };
+}
+
+/**
+ * Validate sort position
+ * @param {any} position - Non-negative integer
+ * @returns {{valid: boolean, error?: string, value?: number}}
+ */
+export function validate_position(position) {
+  const parsed = Number(position);
+
+  if (!Number.isInteger(parsed) || parsed < 0 || parsed > 2147483647) {
+    return { valid: false, error: 'Position must be a non-negative integer' };
+  }
+
+  return { valid: true, value: parsed };
+}
+
+/**
+ * Validate a task's recurrence rule and basis
+ * @param {string|null} rule - RRULE subset, or null to stop repeating
+ * @param {string} [basis] - 'due' (default) or 'completion'
+ * @returns {{valid: boolean, error?: string, value?: {rule: string|null, basis: string|null}}}
+ */
+export function validate_recurrence(rule, basis = 'due') {
+  if (rule === null || rule === '') {
+    return { valid: true, value: { rule: null, basis: null } };
+  }
+
+  if (!recurrence_config.bases.includes(basis)) {
+    return { valid: false, error: `Recurrence basis must be one of: ${recurrence_config.bases.join(', ')}` };
+  }
+
+  const rule_result = parse_rrule(rule);
+  if (!rule_result.valid) {
+    return rule_result;
+  }
+
+  if (basis === 'completion' && !is_simple_rule(rule_result.value)) {
+    return { valid: false, error: 'Rules repeating after completion only support FREQ, INTERVAL, COUNT and UNTIL' };
+  }
+
+  return { valid: true, value: { rule: serialize_rrule(rule_result.value), basis } };
+}
+
+/**
+ * Validate a task reminder
+ * Exactly one of remind_at (absolute, must be in the future) or minutes_before_due is required
+ * @param {Object} reminder
+ * @param {string} [reminder.remind_at] - ISO 8601 date/time
+ * @param {any} [reminder.minutes_before_due] - Non-negative integer
+ * @returns {{valid: boolean, error?: string, value?: {remind_at: Date|null, minutes_before_due: number|null}}}
+ */
+export function validate_reminder({ remind_at, minutes_before_due } = {}) {
+  const has_absolute = remind_at !== undefined && remind_at !== null && remind_at !== '';
+  const has_relative = minutes_before_due !== undefined && minutes_before_due !== null && minutes_before_due !== '';
+
+  if (has_absolute === has_relative) {
+    return { valid: false, error: 'Provide either remind_at or minutes_before_due' };
+  }
+
+  if (has_absolute) {
+    const date_result = validate_date(remind_at);
+    if (!date_result.valid) {
+      return date_result;
+    }
+
+    if (date_result.value <= new Date()) {
+      return { valid: false, error: 'Reminder time must be in the future' };
+    }
+
+    return { valid: true, value: { remind_at: date_result.value, minutes_before_due: null } };
+  }
+
+  const minutes = Number(minutes_before_due);
+
+  if (!Number.isInteger(minutes) || minutes < 0 || minutes > reminder_config.max_minutes_before_due) {
+    return {
+      valid: false,
+      error: `minutes_before_due must be an integer between 0 and ${reminder_config.max_minutes_before_due}`,
+    };
+  }
+
+  return { valid: true, value: { remind_at: null, minutes_before_due: minutes } };
+}
+
+/**
+ * Validate a quiet-hours window
+ * Both ends are local times (HH:MM) or both are empty to turn quiet hours off
+ * The window may wrap past midnight (e.g. 22:00 - 07:00)
+ * @param {string|null} start - Start time
+ * @param {string|null} end - End time
+ * @returns {{valid: boolean, error?: string, value?: {start: string|null, end: string|null}}}
+ */
+export function validate_quiet_hours(start, end) {
+  const is_empty = (value) => value === null || value === undefined || value === '';
+
+  if (is_empty(start) && is_empty(end)) {
+    return { valid: true, value: { start: null, end: null } };
+  }
+
+  if (is_empty(start) || is_empty(end)) {
+    return { valid: false, error: 'Quiet hours need both a start and an end time' };
+  }
+
+  const time_regex = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+  if (typeof start !== 'string' || typeof end !== 'string' || !time_regex.test(start) || !time_regex.test(end)) {
+    return { valid: false, error: 'Quiet hours must be in HH:MM format' };
+  }
+
+  if (start === end) {
+    return { valid: false, error: 'Quiet hours start and end must differ' };
+  }
+
+  return { valid: true, value: { start, end } };
+}
+
+/**
+ * Validate list name
+ * @param {string} name - List name to validate
+ * @returns {{valid: boolean, error?: string, value?: string}}
+ */
+export function validate_list_name(name) {
+  if (!name || typeof name !== 'string') {
+    return { valid: false, error: 'List name is required' };
+  }
+
+  const normalized = normalize_string(name);
+
+  if (normalized.length === 0) {
+    return { valid: false, error: 'List name is required' };
+  }
+
+  if (normalized.length > list_config.name_max_length) {
+    return { valid: false, error: `List name must be ${list_config.name_max_length} characters or less` };
+  }
+
+  return { valid: true, value: normalized };
+}
+
+/**
+ * Validate hex color
+ * @param {string} color - Color in #RRGGBB format
+ * @returns {{valid: boolean, error?: string, value?: string}}
+ */
+export function validate_color(color) {
+  // Color is optional
+  if (!color || (typeof color === 'string' && color.trim() === '')) {
+    return { valid: true, value: null };
+  }
+
+  if (typeof color !== 'string' || !/^#[0-9a-f]{6}$/i.test(color.trim())) {
+    return { valid: false, error: 'Color must be a hex value like #3b82f6' };
+  }
+
+  return { valid: true, value: color.trim().toLowerCase() };
+}
+
+/**
+ * Validate list icon (icon name or emoji)
+ * @param {string} icon - Icon identifier
+ * @returns {{valid: boolean, error?: string, value?: string}}
+ */
+export function validate_list_icon(icon) {
+  // Icon is optional
+  if (!icon || (typeof icon === 'string' && icon.trim() === '')) {
+    return { valid: true, value: null };
+  }
+
+  if (typeof icon !== 'string') {
+    return { valid: false, error: 'Invalid icon format' };
+  }
+
+  const trimmed = icon.trim();
+
+  if (trimmed.length > list_config.icon_max_length) {
+    return { valid: false, error: `Icon must be ${list_config.icon_max_length} characters or less` };
+  }
+
+  return { valid: true, value: trimmed };
+}
+
+/**
+ * Validate tag name
+ * @param {string} name - Tag name (e.g. "@waiting")
+ * @returns {{valid: boolean, error?: string, value?: string}}
+ */
+export function validate_tag_name(name) {
+  if (!name || typeof name !== 'string') {
+    return { valid: false, error: 'Tag name is required' };
+  }
+
+  const normalized = normalize_string(name);
+
+  if (normalized.length === 0) {
+    return { valid: false, error: 'Tag name is required' };
+  }
+
+  if (normalized.length > tag_config.name_max_length) {
+    return { valid: false, error: `Tag name must be ${tag_config.name_max_length} characters or less` };
+  }
+
+  return { valid: true, value: normalized };
+}
+
 /**
  * Validate UUID format
  * @param {string} uuid - UUID string to validate
@@ -320,6 +803,90 @@ export function validate_uuid(uuid) {
   return { valid: true, value: uuid.toLowerCase() };
 }
 
+/**
+ * Validate a list of tag IDs assigned to a task
+ * @param {Array<string>} tag_ids - Tag IDs (duplicates are removed)
+ * @returns {{valid: boolean, error?: string, value?: Array<string>}}
+ */
+export function validate_tag_ids(tag_ids) {
+  if (!Array.isArray(tag_ids)) {
+    return { valid: false, error: 'tag_ids must be an array' };
+  }
+
+  const ids = [];
+  for (const id of tag_ids) {
+    const id_result = validate_uuid(id);
+    if (!id_result.valid) {
+      return { valid: false, error: id_result.error };
+    }
+    if (!ids.includes(id_result.value)) {
+      ids.push(id_result.value);
+    }
+  }
+
+  if (ids.length > tag_config.max_per_task) {
+    return { valid: false, error: `A task can have at most ${tag_config.max_per_task} tags` };
+  }
+
+  return { valid: true, value: ids };
+}
+
+/**
+ * Validate a sync cursor (a change log sequence number, as a string)
+ * A missing cursor means "from the beginning"
+ * @param {string} cursor - Cursor from a previous sync response
+ * @returns {{valid: boolean, error?: string, value?: string}}
+ */
+export function validate_sync_cursor(cursor) {
+  if (cursor === undefined || cursor === null || cursor === '') {
+    return { valid: true, value: '0' };
+  }
+
+  if (typeof cursor !== 'string' || !/^\d{1,18}$/.test(cursor)) {
+    return { valid: false, error: 'Invalid sync cursor' };
+  }
+
+  return { valid: true, value: String(BigInt(cursor)) };
+}
+
+/**
+ * Validate per-field clock timestamps sent with an offline edit
+ * Timestamps further ahead of server time than sync_config.max_clock_drift_ms
+ * are rejected, since they would win every later conflict
+ * @param {Object} clocks - { field: hlc } (missing means none)
+ * @param {string[]} fields - Field names the entity versions
+ * @param {string} label - Name used in error messages (field_clocks, base_clocks)
+ * @returns {{valid: boolean, error?: string, value?: Object}}
+ */
+export function validate_field_clocks(clocks, fields, label) {
+  if (clocks === undefined || clocks === null) {
+    return { valid: true, value: null };
+  }
+
+  if (typeof clocks !== 'object' || Array.isArray(clocks)) {
+    return { valid: false, error: `${label} must be an object` };
+  }
+
+  const max_wall = Date.now() + sync_config.max_clock_drift_ms;
+
+  for (const [field, hlc] of Object.entries(clocks)) {
+    if (!fields.includes(field)) {
+      return { valid: false, error: `${label} has an unknown field: ${field}` };
+    }
+
+    const parsed = parse_hlc(hlc);
+    if (!parsed) {
+      return { valid: false, error: `${label}.${field} is not a valid clock` };
+    }
+
+    if (parsed.wall > max_wall) {
+      return { valid: false, error: `${label}.${field} is too far in the future` };
+    }
+  }
+
+  return { valid: true, value: clocks };
+}
+
 /**
  * Validate idempotency key
  * @param {string} key - Idempotency key to validate
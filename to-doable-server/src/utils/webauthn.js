@@ -0,0 +1,302 @@
+/**
+ * WebAuthn (passkey) verification
+ * Uses native Node.js crypto; the CBOR decoder only covers what authenticators send
+ * Registrations ask for no attestation, so only the authenticator data is checked,
+ * not who made the authenticator
+ */
+
+import { createHash, createPublicKey, verify, timingSafeEqual } from 'crypto';
+import { webauthn_config } from '../config/index.js';
+
+// COSE algorithms we accept, in order of preference
+export const SUPPORTED_ALGORITHMS = [-7, -8, -257]; // ES256, EdDSA, RS256
+
+// Authenticator data flags
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_BACKED_UP = 0x10;
+const FLAG_ATTESTED_CREDENTIAL = 0x40;
+
+/**
+ * Encode bytes as base64url (no padding)
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+export function base64url_encode(buffer) {
+  return Buffer.from(buffer).toString('base64url');
+}
+
+/**
+ * Decode a base64url string
+ * @param {string} value
+ * @returns {Buffer}
+ * @throws {Error} - Not a string
+ */
+export function base64url_decode(value) {
+  if (typeof value !== 'string') {
+    throw new Error('Expected a base64url string');
+  }
+  return Buffer.from(value, 'base64url');
+}
+
+/**
+ * Decode one CBOR item
+ * @param {Buffer} buffer
+ * @param {number} offset
+ * @returns {{value: *, offset: number}} - The item and the offset after it
+ */
+function decode_cbor_item(buffer, offset) {
+  const initial = buffer[offset];
+  if (initial === undefined) {
+    throw new Error('Unexpected end of CBOR data');
+  }
+
+  const major_type = initial >> 5;
+  const info = initial & 0x1f;
+  offset += 1;
+
+  let length;
+  if (info < 24) {
+    length = info;
+  } else if (info === 24) {
+    length = buffer.readUInt8(offset);
+    offset += 1;
+  } else if (info === 25) {
+    length = buffer.readUInt16BE(offset);
+    offset += 2;
+  } else if (info === 26) {
+    length = buffer.readUInt32BE(offset);
+    offset += 4;
+  } else if (info === 27) {
+    length = Number(buffer.readBigUInt64BE(offset));
+    offset += 8;
+  } else {
+    throw new Error('Unsupported CBOR length');
+  }
+
+  switch (major_type) {
+    case 0: // Unsigned integer
+      return { value: length, offset };
+    case 1: // Negative integer
+      return { value: -1 - length, offset };
+    case 2: // Byte string
+      if (offset + length > buffer.length) {
+        throw new Error('Unexpected end of CBOR data');
+      }
+      return { value: buffer.subarray(offset, offset + length), offset: offset + length };
+    case 3: // Text string
+      if (offset + length > buffer.length) {
+        throw new Error('Unexpected end of CBOR data');
+      }
+      return { value: buffer.toString('utf8', offset, offset + length), offset: offset + length };
+    case 4: { // Array
+      const items = [];
+      for (let i = 0; i < length; i++) {
+        const item = decode_cbor_item(buffer, offset);
+        items.push(item.value);
+        offset = item.offset;
+      }
+      return { value: items, offset };
+    }
+    case 5: { // Map (keys are integers or strings here)
+      const map = new Map();
+      for (let i = 0; i < length; i++) {
+        const key = decode_cbor_item(buffer, offset);
+        const value = decode_cbor_item(buffer, key.offset);
+        map.set(key.value, value.value);
+        offset = value.offset;
+      }
+      return { value: map, offset };
+    }
+    case 7: // Simple values
+      if (info === 20) return { value: false, offset };
+      if (info === 21) return { value: true, offset };
+      if (info === 22) return { value: null, offset };
+      throw new Error('Unsupported CBOR simple value');
+    default:
+      throw new Error('Unsupported CBOR type');
+  }
+}
+
+/**
+ * Decode the first CBOR item in a buffer
+ * @param {Buffer} buffer
+ * @param {number} [offset]
+ * @returns {{value: *, offset: number}}
+ */
+export function decode_cbor(buffer, offset = 0) {
+  return decode_cbor_item(buffer, offset);
+}
+
+/**
+ * Parse authenticator data
+ * @param {Buffer} data
+ * @returns {{rp_id_hash: Buffer, user_present: boolean, user_verified: boolean, backed_up: boolean,
+ *   sign_count: number, credential_id?: Buffer, cose_key?: Map}}
+ */
+export function parse_authenticator_data(data) {
+  if (data.length < 37) {
+    throw new Error('Authenticator data is too short');
+  }
+
+  const flags = data[32];
+  const parsed = {
+    rp_id_hash: data.subarray(0, 32),
+    user_present: Boolean(flags & FLAG_USER_PRESENT),
+    user_verified: Boolean(flags & FLAG_USER_VERIFIED),
+    backed_up: Boolean(flags & FLAG_BACKED_UP),
+    sign_count: data.readUInt32BE(33),
+  };
+
+  // Registration: AAGUID (16 bytes), credential ID length and ID, then the COSE key
+  if (flags & FLAG_ATTESTED_CREDENTIAL) {
+    const id_length = data.readUInt16BE(53);
+    parsed.credential_id = data.subarray(55, 55 + id_length);
+    parsed.cose_key = decode_cbor(data, 55 + id_length).value;
+  }
+
+  return parsed;
+}
+
+/**
+ * Convert a COSE public key to SPKI (DER)
+ * @param {Map} cose_key
+ * @returns {{public_key: Buffer, algorithm: number}}
+ * @throws {Error} - Unsupported key type or algorithm
+ */
+function cose_to_spki(cose_key) {
+  const key_type = cose_key.get(1);
+  const algorithm = cose_key.get(3);
+  let jwk;
+
+  if (algorithm === -7 && key_type === 2 && cose_key.get(-1) === 1) {
+    jwk = {
+      kty: 'EC',
+      crv: 'P-256',
+      x: base64url_encode(cose_key.get(-2)),
+      y: base64url_encode(cose_key.get(-3)),
+    };
+  } else if (algorithm === -8 && key_type === 1 && cose_key.get(-1) === 6) {
+    jwk = { kty: 'OKP', crv: 'Ed25519', x: base64url_encode(cose_key.get(-2)) };
+  } else if (algorithm === -257 && key_type === 3) {
+    jwk = { kty: 'RSA', n: base64url_encode(cose_key.get(-1)), e: base64url_encode(cose_key.get(-2)) };
+  } else {
+    throw new Error('Unsupported passkey algorithm');
+  }
+
+  const public_key = createPublicKey({ key: jwk, format: 'jwk' }).export({ type: 'spki', format: 'der' });
+  return { public_key, algorithm };
+}
+
+/**
+ * Parse clientDataJSON and check the ceremony type and origin
+ * @param {string} client_data_json - Base64url
+ * @param {string} type - webauthn.create or webauthn.get
+ * @returns {{challenge: string, hash: Buffer}} - The challenge (base64url) and
+ *   the SHA-256 of the raw JSON, which signatures cover
+ * @throws {Error} - Wrong type or origin
+ */
+export function parse_client_data(client_data_json, type) {
+  const raw = base64url_decode(client_data_json);
+  const client_data = JSON.parse(raw.toString('utf8'));
+
+  if (client_data.type !== type) {
+    throw new Error('Unexpected ceremony type');
+  }
+  if (client_data.origin !== webauthn_config.origin) {
+    throw new Error('Unexpected origin');
+  }
+  if (typeof client_data.challenge !== 'string') {
+    throw new Error('Missing challenge');
+  }
+
+  return {
+    challenge: client_data.challenge,
+    hash: createHash('sha256').update(raw).digest(),
+  };
+}
+
+/**
+ * Check the relying party and the user flags of authenticator data
+ * Passkeys must verify the user (PIN or biometrics), which is what lets them
+ * stand in for both the password and a second factor
+ * @param {Object} auth_data - From parse_authenticator_data
+ * @throws {Error}
+ */
+function check_authenticator_data(auth_data) {
+  const expected_hash = createHash('sha256').update(webauthn_config.rp_id).digest();
+  if (!timingSafeEqual(auth_data.rp_id_hash, expected_hash)) {
+    throw new Error('Unexpected relying party');
+  }
+  if (!auth_data.user_present || !auth_data.user_verified) {
+    throw new Error('User verification is required');
+  }
+}
+
+/**
+ * Verify the response to navigator.credentials.create()
+ * The challenge must already have been checked against parse_client_data
+ * @param {Object} response
+ * @param {string} response.attestation_object - Base64url
+ * @returns {{credential_id: string, public_key: string, algorithm: number, sign_count: number}}
+ *   - IDs base64url, the key base64 SPKI
+ * @throws {Error} - Invalid response
+ */
+export function verify_registration_response(response) {
+  const attestation = decode_cbor(base64url_decode(response.attestation_object)).value;
+  if (!(attestation instanceof Map) || !Buffer.isBuffer(attestation.get('authData'))) {
+    throw new Error('Invalid attestation object');
+  }
+
+  const auth_data = parse_authenticator_data(attestation.get('authData'));
+  check_authenticator_data(auth_data);
+
+  if (!auth_data.credential_id || !(auth_data.cose_key instanceof Map)) {
+    throw new Error('Missing credential');
+  }
+
+  const { public_key, algorithm } = cose_to_spki(auth_data.cose_key);
+
+  return {
+    credential_id: base64url_encode(auth_data.credential_id),
+    public_key: public_key.toString('base64'),
+    algorithm,
+    sign_count: auth_data.sign_count,
+  };
+}
+
+/**
+ * Verify the response to navigator.credentials.get()
+ * The challenge must already have been checked against parse_client_data
+ * @param {Object} response
+ * @param {string} response.authenticator_data - Base64url
+ * @param {string} response.signature - Base64url
+ * @param {Buffer} client_data_hash - From parse_client_data
+ * @param {Object} credential - Stored row with public_key and algorithm
+ * @returns {{sign_count: number}}
+ * @throws {Error} - Invalid response or signature
+ */
+export function verify_authentication_response(response, client_data_hash, credential) {
+  const auth_data_raw = base64url_decode(response.authenticator_data);
+  const auth_data = parse_authenticator_data(auth_data_raw);
+  check_authenticator_data(auth_data);
+
+  const key = createPublicKey({
+    key: Buffer.from(credential.public_key, 'base64'),
+    format: 'der',
+    type: 'spki',
+  });
+  const signed_data = Buffer.concat([auth_data_raw, client_data_hash]);
+  const signature = base64url_decode(response.signature);
+
+  // ES256 signatures are DER encoded; EdDSA takes no separate digest
+  const valid = credential.algorithm === -8
+    ? verify(null, signed_data, key, signature)
+    : verify('sha256', signed_data, key, signature);
+
+  if (!valid) {
+    throw new Error('Invalid signature');
+  }
+
+  return { sign_count: auth_data.sign_count };
+}